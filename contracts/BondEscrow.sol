@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title BondEscrow
+ * @dev Holds the submission bonds of CTIRegistry and the reward pool that
+ * validated submitters share in. The registry deposits the bond sent with a
+ * submission and, once the CTI settles, either refunds it with a share of the
+ * pool, slashes it into the pool, or returns it alone when voting ends
+ * without an outcome. A slashed bond can be restored from the pool when a
+ * moderator reverses the CTI's deactivation or rejection. Refunds are paid
+ * with a withdraw pattern.
+ * The bond amount is set by registry admins.
+ */
+contract BondEscrow {
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // Share of the reward pool paid out with each refunded bond
+    uint256 public constant REWARD_POOL_SHARE_PERCENT = 10;
+
+    ICTIRegistry public immutable registry;
+
+    uint256 public submissionBond;
+    uint256 public rewardPool;
+    mapping(uint256 => uint256) public ctiBonds;
+    mapping(uint256 => address) public bondPayers;
+    mapping(uint256 => uint256) public slashedBonds;
+    mapping(address => uint256) public pendingWithdrawals;
+
+    event SubmissionBondUpdated(uint256 previousBond, uint256 newBond);
+
+    event BondDeposited(uint256 indexed id, address indexed payer, uint256 bond);
+
+    event BondRefunded(uint256 indexed id, address indexed payer, uint256 bond, uint256 reward);
+
+    event BondReturned(uint256 indexed id, address indexed payer, uint256 bond);
+
+    event BondSlashed(uint256 indexed id, address indexed payer, uint256 bond);
+
+    event BondRestored(uint256 indexed id, address indexed payer, uint256 bond);
+
+    event RewardPoolFunded(address indexed funder, uint256 amount);
+
+    event Withdrawal(address indexed account, uint256 amount);
+
+    modifier onlyRegistry() {
+        require(msg.sender == address(registry), "Caller is not the registry");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Set the bond required for new submissions (0 disables bonds)
+     * @param _bond Bond amount in wei
+     */
+    function setSubmissionBond(uint256 _bond) external {
+        require(registry.hasRole(ADMIN_ROLE, msg.sender), "Caller is missing required role");
+
+        emit SubmissionBondUpdated(submissionBond, _bond);
+        submissionBond = _bond;
+    }
+
+    /**
+     * @dev Hold the bond sent with a submission until the CTI settles
+     * @param _id CTI ID
+     * @param _payer Account credited when the bond is refunded
+     */
+    function depositBond(uint256 _id, address _payer) external payable onlyRegistry {
+        ctiBonds[_id] = msg.value;
+        bondPayers[_id] = _payer;
+
+        emit BondDeposited(_id, _payer, msg.value);
+    }
+
+    /**
+     * @dev Credit a CTI's bond plus a share of the reward pool to its payer
+     * @param _id CTI ID
+     */
+    function refundBond(uint256 _id) external onlyRegistry {
+        uint256 bond = ctiBonds[_id];
+        if (bond == 0) {
+            return;
+        }
+
+        uint256 reward = rewardPool * REWARD_POOL_SHARE_PERCENT / 100;
+        address payer = bondPayers[_id];
+
+        ctiBonds[_id] = 0;
+        rewardPool -= reward;
+        pendingWithdrawals[payer] += bond + reward;
+
+        emit BondRefunded(_id, payer, bond, reward);
+    }
+
+    /**
+     * @dev Credit a CTI's bond, without a reward, back to its payer
+     * @param _id CTI ID
+     */
+    function returnBond(uint256 _id) external onlyRegistry {
+        uint256 bond = ctiBonds[_id];
+        if (bond == 0) {
+            return;
+        }
+
+        address payer = bondPayers[_id];
+
+        ctiBonds[_id] = 0;
+        pendingWithdrawals[payer] += bond;
+
+        emit BondReturned(_id, payer, bond);
+    }
+
+    /**
+     * @dev Move a CTI's bond into the reward pool
+     * @param _id CTI ID
+     */
+    function slashBond(uint256 _id) external onlyRegistry {
+        uint256 bond = ctiBonds[_id];
+        if (bond == 0) {
+            return;
+        }
+
+        ctiBonds[_id] = 0;
+        slashedBonds[_id] = bond;
+        rewardPool += bond;
+
+        emit BondSlashed(_id, bondPayers[_id], bond);
+    }
+
+    /**
+     * @dev Take a CTI's slashed bond back out of the reward pool and hold it
+     * for the CTI again. If rewards already drained the pool, only what is
+     * left of it is restored.
+     * @param _id CTI ID
+     */
+    function restoreBond(uint256 _id) external onlyRegistry {
+        uint256 bond = slashedBonds[_id] < rewardPool ? slashedBonds[_id] : rewardPool;
+        if (bond == 0) {
+            return;
+        }
+
+        slashedBonds[_id] = 0;
+        rewardPool -= bond;
+        ctiBonds[_id] = bond;
+
+        emit BondRestored(_id, bondPayers[_id], bond);
+    }
+
+    /**
+     * @dev Add ETH to the reward pool paid out to validated submitters
+     */
+    function fundRewardPool() external payable {
+        require(msg.value > 0, "Amount must be greater than zero");
+
+        rewardPool += msg.value;
+
+        emit RewardPoolFunded(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Withdraw refunded bonds and rewards credited to the caller
+     */
+    function withdraw() external {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawal(msg.sender, amount);
+    }
+}
\ No newline at end of file
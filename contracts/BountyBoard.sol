@@ -0,0 +1,258 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICategoryRegistry.sol";
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title BountyBoard
+ * @dev ETH-funded requests for intelligence on a specific actor or campaign.
+ * Analysts answer a bounty by linking their CTI submissions. The requester
+ * can award any answer. Once the deadline passes, the earliest answer that
+ * the registry's vote quorum validated can be awarded by anyone; if there is
+ * none, the requester gets the reward back. Rewards are paid with a
+ * withdraw pattern, like submission bonds in BondEscrow.
+ * Each submitter can link only a few answers per bounty, so one account
+ * cannot fill the answer list.
+ */
+contract BountyBoard {
+    enum BountyStatus { Open, Awarded, Refunded }
+
+    struct Bounty {
+        uint256 id;
+        address requester;
+        string descriptionCID;
+        string category;
+        uint256 reward;
+        uint256 deadline;
+        BountyStatus status;
+        uint256 awardedCTI;
+        uint256 createdAt;
+    }
+
+    // Mirrors CTIRegistry.CTIStatus.Validated
+    uint8 internal constant CTI_VALIDATED = 1;
+
+    // Bounds the loop that looks for a validated answer
+    uint256 public constant MAX_ANSWERS = 50;
+
+    // Keeps a single account from filling the answer list
+    uint256 public constant MAX_ANSWERS_PER_SUBMITTER = 3;
+
+    ICTIRegistry public immutable registry;
+
+    uint256 public bountyCount = 0;
+    mapping(uint256 => Bounty) public bounties;
+    mapping(uint256 => mapping(uint256 => bool)) public isAnswer;
+    mapping(uint256 => mapping(address => uint256)) public answerCount;
+    mapping(address => uint256) public pendingWithdrawals;
+    mapping(uint256 => uint256[]) private answers;
+
+    event BountyPosted(
+        uint256 indexed id,
+        address indexed requester,
+        string category,
+        uint256 reward,
+        uint256 deadline
+    );
+
+    event BountyAnswered(uint256 indexed id, uint256 indexed ctiId, address indexed submitter);
+
+    event BountyAwarded(uint256 indexed id, uint256 indexed ctiId, address indexed recipient, uint256 reward);
+
+    event BountyRefunded(uint256 indexed id, address indexed requester, uint256 reward);
+
+    event Withdrawal(address indexed account, uint256 amount);
+
+    modifier openBounty(uint256 _id) {
+        require(_id > 0 && _id <= bountyCount, "Bounty does not exist");
+        require(bounties[_id].status == BountyStatus.Open, "Bounty is closed");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Post a bounty; the ETH sent is the reward
+     * @param _descriptionCID IPFS CID of the request description
+     * @param _category Category of the requested intel; must be active in
+     * the registry's CategoryRegistry when one is set
+     * @param _deadline Timestamp after which answers close
+     * @return ID of the new bounty
+     */
+    function postBounty(
+        string memory _descriptionCID,
+        string memory _category,
+        uint256 _deadline
+    ) external payable returns (uint256) {
+        require(msg.value > 0, "Reward must be positive");
+        require(bytes(_descriptionCID).length > 0, "Description CID cannot be empty");
+        require(bytes(_category).length > 0, "Category cannot be empty");
+        require(_deadline > block.timestamp, "Deadline must be in the future");
+        address categoryRegistry = registry.categoryRegistry();
+        require(
+            categoryRegistry == address(0) || ICategoryRegistry(categoryRegistry).isActiveCategory(_category),
+            "Invalid category"
+        );
+
+        bountyCount++;
+        bounties[bountyCount] = Bounty({
+            id: bountyCount,
+            requester: msg.sender,
+            descriptionCID: _descriptionCID,
+            category: _category,
+            reward: msg.value,
+            deadline: _deadline,
+            status: BountyStatus.Open,
+            awardedCTI: 0,
+            createdAt: block.timestamp
+        });
+
+        emit BountyPosted(bountyCount, msg.sender, _category, msg.value, _deadline);
+
+        return bountyCount;
+    }
+
+    /**
+     * @dev Link one of the caller's active CTIs as an answer. The CTI must be
+     * in the bounty's category and submitted after the bounty was posted. Each
+     * submitter can link up to MAX_ANSWERS_PER_SUBMITTER answers per bounty.
+     * @param _id Bounty ID
+     * @param _ctiId CTI ID submitted by the caller
+     */
+    function submitAnswer(uint256 _id, uint256 _ctiId) external openBounty(_id) {
+        Bounty storage bounty = bounties[_id];
+        require(block.timestamp < bounty.deadline, "Bounty has expired");
+        require(registry.getSubmitter(_ctiId) == msg.sender, "Only submitter can answer with a CTI");
+        require(msg.sender != bounty.requester, "Cannot answer own bounty");
+        ICTIRegistry.CTIRecord memory cti = registry.getCTI(_ctiId);
+        require(keccak256(bytes(cti.category)) == keccak256(bytes(bounty.category)), "CTI is not in the bounty category");
+        require(cti.timestamp >= bounty.createdAt, "CTI predates the bounty");
+        require(!isAnswer[_id][_ctiId], "CTI already answers this bounty");
+        require(answers[_id].length < MAX_ANSWERS, "Too many answers");
+        require(answerCount[_id][msg.sender] < MAX_ANSWERS_PER_SUBMITTER, "Too many answers from submitter");
+
+        isAnswer[_id][_ctiId] = true;
+        answerCount[_id][msg.sender]++;
+        answers[_id].push(_ctiId);
+
+        emit BountyAnswered(_id, _ctiId, msg.sender);
+    }
+
+    /**
+     * @dev Award the bounty to an answer of the requester's choice
+     * @param _id Bounty ID
+     * @param _ctiId CTI ID of the winning answer
+     */
+    function awardBounty(uint256 _id, uint256 _ctiId) external openBounty(_id) {
+        require(bounties[_id].requester == msg.sender, "Only requester can award");
+        require(isAnswer[_id][_ctiId], "CTI does not answer this bounty");
+
+        _award(_id, _ctiId);
+    }
+
+    /**
+     * @dev After the deadline, award the bounty to the earliest answer the
+     * registry's voters validated. Anyone can call this.
+     * @param _id Bounty ID
+     */
+    function awardValidatedAnswer(uint256 _id) external openBounty(_id) {
+        require(block.timestamp >= bounties[_id].deadline, "Bounty has not expired");
+
+        uint256 ctiId = getValidatedAnswer(_id);
+        require(ctiId != 0, "No validated answer");
+
+        _award(_id, ctiId);
+    }
+
+    /**
+     * @dev Return the reward to the requester. Allowed while nobody has
+     * answered, or after the deadline when no answer was validated.
+     * @param _id Bounty ID
+     */
+    function refundBounty(uint256 _id) external openBounty(_id) {
+        Bounty storage bounty = bounties[_id];
+        require(bounty.requester == msg.sender, "Only requester can refund");
+        require(
+            answers[_id].length == 0 || (block.timestamp >= bounty.deadline && getValidatedAnswer(_id) == 0),
+            "Bounty has answers to award"
+        );
+
+        bounty.status = BountyStatus.Refunded;
+        pendingWithdrawals[bounty.requester] += bounty.reward;
+
+        emit BountyRefunded(_id, bounty.requester, bounty.reward);
+    }
+
+    /**
+     * @dev Withdraw awarded and refunded rewards credited to the caller
+     */
+    function withdraw() external {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @dev Get a bounty by ID
+     * @param _id Bounty ID
+     * @return Bounty struct
+     */
+    function getBounty(uint256 _id) external view returns (Bounty memory) {
+        require(_id > 0 && _id <= bountyCount, "Bounty does not exist");
+        return bounties[_id];
+    }
+
+    /**
+     * @dev Get the CTIs linked as answers to a bounty
+     * @param _id Bounty ID
+     * @return CTI IDs in the order they were linked
+     */
+    function getAnswers(uint256 _id) external view returns (uint256[] memory) {
+        return answers[_id];
+    }
+
+    /**
+     * @dev Get the earliest answer that is still active and was validated by voters
+     * @param _id Bounty ID
+     * @return CTI ID, or 0 if no answer qualifies
+     */
+    function getValidatedAnswer(uint256 _id) public view returns (uint256) {
+        uint256[] storage linked = answers[_id];
+        for (uint256 i = 0; i < linked.length; i++) {
+            if (registry.ctiStatus(linked[i]) == CTI_VALIDATED && _isActive(linked[i])) {
+                return linked[i];
+            }
+        }
+        return 0;
+    }
+
+    function _award(uint256 _id, uint256 _ctiId) internal {
+        Bounty storage bounty = bounties[_id];
+        address recipient = registry.getSubmitter(_ctiId);
+
+        bounty.status = BountyStatus.Awarded;
+        bounty.awardedCTI = _ctiId;
+        pendingWithdrawals[recipient] += bounty.reward;
+
+        emit BountyAwarded(_id, _ctiId, recipient, bounty.reward);
+    }
+
+    // getSubmitter reverts for deactivated and retracted CTIs
+    function _isActive(uint256 _ctiId) internal view returns (bool) {
+        try registry.getSubmitter(_ctiId) returns (address) {
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
\ No newline at end of file
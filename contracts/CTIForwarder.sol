@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title CTIForwarder
+ * @dev Relays EIP-712 signed submissions and votes to CTIRegistry, so that
+ * analysts without ETH can take part while a relayer pays for gas. The relayer
+ * and then the signer are appended to the forwarded calldata. The registry,
+ * which must trust this forwarder, recovers the signer from the last 20 bytes
+ * (ERC-2771) and the account that paid the call from the 20 bytes before.
+ */
+contract CTIForwarder {
+    struct SubmitRequest {
+        address submitter;
+        string ipfsHash;
+        string category;
+        string title;
+        uint8 tlp;
+        uint256 validFrom;
+        uint256 validUntil;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct VoteRequest {
+        address voter;
+        uint256 id;
+        bool isUpvote;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant SUBMIT_TYPEHASH = keccak256(
+        "SubmitCTI(address submitter,string ipfsHash,string category,string title,uint8 tlp,uint256 validFrom,uint256 validUntil,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant VOTE_TYPEHASH = keccak256(
+        "VoteCTI(address voter,uint256 id,bool isUpvote,uint256 nonce,uint256 deadline)"
+    );
+
+    // Upper bound for the s value of non-malleable signatures (EIP-2)
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    ICTIRegistry public immutable registry;
+
+    mapping(address => uint256) public nonces;
+
+    event MetaTransactionExecuted(address indexed signer, address indexed relayer, uint256 nonce);
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Relay a signed submission. Any submission bond is paid by the
+     * relayer through msg.value, and refunded to the relayer on validation.
+     * @param _request Signed submission
+     * @param _signature EIP-712 signature of the submitter
+     */
+    function submitCTIBySig(SubmitRequest calldata _request, bytes calldata _signature) external payable {
+        bytes32 structHash = keccak256(abi.encode(
+            SUBMIT_TYPEHASH,
+            _request.submitter,
+            keccak256(bytes(_request.ipfsHash)),
+            keccak256(bytes(_request.category)),
+            keccak256(bytes(_request.title)),
+            _request.tlp,
+            _request.validFrom,
+            _request.validUntil,
+            _request.nonce,
+            _request.deadline
+        ));
+        _useSignature(_request.submitter, structHash, _request.nonce, _request.deadline, _signature);
+
+        _forward(
+            abi.encodeCall(
+                ICTIRegistry.submitCTI,
+                (_request.ipfsHash, _request.category, _request.title, _request.tlp, _request.validFrom, _request.validUntil)
+            ),
+            _request.submitter
+        );
+    }
+
+    /**
+     * @dev Relay a signed vote
+     * @param _request Signed vote
+     * @param _signature EIP-712 signature of the voter
+     */
+    function voteCTIBySig(VoteRequest calldata _request, bytes calldata _signature) external {
+        bytes32 structHash = keccak256(abi.encode(
+            VOTE_TYPEHASH,
+            _request.voter,
+            _request.id,
+            _request.isUpvote,
+            _request.nonce,
+            _request.deadline
+        ));
+        _useSignature(_request.voter, structHash, _request.nonce, _request.deadline, _signature);
+
+        _forward(abi.encodeCall(ICTIRegistry.voteCTI, (_request.id, _request.isUpvote)), _request.voter);
+    }
+
+    /**
+     * @dev Get the EIP-712 domain separator for the current chain
+     * @return Domain separator
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("CTIForwarder")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function _useSignature(
+        address _signer,
+        bytes32 _structHash,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        require(block.timestamp <= _deadline, "Signature expired");
+        require(_nonce == nonces[_signer], "Invalid nonce");
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), _structHash));
+        require(_recoverSigner(digest, _signature) == _signer, "Invalid signature");
+
+        nonces[_signer]++;
+
+        emit MetaTransactionExecuted(_signer, msg.sender, _nonce);
+    }
+
+    function _recoverSigner(bytes32 _digest, bytes calldata _signature) internal pure returns (address) {
+        require(_signature.length == 65, "Invalid signature length");
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        require(uint256(s) <= MAX_S, "Invalid signature");
+
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+
+    function _forward(bytes memory _data, address _signer) internal {
+        (bool success, bytes memory result) = address(registry).call{value: msg.value}(
+            abi.encodePacked(_data, msg.sender, _signer)
+        );
+
+        if (!success) {
+            // Bubble up the registry's revert reason
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title CTIIndex
+ * @dev Per-submitter and per-category lookup indexes for CTIRegistry. The
+ * registry records every submission and category change here, and clients
+ * page through the indexes instead of scanning every record.
+ */
+contract CTIIndex {
+    ICTIRegistry public immutable registry;
+
+    mapping(address => uint256[]) private submitterCTIs;
+    mapping(bytes32 => uint256[]) private categoryCTIs;
+    mapping(bytes32 => mapping(uint256 => bool)) private categoryListed;
+    mapping(bytes32 => uint256) private categoryCTICount;
+    mapping(uint256 => bytes32) private ctiCategory;
+
+    modifier onlyRegistry() {
+        require(msg.sender == address(registry), "Caller is not the registry");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Index a new CTI under its submitter and category
+     * @param _id CTI ID
+     * @param _submitter Submitter address
+     * @param _category Category name
+     */
+    function recordSubmission(uint256 _id, address _submitter, string calldata _category) external onlyRegistry {
+        submitterCTIs[_submitter].push(_id);
+        _addToCategory(_id, keccak256(bytes(_category)));
+    }
+
+    /**
+     * @dev Move a revised CTI to its new category. A CTI submitted before
+     * the index was set is added to the new category.
+     * @param _id CTI ID
+     * @param _category New category name
+     */
+    function recordCategoryChange(uint256 _id, string calldata _category) external onlyRegistry {
+        bytes32 key = keccak256(bytes(_category));
+        if (ctiCategory[_id] == key) {
+            return;
+        }
+
+        // CTIs submitted before the index was set were never counted
+        if (ctiCategory[_id] != bytes32(0)) {
+            categoryCTICount[ctiCategory[_id]]--;
+        }
+        _addToCategory(_id, key);
+    }
+
+    /**
+     * @dev Get CTI IDs submitted by an address, most recent first. Includes
+     * deactivated and retracted CTIs; check isActive before displaying them.
+     * @param _submitter Submitter address
+     * @param _limit Maximum number of results
+     * @param _offset Offset for pagination
+     * @return Array of CTI IDs
+     */
+    function getCTIsBySubmitter(address _submitter, uint256 _limit, uint256 _offset)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _paginate(submitterCTIs[_submitter], bytes32(0), _limit, _offset);
+    }
+
+    /**
+     * @dev Get CTI IDs currently in a category, most recent first. Includes
+     * deactivated and retracted CTIs; check isActive before displaying them.
+     * @param _category Category name
+     * @param _limit Maximum number of results
+     * @param _offset Offset for pagination
+     * @return Array of CTI IDs
+     */
+    function getCTIsByCategory(string calldata _category, uint256 _limit, uint256 _offset)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        bytes32 key = keccak256(bytes(_category));
+        return _paginate(categoryCTIs[key], key, _limit, _offset);
+    }
+
+    /**
+     * @dev Get the number of CTIs currently in a category
+     * @param _category Category name
+     * @return Number of CTIs, including deactivated and retracted ones
+     */
+    function getCategoryCTICount(string calldata _category) external view returns (uint256) {
+        return categoryCTICount[keccak256(bytes(_category))];
+    }
+
+    function _addToCategory(uint256 _id, bytes32 _key) internal {
+        ctiCategory[_id] = _key;
+        categoryCTICount[_key]++;
+
+        // A CTI revised back into a category it left is still listed there
+        if (!categoryListed[_key][_id]) {
+            categoryListed[_key][_id] = true;
+            categoryCTIs[_key].push(_id);
+        }
+    }
+
+    /**
+     * @dev Page through an ID list from the end (most recent first), limited
+     * by the registry's page size. With a category key, entries for CTIs
+     * revised into another category are skipped.
+     */
+    function _paginate(uint256[] storage _ids, bytes32 _categoryKey, uint256 _limit, uint256 _offset)
+        internal
+        view
+        returns (uint256[] memory page)
+    {
+        require(_limit > 0 && _limit <= registry.getMaxPageSize(), "Invalid limit");
+
+        page = new uint256[](_limit);
+        uint256 count = 0;
+        uint256 skipped = 0;
+
+        for (uint256 i = _ids.length; i > 0 && count < _limit; i--) {
+            uint256 id = _ids[i - 1];
+            if (_categoryKey != bytes32(0) && ctiCategory[id] != _categoryKey) {
+                continue;
+            }
+            if (skipped < _offset) {
+                skipped++;
+                continue;
+            }
+            page[count] = id;
+            count++;
+        }
+
+        // Shorten the array in place by overwriting its length word
+        assembly {
+            mstore(page, count)
+        }
+    }
+}
\ No newline at end of file
@@ -1,9 +1,19 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./interfaces/ICategoryRegistry.sol";
+import "./interfaces/IMembershipRegistry.sol";
+import "./interfaces/IContributorToken.sol";
+import "./interfaces/IBondEscrow.sol";
+import "./interfaces/ICommitRevealVoting.sol";
+import "./interfaces/ICTIIndex.sol";
+import "./interfaces/IRevisionHistory.sol";
+
 /**
  * @title CTIRegistry
- * @dev Smart contract for managing cyber threat intelligence submissions and validation
+ * @dev Smart contract for managing cyber threat intelligence submissions and validation.
+ * Deployed behind CTIRegistryProxy; new versions must only append state
+ * variables so that existing records keep their storage slots across upgrades.
  */
 contract CTIRegistry {
     struct CTI {
@@ -16,13 +26,99 @@ contract CTIRegistry {
         uint256 upvotes;
         uint256 downvotes;
         bool isActive;
+        TLP tlp;
+        uint256 validFrom;
+        uint256 validUntil;
+        // Updated when the CTI settles
+        CTIStatus status;
+    }
+
+    struct Vote {
+        bool isUpvote;
+        uint256 weight;
+        bool reputationSettled;
     }
 
+    enum CTIStatus { Pending, Validated, Rejected, Inconclusive }
+
+    enum VoteChoice { None, Upvote, Downvote }
+
+    // Traffic Light Protocol 2.0 distribution limits
+    enum TLP { Clear, Green, Amber, AmberStrict, Red }
+
+    // Who may vote: anyone, only attested members, or anyone with only members' votes counted
+    enum MembershipMode { Open, MembersOnly, MemberWeighted }
+
+    // Roles
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+
+    // Reputation parameters
+    uint256 public constant REPUTATION_PER_WEIGHT = 10;
+    uint256 public constant SUBMISSION_REPUTATION = 10;
+    uint256 public constant VOTE_REPUTATION = 2;
+
+    // Validation rules used until admins set their own
+    uint256 public constant DEFAULT_VALIDATION_QUORUM = 3;
+    uint256 public constant DEFAULT_APPROVAL_PERCENT = 67;
+
+    // Largest page the list getters return until admins set their own
+    uint256 public constant DEFAULT_MAX_PAGE_SIZE = 100;
+
+    // Most reports accepted by submitCTIBatch in one transaction
+    uint256 public constant MAX_BATCH_SIZE = 50;
+
+    // Age at which the relevance of intel without an expiry has halved,
+    // until admins set their own
+    uint256 public constant DEFAULT_SCORE_HALF_LIFE = 30 days;
+
+    // ERC-1967 slot holding the implementation address behind the proxy
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
     // State variables
+    address public owner;
     uint256 public ctiCounter = 0;
     mapping(uint256 => CTI) public ctiRecords;
     mapping(uint256 => mapping(address => bool)) public hasVoted;
     mapping(address => uint256) public userSubmissions;
+    mapping(uint256 => bool) public isRetracted;
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    mapping(address => uint256) public reputation;
+    mapping(uint256 => mapping(address => Vote)) public votes;
+    mapping(uint256 => address[]) private ctiVoters;
+    mapping(uint256 => mapping(address => uint256)) private voterPositions;
+    mapping(uint256 => uint256) public weightedUpvotes;
+    mapping(uint256 => uint256) public weightedDownvotes;
+    // Slot of the status mapping; status is now kept in the CTI record
+    uint256 private movedStatusSlot;
+    // Slots of the bond, commit-reveal and revision state that moved to
+    // BondEscrow, CommitRevealVoting and RevisionHistory, reserved so that the
+    // variables below keep their slots behind the proxy
+    uint256[10] private movedSlots;
+    mapping(uint256 => uint256) public lastRevisedAt;
+    address public categoryRegistry;
+    uint256 private activeCTICount;
+    // Slots of the submitter and category indexes that moved to CTIIndex
+    uint256[4] private movedIndexSlots;
+    address public trustedForwarder;
+    address public membershipRegistry;
+    MembershipMode public membershipMode;
+    address public pendingOwner;
+    bool public paused;
+    address public rewardToken;
+    uint256 private validationQuorum;
+    uint256 private approvalPercent;
+    uint256 private maxPageSize;
+    address public bondEscrow;
+    address public commitRevealVoting;
+    address public ctiIndex;
+    address public revisionHistory;
+    uint256 private scoreHalfLife;
+    // Active CTIs as a list linked from the newest (head) to the oldest (tail)
+    uint256 private activeHead;
+    uint256 private activeTail;
+    mapping(uint256 => uint256) private nextActive;
+    mapping(uint256 => uint256) private prevActive;
     
     // Events
     event CTISubmitted(
@@ -33,61 +129,309 @@ contract CTIRegistry {
         string title
     );
     
+    event CTIBatchSubmitted(address indexed submitter, uint256 firstId, uint256 count);
+
     event CTIVoted(
         uint256 indexed id, 
         address indexed validator, 
         bool isUpvote
     );
     
-    event CTIDeactivated(uint256 indexed id);
+    event CTIDeactivated(uint256 indexed id, address indexed moderator, string reason);
+
+    event CTIReactivated(uint256 indexed id, address indexed moderator);
+
+    event CTIRetracted(uint256 indexed id, address indexed submitter, string reason);
+
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    event CTIValidated(uint256 indexed id, int256 weightedScore);
+
+    event CTIRejected(uint256 indexed id, int256 weightedScore);
+
+    event CTIInconclusive(uint256 indexed id, int256 weightedScore);
+
+    event CTIRejectionOverturned(uint256 indexed id, address indexed moderator);
+
+    event ReputationChanged(address indexed account, int256 delta, uint256 newReputation);
+
+    event CTIVoteChanged(
+        uint256 indexed id,
+        address indexed validator,
+        VoteChoice previousVote,
+        VoteChoice newVote
+    );
+
+    event CTIRevised(
+        uint256 indexed id,
+        uint256 indexed revision,
+        string ipfsHash,
+        string category,
+        string title
+    );
+
+    event CategoryRegistryUpdated(address indexed previousRegistry, address indexed newRegistry);
+
+    event TrustedForwarderUpdated(address indexed previousForwarder, address indexed newForwarder);
+
+    event MembershipPolicyUpdated(address indexed membershipRegistry, MembershipMode mode);
+
+    event Upgraded(address indexed implementation);
+
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    event Paused(address indexed account);
+
+    event Unpaused(address indexed account);
+
+    event RewardTokenUpdated(address indexed previousToken, address indexed newToken);
+
+    event ValidationRulesUpdated(uint256 quorum, uint256 approvalPercent);
+
+    event MaxPageSizeUpdated(uint256 previousSize, uint256 newSize);
+
+    event ScoreHalfLifeUpdated(uint256 previousHalfLife, uint256 newHalfLife);
+
+    event BondEscrowUpdated(address indexed previousEscrow, address indexed newEscrow);
+
+    event CommitRevealVotingUpdated(address indexed previousVoting, address indexed newVoting);
+
+    event CTIIndexUpdated(address indexed previousIndex, address indexed newIndex);
+
+    event RevisionHistoryUpdated(address indexed previousHistory, address indexed newHistory);
+
+    constructor() {
+        _initialize(msg.sender);
+    }
+
+    /**
+     * @dev Set up the owner and roles of a proxy deployment. Direct
+     * deployments are initialized by the constructor.
+     */
+    function initialize() public {
+        require(owner == address(0), "Already initialized");
+        _initialize(msg.sender);
+    }
+
+    /**
+     * @dev Upgrade a proxy deployment to a new implementation, keeping all state
+     * @param _implementation Address of the new CTIRegistry implementation
+     */
+    function upgradeTo(address _implementation) public {
+        require(_msgSender() == owner, "Only owner can upgrade");
+        require(_implementation.code.length > 0, "Implementation is not a contract");
+
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, _implementation)
+        }
+
+        emit Upgraded(_implementation);
+    }
+
+    /**
+     * @dev Start handing the contract over to a new owner, who must accept it.
+     * Passing the zero address cancels a pending transfer.
+     * @param _newOwner Address of the proposed owner
+     */
+    function transferOwnership(address _newOwner) public {
+        require(_msgSender() == owner, "Only owner can transfer ownership");
+
+        pendingOwner = _newOwner;
+
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    /**
+     * @dev Complete a transfer started with transferOwnership. The new owner
+     * is made an admin; the previous owner keeps any roles until revoked.
+     */
+    function acceptOwnership() public {
+        require(_msgSender() == pendingOwner, "Caller is not the pending owner");
+
+        address previousOwner = owner;
+        owner = pendingOwner;
+        pendingOwner = address(0);
+        if (!roles[ADMIN_ROLE][owner]) {
+            _grantRole(ADMIN_ROLE, owner);
+        }
+
+        emit OwnershipTransferred(previousOwner, owner);
+    }
+
+    /**
+     * @dev Stop submissions, revisions and votes in an emergency. Reads,
+     * moderation, settlement and withdrawals keep working. Any admin can pause.
+     */
+    function pause() public onlyRole(ADMIN_ROLE) {
+        require(!paused, "Contract is paused");
+        paused = true;
+        emit Paused(_msgSender());
+    }
+
+    /**
+     * @dev Resume normal operation. Only the owner can lift a pause.
+     */
+    function unpause() public {
+        require(_msgSender() == owner, "Only owner can unpause");
+        require(paused, "Contract is not paused");
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
 
     // Modifiers
+    // Modifier bodies live in internal functions so they are not inlined
+    // at every use, which keeps the contract below the deployment size limit
+    modifier ctiExists(uint256 _id) {
+        _checkCTIExists(_id);
+        _;
+    }
+
     modifier validCTI(uint256 _id) {
-        require(_id > 0 && _id <= ctiCounter, "CTI does not exist");
-        require(ctiRecords[_id].isActive, "CTI is not active");
+        _checkValidCTI(_id);
+        _;
+    }
+
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role, _msgSender());
+        _;
+    }
+
+    /**
+     * @dev Admins are managed by the owner, every other role by admins
+     */
+    modifier canManageRole(bytes32 _role) {
+        if (_role == ADMIN_ROLE) {
+            require(_msgSender() == owner, "Only owner can manage admins");
+        } else {
+            require(roles[ADMIN_ROLE][_msgSender()], "Only admins can manage roles");
+        }
         _;
     }
 
     modifier hasNotVoted(uint256 _id) {
-        require(!hasVoted[_id][msg.sender], "Already voted on this CTI");
+        require(!hasVoted[_id][_msgSender()], "Already voted on this CTI");
+        _;
+    }
+
+    modifier canVote(uint256 _id) {
+        _checkCanVote(_id, _msgSender());
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _checkNotPaused();
         _;
     }
 
     /**
-     * @dev Submit new cyber threat intelligence
+     * @dev Submit new cyber threat intelligence. When a submission bond is
+     * configured, exactly that amount must be sent and is held in the bond
+     * escrow until the CTI settles.
      * @param _ipfsHash IPFS hash of the CTI data
      * @param _category Category of the threat
      * @param _title Title/summary of the CTI
+     * @param _tlp TLP marking that limits how the CTI may be shared
+     * @param _validFrom Start of the validity window, or 0 for the submission time
+     * @param _validUntil End of the validity window, or 0 if the CTI does not expire
      */
     function submitCTI(
         string memory _ipfsHash, 
         string memory _category,
+        string memory _title,
+        TLP _tlp,
+        uint256 _validFrom,
+        uint256 _validUntil
+    ) public payable whenNotPaused {
+        require(msg.value == getSubmissionBond(), "Incorrect submission bond");
+        _submitCTI(_ipfsHash, _category, _title, _tlp, _validFrom, _validUntil, msg.value);
+    }
+
+    /**
+     * @dev Submit several CTI reports in one transaction. Each item is validated
+     * and recorded as if submitted on its own, and gets its own CTISubmitted
+     * event; one invalid item reverts the whole batch. The submission bond is
+     * due for every item.
+     * @param _ipfsHashes IPFS hashes of the CTI data
+     * @param _categories Category of each threat
+     * @param _titles Title/summary of each CTI
+     * @param _tlps TLP marking of each CTI
+     * @param _validFroms Start of each validity window, or 0 for the submission time
+     * @param _validUntils End of each validity window, or 0 if the CTI does not expire
+     */
+    function submitCTIBatch(
+        string[] memory _ipfsHashes,
+        string[] memory _categories,
+        string[] memory _titles,
+        TLP[] memory _tlps,
+        uint256[] memory _validFroms,
+        uint256[] memory _validUntils
+    ) external payable whenNotPaused {
+        uint256 count = _ipfsHashes.length;
+        require(count > 0 && count <= MAX_BATCH_SIZE, "Invalid batch size");
+        require(
+            _categories.length == count && _titles.length == count && _tlps.length == count &&
+                _validFroms.length == count && _validUntils.length == count,
+            "Batch length mismatch"
+        );
+        uint256 bond = getSubmissionBond();
+        require(msg.value == bond * count, "Incorrect submission bond");
+
+        for (uint256 i = 0; i < count; i++) {
+            _submitCTI(_ipfsHashes[i], _categories[i], _titles[i], _tlps[i], _validFroms[i], _validUntils[i], bond);
+        }
+
+        emit CTIBatchSubmitted(_msgSender(), ctiCounter - count + 1, count);
+    }
+
+    /**
+     * @dev Publish a new revision of own CTI while it is pending. The previous
+     * version is archived in the revision history, so revisions are disabled
+     * while no revision history is set. Votes cast so far carry over, so a
+     * revision cannot be used to reset an unfavourable tally, and settled CTIs
+     * cannot be revised, so a validated report cannot be swapped for other content.
+     * @param _id CTI ID to revise
+     * @param _ipfsHash IPFS hash of the revised CTI data
+     * @param _category Category of the threat
+     * @param _title Title/summary of the CTI
+     */
+    function reviseCTI(
+        uint256 _id,
+        string memory _ipfsHash,
+        string memory _category,
         string memory _title
-    ) public {
-        require(bytes(_ipfsHash).length > 0, "IPFS hash cannot be empty");
-        require(bytes(_category).length > 0, "Category cannot be empty");
-        require(bytes(_title).length > 0, "Title cannot be empty");
+    ) public validCTI(_id) whenNotPaused {
+        CTI storage cti = ctiRecords[_id];
+        require(cti.submitter == _msgSender(), "Only submitter can revise");
+        require(cti.status == CTIStatus.Pending, "Settled CTIs cannot be revised");
+        _validateCTIFields(_ipfsHash, _category, _title);
+        require(revisionHistory != address(0), "Revisions are disabled");
 
-        ctiCounter++;
-        ctiRecords[ctiCounter] = CTI({
-            id: ctiCounter,
-            submitter: msg.sender,
-            ipfsHash: _ipfsHash,
-            category: _category,
-            title: _title,
-            timestamp: block.timestamp,
-            upvotes: 0,
-            downvotes: 0,
-            isActive: true
-        });
+        uint256 revision = IRevisionHistory(revisionHistory).recordRevision(
+            _id,
+            cti.ipfsHash,
+            cti.category,
+            cti.title,
+            _currentRevisionTimestamp(_id)
+        );
+
+        if (ctiIndex != address(0)) {
+            ICTIIndex(ctiIndex).recordCategoryChange(_id, _category);
+        }
 
-        userSubmissions[msg.sender]++;
+        cti.ipfsHash = _ipfsHash;
+        cti.category = _category;
+        cti.title = _title;
+        lastRevisedAt[_id] = block.timestamp;
 
-        emit CTISubmitted(ctiCounter, msg.sender, _ipfsHash, _category, _title);
+        emit CTIRevised(_id, revision, _ipfsHash, _category, _title);
     }
 
     /**
-     * @dev Vote on a CTI submission
+     * @dev Vote on a CTI submission, weighted by the voter's reputation
      * @param _id CTI ID to vote on
      * @param _isUpvote True for upvote, false for downvote
      */
@@ -95,29 +439,309 @@ contract CTIRegistry {
         public 
         validCTI(_id) 
         hasNotVoted(_id) 
+        canVote(_id)
+        whenNotPaused
     {
-        require(ctiRecords[_id].submitter != msg.sender, "Cannot vote on own submission");
+        require(!_usesCommitReveal(_id), "CTI uses commit-reveal voting");
 
-        hasVoted[_id][msg.sender] = true;
-        
-        if (_isUpvote) {
-            ctiRecords[_id].upvotes++;
-        } else {
-            ctiRecords[_id].downvotes++;
+        _recordVote(_id, _msgSender(), _isUpvote);
+        _checkSettlement(_id);
+    }
+
+    /**
+     * @dev Switch an existing vote to the other direction. The vote is
+     * re-weighted with the voter's current reputation.
+     * @param _id CTI ID that was voted on
+     * @param _isUpvote New vote direction
+     */
+    function changeVote(uint256 _id, bool _isUpvote) public validCTI(_id) canVote(_id) whenNotPaused {
+        require(hasVoted[_id][_msgSender()], "Has not voted on this CTI");
+        require(!_usesCommitReveal(_id), "Cannot change commit-reveal votes");
+
+        Vote storage vote = votes[_id][_msgSender()];
+        require(vote.isUpvote != _isUpvote, "Vote already has this direction");
+
+        VoteChoice previousVote = _voteChoice(vote.isUpvote);
+
+        _removeFromTally(_id, vote);
+        vote.isUpvote = _isUpvote;
+        vote.weight = getVoteWeight(_msgSender());
+        _addToTally(_id, vote);
+
+        emit CTIVoteChanged(_id, _msgSender(), previousVote, _voteChoice(_isUpvote));
+
+        _checkSettlement(_id);
+    }
+
+    /**
+     * @dev Withdraw an existing vote entirely; the voter may vote again later
+     * @param _id CTI ID that was voted on
+     */
+    function withdrawVote(uint256 _id) public validCTI(_id) canVote(_id) whenNotPaused {
+        require(hasVoted[_id][_msgSender()], "Has not voted on this CTI");
+        require(!_usesCommitReveal(_id), "Cannot change commit-reveal votes");
+
+        Vote storage vote = votes[_id][_msgSender()];
+        VoteChoice previousVote = _voteChoice(vote.isUpvote);
+
+        _removeFromTally(_id, vote);
+        _removeVoter(_id, _msgSender());
+        hasVoted[_id][_msgSender()] = false;
+        delete votes[_id][_msgSender()];
+
+        emit CTIVoteChanged(_id, _msgSender(), previousVote, VoteChoice.None);
+    }
+
+    /**
+     * @dev Tally a vote revealed through the commit-reveal voting contract,
+     * applying the same voter checks as a direct vote
+     * @param _id CTI ID that was voted on
+     * @param _voter Address that committed and revealed the vote
+     * @param _isUpvote Revealed vote direction
+     */
+    function recordRevealedVote(uint256 _id, address _voter, bool _isUpvote) public validCTI(_id) whenNotPaused {
+        _checkCommitRevealVoting();
+        require(!hasVoted[_id][_voter], "Already voted on this CTI");
+        _checkCanVote(_id, _voter);
+
+        _recordVote(_id, _voter, _isUpvote);
+    }
+
+    /**
+     * @dev Settle a commit-reveal CTI once the voting contract closes its reveal
+     * phase. No more votes can arrive, so a CTI that misses the quorum or the
+     * approval share settles as Inconclusive and its bond is returned.
+     * @param _id CTI ID to settle
+     */
+    function settleRevealedVotes(uint256 _id) public validCTI(_id) {
+        _checkCommitRevealVoting();
+        require(ctiRecords[_id].status == CTIStatus.Pending, "Voting has closed");
+
+        _checkSettlement(_id);
+
+        if (ctiRecords[_id].status == CTIStatus.Pending) {
+            ctiRecords[_id].status = CTIStatus.Inconclusive;
+            emit CTIInconclusive(_id, _weightedScore(_id));
+            if (bondEscrow != address(0)) {
+                IBondEscrow(bondEscrow).returnBond(_id);
+            }
         }
+    }
+
+    /**
+     * @dev Set the forwarder trusted to relay signed meta-transactions. Calls
+     * from it carry the original signer appended to the calldata (ERC-2771).
+     * @param _forwarder CTIForwarder address, or the zero address to disable relaying
+     */
+    function setTrustedForwarder(address _forwarder) public onlyRole(ADMIN_ROLE) {
+        emit TrustedForwarderUpdated(trustedForwarder, _forwarder);
+        trustedForwarder = _forwarder;
+    }
 
-        emit CTIVoted(_id, msg.sender, _isUpvote);
+    /**
+     * @dev Set the category registry that submissions are validated against.
+     * The zero address disables validation and accepts any non-empty category.
+     * @param _categoryRegistry CategoryRegistry address
+     */
+    function setCategoryRegistry(address _categoryRegistry) public onlyRole(ADMIN_ROLE) {
+        emit CategoryRegistryUpdated(categoryRegistry, _categoryRegistry);
+        categoryRegistry = _categoryRegistry;
+    }
+
+    /**
+     * @dev Set the membership registry and how it restricts voting. Votes
+     * already cast keep their weight when the policy changes.
+     * @param _membershipRegistry MembershipRegistry address, required unless the mode is Open
+     * @param _mode Open, MembersOnly (non-members cannot vote) or MemberWeighted
+     * (non-member votes carry no weight toward validation)
+     */
+    function setMembershipPolicy(address _membershipRegistry, MembershipMode _mode) public onlyRole(ADMIN_ROLE) {
+        require(_mode == MembershipMode.Open || _membershipRegistry != address(0), "Invalid membership registry");
+
+        membershipRegistry = _membershipRegistry;
+        membershipMode = _mode;
+
+        emit MembershipPolicyUpdated(_membershipRegistry, _mode);
+    }
+
+    /**
+     * @dev Apply the reputation outcome of a vote once its CTI has been
+     * validated or rejected. Anyone can call this so that votes on the losing
+     * side are settled too. Inconclusive CTIs have no outcome to settle.
+     * @param _id CTI ID that was voted on
+     * @param _voter Address of the voter to settle
+     */
+    function settleVoteReputation(uint256 _id, address _voter) public ctiExists(_id) {
+        CTIStatus status = ctiRecords[_id].status;
+        require(status != CTIStatus.Pending, "CTI has not settled yet");
+        require(status != CTIStatus.Inconclusive, "CTI settled without an outcome");
+
+        Vote storage vote = votes[_id][_voter];
+        require(vote.weight > 0, "No vote to settle");
+        require(!vote.reputationSettled, "Vote already settled");
+
+        vote.reputationSettled = true;
+
+        bool agreedWithOutcome = vote.isUpvote == (status == CTIStatus.Validated);
+        _adjustReputation(_voter, agreedWithOutcome, VOTE_REPUTATION);
+        if (agreedWithOutcome) {
+            _creditReward(_id, _voter, false);
+        }
+    }
+
+    /**
+     * @dev Set the rules that settle a CTI. Pending CTIs are checked against
+     * the new rules on their next vote; settled CTIs keep their status.
+     * @param _quorum Total vote weight needed before a CTI can settle
+     * @param _approvalPercent Share of the vote weight, above 50 percent, that
+     * validates a CTI when upvoting or rejects it when downvoting
+     */
+    function setValidationRules(uint256 _quorum, uint256 _approvalPercent) public onlyRole(ADMIN_ROLE) {
+        require(_quorum > 0 && _approvalPercent > 50 && _approvalPercent <= 100, "Invalid validation rules");
+
+        validationQuorum = _quorum;
+        approvalPercent = _approvalPercent;
+
+        emit ValidationRulesUpdated(_quorum, _approvalPercent);
+    }
+
+    /**
+     * @dev Set the largest page that getActiveCTIs and the index getters return
+     * @param _size Maximum number of IDs per call
+     */
+    function setMaxPageSize(uint256 _size) public onlyRole(ADMIN_ROLE) {
+        require(_size > 0, "Invalid page size");
+        emit MaxPageSizeUpdated(getMaxPageSize(), _size);
+        maxPageSize = _size;
+    }
+
+    /**
+     * @dev Set how fast the decayed score of intel without an expiry falls
+     * @param _halfLife Age, in seconds, at which the score has halved
+     */
+    function setScoreHalfLife(uint256 _halfLife) public onlyRole(ADMIN_ROLE) {
+        require(_halfLife > 0, "Invalid half-life");
+        emit ScoreHalfLifeUpdated(getScoreHalfLife(), _halfLife);
+        scoreHalfLife = _halfLife;
+    }
+
+    /**
+     * @dev Add active CTIs submitted before the active list existed to it,
+     * so that getActiveCTIs returns them after an upgrade. Passing the IDs
+     * newest first keeps each insert constant-cost.
+     * @param _ids Active CTI IDs that are not listed yet
+     */
+    function linkActiveCTIs(uint256[] calldata _ids) public onlyRole(ADMIN_ROLE) {
+        for (uint256 i = 0; i < _ids.length; i++) {
+            _checkValidCTI(_ids[i]);
+            require(!_isLinked(_ids[i]), "CTI is already listed");
+            _linkActive(_ids[i]);
+        }
+    }
+
+    /**
+     * @dev Set the token credited to contributors when CTIs settle.
+     * The zero address disables token rewards.
+     * @param _rewardToken ContributorToken address
+     */
+    function setRewardToken(address _rewardToken) public onlyRole(ADMIN_ROLE) {
+        emit RewardTokenUpdated(rewardToken, _rewardToken);
+        rewardToken = _rewardToken;
+    }
+
+    /**
+     * @dev Set the escrow that holds submission bonds and the reward pool.
+     * The zero address disables bonds. Bonds already held stay with the
+     * previous escrow, so only switch escrows while no bonds are outstanding.
+     * @param _bondEscrow BondEscrow address
+     */
+    function setBondEscrow(address _bondEscrow) public onlyRole(ADMIN_ROLE) {
+        emit BondEscrowUpdated(bondEscrow, _bondEscrow);
+        bondEscrow = _bondEscrow;
+    }
+
+    /**
+     * @dev Set the contract that schedules and tallies commit-reveal votes.
+     * The zero address makes new CTIs use open voting.
+     * @param _commitRevealVoting CommitRevealVoting address
+     */
+    function setCommitRevealVoting(address _commitRevealVoting) public onlyRole(ADMIN_ROLE) {
+        emit CommitRevealVotingUpdated(commitRevealVoting, _commitRevealVoting);
+        commitRevealVoting = _commitRevealVoting;
+    }
+
+    /**
+     * @dev Set the contract that indexes CTIs by submitter and category.
+     * Only CTIs submitted while an index is set are listed in it.
+     * @param _ctiIndex CTIIndex address
+     */
+    function setCTIIndex(address _ctiIndex) public onlyRole(ADMIN_ROLE) {
+        emit CTIIndexUpdated(ctiIndex, _ctiIndex);
+        ctiIndex = _ctiIndex;
+    }
+
+    /**
+     * @dev Set the contract that archives superseded CTI versions.
+     * The zero address disables revisions.
+     * @param _revisionHistory RevisionHistory address
+     */
+    function setRevisionHistory(address _revisionHistory) public onlyRole(ADMIN_ROLE) {
+        emit RevisionHistoryUpdated(revisionHistory, _revisionHistory);
+        revisionHistory = _revisionHistory;
     }
 
     /**
      * @dev Get CTI details by ID
      * @param _id CTI ID
-     * @return CTI struct
+     * @return CTI struct, including its validation status
      */
     function getCTI(uint256 _id) public view validCTI(_id) returns (CTI memory) {
         return ctiRecords[_id];
     }
 
+    /**
+     * @dev Get the validation status of a CTI, including retracted and deactivated ones
+     * @param _id CTI ID
+     * @return Validation status
+     */
+    function ctiStatus(uint256 _id) external view returns (CTIStatus) {
+        return ctiRecords[_id].status;
+    }
+
+    /**
+     * @dev Get the rules that settle a CTI
+     * @return quorum Total vote weight a CTI needs before it can settle
+     * @return approval Share of that weight, in percent, that one side needs
+     */
+    function getValidationRules() public view returns (uint256 quorum, uint256 approval) {
+        quorum = validationQuorum == 0 ? DEFAULT_VALIDATION_QUORUM : validationQuorum;
+        approval = approvalPercent == 0 ? DEFAULT_APPROVAL_PERCENT : approvalPercent;
+    }
+
+    /**
+     * @dev Get the bond that must be sent with each new submission
+     * @return Bond amount in wei, 0 when no bond escrow is set
+     */
+    function getSubmissionBond() public view returns (uint256) {
+        return bondEscrow == address(0) ? 0 : IBondEscrow(bondEscrow).submissionBond();
+    }
+
+    /**
+     * @dev Get the largest page the list getters return
+     * @return Maximum number of IDs per call
+     */
+    function getMaxPageSize() public view returns (uint256) {
+        return maxPageSize == 0 ? DEFAULT_MAX_PAGE_SIZE : maxPageSize;
+    }
+
+    /**
+     * @dev Get the age at which the decayed score of intel without an expiry has halved
+     * @return Half-life in seconds
+     */
+    function getScoreHalfLife() public view returns (uint256) {
+        return scoreHalfLife == 0 ? DEFAULT_SCORE_HALF_LIFE : scoreHalfLife;
+    }
+
     /**
      * @dev Get all active CTI IDs (for pagination, limit to recent ones)
      * @param _limit Maximum number of CTIs to return
@@ -129,40 +753,125 @@ contract CTIRegistry {
         view 
         returns (uint256[] memory) 
     {
-        require(_limit > 0 && _limit <= 100, "Invalid limit");
+        _checkLimit(_limit);
         
         uint256[] memory activeCTIs = new uint256[](_limit);
         uint256 count = 0;
-        uint256 currentOffset = 0;
-
-        // Start from most recent and work backwards
-        for (uint256 i = ctiCounter; i > 0 && count < _limit; i--) {
-            if (ctiRecords[i].isActive) {
-                if (currentOffset >= _offset) {
-                    activeCTIs[count] = i;
-                    count++;
-                }
-                currentOffset++;
-            }
-        }
 
-        // Resize array to actual count
-        uint256[] memory result = new uint256[](count);
-        for (uint256 i = 0; i < count; i++) {
-            result[i] = activeCTIs[i];
+        // Walk the active list from the most recent, so inactive history is never scanned
+        uint256 id = activeHead;
+        for (uint256 skipped = 0; skipped < _offset && id != 0; skipped++) {
+            id = nextActive[id];
+        }
+        for (; id != 0 && count < _limit; id = nextActive[id]) {
+            activeCTIs[count] = id;
+            count++;
         }
 
-        return result;
+        return _truncate(activeCTIs, count);
+    }
+
+    /**
+     * @dev Get the submitter of an active CTI
+     * @param _id CTI ID
+     * @return Submitter address
+     */
+    function getSubmitter(uint256 _id) public view validCTI(_id) returns (address) {
+        return ctiRecords[_id].submitter;
+    }
+
+    /**
+     * @dev Get the submitter and moderation state of any CTI, including
+     * deactivated and retracted ones
+     * @param _id CTI ID
+     * @return submitter Submitter address
+     * @return isActive Whether the CTI is active
+     * @return retracted Whether the submitter retracted the CTI
+     */
+    function getModerationState(uint256 _id)
+        public
+        view
+        ctiExists(_id)
+        returns (address submitter, bool isActive, bool retracted)
+    {
+        CTI storage cti = ctiRecords[_id];
+        return (cti.submitter, cti.isActive, isRetracted[_id]);
     }
 
     /**
-     * @dev Get CTI validation score (upvotes - downvotes)
+     * @dev Get the TLP marking of an active CTI
      * @param _id CTI ID
-     * @return Validation score
+     * @return TLP marking
+     */
+    function getTLP(uint256 _id) public view validCTI(_id) returns (TLP) {
+        return ctiRecords[_id].tlp;
+    }
+
+    /**
+     * @dev Get CTI validation score (weighted upvotes - weighted downvotes)
+     * @param _id CTI ID
+     * @return Reputation-weighted validation score
      */
     function getCTIScore(uint256 _id) public view validCTI(_id) returns (int256) {
-        CTI memory cti = ctiRecords[_id];
-        return int256(cti.upvotes) - int256(cti.downvotes);
+        return _weightedScore(_id);
+    }
+
+    /**
+     * @dev Check whether a CTI is past the end of its validity window
+     * @param _id CTI ID
+     * @return True if the CTI has a validUntil that has passed
+     */
+    function isExpired(uint256 _id) public view validCTI(_id) returns (bool) {
+        uint256 validUntil = ctiRecords[_id].validUntil;
+        return validUntil != 0 && block.timestamp >= validUntil;
+    }
+
+    /**
+     * @dev Get the validation score scaled down by the age of the intel.
+     * With a validity window the score falls linearly to zero at validUntil;
+     * without one it is halved getScoreHalfLife() after validFrom and keeps falling.
+     * @param _id CTI ID
+     * @return Decayed score, zero once expired
+     */
+    function getDecayedScore(uint256 _id) public view validCTI(_id) returns (int256) {
+        CTI storage cti = ctiRecords[_id];
+        int256 score = _weightedScore(_id);
+
+        if (block.timestamp <= cti.validFrom) {
+            return score;
+        }
+        if (cti.validUntil != 0) {
+            if (block.timestamp >= cti.validUntil) {
+                return 0;
+            }
+            return score * int256(cti.validUntil - block.timestamp) / int256(cti.validUntil - cti.validFrom);
+        }
+
+        uint256 halfLife = getScoreHalfLife();
+        uint256 age = block.timestamp - cti.validFrom;
+        return score * int256(halfLife) / int256(halfLife + age);
+    }
+
+    /**
+     * @dev Get the weight a new vote from this address would carry
+     * @param _voter Voter address
+     * @return Vote weight (1 for a fresh address, growing with reputation, or 0
+     * for non-members when only members' votes count)
+     */
+    function getVoteWeight(address _voter) public view returns (uint256) {
+        if (membershipMode == MembershipMode.MemberWeighted && !_isMember(_voter)) {
+            return 0;
+        }
+        return 1 + reputation[_voter] / REPUTATION_PER_WEIGHT;
+    }
+
+    /**
+     * @dev Get every address that voted on a CTI
+     * @param _id CTI ID
+     * @return Array of voter addresses in voting order
+     */
+    function getCTIVoters(uint256 _id) public view ctiExists(_id) returns (address[] memory) {
+        return ctiVoters[_id];
     }
 
     /**
@@ -175,17 +884,503 @@ contract CTIRegistry {
         return hasVoted[_id][_user];
     }
 
+    /**
+     * @dev Get a user's current vote on a CTI
+     * @param _id CTI ID
+     * @param _user User address
+     * @return None, Upvote or Downvote
+     */
+    function getUserVote(uint256 _id, address _user) public view returns (VoteChoice) {
+        if (!hasVoted[_id][_user]) {
+            return VoteChoice.None;
+        }
+        return _voteChoice(votes[_id][_user].isUpvote);
+    }
+
     /**
      * @dev Get total number of active CTIs
      * @return Number of active CTIs
      */
     function getActiveCTICount() public view returns (uint256) {
-        uint256 count = 0;
-        for (uint256 i = 1; i <= ctiCounter; i++) {
-            if (ctiRecords[i].isActive) {
-                count++;
+        return activeCTICount;
+    }
+
+    /**
+     * @dev Grant a role to an account
+     * @param _role Role identifier (e.g. MODERATOR_ROLE)
+     * @param _account Account receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) public canManageRole(_role) {
+        require(_account != address(0), "Invalid account");
+        require(!roles[_role][_account], "Account already has role");
+        _grantRole(_role, _account);
+    }
+
+    /**
+     * @dev Revoke a role from an account
+     * @param _role Role identifier
+     * @param _account Account losing the role
+     */
+    function revokeRole(bytes32 _role, address _account) public canManageRole(_role) {
+        require(roles[_role][_account], "Account does not have role");
+        require(!(_role == ADMIN_ROLE && _account == owner), "Cannot revoke owner's admin role");
+
+        roles[_role][_account] = false;
+        emit RoleRevoked(_role, _account, _msgSender());
+    }
+
+    /**
+     * @dev Give up a role held by the caller, e.g. the deployer's ADMIN_ROLE
+     * once the registry is handed over to governance
+     * @param _role Role identifier
+     */
+    function renounceRole(bytes32 _role) public {
+        require(roles[_role][_msgSender()], "Account does not have role");
+        require(!(_role == ADMIN_ROLE && _msgSender() == owner), "Cannot revoke owner's admin role");
+
+        roles[_role][_msgSender()] = false;
+        emit RoleRevoked(_role, _msgSender(), _msgSender());
+    }
+
+    /**
+     * @dev Check if an account holds a role
+     * @param _role Role identifier
+     * @param _account Account to check
+     * @return True if the account holds the role
+     */
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return roles[_role][_account];
+    }
+
+    /**
+     * @dev Deactivate a CTI (spam, malicious or invalid content)
+     * @param _id CTI ID to deactivate
+     * @param _reason Reason recorded in the emitted event
+     */
+    function deactivateCTI(uint256 _id, string memory _reason) 
+        public 
+        onlyRole(MODERATOR_ROLE) 
+        validCTI(_id) 
+    {
+        require(bytes(_reason).length > 0, "Reason cannot be empty");
+
+        ctiRecords[_id].isActive = false;
+        activeCTICount--;
+        _unlinkActive(_id);
+        _slashBond(_id);
+
+        emit CTIDeactivated(_id, _msgSender(), _reason);
+    }
+
+    /**
+     * @dev Reactivate a CTI previously deactivated by a moderator. The bond
+     * slashed on deactivation of a pending CTI is restored, so that it
+     * settles with the CTI's votes again.
+     * @param _id CTI ID to reactivate
+     */
+    function reactivateCTI(uint256 _id) public onlyRole(MODERATOR_ROLE) ctiExists(_id) {
+        require(!ctiRecords[_id].isActive, "CTI is already active");
+        require(!isRetracted[_id], "CTI was retracted by submitter");
+
+        ctiRecords[_id].isActive = true;
+        activeCTICount++;
+        _linkActive(_id);
+        if (ctiRecords[_id].status == CTIStatus.Pending && bondEscrow != address(0)) {
+            IBondEscrow(bondEscrow).restoreBond(_id);
+        }
+
+        emit CTIReactivated(_id, _msgSender());
+    }
+
+    /**
+     * @dev Overturn the rejection of a CTI, e.g. after an upheld appeal
+     * against brigading. The CTI settles as Inconclusive, and the submitter
+     * gets back the reputation lost to the rejection and the slashed bond.
+     * @param _id CTI ID whose rejection is overturned
+     */
+    function overturnRejection(uint256 _id) public onlyRole(MODERATOR_ROLE) ctiExists(_id) {
+        require(ctiRecords[_id].status == CTIStatus.Rejected, "CTI was not rejected");
+
+        ctiRecords[_id].status = CTIStatus.Inconclusive;
+        _adjustReputation(ctiRecords[_id].submitter, true, SUBMISSION_REPUTATION);
+        if (bondEscrow != address(0)) {
+            IBondEscrow(bondEscrow).restoreBond(_id);
+            IBondEscrow(bondEscrow).returnBond(_id);
+        }
+
+        emit CTIRejectionOverturned(_id, _msgSender());
+    }
+
+    /**
+     * @dev Retract own CTI submission; retracted CTIs cannot be reactivated
+     * and an unsettled bond is forfeited to the reward pool
+     * @param _id CTI ID to retract
+     * @param _reason Optional reason for the retraction
+     */
+    function retractCTI(uint256 _id, string memory _reason) public validCTI(_id) {
+        require(ctiRecords[_id].submitter == _msgSender(), "Only submitter can retract");
+
+        ctiRecords[_id].isActive = false;
+        activeCTICount--;
+        _unlinkActive(_id);
+        isRetracted[_id] = true;
+        _slashBond(_id);
+
+        emit CTIRetracted(_id, _msgSender(), _reason);
+    }
+
+    /**
+     * @dev Account that authorized the current call: the signer when relayed
+     * by the trusted forwarder, otherwise msg.sender
+     */
+    function _msgSender() internal view returns (address sender) {
+        if (msg.sender == trustedForwarder && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    /**
+     * @dev Account that paid for the current call: the relayer when relayed
+     * by the trusted forwarder, otherwise msg.sender
+     */
+    function _msgPayer() internal view returns (address payer) {
+        if (msg.sender == trustedForwarder && msg.data.length >= 40) {
+            assembly {
+                payer := shr(96, calldataload(sub(calldatasize(), 40)))
             }
+        } else {
+            payer = msg.sender;
         }
-        return count;
+    }
+
+    function _initialize(address _owner) internal {
+        owner = _owner;
+        _grantRole(ADMIN_ROLE, _owner);
+        _grantRole(MODERATOR_ROLE, _owner);
+    }
+
+    function _grantRole(bytes32 _role, address _account) internal {
+        roles[_role][_account] = true;
+        emit RoleGranted(_role, _account, _msgSender());
+    }
+
+    function _checkCTIExists(uint256 _id) internal view {
+        require(_id > 0 && _id <= ctiCounter, "CTI does not exist");
+    }
+
+    function _checkValidCTI(uint256 _id) internal view {
+        _checkCTIExists(_id);
+        require(ctiRecords[_id].isActive, "CTI is not active");
+    }
+
+    function _checkLimit(uint256 _limit) internal view {
+        require(_limit > 0 && _limit <= getMaxPageSize(), "Invalid limit");
+    }
+
+    function _checkRole(bytes32 _role, address _account) internal view {
+        require(roles[_role][_account], "Caller is missing required role");
+    }
+
+    function _checkCanVote(uint256 _id, address _voter) internal view {
+        require(ctiRecords[_id].submitter != _voter, "Cannot vote on own submission");
+        require(ctiRecords[_id].status == CTIStatus.Pending, "Voting has closed");
+        require(membershipMode != MembershipMode.MembersOnly || _isMember(_voter), "Voter is not an attested member");
+    }
+
+    function _checkNotPaused() internal view {
+        require(!paused, "Contract is paused");
+    }
+
+    function _checkCommitRevealVoting() internal view {
+        require(msg.sender == commitRevealVoting, "Caller is not the voting contract");
+    }
+
+    function _usesCommitReveal(uint256 _id) internal view returns (bool) {
+        return commitRevealVoting != address(0) && ICommitRevealVoting(commitRevealVoting).getVotingPhase(_id) != 0;
+    }
+
+    function _isMember(address _account) internal view returns (bool) {
+        return IMembershipRegistry(membershipRegistry).isMember(_account);
+    }
+
+    function _submitCTI(
+        string memory _ipfsHash,
+        string memory _category,
+        string memory _title,
+        TLP _tlp,
+        uint256 _validFrom,
+        uint256 _validUntil,
+        uint256 _bond
+    ) internal {
+        _validateCTIFields(_ipfsHash, _category, _title);
+
+        if (_validFrom == 0) {
+            _validFrom = block.timestamp;
+        }
+        require(
+            _validUntil == 0 || (_validUntil > _validFrom && _validUntil > block.timestamp),
+            "Invalid validity window"
+        );
+
+        ctiCounter++;
+        ctiRecords[ctiCounter] = CTI({
+            id: ctiCounter,
+            submitter: _msgSender(),
+            ipfsHash: _ipfsHash,
+            category: _category,
+            title: _title,
+            timestamp: block.timestamp,
+            upvotes: 0,
+            downvotes: 0,
+            isActive: true,
+            tlp: _tlp,
+            validFrom: _validFrom,
+            validUntil: _validUntil,
+            status: CTIStatus.Pending
+        });
+
+        userSubmissions[_msgSender()]++;
+        activeCTICount++;
+        _linkActive(ctiCounter);
+        if (ctiIndex != address(0)) {
+            ICTIIndex(ctiIndex).recordSubmission(ctiCounter, _msgSender(), _category);
+        }
+
+        if (commitRevealVoting != address(0)) {
+            ICommitRevealVoting(commitRevealVoting).scheduleVoting(ctiCounter);
+        }
+
+        emit CTISubmitted(ctiCounter, _msgSender(), _ipfsHash, _category, _title);
+
+        if (_bond > 0) {
+            IBondEscrow(bondEscrow).depositBond{value: _bond}(ctiCounter, _msgPayer());
+        }
+    }
+
+    function _isLinked(uint256 _id) internal view returns (bool) {
+        return _id == activeHead || prevActive[_id] != 0;
+    }
+
+    /**
+     * @dev Insert a CTI into the active list, keeping it sorted newest first.
+     * New submissions go to the head; only reactivations walk the list.
+     */
+    function _linkActive(uint256 _id) internal {
+        if (activeHead == 0) {
+            activeHead = _id;
+            activeTail = _id;
+        } else if (_id > activeHead) {
+            nextActive[_id] = activeHead;
+            prevActive[activeHead] = _id;
+            activeHead = _id;
+        } else if (_id < activeTail) {
+            prevActive[_id] = activeTail;
+            nextActive[activeTail] = _id;
+            activeTail = _id;
+        } else {
+            uint256 prev = activeHead;
+            while (nextActive[prev] > _id) {
+                prev = nextActive[prev];
+            }
+            uint256 next = nextActive[prev];
+            nextActive[prev] = _id;
+            prevActive[_id] = prev;
+            nextActive[_id] = next;
+            prevActive[next] = _id;
+        }
+    }
+
+    function _unlinkActive(uint256 _id) internal {
+        // CTIs from before the list existed may not have been linked yet
+        if (!_isLinked(_id)) {
+            return;
+        }
+
+        uint256 prev = prevActive[_id];
+        uint256 next = nextActive[_id];
+        if (prev == 0) {
+            activeHead = next;
+        } else {
+            nextActive[prev] = next;
+        }
+        if (next == 0) {
+            activeTail = prev;
+        } else {
+            prevActive[next] = prev;
+        }
+        delete prevActive[_id];
+        delete nextActive[_id];
+    }
+
+    function _validateCTIFields(
+        string memory _ipfsHash,
+        string memory _category,
+        string memory _title
+    ) internal view {
+        require(bytes(_ipfsHash).length > 0, "IPFS hash cannot be empty");
+        require(bytes(_category).length > 0, "Category cannot be empty");
+        require(bytes(_title).length > 0, "Title cannot be empty");
+        require(
+            categoryRegistry == address(0) || ICategoryRegistry(categoryRegistry).isActiveCategory(_category),
+            "Invalid category"
+        );
+    }
+
+    /**
+     * @dev Shorten a memory array in place by overwriting its length word
+     */
+    function _truncate(uint256[] memory _array, uint256 _length) internal pure returns (uint256[] memory) {
+        assembly {
+            mstore(_array, _length)
+        }
+        return _array;
+    }
+
+    function _currentRevisionTimestamp(uint256 _id) internal view returns (uint256) {
+        uint256 revisedAt = lastRevisedAt[_id];
+        return revisedAt > 0 ? revisedAt : ctiRecords[_id].timestamp;
+    }
+
+    function _recordVote(uint256 _id, address _voter, bool _isUpvote) internal {
+        uint256 weight = getVoteWeight(_voter);
+
+        hasVoted[_id][_voter] = true;
+        votes[_id][_voter] = Vote({
+            isUpvote: _isUpvote,
+            weight: weight,
+            reputationSettled: false
+        });
+        ctiVoters[_id].push(_voter);
+        voterPositions[_id][_voter] = ctiVoters[_id].length;
+
+        _addToTally(_id, votes[_id][_voter]);
+
+        emit CTIVoted(_id, _voter, _isUpvote);
+    }
+
+    function _addToTally(uint256 _id, Vote storage _vote) internal {
+        if (_vote.isUpvote) {
+            ctiRecords[_id].upvotes++;
+            weightedUpvotes[_id] += _vote.weight;
+        } else {
+            ctiRecords[_id].downvotes++;
+            weightedDownvotes[_id] += _vote.weight;
+        }
+    }
+
+    function _removeFromTally(uint256 _id, Vote storage _vote) internal {
+        if (_vote.isUpvote) {
+            ctiRecords[_id].upvotes--;
+            weightedUpvotes[_id] -= _vote.weight;
+        } else {
+            ctiRecords[_id].downvotes--;
+            weightedDownvotes[_id] -= _vote.weight;
+        }
+    }
+
+    /**
+     * @dev Remove a voter from the CTI's voter list by swapping in the last entry
+     */
+    function _removeVoter(uint256 _id, address _voter) internal {
+        address[] storage voters = ctiVoters[_id];
+        uint256 position = voterPositions[_id][_voter];
+        address lastVoter = voters[voters.length - 1];
+
+        voters[position - 1] = lastVoter;
+        voterPositions[_id][lastVoter] = position;
+        voters.pop();
+        delete voterPositions[_id][_voter];
+    }
+
+    function _voteChoice(bool _isUpvote) internal pure returns (VoteChoice) {
+        return _isUpvote ? VoteChoice.Upvote : VoteChoice.Downvote;
+    }
+
+    function _weightedScore(uint256 _id) internal view returns (int256) {
+        return int256(weightedUpvotes[_id]) - int256(weightedDownvotes[_id]);
+    }
+
+    /**
+     * @dev Settle a CTI once its vote weight reaches the quorum and one side
+     * holds the approval share of it, and reward or penalize the submitter
+     * accordingly
+     */
+    function _checkSettlement(uint256 _id) internal {
+        (uint256 quorum, uint256 approval) = getValidationRules();
+        uint256 upvoteWeight = weightedUpvotes[_id];
+        uint256 downvoteWeight = weightedDownvotes[_id];
+        uint256 totalWeight = upvoteWeight + downvoteWeight;
+        if (totalWeight < quorum) {
+            return;
+        }
+
+        int256 score = _weightedScore(_id);
+        address submitter = ctiRecords[_id].submitter;
+
+        if (upvoteWeight * 100 >= totalWeight * approval) {
+            ctiRecords[_id].status = CTIStatus.Validated;
+            emit CTIValidated(_id, score);
+            _adjustReputation(submitter, true, SUBMISSION_REPUTATION);
+            _refundBond(_id);
+            _creditReward(_id, submitter, true);
+        } else if (downvoteWeight * 100 >= totalWeight * approval) {
+            ctiRecords[_id].status = CTIStatus.Rejected;
+            emit CTIRejected(_id, score);
+            _adjustReputation(submitter, false, SUBMISSION_REPUTATION);
+            _slashBond(_id);
+        }
+    }
+
+    /**
+     * @dev Credit a token reward if a reward token is set. Failures are
+     * swallowed so that a misbehaving token never blocks settlement.
+     */
+    function _creditReward(uint256 _id, address _account, bool _isSubmitter) internal {
+        if (rewardToken == address(0)) {
+            return;
+        }
+
+        IContributorToken token = IContributorToken(rewardToken);
+        if (_isSubmitter) {
+            try token.rewardSubmitter(_id, _account) {} catch {}
+        } else {
+            try token.rewardVoter(_id, _account) {} catch {}
+        }
+    }
+
+    /**
+     * @dev Have the bond escrow refund a CTI's bond plus a share of the reward pool
+     */
+    function _refundBond(uint256 _id) internal {
+        if (bondEscrow != address(0)) {
+            IBondEscrow(bondEscrow).refundBond(_id);
+        }
+    }
+
+    /**
+     * @dev Have the bond escrow move a CTI's bond into the reward pool
+     */
+    function _slashBond(uint256 _id) internal {
+        if (bondEscrow != address(0)) {
+            IBondEscrow(bondEscrow).slashBond(_id);
+        }
+    }
+
+    function _adjustReputation(address _account, bool _gain, uint256 _amount) internal {
+        uint256 current = reputation[_account];
+        uint256 updated;
+
+        if (_gain) {
+            updated = current + _amount;
+        } else {
+            updated = current > _amount ? current - _amount : 0;
+        }
+
+        reputation[_account] = updated;
+        emit ReputationChanged(_account, int256(updated) - int256(current), updated);
     }
 }
\ No newline at end of file
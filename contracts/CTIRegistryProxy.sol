@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title CTIRegistryProxy
+ * @dev Minimal ERC-1967 proxy for CTIRegistry. All calls are delegated to the
+ * current implementation, which keeps the registry state in this contract's
+ * storage. Upgrades go through CTIRegistry.upgradeTo, restricted to the owner.
+ */
+contract CTIRegistryProxy {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    event Upgraded(address indexed implementation);
+
+    /**
+     * @param _implementation Initial CTIRegistry implementation
+     * @param _data Initialization call, normally CTIRegistry.initialize()
+     */
+    constructor(address _implementation, bytes memory _data) {
+        require(_implementation.code.length > 0, "Implementation is not a contract");
+
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, _implementation)
+        }
+        emit Upgraded(_implementation);
+
+        if (_data.length > 0) {
+            (bool success, bytes memory result) = _implementation.delegatecall(_data);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+
+    fallback() external payable {
+        _delegate();
+    }
+
+    receive() external payable {
+        _delegate();
+    }
+
+    function _delegate() internal {
+        assembly {
+            let implementation := sload(IMPLEMENTATION_SLOT)
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
\ No newline at end of file
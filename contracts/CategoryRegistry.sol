@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title CategoryRegistry
+ * @dev Governed list of threat categories that CTI submissions must use.
+ * Admins of the CTI registry can add categories, optionally nested under a
+ * parent, and deprecate them. Deprecated categories stay readable so existing
+ * CTIs keep their label, but cannot be used for new submissions or revisions.
+ */
+contract CategoryRegistry {
+    struct Category {
+        uint256 id;
+        string name;
+        uint256 parentId;
+        string color;
+        bool deprecated;
+    }
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    ICTIRegistry public immutable registry;
+
+    uint256 public categoryCount = 0;
+    mapping(uint256 => Category) public categories;
+    mapping(bytes32 => uint256) public categoryIds;
+
+    event CategoryAdded(uint256 indexed id, string name, uint256 indexed parentId, string color);
+
+    event CategoryDeprecated(uint256 indexed id, string name);
+
+    modifier onlyAdmin() {
+        require(registry.hasRole(ADMIN_ROLE, msg.sender), "Caller is missing required role");
+        _;
+    }
+
+    modifier categoryExists(uint256 _id) {
+        require(_id > 0 && _id <= categoryCount, "Category does not exist");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+
+        // Categories the frontend offered before they were governed on-chain
+        _addCategory("Malware", 0, "#dc3545");
+        _addCategory("Phishing", 0, "#fd7e14");
+        _addCategory("Ransomware", 0, "#6f42c1");
+        _addCategory("APT", 0, "#e83e8c");
+        _addCategory("Vulnerability", 0, "#ffc107");
+        _addCategory("Botnet", 0, "#20c997");
+        _addCategory("DDoS", 0, "#17a2b8");
+        _addCategory("Data Breach", 0, "#6c757d");
+        _addCategory("Social Engineering", 0, "#28a745");
+        _addCategory("Other", 0, "#007bff");
+    }
+
+    /**
+     * @dev Add a new category
+     * @param _name Unique category name, as stored in CTI records
+     * @param _parentId Parent category ID, or 0 for a top-level category
+     * @param _color Display color for the frontend (e.g. "#dc3545"), may be empty
+     * @return ID of the new category
+     */
+    function addCategory(string memory _name, uint256 _parentId, string memory _color)
+        public
+        onlyAdmin
+        returns (uint256)
+    {
+        require(bytes(_name).length > 0, "Category name cannot be empty");
+        require(categoryIds[keccak256(bytes(_name))] == 0, "Category already exists");
+        if (_parentId != 0) {
+            require(_parentId <= categoryCount, "Parent category does not exist");
+            require(!categories[_parentId].deprecated, "Parent category is deprecated");
+        }
+
+        return _addCategory(_name, _parentId, _color);
+    }
+
+    /**
+     * @dev Deprecate a category so it can no longer be used for new submissions
+     * @param _id Category ID
+     */
+    function deprecateCategory(uint256 _id) public onlyAdmin categoryExists(_id) {
+        require(!categories[_id].deprecated, "Category is already deprecated");
+
+        categories[_id].deprecated = true;
+
+        emit CategoryDeprecated(_id, categories[_id].name);
+    }
+
+    /**
+     * @dev Check whether a category name can be used for submissions
+     * @param _name Category name
+     * @return True if the category exists and is not deprecated
+     */
+    function isActiveCategory(string memory _name) public view returns (bool) {
+        uint256 id = categoryIds[keccak256(bytes(_name))];
+        return id != 0 && !categories[id].deprecated;
+    }
+
+    /**
+     * @dev Get a category by ID
+     * @param _id Category ID
+     * @return Category struct
+     */
+    function getCategory(uint256 _id) public view categoryExists(_id) returns (Category memory) {
+        return categories[_id];
+    }
+
+    /**
+     * @dev Get every category, including deprecated ones
+     * @return Array of categories ordered by ID
+     */
+    function getCategories() public view returns (Category[] memory) {
+        Category[] memory result = new Category[](categoryCount);
+        for (uint256 i = 0; i < categoryCount; i++) {
+            result[i] = categories[i + 1];
+        }
+        return result;
+    }
+
+    function _addCategory(string memory _name, uint256 _parentId, string memory _color) internal returns (uint256) {
+        categoryCount++;
+        categories[categoryCount] = Category({
+            id: categoryCount,
+            name: _name,
+            parentId: _parentId,
+            color: _color,
+            deprecated: false
+        });
+        categoryIds[keccak256(bytes(_name))] = categoryCount;
+
+        emit CategoryAdded(categoryCount, _name, _parentId, _color);
+
+        return categoryCount;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title CommentRegistry
+ * @dev Threaded discussion on CTI reports. Comment bodies are JSON documents
+ * on IPFS; the contract anchors each body with an event carrying the CTI,
+ * the parent comment and the CID, and keeps only what is needed to check
+ * replies and edits. Edits publish a new revision of the body.
+ */
+contract CommentRegistry {
+    struct Comment {
+        uint256 ctiId;
+        uint256 parentId;
+        address author;
+        uint256 revisionCount;
+    }
+
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+
+    ICTIRegistry public immutable registry;
+
+    // First block to scan for comment events
+    uint256 public immutable deploymentBlock;
+
+    uint256 public commentCount = 0;
+    mapping(uint256 => Comment) public comments;
+    mapping(uint256 => uint256) public ctiCommentCount;
+    mapping(uint256 => bool) public isHidden;
+
+    event CommentPosted(
+        uint256 indexed commentId,
+        uint256 indexed ctiId,
+        uint256 indexed parentId,
+        address author,
+        string cid
+    );
+
+    event CommentEdited(uint256 indexed commentId, uint256 indexed ctiId, uint256 revision, string cid);
+
+    event CommentHidden(uint256 indexed commentId, address indexed moderator, bool hidden);
+
+    modifier commentExists(uint256 _id) {
+        require(_id > 0 && _id <= commentCount, "Comment does not exist");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+        deploymentBlock = block.number;
+    }
+
+    /**
+     * @dev Comment on an active CTI, or reply to one of its comments
+     * @param _ctiId CTI ID
+     * @param _parentId Comment being replied to, or 0 for a top-level comment
+     * @param _cid IPFS CID of the comment body
+     * @return ID of the new comment
+     */
+    function postComment(uint256 _ctiId, uint256 _parentId, string memory _cid) external returns (uint256) {
+        registry.getSubmitter(_ctiId);
+        require(bytes(_cid).length > 0, "Comment CID cannot be empty");
+        if (_parentId != 0) {
+            require(_parentId <= commentCount, "Parent comment does not exist");
+            require(comments[_parentId].ctiId == _ctiId, "Parent comment is on another CTI");
+        }
+
+        commentCount++;
+        comments[commentCount] = Comment({
+            ctiId: _ctiId,
+            parentId: _parentId,
+            author: msg.sender,
+            revisionCount: 1
+        });
+        ctiCommentCount[_ctiId]++;
+
+        emit CommentPosted(commentCount, _ctiId, _parentId, msg.sender, _cid);
+
+        return commentCount;
+    }
+
+    /**
+     * @dev Publish a new revision of an own comment
+     * @param _id Comment ID
+     * @param _cid IPFS CID of the revised body
+     */
+    function editComment(uint256 _id, string memory _cid) external commentExists(_id) {
+        Comment storage comment = comments[_id];
+        require(comment.author == msg.sender, "Only author can edit");
+        require(bytes(_cid).length > 0, "Comment CID cannot be empty");
+
+        comment.revisionCount++;
+
+        emit CommentEdited(_id, comment.ctiId, comment.revisionCount, _cid);
+    }
+
+    /**
+     * @dev Hide or restore an abusive comment. Its replies stay visible.
+     * @param _id Comment ID
+     * @param _hidden True to hide
+     */
+    function setCommentHidden(uint256 _id, bool _hidden) external commentExists(_id) {
+        require(registry.hasRole(MODERATOR_ROLE, msg.sender), "Caller is missing required role");
+
+        isHidden[_id] = _hidden;
+
+        emit CommentHidden(_id, msg.sender, _hidden);
+    }
+}
\ No newline at end of file
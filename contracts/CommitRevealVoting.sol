@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title CommitRevealVoting
+ * @dev Hidden voting for CTIRegistry. While enabled, the registry schedules a
+ * commit phase and a reveal phase for every new CTI, and direct votes on it
+ * are rejected. Voters commit a hash of their vote, reveal it once the commit
+ * phase ends, and the registry tallies it on reveal with the usual weight and
+ * voter checks. After the reveal phase anyone can finalize the CTI to settle it.
+ * The voting mode is set by registry admins and applies to CTIs submitted after.
+ */
+contract CommitRevealVoting {
+    enum VotingPhase { Open, Commit, Reveal, Closed }
+
+    struct VoteSchedule {
+        uint256 commitEnd;
+        uint256 revealEnd;
+    }
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    ICTIRegistry public immutable registry;
+
+    bool public commitRevealEnabled;
+    uint256 public commitDuration;
+    uint256 public revealDuration;
+    mapping(uint256 => VoteSchedule) public voteSchedules;
+    mapping(uint256 => mapping(address => bytes32)) public voteCommitments;
+
+    event VotingModeUpdated(bool commitRevealEnabled, uint256 commitDuration, uint256 revealDuration);
+
+    event VoteCommitted(uint256 indexed id, address indexed validator, bytes32 commitment);
+
+    modifier onlyRegistry() {
+        require(msg.sender == address(registry), "Caller is not the registry");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Configure commit-reveal voting for CTIs submitted from now on
+     * @param _enabled True to use commit-reveal voting for new CTIs
+     * @param _commitDuration Length of the commit phase in seconds
+     * @param _revealDuration Length of the reveal phase in seconds
+     */
+    function setCommitRevealVoting(bool _enabled, uint256 _commitDuration, uint256 _revealDuration) external {
+        require(registry.hasRole(ADMIN_ROLE, msg.sender), "Caller is missing required role");
+        require(!_enabled || (_commitDuration > 0 && _revealDuration > 0), "Invalid phase durations");
+
+        commitRevealEnabled = _enabled;
+        commitDuration = _commitDuration;
+        revealDuration = _revealDuration;
+
+        emit VotingModeUpdated(_enabled, _commitDuration, _revealDuration);
+    }
+
+    /**
+     * @dev Schedule the voting phases of a new CTI while commit-reveal voting is enabled
+     * @param _id CTI ID
+     */
+    function scheduleVoting(uint256 _id) external onlyRegistry {
+        if (!commitRevealEnabled) {
+            return;
+        }
+
+        uint256 commitEnd = block.timestamp + commitDuration;
+        voteSchedules[_id] = VoteSchedule({
+            commitEnd: commitEnd,
+            revealEnd: commitEnd + revealDuration
+        });
+    }
+
+    /**
+     * @dev Commit a hidden vote during the commit phase. Membership and the
+     * other voter checks are applied when the vote is revealed.
+     * @param _id CTI ID to vote on
+     * @param _commitment keccak256(abi.encodePacked(_id, voter, isUpvote, salt))
+     */
+    function commitVote(uint256 _id, bytes32 _commitment) external {
+        require(!registry.paused(), "Contract is paused");
+        require(registry.getSubmitter(_id) != msg.sender, "Cannot vote on own submission");
+        require(getVotingPhase(_id) == VotingPhase.Commit, "Not in commit phase");
+        require(voteCommitments[_id][msg.sender] == bytes32(0), "Vote already committed");
+        require(_commitment != bytes32(0), "Invalid commitment");
+
+        voteCommitments[_id][msg.sender] = _commitment;
+
+        emit VoteCommitted(_id, msg.sender, _commitment);
+    }
+
+    /**
+     * @dev Reveal a committed vote; the registry only tallies it once revealed
+     * @param _id CTI ID that was voted on
+     * @param _isUpvote Vote direction used in the commitment
+     * @param _salt Secret salt used in the commitment
+     */
+    function revealVote(uint256 _id, bool _isUpvote, bytes32 _salt) external {
+        require(getVotingPhase(_id) == VotingPhase.Reveal, "Not in reveal phase");
+        require(
+            voteCommitments[_id][msg.sender] == keccak256(abi.encodePacked(_id, msg.sender, _isUpvote, _salt)),
+            "Vote does not match commitment"
+        );
+
+        registry.recordRevealedVote(_id, msg.sender, _isUpvote);
+    }
+
+    /**
+     * @dev Settle a commit-reveal CTI once its reveal phase has ended
+     * @param _id CTI ID to finalize
+     */
+    function finalizeVoting(uint256 _id) external {
+        require(voteSchedules[_id].commitEnd > 0, "CTI uses open voting");
+        require(getVotingPhase(_id) == VotingPhase.Closed, "Reveal phase has not ended");
+
+        registry.settleRevealedVotes(_id);
+    }
+
+    /**
+     * @dev Get the voting phase of a CTI
+     * @param _id CTI ID
+     * @return Open for direct voting, otherwise the current commit-reveal phase
+     */
+    function getVotingPhase(uint256 _id) public view returns (VotingPhase) {
+        require(_id > 0 && _id <= registry.ctiCounter(), "CTI does not exist");
+
+        VoteSchedule memory schedule = voteSchedules[_id];
+        if (schedule.commitEnd == 0) {
+            return VotingPhase.Open;
+        }
+        if (block.timestamp < schedule.commitEnd) {
+            return VotingPhase.Commit;
+        }
+        if (block.timestamp < schedule.revealEnd) {
+            return VotingPhase.Reveal;
+        }
+        return VotingPhase.Closed;
+    }
+}
\ No newline at end of file
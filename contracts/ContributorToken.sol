@@ -0,0 +1,178 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title ContributorToken
+ * @dev ERC-20 reward for contributors. CTIRegistry credits a reward when a
+ * submission is validated and when a vote on the winning side is settled.
+ * Credits are claimable balances that are only minted when the contributor
+ * claims them. Emission is capped per period and in total; rewards that do
+ * not fit under a cap are credited in part or not at all. Reward amounts and
+ * the period cap are set by registry admins.
+ */
+contract ContributorToken {
+    string public constant name = "CTI Contributor Token";
+    string public constant symbol = "CTIC";
+    uint8 public constant decimals = 18;
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // Length of the window that periodEmissionCap applies to
+    uint256 public constant EMISSION_PERIOD = 7 days;
+
+    ICTIRegistry public immutable registry;
+
+    // Most tokens that can ever be credited
+    uint256 public immutable maxSupply;
+
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    uint256 public submissionReward = 100 ether;
+    uint256 public voterReward = 10 ether;
+    uint256 public periodEmissionCap = 10000 ether;
+
+    uint256 public totalCredited;
+    uint256 public currentPeriod;
+    uint256 public periodCredited;
+    mapping(address => uint256) public claimable;
+    mapping(address => uint256) public earned;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    event RewardCredited(address indexed account, uint256 indexed ctiId, uint256 amount);
+
+    event RewardClaimed(address indexed account, uint256 amount);
+
+    event RewardParametersUpdated(uint256 submissionReward, uint256 voterReward, uint256 periodEmissionCap);
+
+    modifier onlyRegistry() {
+        require(msg.sender == address(registry), "Caller is not the registry");
+        _;
+    }
+
+    constructor(address _registry, uint256 _maxSupply) {
+        require(_registry != address(0), "Invalid registry address");
+        require(_maxSupply > 0, "Invalid max supply");
+        registry = ICTIRegistry(_registry);
+        maxSupply = _maxSupply;
+    }
+
+    function transfer(address _to, uint256 _value) external returns (bool) {
+        _transfer(msg.sender, _to, _value);
+        return true;
+    }
+
+    function approve(address _spender, uint256 _value) external returns (bool) {
+        allowance[msg.sender][_spender] = _value;
+        emit Approval(msg.sender, _spender, _value);
+        return true;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _value) external returns (bool) {
+        uint256 allowed = allowance[_from][msg.sender];
+        require(allowed >= _value, "Insufficient allowance");
+        if (allowed != type(uint256).max) {
+            allowance[_from][msg.sender] = allowed - _value;
+        }
+        _transfer(_from, _to, _value);
+        return true;
+    }
+
+    /**
+     * @dev Credit the reward for a validated submission
+     * @param _ctiId CTI that was validated
+     * @param _submitter Submitter of the CTI
+     */
+    function rewardSubmitter(uint256 _ctiId, address _submitter) external onlyRegistry {
+        _credit(_submitter, _ctiId, submissionReward);
+    }
+
+    /**
+     * @dev Credit the reward for a vote that agreed with the outcome
+     * @param _ctiId CTI that was voted on
+     * @param _voter Voter whose vote was settled
+     */
+    function rewardVoter(uint256 _ctiId, address _voter) external onlyRegistry {
+        _credit(_voter, _ctiId, voterReward);
+    }
+
+    /**
+     * @dev Mint the caller's claimable rewards
+     */
+    function claim() external {
+        uint256 amount = claimable[msg.sender];
+        require(amount > 0, "Nothing to claim");
+
+        claimable[msg.sender] = 0;
+        totalSupply += amount;
+        balanceOf[msg.sender] += amount;
+
+        emit Transfer(address(0), msg.sender, amount);
+        emit RewardClaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Set reward amounts and the per-period emission cap. Rewards
+     * already credited are not affected.
+     * @param _submissionReward Tokens per validated submission
+     * @param _voterReward Tokens per vote on the winning side
+     * @param _periodEmissionCap Most tokens credited per EMISSION_PERIOD
+     */
+    function setRewardParameters(uint256 _submissionReward, uint256 _voterReward, uint256 _periodEmissionCap) external {
+        require(registry.hasRole(ADMIN_ROLE, msg.sender), "Caller is missing required role");
+
+        submissionReward = _submissionReward;
+        voterReward = _voterReward;
+        periodEmissionCap = _periodEmissionCap;
+
+        emit RewardParametersUpdated(_submissionReward, _voterReward, _periodEmissionCap);
+    }
+
+    /**
+     * @dev Tokens that can still be credited in the current period
+     * @return Remaining allowance under both the period and the total cap
+     */
+    function remainingEmission() public view returns (uint256) {
+        uint256 periodUsed = block.timestamp / EMISSION_PERIOD == currentPeriod ? periodCredited : 0;
+        uint256 periodLeft = periodEmissionCap > periodUsed ? periodEmissionCap - periodUsed : 0;
+        uint256 totalLeft = maxSupply - totalCredited;
+        return periodLeft < totalLeft ? periodLeft : totalLeft;
+    }
+
+    function _credit(address _account, uint256 _ctiId, uint256 _amount) internal {
+        uint256 period = block.timestamp / EMISSION_PERIOD;
+        if (period != currentPeriod) {
+            currentPeriod = period;
+            periodCredited = 0;
+        }
+
+        uint256 available = remainingEmission();
+        uint256 amount = _amount < available ? _amount : available;
+        if (amount == 0) {
+            return;
+        }
+
+        periodCredited += amount;
+        totalCredited += amount;
+        claimable[_account] += amount;
+        earned[_account] += amount;
+
+        emit RewardCredited(_account, _ctiId, amount);
+    }
+
+    function _transfer(address _from, address _to, uint256 _value) internal {
+        require(_to != address(0), "Invalid recipient");
+        require(balanceOf[_from] >= _value, "Insufficient balance");
+
+        balanceOf[_from] -= _value;
+        balanceOf[_to] += _value;
+
+        emit Transfer(_from, _to, _value);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,269 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title DisputeManager
+ * @dev Formal challenges and appeals for CTI reports. Anyone can open a
+ * dispute on an active report with an evidence CID; a dispute opened by the
+ * submitter is an appeal (e.g. against brigading or a deactivation), and the
+ * submitter can also appeal a deactivated report. A report can have one open
+ * challenge and one open appeal at a time, so a challenge never blocks the
+ * submitter's appeal, and a dismissed challenge starts a cooldown before the
+ * next one can be opened. The submitter can answer a
+ * challenge once, then reviewers holding REVIEWER_ROLE in the registry cast
+ * verdicts until one side reaches the review quorum. When this contract holds
+ * MODERATOR_ROLE in the registry, an upheld challenge deactivates the report,
+ * and an upheld appeal reactivates it and overturns its rejection.
+ */
+contract DisputeManager {
+    enum DisputeStatus { Open, Upheld, Dismissed }
+
+    struct Dispute {
+        uint256 id;
+        uint256 ctiId;
+        address challenger;
+        string evidenceCID;
+        string responseCID;
+        DisputeStatus status;
+        uint256 openedAt;
+        uint256 resolvedAt;
+        uint256 upholdVotes;
+        uint256 dismissVotes;
+    }
+
+    struct Verdict {
+        address reviewer;
+        bool uphold;
+        string reasonCID;
+        uint256 timestamp;
+    }
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+    bytes32 public constant REVIEWER_ROLE = keccak256("REVIEWER_ROLE");
+
+    // Wait after a dismissed challenge before the same CTI can be challenged again
+    uint256 public constant CHALLENGE_COOLDOWN = 7 days;
+
+    ICTIRegistry public immutable registry;
+
+    uint256 public disputeCount = 0;
+    uint256 public reviewQuorum = 2;
+    mapping(uint256 => Dispute) public disputes;
+    mapping(uint256 => uint256) public openDisputeOf;
+    mapping(uint256 => uint256) public openAppealOf;
+    mapping(uint256 => uint256) public nextChallengeAt;
+    mapping(uint256 => mapping(address => bool)) public hasReviewed;
+    mapping(uint256 => uint256[]) private ctiDisputes;
+    mapping(uint256 => Verdict[]) private verdicts;
+    mapping(uint256 => address) private disputeSubmitter;
+
+    event DisputeOpened(uint256 indexed id, uint256 indexed ctiId, address indexed challenger, string evidenceCID);
+
+    event DisputeResponded(uint256 indexed id, string responseCID);
+
+    event VerdictCast(uint256 indexed id, address indexed reviewer, bool uphold, string reasonCID);
+
+    event DisputeResolved(uint256 indexed id, uint256 indexed ctiId, DisputeStatus status);
+
+    event ReviewQuorumUpdated(uint256 previousQuorum, uint256 newQuorum);
+
+    modifier onlyAdmin() {
+        require(registry.hasRole(ADMIN_ROLE, msg.sender), "Caller is missing required role");
+        _;
+    }
+
+    modifier disputeIsOpen(uint256 _id) {
+        require(_id > 0 && _id <= disputeCount, "Dispute does not exist");
+        require(disputes[_id].status == DisputeStatus.Open, "Dispute is already resolved");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Open a dispute on an active CTI, or appeal the deactivation of own
+     * CTI. A CTI can have one open challenge and one open appeal at a time,
+     * and cannot be challenged again within CHALLENGE_COOLDOWN of a
+     * dismissed challenge.
+     * @param _ctiId CTI ID being disputed
+     * @param _evidenceCID IPFS CID of the challenger's evidence
+     * @return ID of the new dispute
+     */
+    function openDispute(uint256 _ctiId, string memory _evidenceCID) external returns (uint256) {
+        (address submitter, bool isActive, bool retracted) = registry.getModerationState(_ctiId);
+        require(isActive || (msg.sender == submitter && !retracted), "CTI is not active");
+        require(bytes(_evidenceCID).length > 0, "Evidence CID cannot be empty");
+        if (msg.sender == submitter) {
+            require(openAppealOf[_ctiId] == 0, "CTI already has an open appeal");
+        } else {
+            require(openDisputeOf[_ctiId] == 0, "CTI already has an open dispute");
+            require(block.timestamp >= nextChallengeAt[_ctiId], "CTI was challenged too recently");
+        }
+
+        disputeCount++;
+        disputes[disputeCount] = Dispute({
+            id: disputeCount,
+            ctiId: _ctiId,
+            challenger: msg.sender,
+            evidenceCID: _evidenceCID,
+            responseCID: "",
+            status: DisputeStatus.Open,
+            openedAt: block.timestamp,
+            resolvedAt: 0,
+            upholdVotes: 0,
+            dismissVotes: 0
+        });
+        disputeSubmitter[disputeCount] = submitter;
+        if (msg.sender == submitter) {
+            openAppealOf[_ctiId] = disputeCount;
+        } else {
+            openDisputeOf[_ctiId] = disputeCount;
+        }
+        ctiDisputes[_ctiId].push(disputeCount);
+
+        emit DisputeOpened(disputeCount, _ctiId, msg.sender, _evidenceCID);
+
+        return disputeCount;
+    }
+
+    /**
+     * @dev Answer a challenge to own CTI. Each dispute takes one response.
+     * @param _id Dispute ID
+     * @param _responseCID IPFS CID of the submitter's response
+     */
+    function respondToDispute(uint256 _id, string memory _responseCID) external disputeIsOpen(_id) {
+        Dispute storage dispute = disputes[_id];
+        require(disputeSubmitter[_id] == msg.sender, "Only submitter can respond");
+        require(dispute.challenger != msg.sender, "Cannot respond to own appeal");
+        require(bytes(_responseCID).length > 0, "Response CID cannot be empty");
+        require(bytes(dispute.responseCID).length == 0, "Already responded");
+
+        dispute.responseCID = _responseCID;
+
+        emit DisputeResponded(_id, _responseCID);
+    }
+
+    /**
+     * @dev Cast a reviewer verdict. The dispute resolves once either side
+     * reaches reviewQuorum verdicts.
+     * @param _id Dispute ID
+     * @param _uphold True to side with the challenger (or appellant)
+     * @param _reasonCID IPFS CID of the reviewer's reasoning, may be empty
+     */
+    function castVerdict(uint256 _id, bool _uphold, string memory _reasonCID) external disputeIsOpen(_id) {
+        Dispute storage dispute = disputes[_id];
+        require(registry.hasRole(REVIEWER_ROLE, msg.sender), "Caller is missing required role");
+        require(
+            msg.sender != dispute.challenger && msg.sender != disputeSubmitter[_id],
+            "Parties cannot review their own dispute"
+        );
+        require(!hasReviewed[_id][msg.sender], "Already reviewed");
+
+        hasReviewed[_id][msg.sender] = true;
+        verdicts[_id].push(Verdict({
+            reviewer: msg.sender,
+            uphold: _uphold,
+            reasonCID: _reasonCID,
+            timestamp: block.timestamp
+        }));
+
+        if (_uphold) {
+            dispute.upholdVotes++;
+        } else {
+            dispute.dismissVotes++;
+        }
+
+        emit VerdictCast(_id, msg.sender, _uphold, _reasonCID);
+
+        if (dispute.upholdVotes >= reviewQuorum) {
+            _resolve(_id, DisputeStatus.Upheld);
+        } else if (dispute.dismissVotes >= reviewQuorum) {
+            _resolve(_id, DisputeStatus.Dismissed);
+        }
+    }
+
+    /**
+     * @dev Set how many matching verdicts resolve a dispute
+     * @param _quorum New quorum, at least 1
+     */
+    function setReviewQuorum(uint256 _quorum) external onlyAdmin {
+        require(_quorum > 0, "Quorum must be positive");
+
+        uint256 previousQuorum = reviewQuorum;
+        reviewQuorum = _quorum;
+
+        emit ReviewQuorumUpdated(previousQuorum, _quorum);
+    }
+
+    /**
+     * @dev Get a dispute by ID
+     * @param _id Dispute ID
+     * @return Dispute struct
+     */
+    function getDispute(uint256 _id) external view returns (Dispute memory) {
+        require(_id > 0 && _id <= disputeCount, "Dispute does not exist");
+        return disputes[_id];
+    }
+
+    /**
+     * @dev Get every dispute opened on a CTI
+     * @param _ctiId CTI ID
+     * @return Dispute IDs, oldest first
+     */
+    function getDisputesForCTI(uint256 _ctiId) external view returns (uint256[] memory) {
+        return ctiDisputes[_ctiId];
+    }
+
+    /**
+     * @dev Get the verdicts cast on a dispute
+     * @param _id Dispute ID
+     * @return Verdicts in the order they were cast
+     */
+    function getVerdicts(uint256 _id) external view returns (Verdict[] memory) {
+        return verdicts[_id];
+    }
+
+    /**
+     * @dev Check whether a dispute is an appeal by the CTI's own submitter
+     * @param _id Dispute ID
+     * @return True if the submitter opened the dispute
+     */
+    function isAppeal(uint256 _id) public view returns (bool) {
+        return disputes[_id].challenger == disputeSubmitter[_id];
+    }
+
+    function _resolve(uint256 _id, DisputeStatus _status) internal {
+        Dispute storage dispute = disputes[_id];
+        dispute.status = _status;
+        dispute.resolvedAt = block.timestamp;
+        if (isAppeal(_id)) {
+            delete openAppealOf[dispute.ctiId];
+        } else {
+            delete openDisputeOf[dispute.ctiId];
+            if (_status == DisputeStatus.Dismissed) {
+                nextChallengeAt[dispute.ctiId] = block.timestamp + CHALLENGE_COOLDOWN;
+            }
+        }
+
+        emit DisputeResolved(_id, dispute.ctiId, _status);
+
+        if (_status != DisputeStatus.Upheld || !registry.hasRole(MODERATOR_ROLE, address(this))) {
+            return;
+        }
+
+        // The outcome stands even if the report was removed, retracted or
+        // restored in the meantime
+        if (isAppeal(_id)) {
+            try registry.reactivateCTI(dispute.ctiId) {} catch {}
+            try registry.overturnRejection(dispute.ctiId) {} catch {}
+        } else {
+            try registry.deactivateCTI(dispute.ctiId, "Dispute upheld by reviewers") {} catch {}
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title IndicatorIndex
+ * @dev On-chain index of indicators of compromise (IoCs) referenced by CTI records.
+ * Indicators are stored as keccak256 hashes of their normalized form, so the
+ * registry can answer "has anyone reported this IoC?" without exposing the
+ * indicator itself or downloading IPFS documents.
+ */
+contract IndicatorIndex {
+    uint256 public constant MAX_INDICATORS_PER_CALL = 100;
+    // Highest TLP marking (GREEN) whose indicators may be shared publicly
+    uint8 public constant MAX_SHAREABLE_TLP = 1;
+
+    ICTIRegistry public immutable registry;
+
+    mapping(bytes32 => uint256[]) private indicatorCTIs;
+    mapping(uint256 => bytes32[]) private ctiIndicators;
+    mapping(uint256 => mapping(bytes32 => bool)) public isIndicatorRegistered;
+
+    event IndicatorRegistered(bytes32 indexed indicatorHash, uint256 indexed ctiId);
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Register indicator hashes for own CTI. Hashes already registered
+     * for the CTI are skipped, so revisions can re-submit their full list.
+     * Only TLP:CLEAR and TLP:GREEN reports can be indexed, since lookups are public.
+     * @param _ctiId CTI ID the indicators belong to
+     * @param _indicatorHashes keccak256 hashes of normalized indicators
+     */
+    function registerIndicators(uint256 _ctiId, bytes32[] calldata _indicatorHashes) external {
+        require(registry.getSubmitter(_ctiId) == msg.sender, "Only submitter can register indicators");
+        require(registry.getTLP(_ctiId) <= MAX_SHAREABLE_TLP, "TLP does not allow public sharing");
+        require(_indicatorHashes.length > 0, "No indicators provided");
+        require(_indicatorHashes.length <= MAX_INDICATORS_PER_CALL, "Too many indicators");
+
+        for (uint256 i = 0; i < _indicatorHashes.length; i++) {
+            bytes32 indicatorHash = _indicatorHashes[i];
+            require(indicatorHash != bytes32(0), "Invalid indicator hash");
+
+            if (isIndicatorRegistered[_ctiId][indicatorHash]) {
+                continue;
+            }
+
+            isIndicatorRegistered[_ctiId][indicatorHash] = true;
+            indicatorCTIs[indicatorHash].push(_ctiId);
+            ctiIndicators[_ctiId].push(indicatorHash);
+
+            emit IndicatorRegistered(indicatorHash, _ctiId);
+        }
+    }
+
+    /**
+     * @dev Get every CTI ID that references an indicator. Deactivated CTIs are
+     * included; callers should check their status in the registry.
+     * @param _indicatorHash keccak256 hash of the normalized indicator
+     * @return Array of CTI IDs in registration order
+     */
+    function getCTIsByIndicator(bytes32 _indicatorHash) external view returns (uint256[] memory) {
+        return indicatorCTIs[_indicatorHash];
+    }
+
+    /**
+     * @dev Get the indicator hashes registered for a CTI
+     * @param _ctiId CTI ID
+     * @return Array of indicator hashes
+     */
+    function getIndicatorsForCTI(uint256 _ctiId) external view returns (bytes32[] memory) {
+        return ctiIndicators[_ctiId];
+    }
+}
\ No newline at end of file
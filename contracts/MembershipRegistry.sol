@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title MembershipRegistry
+ * @dev Vetted organizations and the analysts they vouch for. Admins of the
+ * CTI registry admit organizations, each with its own admin wallet, which
+ * attests the addresses of its analysts. An account belongs to at most one
+ * organization, and suspending an organization suspends all of its members.
+ */
+contract MembershipRegistry {
+    struct Organization {
+        uint256 id;
+        string name;
+        address admin;
+        bool suspended;
+        uint256 memberCount;
+        uint256 admittedAt;
+    }
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    ICTIRegistry public immutable registry;
+
+    uint256 public organizationCount = 0;
+    mapping(uint256 => Organization) public organizations;
+    mapping(bytes32 => uint256) public organizationIds;
+    mapping(address => uint256) public organizationOf;
+
+    event OrganizationAdmitted(uint256 indexed id, string name, address indexed admin);
+
+    event OrganizationAdminChanged(uint256 indexed id, address indexed previousAdmin, address indexed newAdmin);
+
+    event OrganizationSuspended(uint256 indexed id, bool suspended);
+
+    event MemberAttested(uint256 indexed organizationId, address indexed account);
+
+    event MemberRevoked(uint256 indexed organizationId, address indexed account);
+
+    modifier onlyAdmin() {
+        require(registry.hasRole(ADMIN_ROLE, msg.sender), "Caller is missing required role");
+        _;
+    }
+
+    modifier organizationExists(uint256 _id) {
+        require(_id > 0 && _id <= organizationCount, "Organization does not exist");
+        _;
+    }
+
+    modifier onlyOrganizationAdmin(uint256 _id) {
+        require(organizations[_id].admin == msg.sender, "Only organization admin can manage members");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Admit a vetted organization. Its admin becomes its first member.
+     * @param _name Unique organization name
+     * @param _admin Wallet that attests the organization's analysts
+     * @return ID of the new organization
+     */
+    function admitOrganization(string memory _name, address _admin) external onlyAdmin returns (uint256) {
+        require(bytes(_name).length > 0, "Organization name cannot be empty");
+        require(organizationIds[keccak256(bytes(_name))] == 0, "Organization already exists");
+
+        organizationCount++;
+        organizations[organizationCount] = Organization({
+            id: organizationCount,
+            name: _name,
+            admin: _admin,
+            suspended: false,
+            memberCount: 0,
+            admittedAt: block.timestamp
+        });
+        organizationIds[keccak256(bytes(_name))] = organizationCount;
+
+        emit OrganizationAdmitted(organizationCount, _name, _admin);
+
+        _attest(organizationCount, _admin);
+
+        return organizationCount;
+    }
+
+    /**
+     * @dev Hand an organization over to a new admin wallet, which must already be a member
+     * @param _id Organization ID
+     * @param _admin New admin address
+     */
+    function setOrganizationAdmin(uint256 _id, address _admin) external onlyAdmin organizationExists(_id) {
+        require(organizationOf[_admin] == _id, "Admin must be a member");
+
+        emit OrganizationAdminChanged(_id, organizations[_id].admin, _admin);
+        organizations[_id].admin = _admin;
+    }
+
+    /**
+     * @dev Suspend or reinstate an organization together with all of its members
+     * @param _id Organization ID
+     * @param _suspended True to suspend
+     */
+    function setOrganizationSuspended(uint256 _id, bool _suspended) external onlyAdmin organizationExists(_id) {
+        require(organizations[_id].suspended != _suspended, "Suspension unchanged");
+
+        organizations[_id].suspended = _suspended;
+
+        emit OrganizationSuspended(_id, _suspended);
+    }
+
+    /**
+     * @dev Attest that an analyst's address belongs to the organization
+     * @param _id Organization ID
+     * @param _account Analyst address
+     */
+    function attestMember(uint256 _id, address _account)
+        external
+        organizationExists(_id)
+        onlyOrganizationAdmin(_id)
+    {
+        require(!organizations[_id].suspended, "Organization is suspended");
+        _attest(_id, _account);
+    }
+
+    /**
+     * @dev Withdraw an attestation. Registry admins can also revoke members.
+     * @param _id Organization ID
+     * @param _account Analyst address
+     */
+    function revokeMember(uint256 _id, address _account) external organizationExists(_id) {
+        require(
+            organizations[_id].admin == msg.sender || registry.hasRole(ADMIN_ROLE, msg.sender),
+            "Only organization admin can manage members"
+        );
+        require(organizationOf[_account] == _id, "Not a member");
+        require(organizations[_id].admin != _account, "Cannot revoke organization admin");
+
+        delete organizationOf[_account];
+        organizations[_id].memberCount--;
+
+        emit MemberRevoked(_id, _account);
+    }
+
+    /**
+     * @dev Get an organization by ID
+     * @param _id Organization ID
+     * @return Organization struct
+     */
+    function getOrganization(uint256 _id) external view organizationExists(_id) returns (Organization memory) {
+        return organizations[_id];
+    }
+
+    /**
+     * @dev Check whether an account is attested by an organization in good standing
+     * @param _account Address to check
+     * @return True if the account counts as a member
+     */
+    function isMember(address _account) external view returns (bool) {
+        uint256 id = organizationOf[_account];
+        return id != 0 && !organizations[id].suspended;
+    }
+
+    function _attest(uint256 _id, address _account) internal {
+        require(_account != address(0), "Invalid member address");
+        require(organizationOf[_account] == 0, "Account already belongs to an organization");
+
+        organizationOf[_account] = _id;
+        organizations[_id].memberCount++;
+
+        emit MemberAttested(_id, _account);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,251 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+import "./interfaces/IMembershipRegistry.sol";
+
+/**
+ * @title RegistryGovernor
+ * @dev Member governance of registry parameters. A proposal is a single call,
+ * usually an admin setter on CTIRegistry, that members of the membership
+ * registry vote on for votingPeriod, with one vote per organization so that
+ * an organization cannot outvote others by attesting more addresses. A
+ * proposal passes with at least the proposalQuorum in force when it was made
+ * in votes in favour and more votes for than against, and anyone can execute
+ * it once timelockDelay has passed after voting closed. The
+ * governor needs ADMIN_ROLE in the registry to change registry parameters,
+ * and its own settings can only be changed by proposals. The registry owner
+ * can hand the registry over to the governor, after which upgrades, admin
+ * changes and unpausing also go through proposals.
+ */
+contract RegistryGovernor {
+    enum ProposalState { Active, Defeated, Queued, Executed, Canceled }
+
+    struct Proposal {
+        uint256 id;
+        address proposer;
+        address target;
+        bytes data;
+        string description;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 quorum;
+        uint256 createdAt;
+        uint256 votingEnds;
+        uint256 executableAt;
+        bool executed;
+        bool canceled;
+    }
+
+    ICTIRegistry public immutable registry;
+    IMembershipRegistry public immutable membership;
+
+    uint256 public votingPeriod = 3 days;
+    uint256 public timelockDelay = 2 days;
+    uint256 public proposalQuorum = 3;
+
+    uint256 public proposalCount = 0;
+    mapping(uint256 => Proposal) private proposals;
+    mapping(uint256 => mapping(uint256 => bool)) public organizationVoted;
+
+    event ProposalCreated(
+        uint256 indexed id,
+        address indexed proposer,
+        address indexed target,
+        bytes data,
+        string description,
+        uint256 votingEnds,
+        uint256 executableAt
+    );
+
+    event ProposalVoteCast(uint256 indexed id, address indexed voter, bool support);
+
+    event ProposalExecuted(uint256 indexed id);
+
+    event ProposalCanceled(uint256 indexed id);
+
+    event GovernanceSettingsUpdated(uint256 votingPeriod, uint256 timelockDelay, uint256 proposalQuorum);
+
+    modifier onlyMember() {
+        require(membership.isMember(msg.sender), "Caller is not a member");
+        _;
+    }
+
+    modifier proposalExists(uint256 _id) {
+        require(_id > 0 && _id <= proposalCount, "Proposal does not exist");
+        _;
+    }
+
+    constructor(address _registry, address _membership) {
+        require(_registry != address(0), "Invalid registry address");
+        require(_membership != address(0), "Invalid membership registry");
+        registry = ICTIRegistry(_registry);
+        membership = IMembershipRegistry(_membership);
+    }
+
+    /**
+     * @dev Propose a parameter change
+     * @param _target Contract to call, usually the registry
+     * @param _data Encoded call, e.g. setMaxPageSize(50)
+     * @param _description What the change does and why
+     * @return ID of the new proposal
+     */
+    function propose(address _target, bytes memory _data, string memory _description)
+        external
+        onlyMember
+        returns (uint256)
+    {
+        require(_target != address(0), "Invalid target");
+        require(_data.length >= 4, "Invalid call data");
+        require(bytes(_description).length > 0, "Description cannot be empty");
+
+        uint256 votingEnds = block.timestamp + votingPeriod;
+        uint256 executableAt = votingEnds + timelockDelay;
+
+        proposalCount++;
+        proposals[proposalCount] = Proposal({
+            id: proposalCount,
+            proposer: msg.sender,
+            target: _target,
+            data: _data,
+            description: _description,
+            forVotes: 0,
+            againstVotes: 0,
+            quorum: proposalQuorum,
+            createdAt: block.timestamp,
+            votingEnds: votingEnds,
+            executableAt: executableAt,
+            executed: false,
+            canceled: false
+        });
+
+        emit ProposalCreated(proposalCount, msg.sender, _target, _data, _description, votingEnds, executableAt);
+
+        return proposalCount;
+    }
+
+    /**
+     * @dev Vote on a proposal while voting is open. Each organization votes
+     * once, through whichever of its members votes first.
+     * @param _id Proposal ID
+     * @param _support True to vote for the change
+     */
+    function castVote(uint256 _id, bool _support) external proposalExists(_id) onlyMember {
+        require(getProposalState(_id) == ProposalState.Active, "Voting is closed");
+
+        uint256 organization = membership.organizationOf(msg.sender);
+        require(!organizationVoted[_id][organization], "Organization already voted");
+
+        organizationVoted[_id][organization] = true;
+        if (_support) {
+            proposals[_id].forVotes++;
+        } else {
+            proposals[_id].againstVotes++;
+        }
+
+        emit ProposalVoteCast(_id, msg.sender, _support);
+    }
+
+    /**
+     * @dev Execute a passed proposal once its timelock has expired. Anyone can call this.
+     * @param _id Proposal ID
+     */
+    function execute(uint256 _id) external proposalExists(_id) {
+        Proposal storage proposal = proposals[_id];
+        require(getProposalState(_id) == ProposalState.Queued, "Proposal has not passed");
+        require(block.timestamp >= proposal.executableAt, "Timelock has not expired");
+
+        proposal.executed = true;
+
+        (bool success, ) = proposal.target.call(proposal.data);
+        require(success, "Proposal execution failed");
+
+        emit ProposalExecuted(_id);
+    }
+
+    /**
+     * @dev Withdraw own proposal before it is executed
+     * @param _id Proposal ID
+     */
+    function cancel(uint256 _id) external proposalExists(_id) {
+        require(proposals[_id].proposer == msg.sender, "Only proposer can cancel");
+
+        ProposalState state = getProposalState(_id);
+        require(state == ProposalState.Active || state == ProposalState.Queued, "Proposal cannot be canceled");
+
+        proposals[_id].canceled = true;
+
+        emit ProposalCanceled(_id);
+    }
+
+    /**
+     * @dev Accept ownership of the registry after its owner started a
+     * transfer to the governor. Anyone can call this, since it only
+     * completes a transfer the owner started.
+     */
+    function acceptRegistryOwnership() external {
+        registry.acceptOwnership();
+    }
+
+    /**
+     * @dev Change the governance settings. Only callable through an executed
+     * proposal; proposals already made keep their schedule and quorum.
+     * @param _votingPeriod How long proposals are open for votes, in seconds
+     * @param _timelockDelay Delay between the end of voting and execution, in seconds
+     * @param _proposalQuorum Votes in favour a proposal needs to pass
+     */
+    function updateSettings(uint256 _votingPeriod, uint256 _timelockDelay, uint256 _proposalQuorum) external {
+        require(msg.sender == address(this), "Only governance can change settings");
+        require(_votingPeriod > 0 && _proposalQuorum > 0, "Invalid governance settings");
+
+        votingPeriod = _votingPeriod;
+        timelockDelay = _timelockDelay;
+        proposalQuorum = _proposalQuorum;
+
+        emit GovernanceSettingsUpdated(_votingPeriod, _timelockDelay, _proposalQuorum);
+    }
+
+    /**
+     * @dev Check whether an account's organization has voted on a proposal
+     * @param _id Proposal ID
+     * @param _account Member address
+     * @return True if the account's organization has voted
+     */
+    function hasVoted(uint256 _id, address _account) external view returns (bool) {
+        uint256 organization = membership.organizationOf(_account);
+        return organization != 0 && organizationVoted[_id][organization];
+    }
+
+    /**
+     * @dev Get a proposal by ID
+     * @param _id Proposal ID
+     * @return Proposal struct
+     */
+    function getProposal(uint256 _id) external view proposalExists(_id) returns (Proposal memory) {
+        return proposals[_id];
+    }
+
+    /**
+     * @dev Get where a proposal is in its lifecycle. A Queued proposal has
+     * passed and can be executed from its executableAt time.
+     * @param _id Proposal ID
+     * @return Current proposal state
+     */
+    function getProposalState(uint256 _id) public view proposalExists(_id) returns (ProposalState) {
+        Proposal storage proposal = proposals[_id];
+
+        if (proposal.canceled) {
+            return ProposalState.Canceled;
+        }
+        if (proposal.executed) {
+            return ProposalState.Executed;
+        }
+        if (block.timestamp < proposal.votingEnds) {
+            return ProposalState.Active;
+        }
+        if (proposal.forVotes < proposal.quorum || proposal.forVotes <= proposal.againstVotes) {
+            return ProposalState.Defeated;
+        }
+        return ProposalState.Queued;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,193 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title RelationRegistry
+ * @dev Typed, attributed links between CTI records, such as one report
+ * duplicating or superseding another. Anyone can link two active CTIs;
+ * other users endorse or dispute the link. RelatedTo and SameActor are
+ * symmetric, so a link and its reverse are the same relation.
+ */
+contract RelationRegistry {
+    enum RelationType { DuplicateOf, RelatedTo, Supersedes, SameActor }
+
+    enum Assessment { None, Endorse, Dispute }
+
+    struct Relation {
+        uint256 id;
+        uint256 sourceId;
+        uint256 targetId;
+        RelationType relationType;
+        address creator;
+        uint256 createdAt;
+        uint256 endorsements;
+        uint256 disputes;
+        bool removed;
+    }
+
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+
+    ICTIRegistry public immutable registry;
+
+    uint256 public relationCount = 0;
+    mapping(uint256 => Relation) public relations;
+    mapping(bytes32 => uint256) public relationIds;
+    mapping(uint256 => mapping(address => Assessment)) public assessments;
+    mapping(uint256 => uint256[]) private ctiRelations;
+
+    event RelationAdded(
+        uint256 indexed id,
+        uint256 indexed sourceId,
+        uint256 indexed targetId,
+        RelationType relationType,
+        address creator
+    );
+
+    event RelationAssessed(uint256 indexed id, address indexed account, Assessment assessment);
+
+    event RelationRemoved(uint256 indexed id, address indexed remover);
+
+    modifier activeRelation(uint256 _id) {
+        require(_id > 0 && _id <= relationCount, "Relation does not exist");
+        require(!relations[_id].removed, "Relation was removed");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Link two active CTIs
+     * @param _sourceId CTI the relation is stated about, e.g. the duplicate
+     * @param _targetId CTI it points to, e.g. the original
+     * @param _relationType Kind of relation
+     * @return ID of the new relation
+     */
+    function addRelation(uint256 _sourceId, uint256 _targetId, RelationType _relationType)
+        external
+        returns (uint256)
+    {
+        require(_sourceId != _targetId, "Cannot relate a CTI to itself");
+        registry.getSubmitter(_sourceId);
+        registry.getSubmitter(_targetId);
+
+        if (_isSymmetric(_relationType) && _sourceId > _targetId) {
+            (_sourceId, _targetId) = (_targetId, _sourceId);
+        }
+
+        bytes32 key = relationKey(_sourceId, _targetId, _relationType);
+        uint256 existing = relationIds[key];
+        require(existing == 0 || relations[existing].removed, "Relation already exists");
+
+        relationCount++;
+        relations[relationCount] = Relation({
+            id: relationCount,
+            sourceId: _sourceId,
+            targetId: _targetId,
+            relationType: _relationType,
+            creator: msg.sender,
+            createdAt: block.timestamp,
+            endorsements: 0,
+            disputes: 0,
+            removed: false
+        });
+        relationIds[key] = relationCount;
+        ctiRelations[_sourceId].push(relationCount);
+        ctiRelations[_targetId].push(relationCount);
+
+        emit RelationAdded(relationCount, _sourceId, _targetId, _relationType, msg.sender);
+
+        return relationCount;
+    }
+
+    /**
+     * @dev Endorse or dispute a relation, or change an earlier assessment
+     * @param _id Relation ID
+     * @param _endorse True to endorse, false to dispute
+     */
+    function assessRelation(uint256 _id, bool _endorse) external activeRelation(_id) {
+        Relation storage relation = relations[_id];
+        require(relation.creator != msg.sender, "Cannot assess own relation");
+
+        Assessment previous = assessments[_id][msg.sender];
+        Assessment next = _endorse ? Assessment.Endorse : Assessment.Dispute;
+        require(previous != next, "Already assessed");
+
+        if (previous == Assessment.Endorse) {
+            relation.endorsements--;
+        } else if (previous == Assessment.Dispute) {
+            relation.disputes--;
+        }
+
+        if (_endorse) {
+            relation.endorsements++;
+        } else {
+            relation.disputes++;
+        }
+        assessments[_id][msg.sender] = next;
+
+        emit RelationAssessed(_id, msg.sender, next);
+    }
+
+    /**
+     * @dev Remove a relation. Only its creator or a moderator can remove it.
+     * @param _id Relation ID
+     */
+    function removeRelation(uint256 _id) external activeRelation(_id) {
+        require(
+            relations[_id].creator == msg.sender || registry.hasRole(MODERATOR_ROLE, msg.sender),
+            "Only creator or moderator can remove"
+        );
+
+        relations[_id].removed = true;
+
+        emit RelationRemoved(_id, msg.sender);
+    }
+
+    /**
+     * @dev Get a relation by ID
+     * @param _id Relation ID
+     * @return Relation struct
+     */
+    function getRelation(uint256 _id) external view returns (Relation memory) {
+        require(_id > 0 && _id <= relationCount, "Relation does not exist");
+        return relations[_id];
+    }
+
+    /**
+     * @dev Get every relation a CTI takes part in, as source or target.
+     * Removed relations are included; check their removed flag.
+     * @param _ctiId CTI ID
+     * @return Relation IDs, oldest first
+     */
+    function getRelationsForCTI(uint256 _ctiId) external view returns (uint256[] memory) {
+        return ctiRelations[_ctiId];
+    }
+
+    /**
+     * @dev Key under which a relation is stored, for looking it up in relationIds.
+     * Symmetric relations are keyed with the lower CTI ID first.
+     * @param _sourceId Source CTI ID
+     * @param _targetId Target CTI ID
+     * @param _relationType Kind of relation
+     * @return Relation key
+     */
+    function relationKey(uint256 _sourceId, uint256 _targetId, RelationType _relationType)
+        public
+        pure
+        returns (bytes32)
+    {
+        if (_isSymmetric(_relationType) && _sourceId > _targetId) {
+            (_sourceId, _targetId) = (_targetId, _sourceId);
+        }
+        return keccak256(abi.encode(_sourceId, _targetId, _relationType));
+    }
+
+    function _isSymmetric(RelationType _relationType) internal pure returns (bool) {
+        return _relationType == RelationType.RelatedTo || _relationType == RelationType.SameActor;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title RevisionHistory
+ * @dev Archive of superseded CTI versions for CTIRegistry. Each time a
+ * submitter revises a CTI, the registry archives the version being replaced
+ * here. The current version is the registry's CTI record itself.
+ */
+contract RevisionHistory {
+    struct Revision {
+        string ipfsHash;
+        string category;
+        string title;
+        uint256 timestamp;
+    }
+
+    ICTIRegistry public immutable registry;
+
+    mapping(uint256 => Revision[]) private revisions;
+
+    modifier onlyRegistry() {
+        require(msg.sender == address(registry), "Caller is not the registry");
+        _;
+    }
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+    }
+
+    /**
+     * @dev Archive the version of a CTI that a revision replaces
+     * @param _id CTI ID
+     * @param _ipfsHash IPFS hash of the replaced version
+     * @param _category Category of the replaced version
+     * @param _title Title of the replaced version
+     * @param _timestamp Time the replaced version was published
+     * @return Revision number of the new version, 0 being the original submission
+     */
+    function recordRevision(
+        uint256 _id,
+        string calldata _ipfsHash,
+        string calldata _category,
+        string calldata _title,
+        uint256 _timestamp
+    ) external onlyRegistry returns (uint256) {
+        revisions[_id].push(Revision({
+            ipfsHash: _ipfsHash,
+            category: _category,
+            title: _title,
+            timestamp: _timestamp
+        }));
+
+        return revisions[_id].length;
+    }
+
+    /**
+     * @dev Get the number of revisions of a CTI, including the original and the current version
+     * @param _id CTI ID
+     * @return Revision count (1 for a CTI that was never revised)
+     */
+    function getRevisionCount(uint256 _id) external view returns (uint256) {
+        require(_id > 0 && _id <= registry.ctiCounter(), "CTI does not exist");
+        return revisions[_id].length + 1;
+    }
+
+    /**
+     * @dev Get an archived revision of a CTI. The latest revision,
+     * getRevisionCount(_id) - 1, is the current CTI record in the registry.
+     * @param _id CTI ID
+     * @param _revision Revision index, 0 being the original submission
+     * @return Revision struct
+     */
+    function getRevision(uint256 _id, uint256 _revision) external view returns (Revision memory) {
+        require(_revision < revisions[_id].length, "Revision does not exist");
+        return revisions[_id][_revision];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title SharingGroupRegistry
+ * @dev Directory of encryption public keys and named sharing groups used to
+ * share encrypted CTI documents. Analysts publish a compressed secp256k1 key
+ * derived in the browser; submitters wrap a document's content key for every
+ * member of a group. Only public keys are stored here, never content keys.
+ */
+contract SharingGroupRegistry {
+    struct SharingGroup {
+        uint256 id;
+        string name;
+        address owner;
+    }
+
+    uint256 public groupCount = 0;
+    mapping(uint256 => SharingGroup) public groups;
+    mapping(bytes32 => uint256) public groupIds;
+    mapping(address => bytes) public encryptionKeys;
+    mapping(uint256 => mapping(address => bool)) public isGroupMember;
+    mapping(uint256 => address[]) private groupMembers;
+    mapping(uint256 => mapping(address => uint256)) private memberIndex;
+
+    event EncryptionKeySet(address indexed account, bytes publicKey);
+
+    event SharingGroupCreated(uint256 indexed id, string name, address indexed owner);
+
+    event GroupMemberAdded(uint256 indexed id, address indexed member);
+
+    event GroupMemberRemoved(uint256 indexed id, address indexed member);
+
+    modifier groupExists(uint256 _id) {
+        require(_id > 0 && _id <= groupCount, "Group does not exist");
+        _;
+    }
+
+    modifier onlyGroupOwner(uint256 _id) {
+        require(groups[_id].owner == msg.sender, "Only group owner can manage members");
+        _;
+    }
+
+    /**
+     * @dev Publish the caller's encryption public key, replacing any previous one
+     * @param _publicKey Compressed secp256k1 public key (33 bytes)
+     */
+    function setEncryptionKey(bytes calldata _publicKey) external {
+        require(
+            _publicKey.length == 33 && (_publicKey[0] == 0x02 || _publicKey[0] == 0x03),
+            "Invalid public key"
+        );
+
+        encryptionKeys[msg.sender] = _publicKey;
+
+        emit EncryptionKeySet(msg.sender, _publicKey);
+    }
+
+    /**
+     * @dev Create a sharing group owned by the caller, who becomes its first member
+     * @param _name Unique group name
+     * @return ID of the new group
+     */
+    function createGroup(string memory _name) external returns (uint256) {
+        require(bytes(_name).length > 0, "Group name cannot be empty");
+        require(groupIds[keccak256(bytes(_name))] == 0, "Group already exists");
+
+        groupCount++;
+        groups[groupCount] = SharingGroup({
+            id: groupCount,
+            name: _name,
+            owner: msg.sender
+        });
+        groupIds[keccak256(bytes(_name))] = groupCount;
+
+        emit SharingGroupCreated(groupCount, _name, msg.sender);
+
+        _addMember(groupCount, msg.sender);
+
+        return groupCount;
+    }
+
+    /**
+     * @dev Add a member to a group. Members without a published key are kept
+     * but cannot receive documents until they publish one.
+     * @param _id Group ID
+     * @param _member Member address
+     */
+    function addMember(uint256 _id, address _member) external groupExists(_id) onlyGroupOwner(_id) {
+        require(_member != address(0), "Invalid member address");
+        require(!isGroupMember[_id][_member], "Already a member");
+
+        _addMember(_id, _member);
+    }
+
+    /**
+     * @dev Remove a member from a group. Documents already wrapped for the
+     * member stay readable by them; only new documents exclude them.
+     * @param _id Group ID
+     * @param _member Member address
+     */
+    function removeMember(uint256 _id, address _member) external groupExists(_id) onlyGroupOwner(_id) {
+        require(isGroupMember[_id][_member], "Not a member");
+        require(_member != groups[_id].owner, "Cannot remove group owner");
+
+        address[] storage members = groupMembers[_id];
+        uint256 index = memberIndex[_id][_member];
+        address last = members[members.length - 1];
+        members[index] = last;
+        memberIndex[_id][last] = index;
+        members.pop();
+
+        delete memberIndex[_id][_member];
+        isGroupMember[_id][_member] = false;
+
+        emit GroupMemberRemoved(_id, _member);
+    }
+
+    /**
+     * @dev Get a group by ID
+     * @param _id Group ID
+     * @return SharingGroup struct
+     */
+    function getGroup(uint256 _id) external view groupExists(_id) returns (SharingGroup memory) {
+        return groups[_id];
+    }
+
+    /**
+     * @dev Get the members of a group and their published keys
+     * @param _id Group ID
+     * @return members Member addresses
+     * @return publicKeys Encryption keys, empty for members without one
+     */
+    function getGroupMembers(uint256 _id)
+        external
+        view
+        groupExists(_id)
+        returns (address[] memory members, bytes[] memory publicKeys)
+    {
+        members = groupMembers[_id];
+        publicKeys = new bytes[](members.length);
+        for (uint256 i = 0; i < members.length; i++) {
+            publicKeys[i] = encryptionKeys[members[i]];
+        }
+    }
+
+    function _addMember(uint256 _id, address _member) internal {
+        memberIndex[_id][_member] = groupMembers[_id].length;
+        groupMembers[_id].push(_member);
+        isGroupMember[_id][_member] = true;
+
+        emit GroupMemberAdded(_id, _member);
+    }
+}
\ No newline at end of file
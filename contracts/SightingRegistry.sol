@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/ICTIRegistry.sol";
+
+/**
+ * @title SightingRegistry
+ * @dev Records that users observed a reported threat in their environment.
+ * Sightings are a separate signal from validation votes: the same user may
+ * report a threat again each time they see it, and no reputation is at stake.
+ * Context about each sighting is a JSON document on IPFS.
+ */
+contract SightingRegistry {
+    struct SightingStats {
+        uint256 count;
+        uint256 reporterCount;
+        uint256 firstSeen;
+        uint256 lastSeen;
+    }
+
+    // Minimum time between two sightings of the same CTI by the same user
+    uint256 public constant SIGHTING_INTERVAL = 1 hours;
+
+    ICTIRegistry public immutable registry;
+
+    // First block to scan for sighting events
+    uint256 public immutable deploymentBlock;
+
+    uint256 public sightingCount = 0;
+    mapping(uint256 => SightingStats) private sightingStats;
+    mapping(uint256 => mapping(address => uint256)) public sightingsBy;
+    mapping(uint256 => mapping(address => uint256)) public lastSightingBy;
+
+    event SightingReported(
+        uint256 indexed ctiId,
+        address indexed reporter,
+        uint256 timestamp,
+        string contextCid
+    );
+
+    constructor(address _registry) {
+        require(_registry != address(0), "Invalid registry address");
+        registry = ICTIRegistry(_registry);
+        deploymentBlock = block.number;
+    }
+
+    /**
+     * @dev Report a sighting of an active CTI
+     * @param _ctiId CTI ID
+     * @param _contextCid IPFS CID of the sighting context, or empty
+     */
+    function reportSighting(uint256 _ctiId, string memory _contextCid) external {
+        registry.getSubmitter(_ctiId);
+
+        uint256 previous = lastSightingBy[_ctiId][msg.sender];
+        require(
+            previous == 0 || block.timestamp >= previous + SIGHTING_INTERVAL,
+            "Sighting reported too recently"
+        );
+
+        SightingStats storage stats = sightingStats[_ctiId];
+        if (stats.count == 0) {
+            stats.firstSeen = block.timestamp;
+        }
+        if (sightingsBy[_ctiId][msg.sender] == 0) {
+            stats.reporterCount++;
+        }
+        stats.count++;
+        stats.lastSeen = block.timestamp;
+
+        sightingsBy[_ctiId][msg.sender]++;
+        lastSightingBy[_ctiId][msg.sender] = block.timestamp;
+        sightingCount++;
+
+        emit SightingReported(_ctiId, msg.sender, block.timestamp, _contextCid);
+    }
+
+    /**
+     * @dev Get sighting totals of a CTI
+     * @param _ctiId CTI ID
+     * @return Sighting count, distinct reporters, and first and last sighting times (0 if never seen)
+     */
+    function getSightingStats(uint256 _ctiId) external view returns (SightingStats memory) {
+        return sightingStats[_ctiId];
+    }
+}
\ No newline at end of file
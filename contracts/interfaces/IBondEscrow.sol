@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IBondEscrow
+ * @dev Subset of BondEscrow used by CTIRegistry to hold submission bonds
+ */
+interface IBondEscrow {
+    function submissionBond() external view returns (uint256);
+
+    function depositBond(uint256 _id, address _payer) external payable;
+
+    function refundBond(uint256 _id) external;
+
+    function restoreBond(uint256 _id) external;
+
+    function returnBond(uint256 _id) external;
+
+    function slashBond(uint256 _id) external;
+}
\ No newline at end of file
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ICTIIndex
+ * @dev Subset of CTIIndex used by CTIRegistry to keep its lookup indexes current
+ */
+interface ICTIIndex {
+    function recordSubmission(uint256 _id, address _submitter, string calldata _category) external;
+
+    function recordCategoryChange(uint256 _id, string calldata _category) external;
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ICTIRegistry
+ * @dev Subset of CTIRegistry used by companion contracts
+ */
+interface ICTIRegistry {
+    // Mirrors CTIRegistry.CTI, with its enums as uint8
+    struct CTIRecord {
+        uint256 id;
+        address submitter;
+        string ipfsHash;
+        string category;
+        string title;
+        uint256 timestamp;
+        uint256 upvotes;
+        uint256 downvotes;
+        bool isActive;
+        uint8 tlp;
+        uint256 validFrom;
+        uint256 validUntil;
+        uint8 status;
+    }
+
+    function acceptOwnership() external;
+
+    function categoryRegistry() external view returns (address);
+
+    function ctiCounter() external view returns (uint256);
+
+    function ctiStatus(uint256 _id) external view returns (uint8);
+
+    function deactivateCTI(uint256 _id, string memory _reason) external;
+
+    function getCTI(uint256 _id) external view returns (CTIRecord memory);
+
+    function getMaxPageSize() external view returns (uint256);
+
+    function getModerationState(uint256 _id) external view returns (address submitter, bool isActive, bool retracted);
+
+    function getSubmitter(uint256 _id) external view returns (address);
+
+    function getTLP(uint256 _id) external view returns (uint8);
+
+    function hasRole(bytes32 _role, address _account) external view returns (bool);
+
+    function overturnRejection(uint256 _id) external;
+
+    function paused() external view returns (bool);
+
+    function reactivateCTI(uint256 _id) external;
+
+    function recordRevealedVote(uint256 _id, address _voter, bool _isUpvote) external;
+
+    function settleRevealedVotes(uint256 _id) external;
+
+    function submitCTI(
+        string memory _ipfsHash,
+        string memory _category,
+        string memory _title,
+        uint8 _tlp,
+        uint256 _validFrom,
+        uint256 _validUntil
+    ) external payable;
+
+    function voteCTI(uint256 _id, bool _isUpvote) external;
+}
\ No newline at end of file
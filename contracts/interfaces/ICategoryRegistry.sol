@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ICategoryRegistry
+ * @dev Subset of CategoryRegistry used by CTIRegistry to validate submissions
+ */
+interface ICategoryRegistry {
+    function isActiveCategory(string memory _name) external view returns (bool);
+}
\ No newline at end of file
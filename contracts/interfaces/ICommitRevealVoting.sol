@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ICommitRevealVoting
+ * @dev Subset of CommitRevealVoting used by CTIRegistry to schedule hidden votes
+ */
+interface ICommitRevealVoting {
+    function scheduleVoting(uint256 _id) external;
+
+    function getVotingPhase(uint256 _id) external view returns (uint8);
+}
\ No newline at end of file
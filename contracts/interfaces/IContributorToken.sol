@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IContributorToken
+ * @dev Subset of ContributorToken used by CTIRegistry to reward contributors
+ */
+interface IContributorToken {
+    function rewardSubmitter(uint256 _ctiId, address _submitter) external;
+
+    function rewardVoter(uint256 _ctiId, address _voter) external;
+}
\ No newline at end of file
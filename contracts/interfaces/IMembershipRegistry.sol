@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IMembershipRegistry
+ * @dev Subset of MembershipRegistry used by CTIRegistry to gate voting and
+ * by RegistryGovernor to count votes per organization
+ */
+interface IMembershipRegistry {
+    function isMember(address _account) external view returns (bool);
+
+    function organizationOf(address _account) external view returns (uint256);
+}
\ No newline at end of file
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IRevisionHistory
+ * @dev Subset of RevisionHistory used by CTIRegistry to archive revised CTIs
+ */
+interface IRevisionHistory {
+    function recordRevision(
+        uint256 _id,
+        string calldata _ipfsHash,
+        string calldata _category,
+        string calldata _title,
+        uint256 _timestamp
+    ) external returns (uint256);
+}
\ No newline at end of file
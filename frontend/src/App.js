@@ -3,14 +3,19 @@ import './App.css';
 import Header from './components/Header';
 import CTISubmission from './components/CTISubmission';
 import CTIFeed from './components/CTIFeed';
+import BountyBoard from './components/BountyBoard';
+import ProposalBoard from './components/ProposalBoard';
 import WalletConnection from './components/WalletConnection';
-import { connectWallet, onAccountsChanged, onChainChanged, removeAllListeners } from './utils/web3';
+import { connectWallet, getReadOnlyContract, onAccountsChanged, onChainChanged, removeAllListeners } from './utils/web3';
+import { loadGaslessPreference, saveGaslessPreference } from './utils/metaTx';
 
 function App() {
   const [account, setAccount] = useState('');
   const [isConnected, setIsConnected] = useState(false);
   const [activeTab, setActiveTab] = useState('feed');
   const [loading, setLoading] = useState(false);
+  const [gasless, setGasless] = useState(loadGaslessPreference());
+  const [paused, setPaused] = useState(false);
 
   useEffect(() => {
     // Check if already connected
@@ -26,6 +31,19 @@ function App() {
     };
   }, []);
 
+  // Re-check on every tab switch so a pause is noticed before the next action
+  useEffect(() => {
+    checkPaused();
+  }, [activeTab]);
+
+  const checkPaused = async () => {
+    try {
+      setPaused(await getReadOnlyContract().paused());
+    } catch (error) {
+      console.warn('Failed to check whether the registry is paused:', error);
+    }
+  };
+
   const checkConnection = async () => {
     try {
       if (window.ethereum) {
@@ -68,6 +86,11 @@ function App() {
     }
   };
 
+  const handleToggleGasless = (enabled) => {
+    saveGaslessPreference(enabled);
+    setGasless(enabled);
+  };
+
   const handleChainChanged = () => {
     // Reload the page when chain changes
     window.location.reload();
@@ -81,9 +104,18 @@ function App() {
         onConnect={handleConnect}
         onDisconnect={handleDisconnect}
         loading={loading}
+        gasless={gasless}
+        onToggleGasless={handleToggleGasless}
       />
       
       <main className="main-content">
+        {paused && (
+          <div className="alert alert-warning">
+            🚧 The registry is paused for maintenance. Reports can still be browsed, but submissions,
+            revisions and votes are disabled until an administrator resumes it.
+          </div>
+        )}
+
         {!isConnected ? (
           <WalletConnection onConnect={handleConnect} loading={loading} />
         ) : (
@@ -101,11 +133,27 @@ function App() {
               >
                 Submit CTI
               </button>
+              <button 
+                className={`tab-button ${activeTab === 'bounties' ? 'active' : ''}`}
+                onClick={() => setActiveTab('bounties')}
+              >
+                Bounties
+              </button>
+              <button 
+                className={`tab-button ${activeTab === 'proposals' ? 'active' : ''}`}
+                onClick={() => setActiveTab('proposals')}
+              >
+                Proposals
+              </button>
             </nav>
 
             <div className="tab-content">
-              {activeTab === 'feed' && <CTIFeed account={account} />}
-              {activeTab === 'submit' && <CTISubmission account={account} />}
+              {activeTab === 'feed' && (
+                <CTIFeed account={account} gasless={gasless} paused={paused} onPauseChanged={checkPaused} />
+              )}
+              {activeTab === 'submit' && <CTISubmission account={account} gasless={gasless} paused={paused} />}
+              {activeTab === 'bounties' && <BountyBoard account={account} />}
+              {activeTab === 'proposals' && <ProposalBoard account={account} />}
             </div>
           </>
         )}
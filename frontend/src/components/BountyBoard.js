@@ -0,0 +1,384 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import {
+  getReadOnlyContract,
+  getBountyBoardContract,
+  getReadOnlyBountyBoardContract,
+  getReadOnlyCTIIndexContract,
+  formatAddress,
+  formatTimestamp,
+  formatEth
+} from '../utils/web3';
+import { getIPFSUrl } from '../utils/ipfs';
+import { loadCategories, orderCategories } from '../utils/categories';
+import { BOUNTY_STATUS, BOUNTY_STATUS_LABELS, loadBounties, uploadBountyRequest } from '../utils/bounties';
+
+const STATUS_COLORS = ['#17a2b8', '#28a745', '#6c757d'];
+
+const EMPTY_REQUEST = {
+  title: '',
+  category: '',
+  description: '',
+  reward: '',
+  deadline: ''
+};
+
+const BountyBoard = ({ account }) => {
+  const [bounties, setBounties] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [categories, setCategories] = useState([]);
+  const [myCTIs, setMyCTIs] = useState([]);
+  const [pendingWithdrawal, setPendingWithdrawal] = useState(0n);
+  const [request, setRequest] = useState(EMPTY_REQUEST);
+  const [selectedAnswers, setSelectedAnswers] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  useEffect(() => {
+    loadBoard();
+  }, [account]);
+
+  const showAlert = (type, message) => {
+    setAlert({ type, message });
+    setTimeout(() => setAlert({ type: '', message: '' }), 5000);
+  };
+
+  const loadBoard = async () => {
+    try {
+      setLoading(true);
+      setBounties(await loadBounties());
+
+      const registry = getReadOnlyContract();
+      const [allCategories, ctiIds, pending] = await Promise.all([
+        loadCategories(),
+        getReadOnlyCTIIndexContract().getCTIsBySubmitter(account, 50, 0),
+        getReadOnlyBountyBoardContract().pendingWithdrawals(account)
+      ]);
+      setCategories(orderCategories(allCategories).filter(category => !category.deprecated));
+      setPendingWithdrawal(pending);
+
+      // Only active CTIs can be linked as answers
+      const ctis = await Promise.all(ctiIds.map(async (id) => {
+        try {
+          const cti = await registry.getCTI(id);
+          return { id: Number(id), title: cti.title, category: cti.category, timestamp: Number(cti.timestamp) };
+        } catch (error) {
+          return null;
+        }
+      }));
+      setMyCTIs(ctis.filter(Boolean));
+    } catch (error) {
+      console.error('Error loading bounties:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runBountyAction = async (send, successMessage, failureMessage) => {
+    try {
+      setBusy(true);
+      const contract = await getBountyBoardContract();
+      const tx = await send(contract);
+      await tx.wait();
+      showAlert('success', successMessage);
+      await loadBoard();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      showAlert('error', `${failureMessage}: ${error.reason || error.message}`);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRequestChange = (e) => {
+    const { name, value } = e.target;
+    setRequest(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+
+    const deadline = Math.floor(new Date(request.deadline).getTime() / 1000);
+    if (!request.title.trim() || !request.category || !request.description.trim()) {
+      showAlert('error', 'Title, category and description are required');
+      return;
+    }
+    if (!(Number(request.reward) > 0)) {
+      showAlert('error', 'Reward must be a positive ETH amount');
+      return;
+    }
+    if (!(deadline > Date.now() / 1000)) {
+      showAlert('error', 'Deadline must be in the future');
+      return;
+    }
+
+    const posted = await runBountyAction(
+      async (contract) => {
+        const descriptionCID = await uploadBountyRequest(account, request.title.trim(), request.description.trim());
+        return contract.postBounty(descriptionCID, request.category, deadline, {
+          value: ethers.parseEther(request.reward)
+        });
+      },
+      'Bounty posted',
+      'Failed to post bounty'
+    );
+    if (posted) {
+      setRequest(EMPTY_REQUEST);
+    }
+  };
+
+  const handleAnswer = (bountyId) => {
+    const ctiId = selectedAnswers[bountyId];
+    if (!ctiId) {
+      showAlert('error', 'Select one of your CTI submissions');
+      return;
+    }
+    runBountyAction(
+      contract => contract.submitAnswer(bountyId, ctiId),
+      'Answer linked',
+      'Failed to answer bounty'
+    );
+  };
+
+  const isSelf = (address) => Boolean(address) && address.toLowerCase() === account.toLowerCase();
+  const now = Date.now() / 1000;
+
+  return (
+    <div>
+      {alert.message && (
+        <div className={`alert alert-${alert.type}`}>
+          {alert.message}
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Request Intelligence</h2>
+          <p>Offer an ETH reward for intel on a specific actor or campaign</p>
+        </div>
+
+        <form onSubmit={handlePost}>
+          <div className="form-group">
+            <label className="form-label">Title *</label>
+            <input
+              type="text"
+              name="title"
+              value={request.title}
+              onChange={handleRequestChange}
+              className="form-input"
+              placeholder="e.g. Infrastructure used by the XYZ ransomware affiliate"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Category *</label>
+            <select name="category" value={request.category} onChange={handleRequestChange} className="form-select">
+              <option value="">Select a category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.name}>
+                  {'\u00a0'.repeat(category.depth * 2)}{category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Description *</label>
+            <textarea
+              name="description"
+              value={request.description}
+              onChange={handleRequestChange}
+              className="form-textarea"
+              placeholder="What do you need to know, and what would a good answer contain?"
+            />
+          </div>
+
+          <div style={{ display: 'flex', gap: '1rem' }}>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label className="form-label">Reward (ETH) *</label>
+              <input
+                type="number"
+                name="reward"
+                min="0"
+                step="0.001"
+                value={request.reward}
+                onChange={handleRequestChange}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group" style={{ flex: 1 }}>
+              <label className="form-label">Answer deadline *</label>
+              <input
+                type="datetime-local"
+                name="deadline"
+                value={request.deadline}
+                onChange={handleRequestChange}
+                className="form-input"
+              />
+            </div>
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={busy}>
+            {busy ? 'Submitting...' : 'Post Bounty'}
+          </button>
+        </form>
+      </div>
+
+      {pendingWithdrawal > 0n && (
+        <div className="alert alert-info" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span>{formatEth(pendingWithdrawal)} in bounty rewards and refunds is ready to withdraw.</span>
+          <button
+            className="btn btn-primary"
+            onClick={() => runBountyAction(contract => contract.withdraw(), 'Withdrawn', 'Failed to withdraw')}
+            disabled={busy}
+          >
+            Withdraw
+          </button>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Bounties</h2>
+        </div>
+
+        {loading ? (
+          <div style={{ color: '#666' }}>Loading bounties...</div>
+        ) : bounties.length === 0 ? (
+          <div style={{ color: '#666' }}>No bounties yet</div>
+        ) : (
+          bounties.map(bounty => {
+            const isRequester = isSelf(bounty.requester);
+            const isOpen = bounty.status === BOUNTY_STATUS.OPEN;
+            const expired = bounty.deadline <= now;
+            // Answers must be in the bounty's category and submitted after it was posted
+            const answerable = myCTIs.filter(cti =>
+              cti.category === bounty.category &&
+              cti.timestamp >= bounty.createdAt &&
+              !bounty.answers.some(answer => answer.id === cti.id)
+            );
+
+            return (
+              <div key={bounty.id} className="cti-item">
+                <div className="cti-header">
+                  <div>
+                    <h3 className="cti-title">{bounty.title}</h3>
+                    <div className="cti-meta">
+                      <span>ID: #{bounty.id}</span>
+                      <span>By: {formatAddress(bounty.requester)}</span>
+                      <span>{expired ? 'Closed' : 'Open until'} {formatTimestamp(bounty.deadline)}</span>
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start' }}>
+                    <span className="cti-category" style={{ backgroundColor: '#ffc107', color: '#000' }}>
+                      {formatEth(bounty.reward)}
+                    </span>
+                    <span className="cti-category" style={{ backgroundColor: '#6c757d' }}>
+                      {bounty.category}
+                    </span>
+                    <span className="cti-category" style={{ backgroundColor: STATUS_COLORS[bounty.status] }}>
+                      {BOUNTY_STATUS_LABELS[bounty.status]}
+                    </span>
+                  </div>
+                </div>
+
+                {bounty.description && (
+                  <p style={{ color: '#666', lineHeight: '1.5', marginBottom: '1rem' }}>{bounty.description}</p>
+                )}
+
+                <div style={{ marginBottom: '1rem', fontSize: '0.9rem' }}>
+                  <strong>Answers:</strong>
+                  {bounty.answers.length === 0 && <span style={{ color: '#666' }}> none yet</span>}
+                  {bounty.answers.map(answer => (
+                    <div
+                      key={answer.id}
+                      style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.25rem' }}
+                    >
+                      <span>
+                        {bounty.awardedCTI === answer.id && '🏆 '}
+                        #{answer.id} {answer.active ? `${answer.title} by ${formatAddress(answer.submitter)}` : '(no longer active)'}
+                      </span>
+                      {isRequester && isOpen && answer.active && (
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => runBountyAction(
+                            contract => contract.awardBounty(bounty.id, answer.id),
+                            'Bounty awarded',
+                            'Failed to award bounty'
+                          )}
+                          disabled={busy}
+                        >
+                          Award
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                  {isOpen && !expired && !isRequester && answerable.length > 0 && (
+                    <>
+                      <select
+                        value={selectedAnswers[bounty.id] || ''}
+                        onChange={(e) => setSelectedAnswers(prev => ({ ...prev, [bounty.id]: e.target.value }))}
+                        className="form-select"
+                        style={{ width: 'auto' }}
+                      >
+                        <option value="">Answer with one of your CTIs</option>
+                        {answerable.map(cti => (
+                          <option key={cti.id} value={cti.id}>#{cti.id} {cti.title}</option>
+                        ))}
+                      </select>
+                      <button className="btn btn-primary" onClick={() => handleAnswer(bounty.id)} disabled={busy}>
+                        Answer
+                      </button>
+                    </>
+                  )}
+                  {isOpen && expired && bounty.answers.length > 0 && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => runBountyAction(
+                        contract => contract.awardValidatedAnswer(bounty.id),
+                        'Bounty awarded to the validated answer',
+                        'Failed to award bounty'
+                      )}
+                      disabled={busy}
+                      title="Award the earliest answer that voters validated"
+                    >
+                      Award validated answer
+                    </button>
+                  )}
+                  {isOpen && isRequester && (bounty.answers.length === 0 || expired) && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => runBountyAction(
+                        contract => contract.refundBounty(bounty.id),
+                        'Bounty refunded',
+                        'Failed to refund bounty'
+                      )}
+                      disabled={busy}
+                    >
+                      Refund
+                    </button>
+                  )}
+                  <a
+                    href={getIPFSUrl(bounty.descriptionCID)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    style={{ fontSize: '0.85rem' }}
+                  >
+                    View request on IPFS
+                  </a>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BountyBoard;
\ No newline at end of file
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { getContract, getReadOnlyContract, formatEth, isPausedError } from '../utils/web3';
+import { getTLPLevel, getTLPBadgeStyle, isPublicTLP } from '../utils/tlp';
+import { loadBulkReports, validateBulkReport, uploadBulkReport } from '../utils/bulkUpload';
+
+const BulkSubmission = ({ categories, submissionBond, gasless, paused, showAlert, registerIndicators, onSubmitted }) => {
+  const [reports, setReports] = useState([]);
+  const [maxBatchSize, setMaxBatchSize] = useState(null);
+  const [progress, setProgress] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadMaxBatchSize();
+  }, []);
+
+  const loadMaxBatchSize = async () => {
+    try {
+      setMaxBatchSize(Number(await getReadOnlyContract().MAX_BATCH_SIZE()));
+    } catch (error) {
+      console.warn('Failed to load batch size limit:', error);
+    }
+  };
+
+  const categoryNames = categories.map(category => category.name);
+  const errors = reports.map(report => validateBulkReport(report, categoryNames));
+  const invalidCount = errors.filter(Boolean).length;
+  const tooMany = maxBatchSize !== null && reports.length > maxBatchSize;
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) {
+      return;
+    }
+
+    try {
+      const loaded = await loadBulkReports(files);
+      setReports(loaded);
+      showAlert(loaded.length > 0 ? 'success' : 'error', loaded.length > 0
+        ? `Loaded ${loaded.length} report${loaded.length > 1 ? 's' : ''}`
+        : 'The manifest does not contain any reports');
+    } catch (error) {
+      setReports([]);
+      showAlert('error', error.message);
+    }
+  };
+
+  const getSubmittedCTIIds = (contract, receipt) => {
+    const ids = [];
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === 'CTISubmitted') {
+          ids.push(Number(parsed.args.id));
+        }
+      } catch (error) {
+        // Not a registry event
+      }
+    }
+    return ids;
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setLoading(true);
+
+      const cids = [];
+      for (const [index, report] of reports.entries()) {
+        setProgress(`Uploading report ${index + 1} of ${reports.length} to IPFS...`);
+        cids.push(await uploadBulkReport(report));
+      }
+
+      setProgress('Submitting batch to blockchain...');
+      const contract = await getContract();
+      const bond = await contract.getSubmissionBond();
+      const tx = await contract.submitCTIBatch(
+        cids,
+        reports.map(report => report.category),
+        reports.map(report => report.title),
+        reports.map(report => report.tlp),
+        reports.map(report => report.validFrom),
+        reports.map(report => report.validUntil),
+        { value: bond * ethers.toBigInt(reports.length) }
+      );
+
+      setProgress('Waiting for transaction confirmation...');
+      const receipt = await tx.wait();
+
+      // Same rule as single submissions: only public reports are indexed
+      const ids = getSubmittedCTIIds(contract, receipt);
+      for (const [index, report] of reports.entries()) {
+        if (report.indicators.length > 0 && isPublicTLP(report.tlp)) {
+          setProgress(`Indexing indicators of CTI #${ids[index]}...`);
+          await registerIndicators(ids[index], report.indicators);
+        }
+      }
+
+      showAlert('success', `Submitted ${reports.length} reports in one transaction (CTI #${ids[0]} to #${ids[ids.length - 1]})`);
+      setReports([]);
+      await onSubmitted();
+    } catch (error) {
+      console.error('Error submitting batch:', error);
+      showAlert('error', isPausedError(error)
+        ? 'Submissions are paused for maintenance. Please try again later.'
+        : error.reason || error.message || 'Failed to submit batch');
+    } finally {
+      setProgress('');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="form-group">
+        <label className="form-label">Manifest or Folder</label>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => document.getElementById('bulk-files').click()}
+            disabled={loading}
+          >
+            📄 Select manifest and files
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => document.getElementById('bulk-folder').click()}
+            disabled={loading}
+          >
+            📁 Select folder
+          </button>
+        </div>
+        <input id="bulk-files" type="file" multiple onChange={handleFiles} style={{ display: 'none' }} />
+        <input id="bulk-folder" type="file" webkitdirectory="" onChange={handleFiles} style={{ display: 'none' }} />
+        <small style={{ color: '#666', fontSize: '0.9rem' }}>
+          A manifest.json (array of reports) or manifest.csv (header row) lists one report per entry with
+          title, category, description, severity, tlp, indicators, tags, optional validFrom and validUntil
+          (unix seconds or ISO dates; defaults to now with no expiry) and an optional file name from the
+          same selection. Separate CSV indicators and tags with semicolons. A folder without a manifest is
+          read as one JSON report per file. Bulk uploads are not encrypted, so only TLP:CLEAR and TLP:GREEN
+          reports are accepted; submit restricted reports one at a time and share them with a group.
+        </small>
+      </div>
+
+      {reports.length > 0 && (
+        <div className="form-group">
+          {reports.map((report, index) => (
+            <div
+              key={report.row}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: '1rem',
+                padding: '0.5rem 0',
+                borderBottom: '1px solid #e9ecef',
+                fontSize: '0.9rem'
+              }}
+            >
+              <span>
+                <strong>{report.row}.</strong> {report.title || <em>Untitled</em>}
+                <span style={{ color: '#666' }}>
+                  {report.category && ` · ${report.category}`}
+                  {report.indicators.length > 0 && ` · ${report.indicators.length} IoCs`}
+                  {report.validUntil > 0 && ` · valid until ${new Date(report.validUntil * 1000).toLocaleDateString()}`}
+                  {report.fileName && ` · ${report.fileName}`}
+                </span>
+                {errors[index] && (
+                  <div style={{ color: '#dc3545' }}>⚠️ {errors[index]}</div>
+                )}
+              </span>
+              {report.tlp !== null && (
+                <span className="cti-category" style={getTLPBadgeStyle(report.tlp)}>
+                  {getTLPLevel(report.tlp).label}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {tooMany && (
+        <div className="alert alert-error">
+          A batch can hold at most {maxBatchSize} reports. Split the manifest into smaller batches.
+        </div>
+      )}
+
+      {reports.length > 0 && submissionBond > 0n && (
+        <div className="alert alert-info">
+          A submission bond of <strong>{formatEth(submissionBond)}</strong> per report,{' '}
+          <strong>{formatEth(submissionBond * ethers.toBigInt(reports.length))}</strong> in total, will be sent with this batch.
+        </div>
+      )}
+
+      {gasless && (
+        <div className="alert alert-info">
+          Batches are sent from your own wallet; gasless mode only relays single submissions.
+        </div>
+      )}
+
+      {progress && <div className="alert alert-info">{progress}</div>}
+
+      <button
+        type="button"
+        className="btn btn-primary"
+        onClick={handleSubmit}
+        disabled={loading || paused || reports.length === 0 || invalidCount > 0 || tooMany}
+        style={{ width: '100%', fontSize: '1.1rem' }}
+      >
+        {loading ? (
+          <>
+            <div className="spinner" style={{ width: '20px', height: '20px', marginRight: '0.5rem' }}></div>
+            Submitting...
+          </>
+        ) : paused ? (
+          'Submissions Paused'
+        ) : invalidCount > 0 ? (
+          `Fix ${invalidCount} report${invalidCount > 1 ? 's' : ''} to submit`
+        ) : reports.length > 0 ? (
+          `Submit ${reports.length} Report${reports.length > 1 ? 's' : ''} in One Transaction`
+        ) : (
+          'Submit Reports'
+        )}
+      </button>
+    </div>
+  );
+};
+
+export default BulkSubmission;
\ No newline at end of file
@@ -1,34 +1,175 @@
 import React, { useState, useEffect } from 'react';
-import { getReadOnlyContract, getContract, formatAddress, formatTimestamp } from '../utils/web3';
+import {
+  getReadOnlyContract,
+  getContract,
+  getReadOnlyCommitRevealVotingContract,
+  getCommitRevealVotingContract,
+  getReadOnlyCTIIndexContract,
+  getReadOnlyRevisionHistoryContract,
+  formatAddress,
+  formatTimestamp,
+  isPausedError
+} from '../utils/web3';
 import { getIPFSUrl, retrieveJSONFromIPFS } from '../utils/ipfs';
+import { createVoteCommitment, saveVoteSecret, loadVoteSecret, clearVoteSecret } from '../utils/voteSecrets';
+import { signAndRelayVote } from '../utils/metaTx';
+import ModeratorToolbar from './ModeratorToolbar';
+import MaintenanceControls from './MaintenanceControls';
+import RewardsPanel from './RewardsPanel';
+import VoterList from './VoterList';
+import RevisionDiff from './RevisionDiff';
+import IndicatorLookup from './IndicatorLookup';
+import CategoryManager from './CategoryManager';
+import DisputeThread from './DisputeThread';
+import RelatedReports from './RelatedReports';
+import DiscussionPanel from './DiscussionPanel';
+import SightingTimeline from './SightingTimeline';
+import { loadCategories, orderCategories, getCategoryColor, getCategoryFamily } from '../utils/categories';
+import { getTLPLevel, getTLPBadgeStyle, canViewCTI } from '../utils/tlp';
+import { loadDisputeSummary, getDisputeBadge } from '../utils/disputes';
+import { loadSightingStats } from '../utils/sightings';
+import {
+  isEncryptedEnvelope,
+  isEnvelopeRecipient,
+  getCachedEncryptionKey,
+  deriveEncryptionKey,
+  decryptEnvelope,
+  decryptJSON
+} from '../utils/encryption';
 
-const CTIFeed = ({ account }) => {
+// Mirrors CTIRegistry.CTIStatus
+const STATUS_LABELS = ['Pending', 'Validated', 'Rejected', 'Inconclusive'];
+const STATUS_COLORS = ['#6c757d', '#28a745', '#dc3545', '#fd7e14'];
+
+const FEED_PAGE_SIZE = 20;
+
+// Mirrors CommitRevealVoting.VotingPhase
+const PHASE_OPEN = 0;
+const PHASE_COMMIT = 1;
+const PHASE_REVEAL = 2;
+const PHASE_CLOSED = 3;
+
+// Mirrors CTIRegistry.VoteChoice
+const VOTE_NONE = 0;
+const VOTE_UP = 1;
+const VOTE_DOWN = 2;
+
+const CTIFeed = ({ account, gasless, paused, onPauseChanged }) => {
   const [ctiList, setCtiList] = useState([]);
   const [loading, setLoading] = useState(true);
   const [voting, setVoting] = useState({});
   const [expandedItems, setExpandedItems] = useState({});
   const [filter, setFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
   const [sortBy, setSortBy] = useState('newest');
+  const [showExpired, setShowExpired] = useState(false);
+  const [isModerator, setIsModerator] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [moderating, setModerating] = useState(false);
+  const [userReputation, setUserReputation] = useState(null);
+  const [validationRules, setValidationRules] = useState(null);
+  const [indicatorMatches, setIndicatorMatches] = useState(null);
+  const [restrictedCount, setRestrictedCount] = useState(0);
 
   useEffect(() => {
     loadCTIFeed();
+  }, [filter]);
+
+  useEffect(() => {
+    loadFeedCategories();
+    checkModeratorRole();
+    loadUserReputation();
+    loadValidationRules();
   }, []);
 
+  const loadFeedCategories = async () => {
+    try {
+      setCategories(await loadCategories());
+    } catch (error) {
+      console.warn('Failed to load categories:', error);
+    }
+  };
+
+  const loadUserReputation = async () => {
+    try {
+      const contract = getReadOnlyContract();
+      const [reputation, weight] = await Promise.all([
+        contract.reputation(account),
+        contract.getVoteWeight(account)
+      ]);
+      setUserReputation({ reputation: Number(reputation), weight: Number(weight) });
+    } catch (error) {
+      console.warn('Failed to load reputation:', error);
+    }
+  };
+
+  const loadValidationRules = async () => {
+    try {
+      const rules = await getReadOnlyContract().getValidationRules();
+      setValidationRules({ quorum: Number(rules.quorum), approval: Number(rules.approval) });
+    } catch (error) {
+      console.warn('Failed to load validation rules:', error);
+    }
+  };
+
+  const checkModeratorRole = async () => {
+    try {
+      const contract = getReadOnlyContract();
+      const [moderatorRole, adminRole] = await Promise.all([
+        contract.MODERATOR_ROLE(),
+        contract.ADMIN_ROLE()
+      ]);
+      const [moderator, admin] = await Promise.all([
+        contract.hasRole(moderatorRole, account),
+        contract.hasRole(adminRole, account)
+      ]);
+      setIsModerator(moderator);
+      setIsAdmin(admin);
+    } catch (error) {
+      console.warn('Failed to check moderator role:', error);
+      setIsModerator(false);
+      setIsAdmin(false);
+    }
+  };
+
+  // Load the IDs for the current filter from the on-chain indexes
+  const getFeedIds = async (contract) => {
+    if (filter === 'my-submissions') {
+      return getReadOnlyCTIIndexContract().getCTIsBySubmitter(account, FEED_PAGE_SIZE, 0);
+    }
+
+    if (filter !== 'all') {
+      // Include sub-categories, newest first across all of them
+      const ctiIndex = getReadOnlyCTIIndexContract();
+      const pages = await Promise.all(
+        getCategoryFamily(categories, filter).map(name =>
+          ctiIndex.getCTIsByCategory(name, FEED_PAGE_SIZE, 0)
+        )
+      );
+      return pages
+        .flat()
+        .map(id => Number(id))
+        .sort((a, b) => b - a)
+        .slice(0, FEED_PAGE_SIZE);
+    }
+
+    return contract.getActiveCTIs(FEED_PAGE_SIZE, 0);
+  };
+
   const loadCTIFeed = async () => {
     try {
       setLoading(true);
       const contract = getReadOnlyContract();
+      const votingContract = getReadOnlyCommitRevealVotingContract();
       
-      // Get active CTI IDs
-      const ctiIds = await contract.getActiveCTIs(20, 0);
+      const ctiIds = await getFeedIds(contract);
       
       // Load CTI details
       const ctiPromises = ctiIds.map(async (id) => {
         try {
           const cti = await contract.getCTI(id);
-          const score = await contract.getCTIScore(id);
-          const hasVoted = account ? await contract.hasUserVoted(id, account) : false;
-          
+
           // Try to load metadata from IPFS
           let metadata = null;
           try {
@@ -36,7 +177,45 @@ const CTIFeed = ({ account }) => {
           } catch (error) {
             console.warn(`Failed to load metadata for CTI ${id}:`, error);
           }
-          
+
+          // Encrypted metadata is decrypted once the wallet's key is unlocked
+          const envelope = isEncryptedEnvelope(metadata) ? metadata : null;
+          const isRecipient = Boolean(envelope) && isEnvelopeRecipient(envelope, account);
+          if (envelope) {
+            metadata = isRecipient ? await openEnvelope(id, envelope) : null;
+          }
+
+          // TLP:AMBER and TLP:RED reports stay out of the public feed unless
+          // they were encrypted for the connected wallet
+          if (!canViewCTI(cti, account) && !isRecipient) {
+            return { id: Number(cti.id), restricted: true };
+          }
+
+          const score = await contract.getCTIScore(id);
+          const decayedScore = await contract.getDecayedScore(id);
+          const expired = await contract.isExpired(id);
+          const userVote = account ? Number(await contract.getUserVote(id, account)) : VOTE_NONE;
+          const phase = Number(await votingContract.getVotingPhase(id));
+          const schedule = await votingContract.voteSchedules(id);
+          const revisionCount = await getReadOnlyRevisionHistoryContract().getRevisionCount(id);
+          const commitment = account && phase !== PHASE_OPEN
+            ? await votingContract.voteCommitments(id, account)
+            : null;
+
+          let dispute = null;
+          try {
+            dispute = await loadDisputeSummary(id);
+          } catch (error) {
+            console.warn(`Failed to load disputes for CTI ${id}:`, error);
+          }
+
+          let sightings = null;
+          try {
+            sightings = await loadSightingStats(id);
+          } catch (error) {
+            console.warn(`Failed to load sightings for CTI ${id}:`, error);
+          }
+
           return {
             id: Number(cti.id),
             submitter: cti.submitter,
@@ -47,7 +226,25 @@ const CTIFeed = ({ account }) => {
             upvotes: Number(cti.upvotes),
             downvotes: Number(cti.downvotes),
             score: Number(score),
-            hasVoted,
+            decayedScore: Number(decayedScore),
+            expired,
+            validFrom: Number(cti.validFrom),
+            validUntil: Number(cti.validUntil),
+            rawScore: Number(cti.upvotes) - Number(cti.downvotes),
+            status: Number(cti.status),
+            hasVoted: userVote !== VOTE_NONE,
+            userVote,
+            phase,
+            commitEnd: Number(schedule.commitEnd),
+            revealEnd: Number(schedule.revealEnd),
+            hasCommitted: Boolean(commitment) && !/^0x0+$/.test(commitment),
+            revisionCount: Number(revisionCount),
+            tlp: Number(cti.tlp),
+            encrypted: Boolean(envelope),
+            sharingGroup: envelope?.sharingGroup || null,
+            isRecipient,
+            dispute,
+            sightings,
             metadata
           };
         } catch (error) {
@@ -57,7 +254,8 @@ const CTIFeed = ({ account }) => {
       });
       
       const ctiData = (await Promise.all(ctiPromises)).filter(Boolean);
-      setCtiList(ctiData);
+      setRestrictedCount(ctiData.filter(cti => cti.restricted).length);
+      setCtiList(ctiData.filter(cti => !cti.restricted));
       
     } catch (error) {
       console.error('Error loading CTI feed:', error);
@@ -66,25 +264,212 @@ const CTIFeed = ({ account }) => {
     }
   };
 
-  const handleVote = async (ctiId, isUpvote) => {
+  const openEnvelope = async (ctiId, envelope) => {
+    const encryptionKey = getCachedEncryptionKey(account);
+    if (!encryptionKey) {
+      return null;
+    }
+    try {
+      return await decryptJSON(envelope, account, encryptionKey);
+    } catch (error) {
+      console.warn(`Failed to decrypt metadata for CTI ${ctiId}:`, error);
+      return null;
+    }
+  };
+
+  const handleUnlock = async () => {
+    try {
+      await deriveEncryptionKey(account);
+      await loadCTIFeed();
+    } catch (error) {
+      console.error('Error unlocking encryption key:', error);
+      alert('Failed to unlock encryption key: ' + error.message);
+    }
+  };
+
+  const handleDownloadAttachment = async (cti) => {
+    try {
+      const envelope = await retrieveJSONFromIPFS(cti.metadata.ipfsHash);
+      const data = await decryptEnvelope(envelope, account, await deriveEncryptionKey(account));
+      const attachment = cti.metadata.attachment || {};
+      const url = URL.createObjectURL(new Blob([data], { type: attachment.type || 'application/octet-stream' }));
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name || `cti-${cti.id}-attachment`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error decrypting attachment:', error);
+      alert('Failed to decrypt attachment: ' + error.message);
+    }
+  };
+
+  const runVoteAction = async (ctiId, label, action) => {
     try {
       setVoting(prev => ({ ...prev, [ctiId]: true }));
       
-      const contract = await getContract();
-      const tx = await contract.voteCTI(ctiId, isUpvote);
-      await tx.wait();
+      await action();
       
       // Reload the feed to get updated vote counts
       await loadCTIFeed();
+      await loadUserReputation();
+      return true;
       
     } catch (error) {
-      console.error('Error voting:', error);
-      alert('Failed to vote: ' + error.message);
+      console.error(`Error trying to ${label}:`, error);
+      if (isPausedError(error)) {
+        // The maintenance banner explains why; no need for the raw revert
+        await onPauseChanged();
+      } else {
+        alert(`Failed to ${label}: ` + error.message);
+      }
+      return false;
     } finally {
       setVoting(prev => ({ ...prev, [ctiId]: false }));
     }
   };
 
+  const submitVoteTransaction = (ctiId, label, send, connect = getContract) => {
+    return runVoteAction(ctiId, label, async () => {
+      const contract = await connect();
+      const tx = await send(contract);
+      await tx.wait();
+    });
+  };
+
+  // Open voting: cast a vote, switch it, or withdraw it by clicking the current choice again
+  const handleVote = (cti, isUpvote) => {
+    const choice = isUpvote ? VOTE_UP : VOTE_DOWN;
+
+    if (cti.userVote === VOTE_NONE) {
+      // Only first votes can be relayed; changes and withdrawals are sent directly
+      if (gasless) {
+        return runVoteAction(cti.id, 'vote', () => signAndRelayVote(account, cti.id, isUpvote));
+      }
+      return submitVoteTransaction(cti.id, 'vote', (contract) => contract.voteCTI(cti.id, isUpvote));
+    }
+    if (cti.userVote === choice) {
+      return submitVoteTransaction(cti.id, 'withdraw vote', (contract) => contract.withdrawVote(cti.id));
+    }
+    return submitVoteTransaction(cti.id, 'change vote', (contract) => contract.changeVote(cti.id, isUpvote));
+  };
+
+  const getVoteButtonProps = (cti, isUpvote) => {
+    const isOwnSubmission = cti.submitter.toLowerCase() === account.toLowerCase();
+
+    if (cti.phase === PHASE_COMMIT) {
+      const secret = cti.hasCommitted ? loadVoteSecret(cti.id, account) : null;
+      return {
+        selected: secret ? secret.isUpvote === isUpvote : false,
+        onClick: () => handleCommitVote(cti.id, isUpvote),
+        disabled: voting[cti.id] || cti.hasCommitted || isOwnSubmission || paused,
+        title: paused
+          ? 'Voting is paused for maintenance'
+          : cti.hasCommitted ? 'Your vote is committed and will be counted once revealed' : ''
+      };
+    }
+
+    const selected = cti.userVote === (isUpvote ? VOTE_UP : VOTE_DOWN);
+    return {
+      selected,
+      onClick: () => handleVote(cti, isUpvote),
+      disabled: voting[cti.id] || isOwnSubmission || cti.phase !== PHASE_OPEN || cti.status !== 0 || paused,
+      title: paused
+        ? 'Voting is paused for maintenance'
+        : selected
+          ? 'Click again to withdraw your vote'
+          : cti.userVote !== VOTE_NONE ? 'Switch your vote' : ''
+    };
+  };
+
+  const handleCommitVote = (ctiId, isUpvote) => {
+    // Save the salt before sending so it survives a closed tab mid-transaction
+    const secret = createVoteCommitment(ctiId, account, isUpvote);
+    saveVoteSecret(ctiId, account, secret);
+    return submitVoteTransaction(
+      ctiId,
+      'commit vote',
+      (votingContract) => votingContract.commitVote(ctiId, secret.commitment),
+      getCommitRevealVotingContract
+    );
+  };
+
+  const handleRevealVote = async (ctiId) => {
+    const secret = loadVoteSecret(ctiId, account);
+    if (!secret) {
+      alert('The salt for this vote was not found in this browser. Reveal it from the browser you committed with.');
+      return;
+    }
+
+    const revealed = await submitVoteTransaction(
+      ctiId,
+      'reveal vote',
+      (votingContract) => votingContract.revealVote(ctiId, secret.isUpvote, secret.salt),
+      getCommitRevealVotingContract
+    );
+    if (revealed) {
+      clearVoteSecret(ctiId, account);
+    }
+  };
+
+  const handleFinalizeVoting = (ctiId) =>
+    submitVoteTransaction(
+      ctiId,
+      'finalize voting',
+      (votingContract) => votingContract.finalizeVoting(ctiId),
+      getCommitRevealVotingContract
+    );
+
+  const getPhaseLabel = (cti) => {
+    switch (cti.phase) {
+      case PHASE_COMMIT:
+        return `🔒 Commit phase · until ${formatTimestamp(cti.commitEnd)}`;
+      case PHASE_REVEAL:
+        return `🔓 Reveal phase · until ${formatTimestamp(cti.revealEnd)}`;
+      case PHASE_CLOSED:
+        return '⏹ Voting closed';
+      default:
+        return null;
+    }
+  };
+
+  const runModerationAction = async (label, action) => {
+    try {
+      setModerating(true);
+      
+      const contract = await getContract();
+      const tx = await action(contract);
+      await tx.wait();
+      
+      await loadCTIFeed();
+      
+    } catch (error) {
+      console.error(`Error trying to ${label}:`, error);
+      alert(`Failed to ${label}: ` + error.message);
+    } finally {
+      setModerating(false);
+    }
+  };
+
+  const handleDeactivate = (ctiId, reason) =>
+    runModerationAction('deactivate CTI', (contract) => contract.deactivateCTI(ctiId, reason));
+
+  const handleReactivate = (ctiId) =>
+    runModerationAction('reactivate CTI', (contract) => contract.reactivateCTI(ctiId));
+
+  const handleRetract = (ctiId) => {
+    const reason = window.prompt('Why are you retracting this report? (optional)');
+    if (reason === null) return;
+    return runModerationAction('retract CTI', (contract) => contract.retractCTI(ctiId, reason));
+  };
+
+  const promptDeactivate = (ctiId) => {
+    const reason = window.prompt(`Reason for deactivating CTI #${ctiId}:`);
+    if (!reason || !reason.trim()) return;
+    return handleDeactivate(ctiId, reason.trim());
+  };
+
   const toggleExpanded = (ctiId) => {
     setExpandedItems(prev => ({
       ...prev,
@@ -92,22 +477,6 @@ const CTIFeed = ({ account }) => {
     }));
   };
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      'Malware': '#dc3545',
-      'Phishing': '#fd7e14',
-      'Ransomware': '#6f42c1',
-      'APT': '#e83e8c',
-      'Vulnerability': '#ffc107',
-      'Botnet': '#20c997',
-      'DDoS': '#17a2b8',
-      'Data Breach': '#6c757d',
-      'Social Engineering': '#28a745',
-      'Other': '#007bff'
-    };
-    return colors[category] || '#6c757d';
-  };
-
   const getSeverityColor = (severity) => {
     const colors = {
       'low': '#28a745',
@@ -118,12 +487,14 @@ const CTIFeed = ({ account }) => {
     return colors[severity] || '#6c757d';
   };
 
+  const pendingReveals = ctiList.filter(cti =>
+    cti.phase === PHASE_REVEAL && cti.hasCommitted && !cti.hasVoted
+  );
+
   const filteredAndSortedCTI = ctiList
-    .filter(cti => {
-      if (filter === 'all') return true;
-      if (filter === 'my-submissions') return cti.submitter.toLowerCase() === account.toLowerCase();
-      return cti.category === filter;
-    })
+    .filter(cti => indicatorMatches === null || indicatorMatches.includes(cti.id))
+    .filter(cti => showExpired || !cti.expired)
+    .filter(cti => statusFilter === 'all' || cti.status === Number(statusFilter))
     .sort((a, b) => {
       switch (sortBy) {
         case 'newest':
@@ -134,6 +505,10 @@ const CTIFeed = ({ account }) => {
           return (b.upvotes + b.downvotes) - (a.upvotes + a.downvotes);
         case 'highest-score':
           return b.score - a.score;
+        case 'most-relevant':
+          return b.decayedScore - a.decayedScore;
+        case 'recently-sighted':
+          return (b.sightings?.lastSeen || 0) - (a.sightings?.lastSeen || 0);
         default:
           return b.timestamp - a.timestamp;
       }
@@ -156,6 +531,8 @@ const CTIFeed = ({ account }) => {
           <p>Community-validated threat intelligence reports</p>
         </div>
 
+        <IndicatorLookup onResults={setIndicatorMatches} />
+
         {/* Filters and Sorting */}
         <div style={{ display: 'flex', gap: '1rem', marginBottom: '2rem', flexWrap: 'wrap' }}>
           <div>
@@ -168,12 +545,27 @@ const CTIFeed = ({ account }) => {
             >
               <option value="all">All Categories</option>
               <option value="my-submissions">My Submissions</option>
-              <option value="Malware">Malware</option>
-              <option value="Phishing">Phishing</option>
-              <option value="Ransomware">Ransomware</option>
-              <option value="APT">APT</option>
-              <option value="Vulnerability">Vulnerability</option>
-              <option value="Other">Other</option>
+              {orderCategories(categories).map(category => (
+                <option key={category.id} value={category.name}>
+                  {'\u00a0'.repeat(category.depth * 2)}{category.name}
+                  {category.deprecated ? ' (deprecated)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="form-label">Status:</label>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="form-select"
+              style={{ width: 'auto' }}
+            >
+              <option value="all">All Statuses</option>
+              {STATUS_LABELS.map((label, status) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
             </select>
           </div>
 
@@ -189,15 +581,66 @@ const CTIFeed = ({ account }) => {
               <option value="oldest">Oldest First</option>
               <option value="most-voted">Most Voted</option>
               <option value="highest-score">Highest Score</option>
+              <option value="most-relevant">Most Relevant</option>
+              <option value="recently-sighted">Most Recently Sighted</option>
             </select>
           </div>
+
+          <div style={{ alignSelf: 'flex-end' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem' }}>
+              <input
+                type="checkbox"
+                checked={showExpired}
+                onChange={(e) => setShowExpired(e.target.checked)}
+              />
+              Show expired intel
+            </label>
+          </div>
         </div>
 
         <div style={{ fontSize: '0.9rem', color: '#666', marginBottom: '1rem' }}>
           Showing {filteredAndSortedCTI.length} of {ctiList.length} reports
+          {restrictedCount > 0 && (
+            <span style={{ marginLeft: '1rem' }}>
+              · {restrictedCount} TLP-restricted report{restrictedCount > 1 ? 's' : ''} hidden
+            </span>
+          )}
+          {userReputation && (
+            <span style={{ marginLeft: '1rem' }}>
+              · Your reputation: {userReputation.reputation} (vote weight {userReputation.weight})
+            </span>
+          )}
         </div>
       </div>
 
+      {pendingReveals.length > 0 && (
+        <div className="alert alert-info">
+          🔔 You have {pendingReveals.length} committed vote{pendingReveals.length > 1 ? 's' : ''} to reveal
+          ({pendingReveals.map(cti => `#${cti.id}`).join(', ')}). Unrevealed votes are not counted.
+        </div>
+      )}
+
+      <RewardsPanel account={account} />
+
+      {isModerator && (
+        <ModeratorToolbar
+          onDeactivate={handleDeactivate}
+          onReactivate={handleReactivate}
+          busy={moderating}
+        />
+      )}
+
+      {isAdmin && (
+        <MaintenanceControls account={account} paused={paused} onPauseChanged={onPauseChanged} />
+      )}
+
+      {isAdmin && (
+        <CategoryManager
+          categories={categories}
+          onCategoriesChanged={loadFeedCategories}
+        />
+      )}
+
       {filteredAndSortedCTI.length === 0 ? (
         <div className="card" style={{ textAlign: 'center', padding: '3rem' }}>
           <h3>No CTI reports found</h3>
@@ -205,7 +648,7 @@ const CTIFeed = ({ account }) => {
         </div>
       ) : (
         filteredAndSortedCTI.map((cti) => (
-          <div key={cti.id} className="cti-item">
+          <div key={cti.id} id={`cti-${cti.id}`} className="cti-item" style={{ opacity: cti.expired ? 0.6 : 1 }}>
             <div className="cti-header">
               <div>
                 <h3 className="cti-title">{cti.title}</h3>
@@ -213,15 +656,67 @@ const CTIFeed = ({ account }) => {
                   <span>ID: #{cti.id}</span>
                   <span>By: {formatAddress(cti.submitter)}</span>
                   <span>{formatTimestamp(cti.timestamp)}</span>
+                  {cti.validUntil > 0 && (
+                    <span>{cti.expired ? 'Expired' : 'Valid until'} {formatTimestamp(cti.validUntil)}</span>
+                  )}
+                  {cti.sightings?.count > 0 && (
+                    <span
+                      title={`First seen ${formatTimestamp(cti.sightings.firstSeen)} by ${cti.sightings.reporterCount} reporter${cti.sightings.reporterCount > 1 ? 's' : ''}`}
+                    >
+                      👁 {cti.sightings.count} sighting{cti.sightings.count > 1 ? 's' : ''}, last {formatTimestamp(cti.sightings.lastSeen)}
+                    </span>
+                  )}
                 </div>
               </div>
               <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-start' }}>
+                <span
+                  className="cti-category"
+                  style={getTLPBadgeStyle(cti.tlp)}
+                  title={getTLPLevel(cti.tlp).description}
+                >
+                  {getTLPLevel(cti.tlp).label}
+                </span>
                 <span 
                   className="cti-category"
-                  style={{ backgroundColor: getCategoryColor(cti.category) }}
+                  style={{ backgroundColor: getCategoryColor(categories, cti.category) }}
                 >
                   {cti.category}
                 </span>
+                <span 
+                  className="cti-category"
+                  style={{ backgroundColor: STATUS_COLORS[cti.status] }}
+                  title={cti.status === 0 && validationRules
+                    ? `Settles once votes with a total weight of ${validationRules.quorum} are cast and ${validationRules.approval}% of that weight is on one side`
+                    : undefined}
+                >
+                  {STATUS_LABELS[cti.status]}
+                </span>
+                {cti.revisionCount > 1 && (
+                  <span 
+                    className="cti-category"
+                    style={{ backgroundColor: '#6610f2' }}
+                    title={`${cti.revisionCount} revisions`}
+                  >
+                    REVISED v{cti.revisionCount}
+                  </span>
+                )}
+                {getDisputeBadge(cti.dispute) && (
+                  <span 
+                    className="cti-category"
+                    style={{ backgroundColor: getDisputeBadge(cti.dispute).color }}
+                    title={`${cti.dispute.count} dispute${cti.dispute.count > 1 ? 's' : ''}`}
+                  >
+                    {getDisputeBadge(cti.dispute).label}
+                  </span>
+                )}
+                {cti.phase !== PHASE_OPEN && (
+                  <span 
+                    className="cti-category"
+                    style={{ backgroundColor: '#17a2b8' }}
+                  >
+                    {getPhaseLabel(cti)}
+                  </span>
+                )}
                 {cti.metadata?.severity && (
                   <span 
                     className="cti-category"
@@ -233,6 +728,30 @@ const CTIFeed = ({ account }) => {
               </div>
             </div>
 
+            {/* Locked placeholder for encrypted reports */}
+            {cti.encrypted && !cti.metadata && (
+              <div style={{
+                marginBottom: '1rem',
+                padding: '1rem',
+                background: '#f3f0fa',
+                borderRadius: '4px',
+                color: '#4a2d7a',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center'
+              }}>
+                <span>
+                  🔒 Encrypted for {cti.sharingGroup?.name || 'a sharing group'}.
+                  {!cti.isRecipient && ' Your wallet does not hold a key for this report.'}
+                </span>
+                {cti.isRecipient && (
+                  <button className="btn btn-primary" onClick={handleUnlock}>
+                    Unlock
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Description */}
             {cti.metadata?.description && (
               <div style={{ marginBottom: '1rem' }}>
@@ -260,6 +779,36 @@ const CTIFeed = ({ account }) => {
               </div>
             )}
 
+            {/* Revision history */}
+            {expandedItems[cti.id] && cti.revisionCount > 1 && (
+              <RevisionDiff ctiId={cti.id} revisionCount={cti.revisionCount} account={account} />
+            )}
+
+            {/* Voters and their reputation */}
+            {expandedItems[cti.id] && (
+              <VoterList ctiId={cti.id} isSettled={cti.status === 1 || cti.status === 2} />
+            )}
+
+            {/* Sightings in analysts' environments, separate from votes */}
+            {expandedItems[cti.id] && (
+              <SightingTimeline ctiId={cti.id} account={account} onSightingReported={loadCTIFeed} />
+            )}
+
+            {/* Typed links to other reports */}
+            {expandedItems[cti.id] && (
+              <RelatedReports ctiId={cti.id} account={account} isModerator={isModerator} />
+            )}
+
+            {/* Disputes, appeals and reviewer verdicts */}
+            {expandedItems[cti.id] && (
+              <DisputeThread
+                ctiId={cti.id}
+                submitter={cti.submitter}
+                account={account}
+                onDisputeChanged={loadCTIFeed}
+              />
+            )}
+
             {/* Indicators and Tags */}
             {expandedItems[cti.id] && cti.metadata && (
               <div style={{ marginBottom: '1rem' }}>
@@ -314,33 +863,75 @@ const CTIFeed = ({ account }) => {
 
             {/* IPFS Link */}
             <div style={{ marginBottom: '1rem' }}>
-              <a
-                href={getIPFSUrl(cti.ipfsHash)}
-                target="_blank"
-                rel="noopener noreferrer"
-                style={{ color: '#667eea', textDecoration: 'none', fontSize: '0.9rem' }}
+              {!cti.encrypted ? (
+                <a
+                  href={getIPFSUrl(cti.ipfsHash)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{ color: '#667eea', textDecoration: 'none', fontSize: '0.9rem' }}
+                >
+                  📎 View on IPFS
+                </a>
+              ) : cti.metadata && (
+                <button
+                  onClick={() => handleDownloadAttachment(cti)}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    color: '#667eea',
+                    cursor: 'pointer',
+                    fontSize: '0.9rem',
+                    padding: 0
+                  }}
+                >
+                  🔓 Download decrypted attachment
+                </button>
+              )}
+              <button
+                onClick={() => toggleExpanded(cti.id)}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#667eea',
+                  cursor: 'pointer',
+                  fontSize: '0.9rem',
+                  marginLeft: '1rem'
+                }}
               >
-                📎 View on IPFS
-              </a>
+                {expandedItems[cti.id] ? 'Hide details' : 'Show details'}
+              </button>
             </div>
 
+            {/* Reveal reminder */}
+            {cti.phase === PHASE_REVEAL && cti.hasCommitted && !cti.hasVoted && (
+              <div className="alert alert-info" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span>🔔 Reveal your vote before {formatTimestamp(cti.revealEnd)} or it will not be counted.</span>
+                <button
+                  className="btn btn-primary"
+                  onClick={() => handleRevealVote(cti.id)}
+                  disabled={voting[cti.id] || paused}
+                >
+                  Reveal vote
+                </button>
+              </div>
+            )}
+
             {/* Voting */}
             <div className="cti-voting">
-              <button
-                className={`vote-button ${cti.hasVoted ? 'voted' : ''}`}
-                onClick={() => handleVote(cti.id, true)}
-                disabled={voting[cti.id] || cti.hasVoted || cti.submitter.toLowerCase() === account.toLowerCase()}
-              >
-                👍 {cti.upvotes}
-              </button>
-              
-              <button
-                className={`vote-button ${cti.hasVoted ? 'voted' : ''}`}
-                onClick={() => handleVote(cti.id, false)}
-                disabled={voting[cti.id] || cti.hasVoted || cti.submitter.toLowerCase() === account.toLowerCase()}
-              >
-                👎 {cti.downvotes}
-              </button>
+              {[true, false].map((isUpvote) => {
+                const { selected, onClick, disabled, title } = getVoteButtonProps(cti, isUpvote);
+                return (
+                  <button
+                    key={isUpvote ? 'up' : 'down'}
+                    className={`vote-button ${selected ? 'voted' : ''}`}
+                    onClick={onClick}
+                    disabled={disabled}
+                    title={title}
+                  >
+                    {isUpvote ? `👍 ${cti.upvotes}` : `👎 ${cti.downvotes}`}
+                  </button>
+                );
+              })}
               
               <div style={{ 
                 padding: '0.5rem 1rem', 
@@ -351,6 +942,27 @@ const CTIFeed = ({ account }) => {
               }}>
                 Score: {cti.score > 0 ? '+' : ''}{cti.score}
               </div>
+
+              <span style={{ fontSize: '0.85rem', color: '#666' }}>
+                weighted · raw {cti.rawScore > 0 ? '+' : ''}{cti.rawScore}
+              </span>
+
+              <span
+                style={{ fontSize: '0.85rem', color: '#666' }}
+                title="Score reduced with the age of the intel; zero once expired"
+              >
+                · relevance {cti.decayedScore > 0 ? '+' : ''}{cti.decayedScore}
+              </span>
+              
+              {cti.phase === PHASE_CLOSED && cti.status === 0 && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleFinalizeVoting(cti.id)}
+                  disabled={voting[cti.id]}
+                >
+                  Finalize voting
+                </button>
+              )}
               
               {voting[cti.id] && (
                 <div className="spinner" style={{ width: '20px', height: '20px' }}></div>
@@ -367,8 +979,31 @@ const CTIFeed = ({ account }) => {
                 color: '#856404'
               }}>
                 📝 This is your submission
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleRetract(cti.id)}
+                  disabled={moderating}
+                  style={{ marginLeft: '1rem', padding: '0.25rem 0.75rem', fontSize: '0.8rem' }}
+                >
+                  Retract
+                </button>
+              </div>
+            )}
+
+            {isModerator && (
+              <div style={{ marginTop: '1rem', textAlign: 'right' }}>
+                <button
+                  className="btn btn-danger"
+                  onClick={() => promptDeactivate(cti.id)}
+                  disabled={moderating}
+                  style={{ padding: '0.25rem 0.75rem', fontSize: '0.8rem' }}
+                >
+                  🚫 Deactivate
+                </button>
               </div>
             )}
+
+            <DiscussionPanel ctiId={cti.id} account={account} isModerator={isModerator} />
           </div>
         ))
       )}
@@ -5,6 +5,10 @@ import CTIFeed from './CTIFeed';
 jest.mock('../utils/web3', () => ({
   getReadOnlyContract: jest.fn(),
   getContract: jest.fn(),
+  getReadOnlyCommitRevealVotingContract: jest.fn(),
+  getCommitRevealVotingContract: jest.fn(),
+  getReadOnlyCTIIndexContract: jest.fn(),
+  getReadOnlyRevisionHistoryContract: jest.fn(),
   formatAddress: jest.fn((addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`),
   formatTimestamp: jest.fn((ts) => new Date(ts * 1000).toLocaleString())
 }));
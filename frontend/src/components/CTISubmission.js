@@ -1,33 +1,106 @@
-import React, { useState } from 'react';
-import { getContract } from '../utils/web3';
+import React, { useState, useEffect } from 'react';
+import {
+  getContract,
+  getReadOnlyContract,
+  getIndicatorIndexContract,
+  getBondEscrowContract,
+  getReadOnlyBondEscrowContract,
+  formatEth,
+  isPausedError
+} from '../utils/web3';
 import { uploadToIPFS, uploadJSONToIPFS, validateFile, createCTIMetadata } from '../utils/ipfs';
+import { hashIndicators, chunkIndicatorHashes } from '../utils/indicators';
+import { loadCategories, orderCategories } from '../utils/categories';
+import { signAndRelaySubmission } from '../utils/metaTx';
+import { TLP_LEVELS, getTLPLevel, getTLPBadgeStyle, isPublicTLP } from '../utils/tlp';
+import {
+  loadSharingGroups,
+  hasPublishedEncryptionKey,
+  deriveEncryptionKey,
+  getGroupRecipients,
+  encryptFile,
+  encryptJSON
+} from '../utils/encryption';
+import SharingGroupManager from './SharingGroupManager';
+import BulkSubmission from './BulkSubmission';
 
-const CTISubmission = ({ account }) => {
+// datetime-local input value to a unix timestamp, 0 when empty
+const toUnixTime = (value) => {
+  return value ? Math.floor(new Date(value).getTime() / 1000) : 0;
+};
+
+const CTISubmission = ({ account, gasless, paused }) => {
   const [formData, setFormData] = useState({
     title: '',
     category: '',
     description: '',
     severity: 'medium',
+    tlp: '',
+    validFrom: '',
+    validUntil: '',
     indicators: '',
-    tags: ''
+    tags: '',
+    revisionOf: '',
+    sharingGroupId: ''
   });
   const [file, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [dragOver, setDragOver] = useState(false);
   const [alert, setAlert] = useState({ type: '', message: '' });
+  const [submissionBond, setSubmissionBond] = useState(0n);
+  const [withdrawable, setWithdrawable] = useState(0n);
+  const [withdrawing, setWithdrawing] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [sharingGroups, setSharingGroups] = useState([]);
+  const [hasEncryptionKey, setHasEncryptionKey] = useState(false);
+  const [mode, setMode] = useState('single');
 
-  const categories = [
-    'Malware',
-    'Phishing',
-    'Ransomware',
-    'APT',
-    'Vulnerability',
-    'Botnet',
-    'DDoS',
-    'Data Breach',
-    'Social Engineering',
-    'Other'
-  ];
+  useEffect(() => {
+    loadBondInfo();
+  }, [account]);
+
+  useEffect(() => {
+    loadSubmissionCategories();
+  }, []);
+
+  useEffect(() => {
+    loadSharingInfo();
+  }, [account]);
+
+  const loadSharingInfo = async () => {
+    try {
+      const [groups, hasKey] = await Promise.all([
+        loadSharingGroups(),
+        hasPublishedEncryptionKey(account)
+      ]);
+      setSharingGroups(groups);
+      setHasEncryptionKey(hasKey);
+    } catch (error) {
+      console.warn('Failed to load sharing groups:', error);
+    }
+  };
+
+  const loadSubmissionCategories = async () => {
+    try {
+      const allCategories = await loadCategories();
+      setCategories(orderCategories(allCategories).filter(category => !category.deprecated));
+    } catch (error) {
+      console.warn('Failed to load categories:', error);
+    }
+  };
+
+  const loadBondInfo = async () => {
+    try {
+      const [bond, pending] = await Promise.all([
+        getReadOnlyContract().getSubmissionBond(),
+        getReadOnlyBondEscrowContract().pendingWithdrawals(account)
+      ]);
+      setSubmissionBond(bond);
+      setWithdrawable(pending);
+    } catch (error) {
+      console.warn('Failed to load submission bond:', error);
+    }
+  };
 
   const severityLevels = [
     { value: 'low', label: 'Low', color: '#28a745' },
@@ -91,6 +164,15 @@ const CTISubmission = ({ account }) => {
     if (!formData.category) {
       throw new Error('Category is required');
     }
+    if (formData.tlp === '' && !formData.revisionOf) {
+      throw new Error('TLP marking is required');
+    }
+    if (formData.validUntil && !formData.revisionOf) {
+      const validUntil = toUnixTime(formData.validUntil);
+      if (validUntil <= Date.now() / 1000 || validUntil <= toUnixTime(formData.validFrom)) {
+        throw new Error('Valid until must be in the future and after valid from');
+      }
+    }
     if (!formData.description.trim()) {
       throw new Error('Description is required');
     }
@@ -99,6 +181,29 @@ const CTISubmission = ({ account }) => {
     }
   };
 
+  const getSubmittedCTIId = (contract, receipt) => {
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === 'CTISubmitted') {
+          return Number(parsed.args.id);
+        }
+      } catch (error) {
+        // Not a registry event
+      }
+    }
+    throw new Error('CTISubmitted event not found in transaction receipt');
+  };
+
+  const registerIndicators = async (ctiId, indicators) => {
+    showAlert('info', 'Registering indicators in the on-chain index...');
+    const indexContract = await getIndicatorIndexContract();
+    for (const batch of chunkIndicatorHashes(hashIndicators(indicators))) {
+      const tx = await indexContract.registerIndicators(ctiId, batch);
+      await tx.wait();
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -119,29 +224,102 @@ const CTISubmission = ({ account }) => {
         .map(tag => tag.trim())
         .filter(tag => tag.length > 0);
 
+      // Revisions keep the marking and validity window the report was first submitted with
+      const original = formData.revisionOf
+        ? await getReadOnlyContract().getCTI(formData.revisionOf)
+        : null;
+      if (original && Number(original.status) !== 0) {
+        throw new Error(`CTI #${formData.revisionOf} has already been settled and can no longer be revised`);
+      }
+      const tlp = original ? Number(original.tlp) : Number(formData.tlp);
+      const validFrom = original ? Number(original.validFrom) : toUnixTime(formData.validFrom);
+      const validUntil = original ? Number(original.validUntil) : toUnixTime(formData.validUntil);
+
+      // Encrypted reports are wrapped for every group member with a published key
+      const group = sharingGroups.find(item => String(item.id) === formData.sharingGroupId);
+      if (!isPublicTLP(tlp) && !group) {
+        throw new Error(`${getTLPLevel(tlp).label} reports must be shared with a group so that they are encrypted before upload`);
+      }
+      let recipients = [];
+      if (group) {
+        showAlert('info', 'Sign the message in your wallet to unlock your encryption key...');
+        const ownKey = await deriveEncryptionKey(account);
+        recipients = getGroupRecipients(group, { address: account, publicKey: ownKey.compressedPublicKey });
+      }
+      const sharingGroup = group ? { id: group.id, name: group.name } : null;
+
       // Upload file to IPFS
-      showAlert('info', 'Uploading file to IPFS...');
-      const fileCid = await uploadToIPFS(file);
+      showAlert('info', group ? 'Encrypting and uploading file to IPFS...' : 'Uploading file to IPFS...');
+      const fileCid = group
+        ? await uploadJSONToIPFS(await encryptFile(file, recipients, sharingGroup))
+        : await uploadToIPFS(file);
 
       // Create metadata and upload to IPFS
       const metadata = createCTIMetadata({
         ...formData,
+        tlp: getTLPLevel(tlp).label,
+        validFrom: new Date((validFrom || Date.now() / 1000) * 1000).toISOString(),
+        validUntil: validUntil ? new Date(validUntil * 1000).toISOString() : null,
         indicators,
         tags
       }, fileCid);
 
       showAlert('info', 'Uploading metadata to IPFS...');
-      const metadataCid = await uploadJSONToIPFS(metadata);
+      const metadataCid = await uploadJSONToIPFS(group
+        ? await encryptJSON({ ...metadata, attachment: { name: file.name, type: file.type } }, recipients, sharingGroup)
+        : metadata);
 
-      // Submit to blockchain
-      showAlert('info', 'Submitting to blockchain...');
-      const contract = await getContract();
-      const tx = await contract.submitCTI(metadataCid, formData.category, formData.title);
-      
-      showAlert('info', 'Waiting for transaction confirmation...');
-      await tx.wait();
+      // Revisions are always sent directly; only new submissions can be relayed
+      const relayed = gasless && !formData.revisionOf;
 
-      showAlert('success', 'CTI submitted successfully!');
+      if (relayed) {
+        showAlert('info', 'Sign the submission in your wallet. The relayer will send it for you...');
+        await signAndRelaySubmission(account, {
+          ipfsHash: metadataCid,
+          category: formData.category,
+          title: formData.title,
+          tlp,
+          validFrom,
+          validUntil
+        });
+      } else {
+        // Submit to blockchain
+        showAlert('info', 'Submitting to blockchain...');
+        const contract = await getContract();
+        let tx;
+        if (formData.revisionOf) {
+          tx = await contract.reviseCTI(formData.revisionOf, metadataCid, formData.category, formData.title);
+        } else {
+          const bond = await contract.getSubmissionBond();
+          tx = await contract.submitCTI(metadataCid, formData.category, formData.title, tlp, validFrom, validUntil, { value: bond });
+        }
+
+        showAlert('info', 'Waiting for transaction confirmation...');
+        const receipt = await tx.wait();
+
+        // Index the indicators on-chain so other analysts can look them up;
+        // lookups are public, so restricted and encrypted reports are never indexed
+        if (indicators.length > 0 && isPublicTLP(tlp) && !group) {
+          const ctiId = formData.revisionOf
+            ? Number(formData.revisionOf)
+            : getSubmittedCTIId(contract, receipt);
+          await registerIndicators(ctiId, indicators);
+        }
+      }
+
+      if (relayed) {
+        showAlert('success', indicators.length > 0
+          ? 'CTI submitted through the relayer! Indicators are not indexed on-chain in gasless mode.'
+          : 'CTI submitted through the relayer!');
+      } else if (formData.revisionOf) {
+        showAlert('success', `Revision of CTI #${formData.revisionOf} published successfully!`);
+      } else {
+        showAlert('success', group
+          ? `Encrypted CTI shared with ${recipients.length} member${recipients.length > 1 ? 's' : ''} of ${group.name}!`
+          : indicators.length > 0 && !isPublicTLP(tlp)
+            ? `CTI submitted successfully! Indicators of ${getTLPLevel(tlp).label} reports are not indexed on-chain.`
+            : 'CTI submitted successfully!');
+      }
       
       // Reset form
       setFormData({
@@ -149,19 +327,43 @@ const CTISubmission = ({ account }) => {
         category: '',
         description: '',
         severity: 'medium',
+        tlp: '',
+        validFrom: '',
+        validUntil: '',
         indicators: '',
-        tags: ''
+        tags: '',
+        revisionOf: '',
+        sharingGroupId: ''
       });
       setFile(null);
+      await loadBondInfo();
 
     } catch (error) {
       console.error('Error submitting CTI:', error);
-      showAlert('error', error.message || 'Failed to submit CTI');
+      showAlert('error', isPausedError(error)
+        ? 'Submissions are paused for maintenance. Please try again later.'
+        : error.message || 'Failed to submit CTI');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleWithdraw = async () => {
+    try {
+      setWithdrawing(true);
+      const bondEscrow = await getBondEscrowContract();
+      const tx = await bondEscrow.withdraw();
+      await tx.wait();
+      showAlert('success', 'Refunded bonds and rewards withdrawn');
+      await loadBondInfo();
+    } catch (error) {
+      console.error('Error withdrawing:', error);
+      showAlert('error', error.message || 'Failed to withdraw');
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
   return (
     <div className="card">
       <div className="card-header">
@@ -175,7 +377,36 @@ const CTISubmission = ({ account }) => {
         </div>
       )}
 
-      <form onSubmit={handleSubmit}>
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.5rem' }}>
+        <button
+          type="button"
+          className={`btn ${mode === 'single' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => setMode('single')}
+        >
+          Single Report
+        </button>
+        <button
+          type="button"
+          className={`btn ${mode === 'bulk' ? 'btn-primary' : 'btn-secondary'}`}
+          onClick={() => setMode('bulk')}
+        >
+          Bulk Upload
+        </button>
+      </div>
+
+      {mode === 'bulk' && (
+        <BulkSubmission
+          categories={categories}
+          submissionBond={submissionBond}
+          gasless={gasless}
+          paused={paused}
+          showAlert={showAlert}
+          registerIndicators={registerIndicators}
+          onSubmitted={loadBondInfo}
+        />
+      )}
+
+      <form onSubmit={handleSubmit} hidden={mode !== 'single'}>
         <div className="form-group">
           <label className="form-label">Title *</label>
           <input
@@ -200,7 +431,9 @@ const CTISubmission = ({ account }) => {
           >
             <option value="">Select a category</option>
             {categories.map(category => (
-              <option key={category} value={category}>{category}</option>
+              <option key={category.id} value={category.name}>
+                {'\u00a0'.repeat(category.depth * 2)}{category.name}
+              </option>
             ))}
           </select>
         </div>
@@ -221,6 +454,99 @@ const CTISubmission = ({ account }) => {
           </select>
         </div>
 
+        <div className="form-group">
+          <label className="form-label">TLP Marking{formData.revisionOf ? '' : ' *'}</label>
+          <select
+            name="tlp"
+            value={formData.tlp}
+            onChange={handleInputChange}
+            className="form-select"
+            required={!formData.revisionOf}
+            disabled={Boolean(formData.revisionOf)}
+          >
+            <option value="">Select a TLP marking</option>
+            {TLP_LEVELS.map(level => (
+              <option key={level.value} value={level.value}>
+                {level.label} - {level.description}
+              </option>
+            ))}
+          </select>
+          {formData.revisionOf ? (
+            <small style={{ color: '#666', fontSize: '0.9rem' }}>
+              Revisions keep the TLP marking of the original report.
+            </small>
+          ) : formData.tlp !== '' && (
+            <div style={{ marginTop: '0.5rem' }}>
+              <span className="cti-category" style={getTLPBadgeStyle(formData.tlp)}>
+                {getTLPLevel(formData.tlp).label}
+              </span>
+            </div>
+          )}
+          {!formData.revisionOf && formData.tlp !== '' && !isPublicTLP(formData.tlp) && (
+            <div className="alert alert-info" style={{ marginTop: '0.5rem' }}>
+              {getTLPLevel(formData.tlp).label} reports are hidden from the public feed and their
+              indicators are never added to the public indicator index. Files pinned to IPFS can be
+              fetched by anyone who knows their CID, so the report must be shared with a group below
+              and is encrypted before upload.
+            </div>
+          )}
+        </div>
+
+        {!formData.revisionOf && (
+          <div className="form-group">
+            <label className="form-label">Validity Window</label>
+            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+              <div style={{ flex: 1, minWidth: '200px' }}>
+                <small style={{ color: '#666' }}>Valid from</small>
+                <input
+                  type="datetime-local"
+                  name="validFrom"
+                  value={formData.validFrom}
+                  onChange={handleInputChange}
+                  className="form-input"
+                />
+              </div>
+              <div style={{ flex: 1, minWidth: '200px' }}>
+                <small style={{ color: '#666' }}>Valid until</small>
+                <input
+                  type="datetime-local"
+                  name="validUntil"
+                  value={formData.validUntil}
+                  onChange={handleInputChange}
+                  className="form-input"
+                />
+              </div>
+            </div>
+            <small style={{ color: '#666', fontSize: '0.9rem' }}>
+              Defaults to now with no expiry. IP and domain indicators usually go stale within days;
+              the relevance score falls to zero when the window ends.
+            </small>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label className="form-label">Share with</label>
+          <select
+            name="sharingGroupId"
+            value={formData.sharingGroupId}
+            onChange={handleInputChange}
+            className="form-select"
+          >
+            <option value="">Everyone (not encrypted)</option>
+            {sharingGroups
+              .filter(group => group.members.some(member => member.address.toLowerCase() === account.toLowerCase()))
+              .map(group => (
+                <option key={group.id} value={group.id}>
+                  🔒 {group.name} ({group.members.filter(member => member.publicKey).length} with keys)
+                </option>
+              ))}
+          </select>
+          <small style={{ color: '#666', fontSize: '0.9rem' }}>
+            Encrypted reports are only readable by group members with a published key. The title
+            and category stay public on-chain.
+          </small>
+        </div>
+
         <div className="form-group">
           <label className="form-label">Description *</label>
           <textarea
@@ -261,6 +587,22 @@ const CTISubmission = ({ account }) => {
           />
         </div>
 
+        <div className="form-group">
+          <label className="form-label">Revision of CTI #</label>
+          <input
+            type="number"
+            min="1"
+            name="revisionOf"
+            value={formData.revisionOf}
+            onChange={handleInputChange}
+            className="form-input"
+            placeholder="Leave empty for a new report"
+          />
+          <small style={{ color: '#666', fontSize: '0.9rem' }}>
+            Publish this as a new revision of one of your reports that is still pending validation. Existing votes carry over.
+          </small>
+        </div>
+
         <div className="form-group">
           <label className="form-label">Upload File *</label>
           <div
@@ -295,10 +637,19 @@ const CTISubmission = ({ account }) => {
           </div>
         </div>
 
+        {submissionBond > 0n && !formData.revisionOf && (
+          <div className="alert alert-info">
+            A submission bond of <strong>{formatEth(submissionBond)}</strong> will be sent with this report
+            {gasless ? ' by the relayer' : ''}.
+            It is refunded with a share of the reward pool once the report is validated,
+            and forfeited if the report is rejected, retracted or removed by a moderator.
+          </div>
+        )}
+
         <button
           type="submit"
           className="btn btn-primary"
-          disabled={loading}
+          disabled={loading || paused}
           style={{ width: '100%', fontSize: '1.1rem' }}
         >
           {loading ? (
@@ -306,12 +657,23 @@ const CTISubmission = ({ account }) => {
               <div className="spinner" style={{ width: '20px', height: '20px', marginRight: '0.5rem' }}></div>
               Submitting...
             </>
+          ) : paused ? (
+            'Submissions Paused'
           ) : (
             'Submit CTI Report'
           )}
         </button>
       </form>
 
+      <div style={{ marginTop: '2rem' }}>
+        <SharingGroupManager
+          account={account}
+          groups={sharingGroups}
+          hasKey={hasEncryptionKey}
+          onGroupsChanged={loadSharingInfo}
+        />
+      </div>
+
       <div style={{ marginTop: '2rem', padding: '1rem', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
         <h4>How it works:</h4>
         <ol style={{ marginLeft: '1rem', color: '#666' }}>
@@ -321,6 +683,17 @@ const CTISubmission = ({ account }) => {
           <li>High-quality submissions gain credibility through voting</li>
         </ol>
       </div>
+
+      {withdrawable > 0n && (
+        <div style={{ marginTop: '1rem', padding: '1rem', backgroundColor: '#d4edda', borderRadius: '8px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span style={{ color: '#155724' }}>
+            💰 {formatEth(withdrawable)} in refunded bonds and rewards is ready to withdraw
+          </span>
+          <button className="btn btn-success" onClick={handleWithdraw} disabled={withdrawing}>
+            {withdrawing ? 'Withdrawing...' : 'Withdraw'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { getCategoryRegistryContract } from '../utils/web3';
+import { orderCategories } from '../utils/categories';
+
+const CategoryManager = ({ categories, onCategoriesChanged }) => {
+  const [name, setName] = useState('');
+  const [parentId, setParentId] = useState('0');
+  const [color, setColor] = useState('#6c757d');
+  const [busy, setBusy] = useState(false);
+
+  const runCategoryAction = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      const contract = await getCategoryRegistryContract();
+      const tx = await action(contract);
+      await tx.wait();
+      await onCategoriesChanged();
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(`${failureMessage}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!name.trim()) {
+      alert('Category name is required');
+      return;
+    }
+    await runCategoryAction(
+      contract => contract.addCategory(name.trim(), Number(parentId), color),
+      'Failed to add category'
+    );
+    setName('');
+  };
+
+  const handleDeprecate = async (category) => {
+    if (!window.confirm(`Deprecate category "${category.name}"? It can no longer be used for new submissions.`)) {
+      return;
+    }
+    await runCategoryAction(
+      contract => contract.deprecateCategory(category.id),
+      'Failed to deprecate category'
+    );
+  };
+
+  const orderedCategories = orderCategories(categories);
+
+  return (
+    <div className="card" style={{ borderLeft: '4px solid #007bff' }}>
+      <h3 style={{ marginBottom: '1rem' }}>🏷️ Categories</h3>
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '1rem' }}>
+        <div style={{ flex: 1, minWidth: '200px' }}>
+          <label className="form-label">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="form-input"
+            placeholder="e.g. Banking Trojan"
+          />
+        </div>
+        <div>
+          <label className="form-label">Parent</label>
+          <select
+            value={parentId}
+            onChange={(e) => setParentId(e.target.value)}
+            className="form-select"
+            style={{ width: 'auto' }}
+          >
+            <option value="0">None (top level)</option>
+            {orderedCategories.filter(category => !category.deprecated).map(category => (
+              <option key={category.id} value={category.id}>
+                {'\u00a0'.repeat(category.depth * 2)}{category.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Color</label>
+          <input
+            type="color"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+            style={{ height: '2.5rem', width: '3rem' }}
+          />
+        </div>
+        <button className="btn btn-primary" onClick={handleAdd} disabled={busy}>
+          Add
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+        {orderedCategories.map(category => (
+          <span
+            key={category.id}
+            className="cti-category"
+            style={{
+              backgroundColor: category.color,
+              opacity: category.deprecated ? 0.5 : 1,
+              textDecoration: category.deprecated ? 'line-through' : 'none'
+            }}
+          >
+            {category.name}
+            {!category.deprecated && (
+              <button
+                onClick={() => handleDeprecate(category)}
+                disabled={busy}
+                title="Deprecate category"
+                style={{ marginLeft: '0.25rem', background: 'none', border: 'none', color: 'white', cursor: 'pointer' }}
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManager;
\ No newline at end of file
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { getCommentRegistryContract, formatAddress } from '../utils/web3';
+import { getIPFSUrl } from '../utils/ipfs';
+import { loadCommentCount, loadCommentThread, uploadCommentBody } from '../utils/comments';
+
+// Replies deeper than this are shown flat under the last indented level
+const MAX_INDENT_DEPTH = 4;
+
+const DiscussionPanel = ({ ctiId, account, isModerator }) => {
+  const [open, setOpen] = useState(false);
+  const [commentCount, setCommentCount] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadCount();
+  }, [ctiId]);
+
+  useEffect(() => {
+    if (open) {
+      loadThread();
+    }
+  }, [open, ctiId]);
+
+  const loadCount = async () => {
+    try {
+      setCommentCount(await loadCommentCount(ctiId));
+    } catch (error) {
+      console.warn(`Failed to load comment count for CTI ${ctiId}:`, error);
+    }
+  };
+
+  const loadThread = async () => {
+    try {
+      setLoading(true);
+      setComments(await loadCommentThread(ctiId));
+    } catch (error) {
+      console.error(`Error loading discussion for CTI ${ctiId}:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setDraft = (key, value) => setDrafts(prev => ({ ...prev, [key]: value }));
+
+  const runCommentAction = async (draftKey, send, failureMessage) => {
+    const text = (drafts[draftKey] || '').trim();
+    if (!text) {
+      alert('Comment cannot be empty');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const contract = await getCommentRegistryContract();
+      const tx = await send(contract, text);
+      await tx.wait();
+
+      setDraft(draftKey, '');
+      setReplyingTo(null);
+      setEditing(null);
+      await Promise.all([loadThread(), loadCount()]);
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(`${failureMessage}: ${error.reason || error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePost = (parentId) =>
+    runCommentAction(
+      `reply-${parentId}`,
+      async (contract, text) => contract.postComment(
+        ctiId,
+        parentId,
+        await uploadCommentBody(ctiId, parentId, account, text)
+      ),
+      'Failed to post comment'
+    );
+
+  const handleEdit = (comment) =>
+    runCommentAction(
+      `edit-${comment.id}`,
+      async (contract, text) => contract.editComment(
+        comment.id,
+        await uploadCommentBody(ctiId, comment.parentId, account, text, comment.cid)
+      ),
+      'Failed to edit comment'
+    );
+
+  const handleToggleHidden = async (comment) => {
+    try {
+      setBusy(true);
+      const contract = await getCommentRegistryContract();
+      const tx = await contract.setCommentHidden(comment.id, !comment.hidden);
+      await tx.wait();
+      await loadThread();
+    } catch (error) {
+      console.error('Error moderating comment:', error);
+      alert('Failed to moderate comment: ' + (error.reason || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isSelf = (address) => Boolean(account) && address.toLowerCase() === account.toLowerCase();
+
+  const renderEditor = (draftKey, placeholder, onSubmit, submitLabel) => (
+    <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+      <input
+        type="text"
+        value={drafts[draftKey] || ''}
+        onChange={(e) => setDraft(draftKey, e.target.value)}
+        className="form-input"
+        placeholder={placeholder}
+      />
+      <button className="btn btn-secondary" onClick={onSubmit} disabled={busy}>
+        {submitLabel}
+      </button>
+    </div>
+  );
+
+  const renderComment = (comment, depth) => (
+    <div
+      key={comment.id}
+      style={{
+        marginTop: '0.5rem',
+        marginLeft: depth > 0 && depth <= MAX_INDENT_DEPTH ? '1.5rem' : 0,
+        paddingLeft: '0.75rem',
+        borderLeft: '2px solid #e9ecef',
+        fontSize: '0.9rem'
+      }}
+    >
+      <div style={{ color: '#666', fontSize: '0.8rem' }}>
+        {formatAddress(comment.author)}
+        {comment.createdAt && ` · ${new Date(comment.createdAt).toLocaleString()}`}
+        {comment.revision > 1 && (
+          <>
+            {' · '}
+            <a href={getIPFSUrl(comment.cid)} target="_blank" rel="noopener noreferrer" title="Current revision on IPFS">
+              edited
+            </a>
+          </>
+        )}
+      </div>
+
+      {editing === comment.id ? (
+        renderEditor(`edit-${comment.id}`, 'Edit your comment', () => handleEdit(comment), 'Save')
+      ) : (
+        <div style={{ margin: '0.25rem 0', color: comment.hidden ? '#999' : 'inherit' }}>
+          {comment.hidden
+            ? 'Hidden by a moderator'
+            : comment.text ?? <span style={{ color: '#999' }}>(comment unavailable)</span>}
+        </div>
+      )}
+
+      {account && (
+        <div style={{ display: 'flex', gap: '0.75rem', fontSize: '0.8rem' }}>
+          <button
+            onClick={() => setReplyingTo(replyingTo === comment.id ? null : comment.id)}
+            style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', padding: 0 }}
+          >
+            Reply
+          </button>
+          {isSelf(comment.author) && !comment.hidden && (
+            <button
+              onClick={() => {
+                setEditing(editing === comment.id ? null : comment.id);
+                setDraft(`edit-${comment.id}`, comment.text || '');
+              }}
+              style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', padding: 0 }}
+            >
+              Edit
+            </button>
+          )}
+          {isModerator && (
+            <button
+              onClick={() => handleToggleHidden(comment)}
+              disabled={busy}
+              style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', padding: 0 }}
+            >
+              {comment.hidden ? 'Restore' : 'Hide'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {replyingTo === comment.id &&
+        renderEditor(`reply-${comment.id}`, `Reply to ${formatAddress(comment.author)}`, () => handlePost(comment.id), 'Reply')}
+
+      {comment.replies.map(reply => renderComment(reply, depth + 1))}
+    </div>
+  );
+
+  return (
+    <div style={{ marginTop: '1rem', paddingTop: '0.75rem', borderTop: '1px solid #e9ecef' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', fontSize: '0.9rem', padding: 0 }}
+      >
+        💬 {open ? 'Hide discussion' : 'Discussion'}{commentCount !== null && ` (${commentCount})`}
+      </button>
+
+      {open && (
+        loading ? (
+          <div style={{ color: '#666', fontSize: '0.9rem', marginTop: '0.5rem' }}>Loading discussion...</div>
+        ) : (
+          <div>
+            {comments.length === 0 && (
+              <div style={{ color: '#666', fontSize: '0.9rem', marginTop: '0.5rem' }}>
+                No comments yet. Explain your vote or add context for other analysts.
+              </div>
+            )}
+            {comments.map(comment => renderComment(comment, 0))}
+            {account && renderEditor('reply-0', 'Add a comment', () => handlePost(0), 'Comment')}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default DiscussionPanel;
\ No newline at end of file
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getReadOnlyContract,
+  getDisputeManagerContract,
+  getReadOnlyDisputeManagerContract,
+  formatAddress,
+  formatTimestamp
+} from '../utils/web3';
+import { getIPFSUrl } from '../utils/ipfs';
+import {
+  DISPUTE_STATUS,
+  DISPUTE_STATUS_LABELS,
+  loadDisputeThread,
+  uploadDisputeStatement
+} from '../utils/disputes';
+
+const STATUS_COLORS = ['#fd7e14', '#dc3545', '#28a745'];
+
+const Statement = ({ label, cid, statement }) => (
+  <div style={{ marginTop: '0.5rem' }}>
+    <strong>{label}:</strong>{' '}
+    {statement?.text || <span style={{ color: '#666' }}>(statement unavailable)</span>}{' '}
+    <a href={getIPFSUrl(cid)} target="_blank" rel="noopener noreferrer" style={{ fontSize: '0.8rem' }}>
+      IPFS
+    </a>
+  </div>
+);
+
+const DisputeThread = ({ ctiId, submitter, account, onDisputeChanged }) => {
+  const [disputes, setDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isReviewer, setIsReviewer] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadThread();
+  }, [ctiId, account]);
+
+  const loadThread = async () => {
+    try {
+      setLoading(true);
+      setDisputes(await loadDisputeThread(ctiId));
+
+      if (account) {
+        const reviewerRole = await getReadOnlyDisputeManagerContract().REVIEWER_ROLE();
+        setIsReviewer(await getReadOnlyContract().hasRole(reviewerRole, account));
+      }
+    } catch (error) {
+      console.error(`Error loading disputes for CTI ${ctiId}:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isSelf = (address) => Boolean(account) && address.toLowerCase() === account.toLowerCase();
+  const isSubmitter = isSelf(submitter);
+  // A report takes one open challenge and one open appeal at a time
+  const hasOpenOwnKind = disputes.some(
+    dispute => dispute.status === DISPUTE_STATUS.OPEN && dispute.isAppeal === isSubmitter
+  );
+
+  const setDraft = (key, value) => setDrafts(prev => ({ ...prev, [key]: value }));
+
+  // Upload the drafted statement, then send the transaction that references it
+  const runDisputeAction = async (draftKey, kind, send, failureMessage) => {
+    const text = (drafts[draftKey] || '').trim();
+    if (!text && kind !== 'verdict') {
+      alert('Please describe your position');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const cid = text ? await uploadDisputeStatement(ctiId, account, kind, text) : '';
+      const contract = await getDisputeManagerContract();
+      const tx = await send(contract, cid);
+      await tx.wait();
+
+      setDraft(draftKey, '');
+      await loadThread();
+      if (onDisputeChanged) {
+        await onDisputeChanged();
+      }
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(`${failureMessage}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleOpen = () =>
+    runDisputeAction(
+      'open',
+      isSubmitter ? 'appeal' : 'evidence',
+      (contract, cid) => contract.openDispute(ctiId, cid),
+      'Failed to open dispute'
+    );
+
+  const handleRespond = (disputeId) =>
+    runDisputeAction(
+      `respond-${disputeId}`,
+      'response',
+      (contract, cid) => contract.respondToDispute(disputeId, cid),
+      'Failed to respond'
+    );
+
+  const handleVerdict = (disputeId, uphold) =>
+    runDisputeAction(
+      `verdict-${disputeId}`,
+      'verdict',
+      (contract, cid) => contract.castVerdict(disputeId, uphold, cid),
+      'Failed to cast verdict'
+    );
+
+  if (loading) {
+    return <div style={{ color: '#666', fontSize: '0.9rem' }}>Loading disputes...</div>;
+  }
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <strong>Disputes:</strong>
+      {disputes.length === 0 && (
+        <div style={{ color: '#666', fontSize: '0.9rem', marginTop: '0.5rem' }}>No disputes</div>
+      )}
+
+      {disputes.map(dispute => {
+        const canRespond = dispute.status === DISPUTE_STATUS.OPEN && isSubmitter &&
+          !dispute.isAppeal && !dispute.responseCID;
+        const canReview = dispute.status === DISPUTE_STATUS.OPEN && isReviewer &&
+          !isSelf(dispute.challenger) && !isSubmitter &&
+          !dispute.verdicts.some(verdict => isSelf(verdict.reviewer));
+
+        return (
+          <div
+            key={dispute.id}
+            style={{
+              background: '#f8f9fa',
+              borderLeft: `4px solid ${STATUS_COLORS[dispute.status]}`,
+              borderRadius: '4px',
+              padding: '0.75rem',
+              marginTop: '0.5rem',
+              fontSize: '0.9rem'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>
+                {dispute.isAppeal ? 'Appeal' : 'Dispute'} #{dispute.id} by {formatAddress(dispute.challenger)}
+                {' '}on {formatTimestamp(dispute.openedAt)}
+              </span>
+              <span style={{ color: STATUS_COLORS[dispute.status], fontWeight: 'bold' }}>
+                {DISPUTE_STATUS_LABELS[dispute.status]}
+                {dispute.resolvedAt > 0 && ` on ${formatTimestamp(dispute.resolvedAt)}`}
+              </span>
+            </div>
+
+            <Statement
+              label={dispute.isAppeal ? 'Appeal' : 'Evidence'}
+              cid={dispute.evidenceCID}
+              statement={dispute.evidence}
+            />
+            {dispute.responseCID && (
+              <Statement label="Submitter response" cid={dispute.responseCID} statement={dispute.response} />
+            )}
+
+            {dispute.verdicts.map(verdict => (
+              <div key={verdict.reviewer} style={{ marginTop: '0.5rem', color: '#444' }}>
+                {verdict.uphold ? '⚖️ Upheld' : '🛡️ Dismissed'} by {formatAddress(verdict.reviewer)}
+                {verdict.reason?.text && `: ${verdict.reason.text}`}
+              </div>
+            ))}
+
+            {canRespond && (
+              <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                <input
+                  type="text"
+                  value={drafts[`respond-${dispute.id}`] || ''}
+                  onChange={(e) => setDraft(`respond-${dispute.id}`, e.target.value)}
+                  className="form-input"
+                  placeholder="Your response to this dispute"
+                />
+                <button className="btn btn-secondary" onClick={() => handleRespond(dispute.id)} disabled={busy}>
+                  Respond
+                </button>
+              </div>
+            )}
+
+            {canReview && (
+              <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                <input
+                  type="text"
+                  value={drafts[`verdict-${dispute.id}`] || ''}
+                  onChange={(e) => setDraft(`verdict-${dispute.id}`, e.target.value)}
+                  className="form-input"
+                  placeholder="Reasoning (optional)"
+                />
+                <button className="btn btn-danger" onClick={() => handleVerdict(dispute.id, true)} disabled={busy}>
+                  Uphold
+                </button>
+                <button className="btn btn-secondary" onClick={() => handleVerdict(dispute.id, false)} disabled={busy}>
+                  Dismiss
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {account && !hasOpenOwnKind && (
+        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+          <input
+            type="text"
+            value={drafts.open || ''}
+            onChange={(e) => setDraft('open', e.target.value)}
+            className="form-input"
+            placeholder={isSubmitter ? 'Why should reviewers restore confidence in this report?' : 'Evidence that this report is wrong'}
+          />
+          <button className="btn btn-secondary" onClick={handleOpen} disabled={busy}>
+            {isSubmitter ? 'Appeal' : 'Dispute'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisputeThread;
\ No newline at end of file
@@ -1,7 +1,35 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { formatAddress } from '../utils/web3';
+import { loadAffiliation, loadMembershipMode, describeVotingRights } from '../utils/membership';
+
+const Header = ({ account, isConnected, onConnect, onDisconnect, loading, gasless, onToggleGasless }) => {
+  const [affiliation, setAffiliation] = useState(null);
+  const [membershipMode, setMembershipMode] = useState(0);
+
+  useEffect(() => {
+    if (isConnected && account) {
+      loadMembership();
+    } else {
+      setAffiliation(null);
+    }
+  }, [account, isConnected]);
+
+  const loadMembership = async () => {
+    try {
+      const [organization, mode] = await Promise.all([
+        loadAffiliation(account),
+        loadMembershipMode()
+      ]);
+      setAffiliation(organization);
+      setMembershipMode(mode);
+    } catch (error) {
+      console.warn('Failed to load organization affiliation:', error);
+      setAffiliation(null);
+    }
+  };
+
+  const votingNotice = describeVotingRights(membershipMode, affiliation);
 
-const Header = ({ account, isConnected, onConnect, onDisconnect, loading }) => {
   return (
     <header className="header">
       <div className="header-content">
@@ -12,6 +40,26 @@ const Header = ({ account, isConnected, onConnect, onDisconnect, loading }) => {
         <div className="wallet-info">
           {isConnected ? (
             <>
+              <label
+                title="Sign submissions and votes for a relayer to send, so no ETH is needed for gas"
+                style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', cursor: 'pointer' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={gasless}
+                  onChange={(e) => onToggleGasless(e.target.checked)}
+                />
+                Gasless
+              </label>
+              <span
+                title={votingNotice || (affiliation ? 'Attested organization member' : 'Not affiliated with a vetted organization')}
+                style={{ fontSize: '0.85rem', opacity: affiliation && !affiliation.suspended ? 1 : 0.7 }}
+              >
+                {affiliation
+                  ? `🏢 ${affiliation.name}${affiliation.isAdmin ? ' (admin)' : ''}${affiliation.suspended ? ' (suspended)' : ''}`
+                  : 'Unaffiliated'}
+                {votingNotice && ' ⚠️'}
+              </span>
               <span className="account-address">
                 {formatAddress(account)}
               </span>
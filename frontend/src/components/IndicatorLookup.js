@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { getReadOnlyIndicatorIndexContract } from '../utils/web3';
+import { hashIndicator } from '../utils/indicators';
+
+const IndicatorLookup = ({ onResults }) => {
+  const [indicator, setIndicator] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [matchCount, setMatchCount] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!indicator.trim()) {
+      return;
+    }
+
+    try {
+      setSearching(true);
+      const contract = getReadOnlyIndicatorIndexContract();
+      const ids = await contract.getCTIsByIndicator(hashIndicator(indicator));
+      const matches = ids.map(id => Number(id));
+      setMatchCount(matches.length);
+      onResults(matches);
+    } catch (error) {
+      console.error('Error looking up indicator:', error);
+      alert('Failed to look up indicator: ' + error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleClear = () => {
+    setIndicator('');
+    setMatchCount(null);
+    onResults(null);
+  };
+
+  return (
+    <form onSubmit={handleSearch} style={{ marginBottom: '1rem' }}>
+      <label className="form-label">Look up indicator:</label>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+        <input
+          type="text"
+          value={indicator}
+          onChange={(e) => setIndicator(e.target.value)}
+          className="form-input"
+          placeholder="IP address, domain, URL or file hash"
+        />
+        <button type="submit" className="btn btn-primary" disabled={searching}>
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+        {matchCount !== null && (
+          <button type="button" className="btn btn-secondary" onClick={handleClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      {matchCount !== null && (
+        <div style={{ fontSize: '0.9rem', color: '#666', marginTop: '0.5rem' }}>
+          {matchCount === 0
+            ? 'No reports reference this indicator'
+            : `${matchCount} report${matchCount > 1 ? 's' : ''} reference this indicator`}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default IndicatorLookup;
\ No newline at end of file
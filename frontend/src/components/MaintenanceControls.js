@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { getContract, getReadOnlyContract, formatAddress } from '../utils/web3';
+
+const MaintenanceControls = ({ account, paused, onPauseChanged }) => {
+  const [owner, setOwner] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadOwner();
+  }, []);
+
+  const loadOwner = async () => {
+    try {
+      setOwner(await getReadOnlyContract().owner());
+    } catch (error) {
+      console.warn('Failed to load registry owner:', error);
+    }
+  };
+
+  const isOwner = Boolean(owner) && owner.toLowerCase() === account.toLowerCase();
+
+  const handleToggle = async () => {
+    if (!paused && !window.confirm('Pause submissions, revisions and votes for everyone? Only the owner can resume.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const contract = await getContract();
+      const tx = paused ? await contract.unpause() : await contract.pause();
+      await tx.wait();
+      await onPauseChanged();
+    } catch (error) {
+      console.error('Error changing pause state:', error);
+      alert(`Failed to ${paused ? 'resume' : 'pause'} the registry: ${error.reason || error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ borderLeft: '4px solid #ffc107' }}>
+      <h3 style={{ marginBottom: '1rem' }}>🚧 Emergency Pause</h3>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+        <span style={{ color: '#666', fontSize: '0.9rem' }}>
+          {paused ? 'The registry is paused.' : 'The registry is running.'}
+          {owner && ` Owner: ${formatAddress(owner)}${isOwner ? ' (you)' : ''}.`}
+        </span>
+        {paused ? (
+          <button
+            className="btn btn-success"
+            onClick={handleToggle}
+            disabled={busy || !isOwner}
+            title={isOwner ? '' : 'Only the owner can resume the registry'}
+          >
+            {busy ? 'Resuming...' : 'Resume'}
+          </button>
+        ) : (
+          <button className="btn btn-danger" onClick={handleToggle} disabled={busy}>
+            {busy ? 'Pausing...' : 'Pause'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MaintenanceControls;
\ No newline at end of file
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+
+const ModeratorToolbar = ({ onDeactivate, onReactivate, busy }) => {
+  const [ctiId, setCtiId] = useState('');
+  const [reason, setReason] = useState('');
+
+  const handleDeactivate = async () => {
+    if (!ctiId || !reason.trim()) {
+      alert('CTI ID and reason are required to deactivate a report');
+      return;
+    }
+    await onDeactivate(Number(ctiId), reason.trim());
+    setReason('');
+  };
+
+  const handleReactivate = async () => {
+    if (!ctiId) {
+      alert('CTI ID is required to reactivate a report');
+      return;
+    }
+    await onReactivate(Number(ctiId));
+  };
+
+  return (
+    <div className="card" style={{ borderLeft: '4px solid #dc3545' }}>
+      <h3 style={{ marginBottom: '1rem' }}>🛡️ Moderator Tools</h3>
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <div>
+          <label className="form-label">CTI ID</label>
+          <input
+            type="number"
+            min="1"
+            value={ctiId}
+            onChange={(e) => setCtiId(e.target.value)}
+            className="form-input"
+            style={{ width: '120px' }}
+          />
+        </div>
+        <div style={{ flex: 1, minWidth: '200px' }}>
+          <label className="form-label">Reason</label>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="form-input"
+            placeholder="Spam, malicious content, duplicate..."
+          />
+        </div>
+        <button className="btn btn-danger" onClick={handleDeactivate} disabled={busy}>
+          Deactivate
+        </button>
+        <button className="btn btn-success" onClick={handleReactivate} disabled={busy}>
+          Reactivate
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModeratorToolbar;
\ No newline at end of file
@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { getRegistryGovernorContract, formatAddress, formatTimestamp } from '../utils/web3';
+import { loadAffiliation } from '../utils/membership';
+import {
+  PROPOSAL_STATE,
+  PROPOSAL_STATE_LABELS,
+  GOVERNED_PARAMETERS,
+  encodeProposalCall,
+  loadGovernanceSettings,
+  loadProposals
+} from '../utils/governance';
+
+const STATE_COLORS = ['#17a2b8', '#dc3545', '#ffc107', '#28a745', '#6c757d'];
+
+const DAY = 24 * 60 * 60;
+
+const ProposalBoard = ({ account }) => {
+  const [proposals, setProposals] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [isMember, setIsMember] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [parameterId, setParameterId] = useState(GOVERNED_PARAMETERS[0].id);
+  const [values, setValues] = useState([]);
+  const [description, setDescription] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [alert, setAlert] = useState({ type: '', message: '' });
+
+  useEffect(() => {
+    loadBoard();
+  }, [account]);
+
+  const showAlert = (type, message) => {
+    setAlert({ type, message });
+    setTimeout(() => setAlert({ type: '', message: '' }), 5000);
+  };
+
+  const loadBoard = async () => {
+    try {
+      setLoading(true);
+      const [allProposals, governanceSettings] = await Promise.all([
+        loadProposals(account),
+        loadGovernanceSettings()
+      ]);
+      setProposals(allProposals);
+      setSettings(governanceSettings);
+    } catch (error) {
+      console.error('Error loading proposals:', error);
+    } finally {
+      setLoading(false);
+    }
+
+    try {
+      const affiliation = await loadAffiliation(account);
+      setIsMember(Boolean(affiliation) && !affiliation.suspended);
+    } catch (error) {
+      console.warn('Failed to load membership:', error);
+      setIsMember(false);
+    }
+  };
+
+  const runGovernanceAction = async (send, successMessage, failureMessage) => {
+    try {
+      setBusy(true);
+      const contract = await getRegistryGovernorContract();
+      const tx = await send(contract);
+      await tx.wait();
+      showAlert('success', successMessage);
+      await loadBoard();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      showAlert('error', `${failureMessage}: ${error.reason || error.message}`);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const parameter = GOVERNED_PARAMETERS.find(entry => entry.id === parameterId);
+
+  const handleParameterChange = (e) => {
+    setParameterId(e.target.value);
+    setValues([]);
+  };
+
+  const handleValueChange = (index, value) => {
+    setValues(prev => {
+      const next = [...prev];
+      next[index] = value;
+      return next;
+    });
+  };
+
+  const handlePropose = async (e) => {
+    e.preventDefault();
+
+    if (parameter.fields.some((_, index) => !values[index] || !(Number(values[index]) >= 0))) {
+      showAlert('error', 'Enter a value for every field');
+      return;
+    }
+    if (!description.trim()) {
+      showAlert('error', 'Explain what the change does and why');
+      return;
+    }
+
+    let call;
+    try {
+      call = encodeProposalCall(parameter, values);
+    } catch (error) {
+      showAlert('error', `Invalid value: ${error.message}`);
+      return;
+    }
+
+    const proposed = await runGovernanceAction(
+      contract => contract.propose(call.target, call.data, description.trim()),
+      'Proposal created',
+      'Failed to create proposal'
+    );
+    if (proposed) {
+      setValues([]);
+      setDescription('');
+    }
+  };
+
+  const isSelf = (address) => Boolean(address) && address.toLowerCase() === account.toLowerCase();
+  const now = Date.now() / 1000;
+
+  return (
+    <div>
+      {alert.message && (
+        <div className={`alert alert-${alert.type}`}>
+          {alert.message}
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Propose a Parameter Change</h2>
+          <p>
+            Vetted organizations vote on registry parameters, one vote each. Passed proposals can be executed
+            by anyone once the timelock has expired.
+          </p>
+        </div>
+
+        {settings && (
+          <div style={{ fontSize: '0.9rem', color: '#666', marginBottom: '1rem' }}>
+            Voting lasts {settings.votingPeriod / DAY} days, followed by a {settings.timelockDelay / DAY}-day
+            timelock. New proposals need {settings.proposalQuorum} votes in favour and more votes for than against.
+          </div>
+        )}
+
+        {!isMember && (
+          <div className="alert alert-info">
+            Only attested members of a vetted organization can propose changes and vote.
+          </div>
+        )}
+
+        <form onSubmit={handlePropose}>
+          <div className="form-group">
+            <label className="form-label">Parameter *</label>
+            <select value={parameterId} onChange={handleParameterChange} className="form-select">
+              {GOVERNED_PARAMETERS.map(entry => (
+                <option key={entry.id} value={entry.id}>{entry.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ display: 'flex', gap: '1rem' }}>
+            {parameter.fields.map((field, index) => (
+              <div key={field.label} className="form-group" style={{ flex: 1 }}>
+                <label className="form-label">{field.label} *</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.kind ? 'any' : '1'}
+                  value={values[index] || ''}
+                  onChange={(e) => handleValueChange(index, e.target.value)}
+                  className="form-input"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Rationale *</label>
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="form-textarea"
+              placeholder="What does this change and why is it needed?"
+            />
+          </div>
+
+          <button type="submit" className="btn btn-primary" disabled={busy || !isMember}>
+            {busy ? 'Submitting...' : 'Create Proposal'}
+          </button>
+        </form>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Proposals</h2>
+        </div>
+
+        {loading ? (
+          <div style={{ color: '#666' }}>Loading proposals...</div>
+        ) : proposals.length === 0 ? (
+          <div style={{ color: '#666' }}>No proposals yet</div>
+        ) : (
+          proposals.map(proposal => {
+            const isActive = proposal.state === PROPOSAL_STATE.ACTIVE;
+            const isQueued = proposal.state === PROPOSAL_STATE.QUEUED;
+            const canExecute = isQueued && proposal.executableAt <= now;
+
+            return (
+              <div key={proposal.id} className="cti-item">
+                <div className="cti-header">
+                  <div>
+                    <h3 className="cti-title">{proposal.summary}</h3>
+                    <div className="cti-meta">
+                      <span>ID: #{proposal.id}</span>
+                      <span>By: {formatAddress(proposal.proposer)}</span>
+                      <span>
+                        {isActive
+                          ? `Voting until ${formatTimestamp(proposal.votingEnds)}`
+                          : `Voting ended ${formatTimestamp(proposal.votingEnds)}`}
+                      </span>
+                      {isQueued && <span>Executable from {formatTimestamp(proposal.executableAt)}</span>}
+                    </div>
+                  </div>
+                  <span className="cti-category" style={{ backgroundColor: STATE_COLORS[proposal.state] }}>
+                    {PROPOSAL_STATE_LABELS[proposal.state]}
+                  </span>
+                </div>
+
+                <p style={{ color: '#666', lineHeight: '1.5', marginBottom: '1rem' }}>{proposal.description}</p>
+
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                  <span style={{ fontSize: '0.9rem', marginRight: '0.5rem' }}>
+                    👍 {proposal.forVotes} · 👎 {proposal.againstVotes} · quorum {proposal.quorum}
+                    {proposal.hasVoted && ' · Your organization voted'}
+                  </span>
+                  {isActive && isMember && !proposal.hasVoted && (
+                    <>
+                      <button
+                        className="btn btn-success"
+                        onClick={() => runGovernanceAction(
+                          contract => contract.castVote(proposal.id, true),
+                          'Vote recorded',
+                          'Failed to vote'
+                        )}
+                        disabled={busy}
+                      >
+                        Vote For
+                      </button>
+                      <button
+                        className="btn btn-danger"
+                        onClick={() => runGovernanceAction(
+                          contract => contract.castVote(proposal.id, false),
+                          'Vote recorded',
+                          'Failed to vote'
+                        )}
+                        disabled={busy}
+                      >
+                        Vote Against
+                      </button>
+                    </>
+                  )}
+                  {isQueued && (
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => runGovernanceAction(
+                        contract => contract.execute(proposal.id),
+                        'Proposal executed',
+                        'Failed to execute proposal'
+                      )}
+                      disabled={busy || !canExecute}
+                      title={canExecute ? '' : 'The timelock has not expired yet'}
+                    >
+                      Execute
+                    </button>
+                  )}
+                  {(isActive || isQueued) && isSelf(proposal.proposer) && (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => runGovernanceAction(
+                        contract => contract.cancel(proposal.id),
+                        'Proposal canceled',
+                        'Failed to cancel proposal'
+                      )}
+                      disabled={busy}
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProposalBoard;
\ No newline at end of file
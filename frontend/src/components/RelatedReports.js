@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { getRelationRegistryContract, formatAddress } from '../utils/web3';
+import { RELATION_TYPES, ASSESSMENT, loadRelatedReports } from '../utils/relations';
+
+const RelatedReports = ({ ctiId, account, isModerator }) => {
+  const [relations, setRelations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [relationType, setRelationType] = useState(RELATION_TYPES[1].value);
+  const [targetId, setTargetId] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadRelations();
+  }, [ctiId, account]);
+
+  const loadRelations = async () => {
+    try {
+      setLoading(true);
+      setRelations(await loadRelatedReports(ctiId, account));
+    } catch (error) {
+      console.error(`Error loading relations for CTI ${ctiId}:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runRelationAction = async (send, failureMessage) => {
+    try {
+      setBusy(true);
+      const contract = await getRelationRegistryContract();
+      const tx = await send(contract);
+      await tx.wait();
+      await loadRelations();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(`${failureMessage}: ${error.reason || error.message}`);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const target = Number(targetId);
+    if (!Number.isInteger(target) || target <= 0 || target === ctiId) {
+      alert('Enter the ID of another CTI');
+      return;
+    }
+    const added = await runRelationAction(
+      contract => contract.addRelation(ctiId, target, relationType),
+      'Failed to link reports'
+    );
+    if (added) {
+      setTargetId('');
+    }
+  };
+
+  const isSelf = (address) => Boolean(account) && address.toLowerCase() === account.toLowerCase();
+
+  if (loading) {
+    return <div style={{ color: '#666', fontSize: '0.9rem' }}>Loading related reports...</div>;
+  }
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <strong>Related Reports:</strong>
+      {relations.length === 0 && (
+        <div style={{ color: '#666', fontSize: '0.9rem', marginTop: '0.5rem' }}>No related reports</div>
+      )}
+
+      {relations.map(relation => (
+        <div
+          key={relation.id}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginTop: '0.5rem',
+            fontSize: '0.9rem'
+          }}
+        >
+          <span>
+            {relation.label}{' '}
+            <a href={`#cti-${relation.otherId}`}>
+              #{relation.otherId}{relation.otherTitle ? ` ${relation.otherTitle}` : ' (no longer active)'}
+            </a>
+            <span style={{ color: '#666' }}> · linked by {formatAddress(relation.creator)}</span>
+          </span>
+          <span style={{ display: 'flex', gap: '0.25rem', alignItems: 'center' }}>
+            <button
+              className="btn btn-secondary"
+              onClick={() => runRelationAction(contract => contract.assessRelation(relation.id, true), 'Failed to endorse')}
+              disabled={busy || isSelf(relation.creator) || relation.assessment === ASSESSMENT.ENDORSE}
+              title="Endorse this link"
+            >
+              👍 {relation.endorsements}
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => runRelationAction(contract => contract.assessRelation(relation.id, false), 'Failed to dispute')}
+              disabled={busy || isSelf(relation.creator) || relation.assessment === ASSESSMENT.DISPUTE}
+              title="Dispute this link"
+            >
+              👎 {relation.disputes}
+            </button>
+            {(isSelf(relation.creator) || isModerator) && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => runRelationAction(contract => contract.removeRelation(relation.id), 'Failed to remove link')}
+                disabled={busy}
+                title="Remove this link"
+              >
+                ×
+              </button>
+            )}
+          </span>
+        </div>
+      ))}
+
+      {account && (
+        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+          <select
+            value={relationType}
+            onChange={(e) => setRelationType(Number(e.target.value))}
+            className="form-select"
+            style={{ width: 'auto' }}
+          >
+            {RELATION_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+            className="form-input"
+            placeholder="CTI ID"
+            style={{ width: '8rem' }}
+          />
+          <button className="btn btn-secondary" onClick={handleAdd} disabled={busy}>
+            Link
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RelatedReports;
\ No newline at end of file
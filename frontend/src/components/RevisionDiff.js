@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { getReadOnlyContract, getReadOnlyRevisionHistoryContract, formatTimestamp } from '../utils/web3';
+import { retrieveJSONFromIPFS } from '../utils/ipfs';
+import { isEncryptedEnvelope, getCachedEncryptionKey, decryptJSON } from '../utils/encryption';
+
+// Compare two metadata objects key by key; arrays are compared item by item
+const diffMetadata = (before, after) => {
+  const keys = Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]));
+
+  return keys
+    .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .map(key => {
+      const oldValue = before?.[key];
+      const newValue = after?.[key];
+
+      if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+        const oldItems = (oldValue || []).map(item => JSON.stringify(item));
+        const newItems = (newValue || []).map(item => JSON.stringify(item));
+        return {
+          key,
+          added: newItems.filter(item => !oldItems.includes(item)),
+          removed: oldItems.filter(item => !newItems.includes(item))
+        };
+      }
+
+      return {
+        key,
+        added: newValue === undefined ? [] : [JSON.stringify(newValue)],
+        removed: oldValue === undefined ? [] : [JSON.stringify(oldValue)]
+      };
+    });
+};
+
+const RevisionDiff = ({ ctiId, revisionCount, account }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [fromRevision, setFromRevision] = useState(Math.max(revisionCount - 2, 0));
+  const [toRevision, setToRevision] = useState(revisionCount - 1);
+  const [changes, setChanges] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [ctiId, revisionCount]);
+
+  useEffect(() => {
+    if (revisions.length > 0) {
+      compareRevisions();
+    }
+  }, [revisions, fromRevision, toRevision]);
+
+  // Earlier versions come from the revision history; the latest is the CTI record itself
+  const loadRevisions = async () => {
+    try {
+      const contract = getReadOnlyContract();
+      const history = getReadOnlyRevisionHistoryContract();
+      const indexes = Array.from({ length: revisionCount - 1 }, (_, index) => index);
+      const [archived, current, revisedAt] = await Promise.all([
+        Promise.all(indexes.map(index => history.getRevision(ctiId, index))),
+        contract.getCTI(ctiId),
+        contract.lastRevisedAt(ctiId)
+      ]);
+      const latest = { ipfsHash: current.ipfsHash, title: current.title, timestamp: revisedAt };
+      const revisionData = [...archived, latest].map((revision, index) => ({
+        index,
+        ipfsHash: revision.ipfsHash,
+        title: revision.title,
+        timestamp: Number(revision.timestamp)
+      }));
+      setRevisions(revisionData);
+    } catch (error) {
+      console.error(`Error loading revisions for CTI ${ctiId}:`, error);
+    }
+  };
+
+  // Encrypted revisions can only be compared once the wallet's key is unlocked
+  const loadRevisionMetadata = async (ipfsHash) => {
+    const metadata = await retrieveJSONFromIPFS(ipfsHash);
+    if (!isEncryptedEnvelope(metadata)) {
+      return metadata;
+    }
+    const encryptionKey = getCachedEncryptionKey(account);
+    if (!encryptionKey) {
+      throw new Error('Encryption key is locked');
+    }
+    return decryptJSON(metadata, account, encryptionKey);
+  };
+
+  const compareRevisions = async () => {
+    try {
+      setLoading(true);
+      const [before, after] = await Promise.all([
+        loadRevisionMetadata(revisions[fromRevision].ipfsHash),
+        loadRevisionMetadata(revisions[toRevision].ipfsHash)
+      ]);
+      setChanges(diffMetadata(before, after));
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+      setChanges(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revisionSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="form-select"
+      style={{ width: 'auto' }}
+    >
+      {revisions.map(revision => (
+        <option key={revision.index} value={revision.index}>
+          v{revision.index + 1} · {formatTimestamp(revision.timestamp)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <strong>Revision history:</strong>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', margin: '0.5rem 0' }}>
+        {revisionSelect(fromRevision, setFromRevision)}
+        <span>→</span>
+        {revisionSelect(toRevision, setToRevision)}
+      </div>
+
+      <div style={{
+        background: '#f8f9fa',
+        padding: '0.5rem',
+        borderRadius: '4px',
+        fontFamily: 'monospace',
+        fontSize: '0.85rem'
+      }}>
+        {loading && <div style={{ color: '#666' }}>Loading metadata...</div>}
+        {!loading && changes === null && (
+          <div style={{ color: '#666' }}>Metadata for these revisions is unavailable</div>
+        )}
+        {!loading && changes && changes.length === 0 && (
+          <div style={{ color: '#666' }}>No metadata changes</div>
+        )}
+        {!loading && changes && changes.map(change => (
+          <div key={change.key} style={{ marginBottom: '0.5rem' }}>
+            <div style={{ fontWeight: 'bold' }}>{change.key}</div>
+            {change.removed.map((value, index) => (
+              <div key={`-${index}`} style={{ color: '#721c24', background: '#f8d7da' }}>- {value}</div>
+            ))}
+            {change.added.map((value, index) => (
+              <div key={`+${index}`} style={{ color: '#155724', background: '#d4edda' }}>+ {value}</div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionDiff;
\ No newline at end of file
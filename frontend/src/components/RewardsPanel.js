@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { getContributorTokenContract } from '../utils/web3';
+import { loadRewardSummary, formatTokenAmount } from '../utils/rewards';
+
+const RewardsPanel = ({ account }) => {
+  const [summary, setSummary] = useState(null);
+  const [claiming, setClaiming] = useState(false);
+
+  useEffect(() => {
+    loadSummary();
+  }, [account]);
+
+  const loadSummary = async () => {
+    try {
+      setSummary(await loadRewardSummary(account));
+    } catch (error) {
+      console.warn('Failed to load contributor rewards:', error);
+      setSummary(null);
+    }
+  };
+
+  const handleClaim = async () => {
+    try {
+      setClaiming(true);
+      const contract = await getContributorTokenContract();
+      const tx = await contract.claim();
+      await tx.wait();
+      await loadSummary();
+    } catch (error) {
+      console.error('Error claiming rewards:', error);
+      alert(`Failed to claim rewards: ${error.reason || error.message}`);
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  if (!summary) {
+    return null;
+  }
+
+  const format = (wei) => formatTokenAmount(wei, summary.symbol);
+  const periodDays = Math.round(summary.emissionPeriod / 86400);
+
+  return (
+    <div className="card" style={{ borderLeft: '4px solid #28a745' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+        <div>
+          <h3 style={{ marginBottom: '0.5rem' }}>🏆 Contributor Rewards</h3>
+          <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap' }}>
+            <span><strong>Earned:</strong> {format(summary.earned)}</span>
+            <span><strong>Claimable:</strong> {format(summary.claimable)}</span>
+            <span><strong>Balance:</strong> {format(summary.balance)}</span>
+          </div>
+        </div>
+        <button
+          className="btn btn-success"
+          onClick={handleClaim}
+          disabled={claiming || !summary.claimable}
+        >
+          {claiming ? 'Claiming...' : 'Claim'}
+        </button>
+      </div>
+      <p style={{ color: '#666', fontSize: '0.85rem', marginTop: '0.75rem', marginBottom: 0 }}>
+        {format(summary.submissionReward)} per validated submission, {format(summary.voterReward)} per settled
+        vote on the winning side. {format(summary.remainingEmission)} of {format(summary.periodEmissionCap)} left
+        this {periodDays}-day period; {format(summary.totalCredited)} of {format(summary.maxSupply)} credited overall.
+      </p>
+    </div>
+  );
+};
+
+export default RewardsPanel;
\ No newline at end of file
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { getSharingGroupRegistryContract, formatAddress } from '../utils/web3';
+import { publishEncryptionKey } from '../utils/encryption';
+
+const SharingGroupManager = ({ account, groups, hasKey, onGroupsChanged }) => {
+  const [groupName, setGroupName] = useState('');
+  const [newMembers, setNewMembers] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const runGroupAction = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      await action();
+      await onGroupsChanged();
+    } catch (error) {
+      console.error(failureMessage, error);
+      alert(`${failureMessage}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendTransaction = async (send) => {
+    const contract = await getSharingGroupRegistryContract();
+    const tx = await send(contract);
+    await tx.wait();
+  };
+
+  const handlePublishKey = () =>
+    runGroupAction(() => publishEncryptionKey(account), 'Failed to publish encryption key');
+
+  const handleCreate = async () => {
+    if (!groupName.trim()) {
+      alert('Group name is required');
+      return;
+    }
+    await runGroupAction(
+      () => sendTransaction(contract => contract.createGroup(groupName.trim())),
+      'Failed to create group'
+    );
+    setGroupName('');
+  };
+
+  const handleAddMember = async (groupId) => {
+    const member = (newMembers[groupId] || '').trim();
+    if (!/^0x[0-9a-fA-F]{40}$/.test(member)) {
+      alert('Enter a valid member address');
+      return;
+    }
+    await runGroupAction(
+      () => sendTransaction(contract => contract.addMember(groupId, member)),
+      'Failed to add member'
+    );
+    setNewMembers(prev => ({ ...prev, [groupId]: '' }));
+  };
+
+  const handleRemoveMember = (groupId, member) =>
+    runGroupAction(
+      () => sendTransaction(contract => contract.removeMember(groupId, member)),
+      'Failed to remove member'
+    );
+
+  const isSelf = (address) => address.toLowerCase() === account.toLowerCase();
+  const myGroups = groups.filter(group => group.members.some(member => isSelf(member.address)));
+
+  return (
+    <div className="card" style={{ borderLeft: '4px solid #6f42c1' }}>
+      <h3 style={{ marginBottom: '1rem' }}>🔐 Sharing Groups</h3>
+
+      {!hasKey && (
+        <div className="alert alert-info" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span>Publish your encryption key so group members can share encrypted reports with you.</span>
+          <button className="btn btn-primary" onClick={handlePublishKey} disabled={busy}>
+            Publish key
+          </button>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-end', marginBottom: '1rem' }}>
+        <div style={{ flex: 1 }}>
+          <label className="form-label">New group</label>
+          <input
+            type="text"
+            value={groupName}
+            onChange={(e) => setGroupName(e.target.value)}
+            className="form-input"
+            placeholder="e.g. Finance ISAC"
+          />
+        </div>
+        <button className="btn btn-primary" onClick={handleCreate} disabled={busy}>
+          Create
+        </button>
+      </div>
+
+      {myGroups.length === 0 ? (
+        <div style={{ color: '#666', fontSize: '0.9rem' }}>You are not a member of any sharing group</div>
+      ) : (
+        myGroups.map(group => (
+          <div key={group.id} style={{ marginBottom: '1rem' }}>
+            <strong>{group.name}</strong>
+            <span style={{ color: '#666', fontSize: '0.9rem', marginLeft: '0.5rem' }}>
+              {group.members.length} member{group.members.length > 1 ? 's' : ''}
+            </span>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', margin: '0.5rem 0' }}>
+              {group.members.map(member => (
+                <span
+                  key={member.address}
+                  style={{
+                    background: '#e9ecef',
+                    padding: '0.25rem 0.5rem',
+                    borderRadius: '12px',
+                    fontSize: '0.8rem',
+                    fontFamily: 'monospace'
+                  }}
+                  title={member.publicKey ? 'Encryption key published' : 'No encryption key yet'}
+                >
+                  {member.publicKey ? '🔑' : '⏳'} {formatAddress(member.address)}
+                  {isSelf(group.owner) && !isSelf(member.address) && (
+                    <button
+                      onClick={() => handleRemoveMember(group.id, member.address)}
+                      disabled={busy}
+                      title="Remove member"
+                      style={{ marginLeft: '0.25rem', background: 'none', border: 'none', cursor: 'pointer' }}
+                    >
+                      ×
+                    </button>
+                  )}
+                </span>
+              ))}
+            </div>
+            {isSelf(group.owner) && (
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                  type="text"
+                  value={newMembers[group.id] || ''}
+                  onChange={(e) => setNewMembers(prev => ({ ...prev, [group.id]: e.target.value }))}
+                  className="form-input"
+                  placeholder="Member address (0x...)"
+                />
+                <button className="btn btn-secondary" onClick={() => handleAddMember(group.id)} disabled={busy}>
+                  Add
+                </button>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default SharingGroupManager;
\ No newline at end of file
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { getSightingRegistryContract, formatAddress, formatTimestamp } from '../utils/web3';
+import { getIPFSUrl } from '../utils/ipfs';
+import { loadSightingTimeline, getSightingCooldown, uploadSightingContext } from '../utils/sightings';
+
+// Sightings shown before "Show all"
+const TIMELINE_PREVIEW = 5;
+
+const SightingTimeline = ({ ctiId, account, onSightingReported }) => {
+  const [sightings, setSightings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAll, setShowAll] = useState(false);
+  const [cooldown, setCooldown] = useState(0);
+  const [environment, setEnvironment] = useState('');
+  const [notes, setNotes] = useState('');
+  const [reporting, setReporting] = useState(false);
+
+  useEffect(() => {
+    loadSightings();
+  }, [ctiId, account]);
+
+  const loadSightings = async () => {
+    try {
+      setLoading(true);
+      const [timeline, wait] = await Promise.all([
+        loadSightingTimeline(ctiId),
+        account ? getSightingCooldown(ctiId, account) : 0
+      ]);
+      setSightings(timeline);
+      setCooldown(wait);
+    } catch (error) {
+      console.error(`Error loading sightings for CTI ${ctiId}:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReport = async () => {
+    try {
+      setReporting(true);
+
+      // Context is optional; a bare sighting is still a useful signal
+      const contextCid = environment.trim() || notes.trim()
+        ? await uploadSightingContext(ctiId, account, {
+          environment: environment.trim(),
+          notes: notes.trim()
+        })
+        : '';
+
+      const contract = await getSightingRegistryContract();
+      const tx = await contract.reportSighting(ctiId, contextCid);
+      await tx.wait();
+
+      setEnvironment('');
+      setNotes('');
+      await loadSightings();
+      if (onSightingReported) {
+        await onSightingReported();
+      }
+    } catch (error) {
+      console.error('Error reporting sighting:', error);
+      alert('Failed to report sighting: ' + (error.reason || error.message));
+    } finally {
+      setReporting(false);
+    }
+  };
+
+  if (loading) {
+    return <div style={{ color: '#666', fontSize: '0.9rem' }}>Loading sightings...</div>;
+  }
+
+  const visible = showAll ? sightings : sightings.slice(0, TIMELINE_PREVIEW);
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <strong>Sightings:</strong>
+      {sightings.length === 0 && (
+        <div style={{ color: '#666', fontSize: '0.9rem', marginTop: '0.5rem' }}>Not sighted yet</div>
+      )}
+
+      <div style={{ marginTop: '0.5rem' }}>
+        {visible.map((sighting, index) => (
+          <div
+            key={`${sighting.reporter}-${sighting.timestamp}`}
+            style={{
+              position: 'relative',
+              paddingLeft: '1.25rem',
+              paddingBottom: '0.5rem',
+              borderLeft: index < visible.length - 1 ? '2px solid #e9ecef' : '2px solid transparent',
+              marginLeft: '0.35rem',
+              fontSize: '0.9rem'
+            }}
+          >
+            <span
+              style={{
+                position: 'absolute',
+                left: '-0.4rem',
+                top: '0.2rem',
+                width: '0.7rem',
+                height: '0.7rem',
+                borderRadius: '50%',
+                background: '#fd7e14'
+              }}
+            />
+            {formatTimestamp(sighting.timestamp)}
+            <span style={{ color: '#666' }}> · {formatAddress(sighting.reporter)}</span>
+            {sighting.contextCid && (
+              <>
+                {' · '}
+                <a href={getIPFSUrl(sighting.contextCid)} target="_blank" rel="noopener noreferrer">
+                  context
+                </a>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {sightings.length > TIMELINE_PREVIEW && (
+        <button
+          onClick={() => setShowAll(!showAll)}
+          style={{ background: 'none', border: 'none', color: '#667eea', cursor: 'pointer', fontSize: '0.9rem', padding: 0 }}
+        >
+          {showAll ? 'Show recent' : `Show all ${sightings.length}`}
+        </button>
+      )}
+
+      {account && (
+        cooldown > 0 ? (
+          <div style={{ color: '#666', fontSize: '0.9rem', marginTop: '0.5rem' }}>
+            You reported a sighting recently. You can report it again in {Math.ceil(cooldown / 60)} min.
+          </div>
+        ) : (
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem', flexWrap: 'wrap' }}>
+            <input
+              type="text"
+              value={environment}
+              onChange={(e) => setEnvironment(e.target.value)}
+              className="form-input"
+              placeholder="Where (e.g. mail gateway, EDR)"
+              style={{ flex: 1, minWidth: '10rem' }}
+            />
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="form-input"
+              placeholder="Notes (optional)"
+              style={{ flex: 2, minWidth: '10rem' }}
+            />
+            <button className="btn btn-secondary" onClick={handleReport} disabled={reporting}>
+              {reporting ? 'Reporting...' : '👁 We saw this'}
+            </button>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SightingTimeline;
\ No newline at end of file
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { getReadOnlyContract, getContract, formatAddress } from '../utils/web3';
+
+const VoterList = ({ ctiId, isSettled }) => {
+  const [voters, setVoters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [settling, setSettling] = useState({});
+
+  useEffect(() => {
+    loadVoters();
+  }, [ctiId]);
+
+  const loadVoters = async () => {
+    try {
+      setLoading(true);
+      const contract = getReadOnlyContract();
+      const addresses = await contract.getCTIVoters(ctiId);
+
+      const voterData = await Promise.all(addresses.map(async (address) => {
+        const [vote, reputation] = await Promise.all([
+          contract.votes(ctiId, address),
+          contract.reputation(address)
+        ]);
+        return {
+          address,
+          isUpvote: vote.isUpvote,
+          weight: Number(vote.weight),
+          reputationSettled: vote.reputationSettled,
+          reputation: Number(reputation)
+        };
+      }));
+
+      setVoters(voterData);
+    } catch (error) {
+      console.error(`Error loading voters for CTI ${ctiId}:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSettle = async (voter) => {
+    try {
+      setSettling(prev => ({ ...prev, [voter]: true }));
+
+      const contract = await getContract();
+      const tx = await contract.settleVoteReputation(ctiId, voter);
+      await tx.wait();
+
+      await loadVoters();
+    } catch (error) {
+      console.error('Error settling vote:', error);
+      alert('Failed to settle vote: ' + error.message);
+    } finally {
+      setSettling(prev => ({ ...prev, [voter]: false }));
+    }
+  };
+
+  if (loading) {
+    return <div style={{ color: '#666', fontSize: '0.9rem' }}>Loading voters...</div>;
+  }
+
+  if (voters.length === 0) {
+    return <div style={{ color: '#666', fontSize: '0.9rem' }}>No votes yet</div>;
+  }
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <strong>Voters:</strong>
+      <table style={{ width: '100%', marginTop: '0.5rem', fontSize: '0.9rem', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', color: '#666' }}>
+            <th>Voter</th>
+            <th>Vote</th>
+            <th>Weight</th>
+            <th>Reputation</th>
+            {isSettled && <th></th>}
+          </tr>
+        </thead>
+        <tbody>
+          {voters.map((voter) => (
+            <tr key={voter.address}>
+              <td style={{ fontFamily: 'monospace' }}>{formatAddress(voter.address)}</td>
+              <td>{voter.isUpvote ? '👍' : '👎'}</td>
+              <td>{voter.weight}</td>
+              <td>{voter.reputation}</td>
+              {isSettled && (
+                <td>
+                  {voter.reputationSettled ? (
+                    <span style={{ color: '#666' }}>Settled</span>
+                  ) : (
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleSettle(voter.address)}
+                      disabled={settling[voter.address]}
+                      style={{ padding: '0.25rem 0.75rem', fontSize: '0.8rem' }}
+                    >
+                      Settle
+                    </button>
+                  )}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default VoterList;
\ No newline at end of file
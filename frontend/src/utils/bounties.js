@@ -0,0 +1,71 @@
+import { getReadOnlyContract, getReadOnlyBountyBoardContract } from './web3';
+import { uploadJSONToIPFS, retrieveJSONFromIPFS } from './ipfs';
+
+// Mirrors BountyBoard.BountyStatus
+export const BOUNTY_STATUS = {
+  OPEN: 0,
+  AWARDED: 1,
+  REFUNDED: 2
+};
+
+export const BOUNTY_STATUS_LABELS = ['Open', 'Awarded', 'Refunded'];
+
+// Upload a bounty request description and return its CID
+export const uploadBountyRequest = (requester, title, description) => {
+  return uploadJSONToIPFS({
+    title,
+    description,
+    requester,
+    createdAt: new Date().toISOString()
+  });
+};
+
+const loadRequest = async (cid) => {
+  try {
+    return await retrieveJSONFromIPFS(cid);
+  } catch (error) {
+    console.warn(`Failed to load bounty request ${cid}:`, error);
+    return null;
+  }
+};
+
+// Load every bounty with its request description and linked answers, newest first
+export const loadBounties = async () => {
+  const contract = getReadOnlyBountyBoardContract();
+  const registry = getReadOnlyContract();
+  const bountyCount = Number(await contract.bountyCount());
+  const ids = Array.from({ length: bountyCount }, (_, index) => bountyCount - index);
+
+  return Promise.all(ids.map(async (id) => {
+    const [bounty, answerIds] = await Promise.all([
+      contract.getBounty(id),
+      contract.getAnswers(id)
+    ]);
+    const request = await loadRequest(bounty.descriptionCID);
+
+    // Answers that were deactivated or retracted since are listed without details
+    const answers = await Promise.all(answerIds.map(async (ctiId) => {
+      try {
+        const cti = await registry.getCTI(ctiId);
+        return { id: Number(ctiId), title: cti.title, submitter: cti.submitter, active: true };
+      } catch (error) {
+        return { id: Number(ctiId), title: null, submitter: null, active: false };
+      }
+    }));
+
+    return {
+      id,
+      requester: bounty.requester,
+      descriptionCID: bounty.descriptionCID,
+      title: request?.title || `Bounty #${id}`,
+      description: request?.description || '',
+      category: bounty.category,
+      reward: bounty.reward,
+      deadline: Number(bounty.deadline),
+      status: Number(bounty.status),
+      awardedCTI: Number(bounty.awardedCTI),
+      createdAt: Number(bounty.createdAt),
+      answers
+    };
+  }));
+};
\ No newline at end of file
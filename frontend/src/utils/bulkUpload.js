@@ -0,0 +1,230 @@
+import { uploadToIPFS, uploadJSONToIPFS, validateFile, createCTIMetadata } from './ipfs';
+import { TLP_LEVELS, getTLPLevel, isPublicTLP } from './tlp';
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Split CSV text into rows of fields, honouring quoted fields and "" escapes
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// CSV manifest with a header row, one report per following row
+export const parseCSVManifest = (text) => {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim().toLowerCase());
+  return rows.map(fields =>
+    Object.fromEntries(columns.map((column, index) => [column, (fields[index] || '').trim()]))
+  );
+};
+
+// JSON manifest: an array of reports or an object with a `reports` array
+export const parseJSONManifest = (text) => {
+  const manifest = JSON.parse(text);
+  const reports = Array.isArray(manifest) ? manifest : manifest.reports;
+  if (!Array.isArray(reports)) {
+    throw new Error('JSON manifest must be an array of reports or have a "reports" array');
+  }
+  return reports;
+};
+
+// Accepts 0-4, "TLP:AMBER+STRICT", "amber+strict" or "AMBER_STRICT"; null when unrecognised
+export const parseTLP = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim().toUpperCase();
+  if (/^\d+$/.test(text)) {
+    const level = TLP_LEVELS.find(item => item.value === Number(text));
+    return level ? level.value : null;
+  }
+  const name = text.replace(/^TLP:/, '').replace('_', '+');
+  const level = TLP_LEVELS.find(item => item.label === `TLP:${name}`);
+  return level ? level.value : null;
+};
+
+// Accepts unix seconds or a date string such as "2026-06-01T00:00:00Z"; 0 when
+// empty, null when unrecognised
+export const parseTimestamp = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return 0;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+const toList = (value, separator) => {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim()).filter(item => item.length > 0);
+  }
+  return String(value || '')
+    .split(separator)
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+};
+
+const normalizeReport = (entry, index, attachments) => {
+  const fileName = String(entry.file || '').trim();
+  // CSV headers are lower-cased, JSON keys keep their case
+  const rawValidFrom = entry.validFrom ?? entry.validfrom;
+  const rawValidUntil = entry.validUntil ?? entry.validuntil;
+  return {
+    row: index + 1,
+    title: String(entry.title || '').trim(),
+    category: String(entry.category || '').trim(),
+    description: String(entry.description || '').trim(),
+    severity: String(entry.severity || 'medium').trim().toLowerCase(),
+    rawTLP: entry.tlp,
+    tlp: parseTLP(entry.tlp),
+    rawValidFrom,
+    validFrom: parseTimestamp(rawValidFrom),
+    rawValidUntil,
+    validUntil: parseTimestamp(rawValidUntil),
+    indicators: toList(entry.indicators, /[;\n]/),
+    tags: toList(entry.tags, /[,;]/),
+    fileName,
+    attachment: fileName ? attachments.get(fileName) || null : null
+  };
+};
+
+/**
+ * Read reports from the selected files. A file named manifest.json or
+ * manifest.csv, or a single JSON/CSV file, is the manifest and may name other
+ * selected files as attachments in its `file` column. Without a manifest,
+ * every selected JSON file is one report.
+ * @param files Files from a multi-file or folder input
+ * @returns Normalized reports in manifest order
+ */
+export const loadBulkReports = async (files) => {
+  const isManifest = file => /\.(json|csv)$/i.test(file.name);
+  const manifest = files.find(file => /^manifest\.(json|csv)$/i.test(file.name))
+    || (files.length === 1 && isManifest(files[0]) ? files[0] : null);
+
+  let entries;
+  if (manifest) {
+    const text = await manifest.text();
+    entries = /\.csv$/i.test(manifest.name) ? parseCSVManifest(text) : parseJSONManifest(text);
+  } else {
+    const reportFiles = files.filter(file => /\.json$/i.test(file.name));
+    if (reportFiles.length === 0) {
+      throw new Error('Select a manifest.json or manifest.csv, or a folder of JSON reports');
+    }
+    entries = await Promise.all(reportFiles.map(async (file) => {
+      try {
+        return JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+    }));
+  }
+
+  const attachments = new Map(
+    files.filter(file => file !== manifest).map(file => [file.name, file])
+  );
+  return entries.map((entry, index) => normalizeReport(entry, index, attachments));
+};
+
+// First problem that would stop a report from being submitted, or null
+export const validateBulkReport = (report, categoryNames) => {
+  if (!report.title) {
+    return 'Title is required';
+  }
+  if (!report.category) {
+    return 'Category is required';
+  }
+  if (categoryNames.length > 0 && !categoryNames.includes(report.category)) {
+    return `Unknown category "${report.category}"`;
+  }
+  if (report.tlp === null) {
+    return report.rawTLP ? `Unknown TLP marking "${report.rawTLP}"` : 'TLP marking is required';
+  }
+  // Bulk uploads are not encrypted, so restricted reports go through the single form
+  if (!isPublicTLP(report.tlp)) {
+    return `${getTLPLevel(report.tlp).label} reports must be submitted one at a time and shared with a group`;
+  }
+  if (report.validFrom === null) {
+    return `Unknown valid from date "${report.rawValidFrom}"`;
+  }
+  if (report.validUntil === null) {
+    return `Unknown valid until date "${report.rawValidUntil}"`;
+  }
+  if (report.validUntil && (report.validUntil <= Date.now() / 1000 || report.validUntil <= report.validFrom)) {
+    return 'Valid until must be in the future and after valid from';
+  }
+  if (!report.description) {
+    return 'Description is required';
+  }
+  if (!SEVERITIES.includes(report.severity)) {
+    return `Unknown severity "${report.severity}"`;
+  }
+  if (report.fileName && !report.attachment) {
+    return `File "${report.fileName}" was not selected`;
+  }
+  if (report.attachment) {
+    try {
+      validateFile(report.attachment);
+    } catch (error) {
+      return `${report.fileName}: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+// Upload a report's attachment and metadata, and return the metadata CID
+export const uploadBulkReport = async (report) => {
+  if (!isPublicTLP(report.tlp)) {
+    throw new Error(`${getTLPLevel(report.tlp).label} reports cannot be uploaded unencrypted`);
+  }
+  const fileCid = report.attachment ? await uploadToIPFS(report.attachment) : null;
+  const metadata = createCTIMetadata({
+    ...report,
+    tlp: getTLPLevel(report.tlp).label,
+    validFrom: new Date((report.validFrom || Date.now() / 1000) * 1000).toISOString(),
+    validUntil: report.validUntil ? new Date(report.validUntil * 1000).toISOString() : null
+  }, fileCid);
+  return uploadJSONToIPFS(metadata);
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+import { getReadOnlyCategoryRegistryContract } from './web3';
+
+// Color used for categories without one, or unknown to the registry
+export const DEFAULT_CATEGORY_COLOR = '#6c757d';
+
+// Load every category from the on-chain registry, including deprecated ones
+export const loadCategories = async () => {
+  const contract = getReadOnlyCategoryRegistryContract();
+  const categories = await contract.getCategories();
+  return categories.map(category => ({
+    id: Number(category.id),
+    name: category.name,
+    parentId: Number(category.parentId),
+    color: category.color || DEFAULT_CATEGORY_COLOR,
+    deprecated: category.deprecated
+  }));
+};
+
+// Order categories so that sub-categories follow their parent, with their depth
+export const orderCategories = (categories) => {
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    categories
+      .filter(category => category.parentId === parentId)
+      .forEach(category => {
+        ordered.push({ ...category, depth });
+        visit(category.id, depth + 1);
+      });
+  };
+  visit(0, 0);
+  return ordered;
+};
+
+// Look up the display color of a category by name
+export const getCategoryColor = (categories, name) => {
+  const category = categories.find(item => item.name === name);
+  return category ? category.color : DEFAULT_CATEGORY_COLOR;
+};
+
+// Names of a category and all of its sub-categories, for filtering
+export const getCategoryFamily = (categories, name) => {
+  const root = categories.find(category => category.name === name);
+  if (!root) {
+    return [name];
+  }
+
+  const names = [root.name];
+  const visit = (parentId) => {
+    categories
+      .filter(category => category.parentId === parentId)
+      .forEach(category => {
+        names.push(category.name);
+        visit(category.id);
+      });
+  };
+  visit(root.id);
+  return names;
+};
\ No newline at end of file
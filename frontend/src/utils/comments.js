@@ -0,0 +1,86 @@
+import { getReadOnlyCommentRegistryContract } from './web3';
+import { uploadJSONToIPFS, retrieveJSONFromIPFS } from './ipfs';
+
+// Upload a comment body, or a new revision of one, and return its CID
+export const uploadCommentBody = (ctiId, parentId, author, text, previousRevision = null) => {
+  return uploadJSONToIPFS({
+    ctiId,
+    parentId,
+    author,
+    text,
+    previousRevision,
+    createdAt: new Date().toISOString()
+  });
+};
+
+export const loadCommentCount = async (ctiId) => {
+  return Number(await getReadOnlyCommentRegistryContract().ctiCommentCount(ctiId));
+};
+
+const loadBody = async (cid) => {
+  try {
+    return await retrieveJSONFromIPFS(cid);
+  } catch (error) {
+    console.warn(`Failed to load comment ${cid}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Rebuild the discussion on a CTI from the comment events
+ * @param ctiId CTI ID
+ * @returns Top-level comments, oldest first, each with nested replies
+ */
+export const loadCommentThread = async (ctiId) => {
+  const contract = getReadOnlyCommentRegistryContract();
+  const fromBlock = Number(await contract.deploymentBlock());
+
+  const [posted, edited] = await Promise.all([
+    contract.queryFilter(contract.filters.CommentPosted(null, ctiId), fromBlock),
+    contract.queryFilter(contract.filters.CommentEdited(null, ctiId), fromBlock)
+  ]);
+
+  const comments = new Map();
+  posted.forEach(event => {
+    comments.set(Number(event.args.commentId), {
+      id: Number(event.args.commentId),
+      parentId: Number(event.args.parentId),
+      author: event.args.author,
+      cid: event.args.cid,
+      revision: 1,
+      replies: []
+    });
+  });
+
+  // Events arrive in block order, so the last edit is the current revision
+  edited.forEach(event => {
+    const comment = comments.get(Number(event.args.commentId));
+    if (comment) {
+      comment.cid = event.args.cid;
+      comment.revision = Number(event.args.revision);
+    }
+  });
+
+  await Promise.all([...comments.values()].map(async (comment) => {
+    const [body, hidden] = await Promise.all([
+      loadBody(comment.cid),
+      contract.isHidden(comment.id)
+    ]);
+    comment.text = body?.text ?? null;
+    comment.createdAt = body?.createdAt || null;
+    comment.hidden = hidden;
+  }));
+
+  const topLevel = [];
+  [...comments.values()]
+    .sort((a, b) => a.id - b.id)
+    .forEach(comment => {
+      const parent = comments.get(comment.parentId);
+      if (parent) {
+        parent.replies.push(comment);
+      } else {
+        topLevel.push(comment);
+      }
+    });
+  return topLevel;
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { getReadOnlyDisputeManagerContract } from './web3';
+import { uploadJSONToIPFS, retrieveJSONFromIPFS } from './ipfs';
+
+// Mirrors DisputeManager.DisputeStatus
+export const DISPUTE_STATUS = {
+  OPEN: 0,
+  UPHELD: 1,
+  DISMISSED: 2
+};
+
+export const DISPUTE_STATUS_LABELS = ['Open', 'Upheld', 'Dismissed'];
+
+// Badge shown in the feed for a CTI's latest dispute, or null when it has none
+export const getDisputeBadge = (summary) => {
+  if (!summary) {
+    return null;
+  }
+  if (summary.status === DISPUTE_STATUS.OPEN) {
+    return { label: summary.isAppeal ? 'UNDER APPEAL' : 'DISPUTED', color: '#fd7e14' };
+  }
+  if (summary.status === DISPUTE_STATUS.UPHELD) {
+    return { label: summary.isAppeal ? 'APPEAL UPHELD' : 'DISPUTE UPHELD', color: '#dc3545' };
+  }
+  return null;
+};
+
+// Status of the most recent dispute on a CTI, or null when it was never disputed
+export const loadDisputeSummary = async (ctiId) => {
+  const contract = getReadOnlyDisputeManagerContract();
+  const disputeIds = await contract.getDisputesForCTI(ctiId);
+  if (disputeIds.length === 0) {
+    return null;
+  }
+
+  const latestId = disputeIds[disputeIds.length - 1];
+  const [dispute, isAppeal] = await Promise.all([
+    contract.getDispute(latestId),
+    contract.isAppeal(latestId)
+  ]);
+  return { id: Number(latestId), status: Number(dispute.status), isAppeal, count: disputeIds.length };
+};
+
+// Statements are stored on IPFS; unreadable ones are shown by CID only
+const loadStatement = async (cid) => {
+  if (!cid) {
+    return null;
+  }
+  try {
+    return await retrieveJSONFromIPFS(cid);
+  } catch (error) {
+    console.warn(`Failed to load dispute statement ${cid}:`, error);
+    return null;
+  }
+};
+
+// Every dispute on a CTI with its statements and verdicts, oldest first
+export const loadDisputeThread = async (ctiId) => {
+  const contract = getReadOnlyDisputeManagerContract();
+  const disputeIds = await contract.getDisputesForCTI(ctiId);
+
+  return Promise.all(disputeIds.map(async (id) => {
+    const [dispute, isAppeal, verdicts] = await Promise.all([
+      contract.getDispute(id),
+      contract.isAppeal(id),
+      contract.getVerdicts(id)
+    ]);
+    const [evidence, response, reasons] = await Promise.all([
+      loadStatement(dispute.evidenceCID),
+      loadStatement(dispute.responseCID),
+      Promise.all(verdicts.map(verdict => loadStatement(verdict.reasonCID)))
+    ]);
+
+    return {
+      id: Number(id),
+      challenger: dispute.challenger,
+      isAppeal,
+      status: Number(dispute.status),
+      openedAt: Number(dispute.openedAt),
+      resolvedAt: Number(dispute.resolvedAt),
+      upholdVotes: Number(dispute.upholdVotes),
+      dismissVotes: Number(dispute.dismissVotes),
+      evidenceCID: dispute.evidenceCID,
+      evidence,
+      responseCID: dispute.responseCID,
+      response,
+      verdicts: verdicts.map((verdict, index) => ({
+        reviewer: verdict.reviewer,
+        uphold: verdict.uphold,
+        reasonCID: verdict.reasonCID,
+        reason: reasons[index],
+        timestamp: Number(verdict.timestamp)
+      }))
+    };
+  }));
+};
+
+// Upload a dispute statement and return its CID
+export const uploadDisputeStatement = (ctiId, author, kind, text) => {
+  return uploadJSONToIPFS({
+    ctiId,
+    author,
+    kind,
+    text,
+    createdAt: new Date().toISOString()
+  });
+};
\ No newline at end of file
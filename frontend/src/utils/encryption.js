@@ -0,0 +1,196 @@
+import { ethers } from 'ethers';
+import {
+  getSigner,
+  getSharingGroupRegistryContract,
+  getReadOnlySharingGroupRegistryContract
+} from './web3';
+
+// Marks IPFS documents produced by encryptForRecipients
+export const ENVELOPE_VERSION = 'cti-envelope-v1';
+
+// Signed once per session to derive the wallet's encryption key. Wallets sign
+// deterministically, so the same account always derives the same key.
+const KEY_DERIVATION_MESSAGE = 'Unlock encrypted CTI sharing.\n\n' +
+  'Signing this message derives your encryption key for shared threat reports. ' +
+  'Only sign it on the CTI platform.';
+
+// Derived keys live in sessionStorage so they are dropped when the tab closes
+const KEY_STORAGE_PREFIX = 'cti-encryption-key-';
+
+const EMPTY_KEY = '0x';
+
+const aesEncrypt = async (rawKey, data) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const key = await window.crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+  return {
+    iv: ethers.encodeBase64(iv),
+    ciphertext: ethers.encodeBase64(new Uint8Array(ciphertext))
+  };
+};
+
+const aesDecrypt = async (rawKey, { iv, ciphertext }) => {
+  const key = await window.crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: ethers.decodeBase64(iv) },
+    key,
+    ethers.decodeBase64(ciphertext)
+  );
+  return new Uint8Array(plaintext);
+};
+
+// Key-wrapping key from an ECDH exchange on secp256k1
+const deriveWrappingKey = (privateKey, publicKey) => {
+  const sharedPoint = new ethers.SigningKey(privateKey).computeSharedSecret(publicKey);
+  return ethers.getBytes(ethers.keccak256(sharedPoint));
+};
+
+const storageKey = (account) => `${KEY_STORAGE_PREFIX}${account.toLowerCase()}`;
+
+// Encryption key already derived in this session, or null
+export const getCachedEncryptionKey = (account) => {
+  const privateKey = account ? sessionStorage.getItem(storageKey(account)) : null;
+  return privateKey ? new ethers.SigningKey(privateKey) : null;
+};
+
+// Derive the wallet's encryption key, asking for a signature if needed
+export const deriveEncryptionKey = async (account) => {
+  const cached = getCachedEncryptionKey(account);
+  if (cached) {
+    return cached;
+  }
+
+  const signer = await getSigner();
+  const signature = await signer.signMessage(KEY_DERIVATION_MESSAGE);
+  const privateKey = ethers.keccak256(signature);
+  sessionStorage.setItem(storageKey(account), privateKey);
+  return new ethers.SigningKey(privateKey);
+};
+
+// Publish the wallet's encryption public key unless it is already on-chain
+export const publishEncryptionKey = async (account) => {
+  const key = await deriveEncryptionKey(account);
+  const contract = await getSharingGroupRegistryContract();
+  const published = await contract.encryptionKeys(account);
+
+  if (published.toLowerCase() !== key.compressedPublicKey.toLowerCase()) {
+    const tx = await contract.setEncryptionKey(key.compressedPublicKey);
+    await tx.wait();
+  }
+  return key.compressedPublicKey;
+};
+
+export const hasPublishedEncryptionKey = async (account) => {
+  const contract = getReadOnlySharingGroupRegistryContract();
+  return (await contract.encryptionKeys(account)) !== EMPTY_KEY;
+};
+
+// Load every sharing group with its member list
+export const loadSharingGroups = async () => {
+  const contract = getReadOnlySharingGroupRegistryContract();
+  const groupCount = Number(await contract.groupCount());
+  const ids = Array.from({ length: groupCount }, (_, index) => index + 1);
+
+  return Promise.all(ids.map(async (id) => {
+    const [group, [members, publicKeys]] = await Promise.all([
+      contract.getGroup(id),
+      contract.getGroupMembers(id)
+    ]);
+    return {
+      id,
+      name: group.name,
+      owner: group.owner,
+      members: members.map((address, index) => ({
+        address,
+        publicKey: publicKeys[index] === EMPTY_KEY ? null : publicKeys[index]
+      }))
+    };
+  }));
+};
+
+// Group members that can receive documents, plus the sender so they can read their own report
+export const getGroupRecipients = (group, sender) => {
+  const recipients = group.members.filter(member => member.publicKey);
+  if (!recipients.some(member => member.address.toLowerCase() === sender.address.toLowerCase())) {
+    recipients.push(sender);
+  }
+  return recipients;
+};
+
+/**
+ * Encrypt bytes with a random AES-256-GCM content key and wrap that key for
+ * each recipient's published public key
+ * @param data Plaintext bytes
+ * @param recipients Array of { address, publicKey }
+ * @param sharingGroup Optional { id, name } recorded in clear for display
+ * @returns Envelope ready to upload to IPFS
+ */
+export const encryptForRecipients = async (data, recipients, sharingGroup = null) => {
+  if (recipients.length === 0) {
+    throw new Error('No recipients with a published encryption key');
+  }
+
+  const contentKey = window.crypto.getRandomValues(new Uint8Array(32));
+  const payload = await aesEncrypt(contentKey, data);
+
+  const wrappedKeys = await Promise.all(recipients.map(async ({ address, publicKey }) => {
+    const ephemeralKey = new ethers.SigningKey(ethers.randomBytes(32));
+    const wrapped = await aesEncrypt(deriveWrappingKey(ephemeralKey.privateKey, publicKey), contentKey);
+    return {
+      address: ethers.getAddress(address),
+      ephemeralPublicKey: ephemeralKey.compressedPublicKey,
+      iv: wrapped.iv,
+      wrappedKey: wrapped.ciphertext
+    };
+  }));
+
+  return {
+    version: ENVELOPE_VERSION,
+    algorithm: 'AES-256-GCM',
+    sharingGroup,
+    iv: payload.iv,
+    ciphertext: payload.ciphertext,
+    recipients: wrappedKeys
+  };
+};
+
+export const isEncryptedEnvelope = (value) => {
+  return Boolean(value) && value.version === ENVELOPE_VERSION && Array.isArray(value.recipients);
+};
+
+export const isEnvelopeRecipient = (envelope, account) => {
+  return Boolean(account) && envelope.recipients.some(
+    recipient => recipient.address.toLowerCase() === account.toLowerCase()
+  );
+};
+
+// Unwrap the content key with the wallet's encryption key and decrypt the payload
+export const decryptEnvelope = async (envelope, account, encryptionKey) => {
+  const recipient = envelope.recipients.find(
+    entry => entry.address.toLowerCase() === account.toLowerCase()
+  );
+  if (!recipient) {
+    throw new Error('This document was not shared with your wallet');
+  }
+
+  const contentKey = await aesDecrypt(
+    deriveWrappingKey(encryptionKey.privateKey, recipient.ephemeralPublicKey),
+    { iv: recipient.iv, ciphertext: recipient.wrappedKey }
+  );
+  return aesDecrypt(contentKey, envelope);
+};
+
+export const encryptJSON = (value, recipients, sharingGroup = null) => {
+  const data = new TextEncoder().encode(JSON.stringify(value));
+  return encryptForRecipients(data, recipients, sharingGroup);
+};
+
+export const decryptJSON = async (envelope, account, encryptionKey) => {
+  const data = await decryptEnvelope(envelope, account, encryptionKey);
+  return JSON.parse(new TextDecoder().decode(data));
+};
+
+export const encryptFile = async (file, recipients, sharingGroup = null) => {
+  const data = new Uint8Array(await file.arrayBuffer());
+  return encryptForRecipients(data, recipients, sharingGroup);
+};
\ No newline at end of file
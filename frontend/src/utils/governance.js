@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+import { getReadOnlyRegistryGovernorContract } from './web3';
+import {
+  CONTRACT_ADDRESS,
+  CONTRACT_ABI,
+  BOND_ESCROW_ADDRESS,
+  BOND_ESCROW_ABI,
+  REGISTRY_GOVERNOR_ADDRESS,
+  REGISTRY_GOVERNOR_ABI
+} from '../config';
+
+// Mirrors RegistryGovernor.ProposalState
+export const PROPOSAL_STATE = {
+  ACTIVE: 0,
+  DEFEATED: 1,
+  QUEUED: 2,
+  EXECUTED: 3,
+  CANCELED: 4
+};
+
+export const PROPOSAL_STATE_LABELS = ['Voting', 'Defeated', 'Passed', 'Executed', 'Canceled'];
+
+const DAY = 24 * 60 * 60;
+
+// Contracts that proposals can call, keyed by GOVERNED_PARAMETERS[].contract
+const PROPOSAL_TARGETS = {
+  registry: { address: CONTRACT_ADDRESS, contractInterface: new ethers.Interface(CONTRACT_ABI) },
+  escrow: { address: BOND_ESCROW_ADDRESS, contractInterface: new ethers.Interface(BOND_ESCROW_ABI) },
+  governor: { address: REGISTRY_GOVERNOR_ADDRESS, contractInterface: new ethers.Interface(REGISTRY_GOVERNOR_ABI) }
+};
+
+/**
+ * Parameters that proposals can change. Each field is entered as a whole
+ * number, an ETH amount ('eth') or a number of days ('days').
+ */
+export const GOVERNED_PARAMETERS = [
+  {
+    id: 'max-page-size',
+    label: 'Largest feed page',
+    contract: 'registry',
+    functionName: 'setMaxPageSize',
+    fields: [{ label: 'Reports per page' }]
+  },
+  {
+    id: 'validation-rules',
+    label: 'Validation rules',
+    contract: 'registry',
+    functionName: 'setValidationRules',
+    fields: [{ label: 'Quorum (vote weight)' }, { label: 'Approval share (%)' }]
+  },
+  {
+    id: 'score-half-life',
+    label: 'Score half-life',
+    contract: 'registry',
+    functionName: 'setScoreHalfLife',
+    fields: [{ label: 'Half-life (days)', kind: 'days' }]
+  },
+  {
+    id: 'submission-bond',
+    label: 'Submission bond',
+    contract: 'escrow',
+    functionName: 'setSubmissionBond',
+    fields: [{ label: 'Bond (ETH)', kind: 'eth' }]
+  },
+  {
+    id: 'governance-settings',
+    label: 'Governance settings',
+    contract: 'governor',
+    functionName: 'updateSettings',
+    fields: [
+      { label: 'Voting period (days)', kind: 'days' },
+      { label: 'Timelock (days)', kind: 'days' },
+      { label: 'Votes needed to pass' }
+    ]
+  }
+];
+
+const parseField = (field, value) => {
+  switch (field.kind) {
+    case 'eth':
+      return ethers.parseEther(value);
+    case 'days':
+      return Math.round(Number(value) * DAY);
+    default:
+      return ethers.toBigInt(value);
+  }
+};
+
+const formatField = (field, value) => {
+  switch (field.kind) {
+    case 'eth':
+      return `${ethers.formatEther(value)} ETH`;
+    case 'days':
+      return `${Number(value) / DAY} days`;
+    default:
+      return value.toString();
+  }
+};
+
+/**
+ * Encode a parameter change as a proposal call
+ * @param parameter Entry of GOVERNED_PARAMETERS
+ * @param values Field values as entered, in field order
+ * @returns Target address and call data
+ */
+export const encodeProposalCall = (parameter, values) => {
+  const args = parameter.fields.map((field, index) => parseField(field, values[index]));
+  const { address, contractInterface } = PROPOSAL_TARGETS[parameter.contract];
+  return {
+    target: address,
+    data: contractInterface.encodeFunctionData(parameter.functionName, args)
+  };
+};
+
+// Readable summary of a proposal call, e.g. "Largest feed page: Reports per page 50"
+export const describeProposalCall = (target, data) => {
+  // Calls to any other address are decoded as registry calls
+  const contract = Object.keys(PROPOSAL_TARGETS).find(key =>
+    PROPOSAL_TARGETS[key].address.toLowerCase() === target.toLowerCase()
+  ) || 'registry';
+
+  try {
+    const call = PROPOSAL_TARGETS[contract].contractInterface.parseTransaction({ data });
+    const parameter = GOVERNED_PARAMETERS.find(entry =>
+      entry.functionName === call.name && entry.contract === contract
+    );
+    if (!parameter) {
+      return `${call.name}(${call.args.join(', ')})`;
+    }
+    const values = parameter.fields.map((field, index) => `${field.label} ${formatField(field, call.args[index])}`);
+    return `${parameter.label}: ${values.join(', ')}`;
+  } catch (error) {
+    return `Call to ${target}`;
+  }
+};
+
+// Governance settings as numbers, with periods in seconds
+export const loadGovernanceSettings = async () => {
+  const contract = getReadOnlyRegistryGovernorContract();
+  const [votingPeriod, timelockDelay, proposalQuorum] = await Promise.all([
+    contract.votingPeriod(),
+    contract.timelockDelay(),
+    contract.proposalQuorum()
+  ]);
+  return {
+    votingPeriod: Number(votingPeriod),
+    timelockDelay: Number(timelockDelay),
+    proposalQuorum: Number(proposalQuorum)
+  };
+};
+
+// Load every proposal with its state and whether the account's organization voted on it, newest first
+export const loadProposals = async (account) => {
+  const contract = getReadOnlyRegistryGovernorContract();
+  const proposalCount = Number(await contract.proposalCount());
+  const ids = Array.from({ length: proposalCount }, (_, index) => proposalCount - index);
+
+  return Promise.all(ids.map(async (id) => {
+    const [proposal, state, hasVoted] = await Promise.all([
+      contract.getProposal(id),
+      contract.getProposalState(id),
+      account ? contract.hasVoted(id, account) : false
+    ]);
+
+    return {
+      id,
+      proposer: proposal.proposer,
+      target: proposal.target,
+      summary: describeProposalCall(proposal.target, proposal.data),
+      description: proposal.description,
+      forVotes: Number(proposal.forVotes),
+      againstVotes: Number(proposal.againstVotes),
+      quorum: Number(proposal.quorum),
+      createdAt: Number(proposal.createdAt),
+      votingEnds: Number(proposal.votingEnds),
+      executableAt: Number(proposal.executableAt),
+      state: Number(state),
+      hasVoted
+    };
+  }));
+};
\ No newline at end of file
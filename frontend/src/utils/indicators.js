@@ -0,0 +1,37 @@
+import { ethers } from 'ethers';
+
+// Maximum number of indicators IndicatorIndex accepts per transaction
+export const MAX_INDICATORS_PER_CALL = 100;
+
+// Normalize an indicator so that the same IoC always hashes the same way:
+// trimmed, lowercased and refanged (hxxp -> http, [.] -> .)
+export const normalizeIndicator = (indicator) => {
+  return indicator
+    .trim()
+    .toLowerCase()
+    .replace(/^hxxp/, 'http')
+    .replace(/\[\.\]|\(\.\)/g, '.')
+    .replace(/\[:\]/g, ':');
+};
+
+// Hash a normalized indicator for lookups in IndicatorIndex
+export const hashIndicator = (indicator) => {
+  return ethers.keccak256(ethers.toUtf8Bytes(normalizeIndicator(indicator)));
+};
+
+// Hash a list of indicators, dropping blanks and duplicates
+export const hashIndicators = (indicators) => {
+  const hashes = indicators
+    .filter(indicator => indicator.trim().length > 0)
+    .map(hashIndicator);
+  return Array.from(new Set(hashes));
+};
+
+// Split indicator hashes into batches that fit in one registerIndicators call
+export const chunkIndicatorHashes = (hashes) => {
+  const chunks = [];
+  for (let i = 0; i < hashes.length; i += MAX_INDICATORS_PER_CALL) {
+    chunks.push(hashes.slice(i, i + MAX_INDICATORS_PER_CALL));
+  }
+  return chunks;
+};
\ No newline at end of file
@@ -137,6 +137,9 @@ export const createCTIMetadata = (formData, ipfsHash) => {
     category: formData.category,
     description: formData.description,
     severity: formData.severity,
+    tlp: formData.tlp,
+    validFrom: formData.validFrom || null,
+    validUntil: formData.validUntil || null,
     indicators: formData.indicators || [],
     tags: formData.tags || [],
     ipfsHash: ipfsHash,
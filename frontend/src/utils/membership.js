@@ -0,0 +1,41 @@
+import { getReadOnlyContract, getReadOnlyMembershipRegistryContract } from './web3';
+
+// Mirrors CTIRegistry.MembershipMode
+export const MEMBERSHIP_MODE = {
+  OPEN: 0,
+  MEMBERS_ONLY: 1,
+  MEMBER_WEIGHTED: 2
+};
+
+// Organization that attested the account, or null when it is unaffiliated
+export const loadAffiliation = async (account) => {
+  const contract = getReadOnlyMembershipRegistryContract();
+  const organizationId = Number(await contract.organizationOf(account));
+  if (organizationId === 0) {
+    return null;
+  }
+
+  const organization = await contract.getOrganization(organizationId);
+  return {
+    id: organizationId,
+    name: organization.name,
+    isAdmin: organization.admin.toLowerCase() === account.toLowerCase(),
+    suspended: organization.suspended
+  };
+};
+
+export const loadMembershipMode = async () => {
+  return Number(await getReadOnlyContract().membershipMode());
+};
+
+// Short explanation of what the voting policy means for an account's votes
+export const describeVotingRights = (mode, affiliation) => {
+  const inGoodStanding = Boolean(affiliation) && !affiliation.suspended;
+  if (mode === MEMBERSHIP_MODE.MEMBERS_ONLY && !inGoodStanding) {
+    return 'Only attested members of a vetted organization can vote';
+  }
+  if (mode === MEMBERSHIP_MODE.MEMBER_WEIGHTED && !inGoodStanding) {
+    return 'Your votes do not count toward validation until an organization attests your address';
+  }
+  return null;
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { FORWARDER_ADDRESS, RELAYER_URL } from '../config';
+import { getProvider, getSigner, getReadOnlyForwarderContract } from './web3';
+
+const GASLESS_STORAGE_KEY = 'cti-gasless-mode';
+
+// How long a signed request stays valid, in seconds
+const SIGNATURE_TTL = 60 * 60;
+
+// Must match the typehashes in CTIForwarder
+const SUBMIT_TYPES = {
+  SubmitCTI: [
+    { name: 'submitter', type: 'address' },
+    { name: 'ipfsHash', type: 'string' },
+    { name: 'category', type: 'string' },
+    { name: 'title', type: 'string' },
+    { name: 'tlp', type: 'uint8' },
+    { name: 'validFrom', type: 'uint256' },
+    { name: 'validUntil', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const VOTE_TYPES = {
+  VoteCTI: [
+    { name: 'voter', type: 'address' },
+    { name: 'id', type: 'uint256' },
+    { name: 'isUpvote', type: 'bool' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Whether the user prefers signing requests for the relayer over sending transactions
+export const loadGaslessPreference = () => {
+  return localStorage.getItem(GASLESS_STORAGE_KEY) === 'true';
+};
+
+export const saveGaslessPreference = (enabled) => {
+  localStorage.setItem(GASLESS_STORAGE_KEY, String(enabled));
+};
+
+const getDomain = async () => {
+  const network = await getProvider().getNetwork();
+  return {
+    name: 'CTIForwarder',
+    version: '1',
+    chainId: network.chainId,
+    verifyingContract: FORWARDER_ADDRESS
+  };
+};
+
+// Fill in the nonce and deadline shared by every signed request
+const getReplayProtection = async (account) => {
+  const nonce = await getReadOnlyForwarderContract().nonces(account);
+  return {
+    nonce: nonce.toString(),
+    deadline: Math.floor(Date.now() / 1000) + SIGNATURE_TTL
+  };
+};
+
+const relay = async (path, payload) => {
+  const response = await fetch(`${RELAYER_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Relayer responded with ${response.status}`);
+  }
+  return result;
+};
+
+// Sign a submission and hand it to the relayer; resolves to { txHash, ctiId }
+export const signAndRelaySubmission = async (account, { ipfsHash, category, title, tlp, validFrom, validUntil }) => {
+  const request = {
+    submitter: account,
+    ipfsHash,
+    category,
+    title,
+    tlp,
+    validFrom,
+    validUntil,
+    ...(await getReplayProtection(account))
+  };
+  const signer = await getSigner();
+  const signature = await signer.signTypedData(await getDomain(), SUBMIT_TYPES, request);
+  return relay('/submit', { request, signature });
+};
+
+// Sign a vote and hand it to the relayer; resolves to { txHash }
+export const signAndRelayVote = async (account, ctiId, isUpvote) => {
+  const request = {
+    voter: account,
+    id: ctiId,
+    isUpvote,
+    ...(await getReplayProtection(account))
+  };
+  const signer = await getSigner();
+  const signature = await signer.signTypedData(await getDomain(), VOTE_TYPES, request);
+  return relay('/vote', { request, signature });
+};
\ No newline at end of file
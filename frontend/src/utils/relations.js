@@ -0,0 +1,67 @@
+import { getReadOnlyContract, getReadOnlyRelationRegistryContract } from './web3';
+
+// Mirrors RelationRegistry.RelationType. inverseLabel describes the relation
+// as seen from its target; symmetric relations read the same both ways.
+export const RELATION_TYPES = [
+  { value: 0, label: 'Duplicate of', inverseLabel: 'Duplicated by' },
+  { value: 1, label: 'Related to', inverseLabel: 'Related to' },
+  { value: 2, label: 'Supersedes', inverseLabel: 'Superseded by' },
+  { value: 3, label: 'Same actor as', inverseLabel: 'Same actor as' }
+];
+
+// Mirrors RelationRegistry.Assessment
+export const ASSESSMENT = {
+  NONE: 0,
+  ENDORSE: 1,
+  DISPUTE: 2
+};
+
+export const getRelationLabel = (relationType, fromSource) => {
+  const type = RELATION_TYPES[relationType];
+  if (!type) {
+    return 'Linked to';
+  }
+  return fromSource ? type.label : type.inverseLabel;
+};
+
+// Active relations of a CTI, described from its point of view
+export const loadRelatedReports = async (ctiId, account) => {
+  const contract = getReadOnlyRelationRegistryContract();
+  const registry = getReadOnlyContract();
+  const relationIds = await contract.getRelationsForCTI(ctiId);
+
+  const relations = await Promise.all(relationIds.map(async (id) => {
+    const relation = await contract.getRelation(id);
+    if (relation.removed) {
+      return null;
+    }
+
+    const fromSource = Number(relation.sourceId) === Number(ctiId);
+    const otherId = Number(fromSource ? relation.targetId : relation.sourceId);
+
+    // The other report may have been deactivated or retracted since
+    let otherTitle = null;
+    try {
+      otherTitle = (await registry.getCTI(otherId)).title;
+    } catch (error) {
+      otherTitle = null;
+    }
+
+    const assessment = account ? Number(await contract.assessments(id, account)) : ASSESSMENT.NONE;
+
+    return {
+      id: Number(id),
+      relationType: Number(relation.relationType),
+      label: getRelationLabel(Number(relation.relationType), fromSource),
+      otherId,
+      otherTitle,
+      creator: relation.creator,
+      createdAt: Number(relation.createdAt),
+      endorsements: Number(relation.endorsements),
+      disputes: Number(relation.disputes),
+      assessment
+    };
+  }));
+
+  return relations.filter(Boolean);
+};
\ No newline at end of file
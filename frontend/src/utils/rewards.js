@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+import { getReadOnlyContributorTokenContract } from './web3';
+
+/**
+ * Load an account's token rewards and the current emission limits
+ * @param account Address to load rewards for
+ * @returns Amounts in wei, plus the token symbol and the emission period length in seconds
+ */
+export const loadRewardSummary = async (account) => {
+  const contract = getReadOnlyContributorTokenContract();
+  const [
+    symbol,
+    earned,
+    claimable,
+    balance,
+    submissionReward,
+    voterReward,
+    periodEmissionCap,
+    remainingEmission,
+    emissionPeriod,
+    totalCredited,
+    maxSupply
+  ] = await Promise.all([
+    contract.symbol(),
+    contract.earned(account),
+    contract.claimable(account),
+    contract.balanceOf(account),
+    contract.submissionReward(),
+    contract.voterReward(),
+    contract.periodEmissionCap(),
+    contract.remainingEmission(),
+    contract.EMISSION_PERIOD(),
+    contract.totalCredited(),
+    contract.maxSupply()
+  ]);
+
+  return {
+    symbol,
+    earned,
+    claimable,
+    balance,
+    submissionReward,
+    voterReward,
+    periodEmissionCap,
+    remainingEmission,
+    emissionPeriod: Number(emissionPeriod),
+    totalCredited,
+    maxSupply
+  };
+};
+
+// Format a token amount in wei, trimmed to at most two decimals
+export const formatTokenAmount = (wei, symbol) => {
+  const [whole, fraction = ''] = ethers.formatEther(wei).split('.');
+  const decimals = fraction.slice(0, 2).replace(/0+$/, '');
+  return `${whole}${decimals ? `.${decimals}` : ''} ${symbol}`;
+};
\ No newline at end of file
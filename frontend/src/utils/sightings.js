@@ -0,0 +1,55 @@
+import { getReadOnlySightingRegistryContract } from './web3';
+import { uploadJSONToIPFS } from './ipfs';
+
+// Upload what was observed and where, and return its CID
+export const uploadSightingContext = (ctiId, reporter, context) => {
+  return uploadJSONToIPFS({
+    ctiId,
+    reporter,
+    ...context,
+    reportedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Load sighting totals of a CTI
+ * @param ctiId CTI ID
+ * @returns Sighting count, distinct reporters, and first and last sighting times (0 if never seen)
+ */
+export const loadSightingStats = async (ctiId) => {
+  const stats = await getReadOnlySightingRegistryContract().getSightingStats(ctiId);
+  return {
+    count: Number(stats.count),
+    reporterCount: Number(stats.reporterCount),
+    firstSeen: Number(stats.firstSeen),
+    lastSeen: Number(stats.lastSeen)
+  };
+};
+
+// Sightings of a CTI from the registry events, most recent first
+export const loadSightingTimeline = async (ctiId) => {
+  const contract = getReadOnlySightingRegistryContract();
+  const fromBlock = Number(await contract.deploymentBlock());
+  const events = await contract.queryFilter(contract.filters.SightingReported(ctiId), fromBlock);
+
+  return events
+    .map(event => ({
+      reporter: event.args.reporter,
+      timestamp: Number(event.args.timestamp),
+      contextCid: event.args.contextCid || null
+    }))
+    .reverse();
+};
+
+// Time until the account may report this CTI again, 0 when it can report now
+export const getSightingCooldown = async (ctiId, account) => {
+  const contract = getReadOnlySightingRegistryContract();
+  const [last, interval] = await Promise.all([
+    contract.lastSightingBy(ctiId, account),
+    contract.SIGHTING_INTERVAL()
+  ]);
+  if (Number(last) === 0) {
+    return 0;
+  }
+  return Math.max(0, Number(last) + Number(interval) - Math.floor(Date.now() / 1000));
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Traffic Light Protocol 2.0 markings, in CTIRegistry.TLP enum order
+export const TLP = {
+  CLEAR: 0,
+  GREEN: 1,
+  AMBER: 2,
+  AMBER_STRICT: 3,
+  RED: 4
+};
+
+// Colors from the FIRST TLP 2.0 standard, shown on a black background
+export const TLP_LEVELS = [
+  {
+    value: TLP.CLEAR,
+    label: 'TLP:CLEAR',
+    color: '#FFFFFF',
+    description: 'Disclosure is not limited'
+  },
+  {
+    value: TLP.GREEN,
+    label: 'TLP:GREEN',
+    color: '#33FF00',
+    description: 'Limited disclosure, restricted to the community'
+  },
+  {
+    value: TLP.AMBER,
+    label: 'TLP:AMBER',
+    color: '#FFC000',
+    description: "Limited disclosure, restricted to participants' organizations and their clients"
+  },
+  {
+    value: TLP.AMBER_STRICT,
+    label: 'TLP:AMBER+STRICT',
+    color: '#FFC000',
+    description: "Limited disclosure, restricted to participants' organizations only"
+  },
+  {
+    value: TLP.RED,
+    label: 'TLP:RED',
+    color: '#FF2B2B',
+    description: 'For the eyes and ears of individual recipients only'
+  }
+];
+
+// Highest marking that may appear in public feeds, exports and indexes
+export const MAX_PUBLIC_TLP = TLP.GREEN;
+
+// Unknown markings are treated as the most restrictive one
+export const getTLPLevel = (tlp) => {
+  return TLP_LEVELS[Number(tlp)] || TLP_LEVELS[TLP.RED];
+};
+
+export const isPublicTLP = (tlp) => {
+  return Number(tlp) <= MAX_PUBLIC_TLP;
+};
+
+// Restricted reports are only shown to their submitter
+export const canViewCTI = (cti, account) => {
+  if (isPublicTLP(cti.tlp)) {
+    return true;
+  }
+  return Boolean(account) && cti.submitter.toLowerCase() === account.toLowerCase();
+};
+
+export const getTLPBadgeStyle = (tlp) => ({
+  backgroundColor: '#000000',
+  color: getTLPLevel(tlp).color
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS } from '../config';
+
+// Local storage key for a hidden vote, scoped to contract, CTI and account
+const getStorageKey = (ctiId, account) => {
+  return `cti-vote-secret:${CONTRACT_ADDRESS}:${ctiId}:${account.toLowerCase()}`;
+};
+
+// Build the commitment for a hidden vote with a fresh random salt
+// Must match keccak256(abi.encodePacked(id, voter, isUpvote, salt)) in CommitRevealVoting.revealVote
+export const createVoteCommitment = (ctiId, account, isUpvote) => {
+  const salt = ethers.hexlify(ethers.randomBytes(32));
+  const commitment = ethers.solidityPackedKeccak256(
+    ['uint256', 'address', 'bool', 'bytes32'],
+    [ctiId, account, isUpvote, salt]
+  );
+  return { isUpvote, salt, commitment };
+};
+
+// Remember the vote and salt so that it can be revealed later
+export const saveVoteSecret = (ctiId, account, secret) => {
+  localStorage.setItem(getStorageKey(ctiId, account), JSON.stringify(secret));
+};
+
+// Load a previously saved vote secret, or null if this browser has none
+export const loadVoteSecret = (ctiId, account) => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(ctiId, account));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn(`Failed to read vote secret for CTI ${ctiId}:`, error);
+    return null;
+  }
+};
+
+// Forget a vote secret once it has been revealed
+export const clearVoteSecret = (ctiId, account) => {
+  localStorage.removeItem(getStorageKey(ctiId, account));
+};
\ No newline at end of file
@@ -1,5 +1,41 @@
 import { ethers } from 'ethers';
-import { CONTRACT_ADDRESS, CONTRACT_ABI, SEPOLIA_CHAIN_ID } from '../config';
+import {
+  CONTRACT_ADDRESS,
+  CONTRACT_ABI,
+  INDICATOR_INDEX_ADDRESS,
+  INDICATOR_INDEX_ABI,
+  CATEGORY_REGISTRY_ADDRESS,
+  CATEGORY_REGISTRY_ABI,
+  BOND_ESCROW_ADDRESS,
+  BOND_ESCROW_ABI,
+  COMMIT_REVEAL_VOTING_ADDRESS,
+  COMMIT_REVEAL_VOTING_ABI,
+  CTI_INDEX_ADDRESS,
+  CTI_INDEX_ABI,
+  REVISION_HISTORY_ADDRESS,
+  REVISION_HISTORY_ABI,
+  FORWARDER_ADDRESS,
+  FORWARDER_ABI,
+  SHARING_GROUP_REGISTRY_ADDRESS,
+  SHARING_GROUP_REGISTRY_ABI,
+  DISPUTE_MANAGER_ADDRESS,
+  DISPUTE_MANAGER_ABI,
+  MEMBERSHIP_REGISTRY_ADDRESS,
+  MEMBERSHIP_REGISTRY_ABI,
+  BOUNTY_BOARD_ADDRESS,
+  BOUNTY_BOARD_ABI,
+  RELATION_REGISTRY_ADDRESS,
+  RELATION_REGISTRY_ABI,
+  COMMENT_REGISTRY_ADDRESS,
+  COMMENT_REGISTRY_ABI,
+  SIGHTING_REGISTRY_ADDRESS,
+  SIGHTING_REGISTRY_ABI,
+  CONTRIBUTOR_TOKEN_ADDRESS,
+  CONTRIBUTOR_TOKEN_ABI,
+  REGISTRY_GOVERNOR_ADDRESS,
+  REGISTRY_GOVERNOR_ABI,
+  SEPOLIA_CHAIN_ID
+} from '../config';
 
 // Check if MetaMask is installed
 export const isMetaMaskInstalled = () => {
@@ -91,6 +127,186 @@ export const getReadOnlyContract = () => {
   return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
 };
 
+// Get indicator index contract instance
+export const getIndicatorIndexContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(INDICATOR_INDEX_ADDRESS, INDICATOR_INDEX_ABI, signer);
+};
+
+// Get read-only indicator index contract instance
+export const getReadOnlyIndicatorIndexContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(INDICATOR_INDEX_ADDRESS, INDICATOR_INDEX_ABI, provider);
+};
+
+// Get category registry contract instance
+export const getCategoryRegistryContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(CATEGORY_REGISTRY_ADDRESS, CATEGORY_REGISTRY_ABI, signer);
+};
+
+// Get read-only category registry contract instance
+export const getReadOnlyCategoryRegistryContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(CATEGORY_REGISTRY_ADDRESS, CATEGORY_REGISTRY_ABI, provider);
+};
+
+// Get bond escrow contract instance
+export const getBondEscrowContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(BOND_ESCROW_ADDRESS, BOND_ESCROW_ABI, signer);
+};
+
+// Get read-only bond escrow contract instance
+export const getReadOnlyBondEscrowContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(BOND_ESCROW_ADDRESS, BOND_ESCROW_ABI, provider);
+};
+
+// Get commit-reveal voting contract instance
+export const getCommitRevealVotingContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(COMMIT_REVEAL_VOTING_ADDRESS, COMMIT_REVEAL_VOTING_ABI, signer);
+};
+
+// Get read-only commit-reveal voting contract instance
+export const getReadOnlyCommitRevealVotingContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(COMMIT_REVEAL_VOTING_ADDRESS, COMMIT_REVEAL_VOTING_ABI, provider);
+};
+
+// Get read-only submitter and category index contract instance
+export const getReadOnlyCTIIndexContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(CTI_INDEX_ADDRESS, CTI_INDEX_ABI, provider);
+};
+
+// Get read-only revision history contract instance
+export const getReadOnlyRevisionHistoryContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(REVISION_HISTORY_ADDRESS, REVISION_HISTORY_ABI, provider);
+};
+
+// Get read-only meta-transaction forwarder contract instance
+export const getReadOnlyForwarderContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(FORWARDER_ADDRESS, FORWARDER_ABI, provider);
+};
+
+// Get sharing group registry contract instance
+export const getSharingGroupRegistryContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(SHARING_GROUP_REGISTRY_ADDRESS, SHARING_GROUP_REGISTRY_ABI, signer);
+};
+
+// Get read-only sharing group registry contract instance
+export const getReadOnlySharingGroupRegistryContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(SHARING_GROUP_REGISTRY_ADDRESS, SHARING_GROUP_REGISTRY_ABI, provider);
+};
+
+// Get dispute manager contract instance
+export const getDisputeManagerContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(DISPUTE_MANAGER_ADDRESS, DISPUTE_MANAGER_ABI, signer);
+};
+
+// Get read-only dispute manager contract instance
+export const getReadOnlyDisputeManagerContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(DISPUTE_MANAGER_ADDRESS, DISPUTE_MANAGER_ABI, provider);
+};
+
+// Get membership registry contract instance
+export const getMembershipRegistryContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(MEMBERSHIP_REGISTRY_ADDRESS, MEMBERSHIP_REGISTRY_ABI, signer);
+};
+
+// Get read-only membership registry contract instance
+export const getReadOnlyMembershipRegistryContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(MEMBERSHIP_REGISTRY_ADDRESS, MEMBERSHIP_REGISTRY_ABI, provider);
+};
+
+// Get bounty board contract instance
+export const getBountyBoardContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(BOUNTY_BOARD_ADDRESS, BOUNTY_BOARD_ABI, signer);
+};
+
+// Get read-only bounty board contract instance
+export const getReadOnlyBountyBoardContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(BOUNTY_BOARD_ADDRESS, BOUNTY_BOARD_ABI, provider);
+};
+
+// Get relation registry contract instance
+export const getRelationRegistryContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(RELATION_REGISTRY_ADDRESS, RELATION_REGISTRY_ABI, signer);
+};
+
+// Get read-only relation registry contract instance
+export const getReadOnlyRelationRegistryContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(RELATION_REGISTRY_ADDRESS, RELATION_REGISTRY_ABI, provider);
+};
+
+// Get comment registry contract instance
+export const getCommentRegistryContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(COMMENT_REGISTRY_ADDRESS, COMMENT_REGISTRY_ABI, signer);
+};
+
+// Get read-only comment registry contract instance
+export const getReadOnlyCommentRegistryContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(COMMENT_REGISTRY_ADDRESS, COMMENT_REGISTRY_ABI, provider);
+};
+
+// Get sighting registry contract instance
+export const getSightingRegistryContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(SIGHTING_REGISTRY_ADDRESS, SIGHTING_REGISTRY_ABI, signer);
+};
+
+// Get read-only sighting registry contract instance
+export const getReadOnlySightingRegistryContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(SIGHTING_REGISTRY_ADDRESS, SIGHTING_REGISTRY_ABI, provider);
+};
+
+// Get contributor token contract instance
+export const getContributorTokenContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(CONTRIBUTOR_TOKEN_ADDRESS, CONTRIBUTOR_TOKEN_ABI, signer);
+};
+
+// Get read-only contributor token contract instance
+export const getReadOnlyContributorTokenContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(CONTRIBUTOR_TOKEN_ADDRESS, CONTRIBUTOR_TOKEN_ABI, provider);
+};
+
+// Get registry governor contract instance
+export const getRegistryGovernorContract = async () => {
+  const signer = await getSigner();
+  return new ethers.Contract(REGISTRY_GOVERNOR_ADDRESS, REGISTRY_GOVERNOR_ABI, signer);
+};
+
+// Get read-only registry governor contract instance
+export const getReadOnlyRegistryGovernorContract = () => {
+  const provider = getProvider();
+  return new ethers.Contract(REGISTRY_GOVERNOR_ADDRESS, REGISTRY_GOVERNOR_ABI, provider);
+};
+
+// Whether a transaction was rejected because the registry is paused
+export const isPausedError = (error) => {
+  const message = error?.reason || error?.shortMessage || error?.message || '';
+  return message.includes('Contract is paused');
+};
+
 // Format address for display
 export const formatAddress = (address) => {
   if (!address) return '';
@@ -102,6 +318,11 @@ export const formatTimestamp = (timestamp) => {
   return new Date(Number(timestamp) * 1000).toLocaleString();
 };
 
+// Format a wei amount as ETH
+export const formatEth = (wei) => {
+  return `${ethers.formatEther(wei)} ETH`;
+};
+
 // Listen for account changes
 export const onAccountsChanged = (callback) => {
   if (isMetaMaskInstalled()) {
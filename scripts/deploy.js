@@ -1,29 +1,254 @@
 const hre = require("hardhat");
 
+// Parse FOUNDING_ORGANIZATIONS, a comma-separated list of name:adminAddress entries
+function parseFoundingOrganizations(value) {
+  const organizations = (value || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(":");
+      return { name: entry.slice(0, separator).trim(), admin: entry.slice(separator + 1).trim() };
+    });
+
+  const invalid = organizations.find(organization => !organization.name || !hre.ethers.isAddress(organization.admin));
+  if (invalid) {
+    throw new Error(`Invalid founding organization entry: ${invalid.name}:${invalid.admin}`);
+  }
+  return organizations;
+}
+
 async function main() {
+  // Checked before anything is deployed, so that a typo costs no gas
+  const governanceHandover = process.env.GOVERNANCE_HANDOVER === "true";
+  const foundingOrganizations = governanceHandover
+    ? parseFoundingOrganizations(process.env.FOUNDING_ORGANIZATIONS)
+    : [];
+
   console.log("Deploying CTIRegistry contract...");
 
   // Get the contract factory
   const CTIRegistry = await hre.ethers.getContractFactory("CTIRegistry");
   
-  // Deploy the contract
-  const ctiRegistry = await CTIRegistry.deploy();
+  // Deploy the implementation
+  const implementation = await CTIRegistry.deploy();
   
   // Wait for deployment to complete
-  await ctiRegistry.waitForDeployment();
+  await implementation.waitForDeployment();
   
-  const contractAddress = await ctiRegistry.getAddress();
+  const implementationAddress = await implementation.getAddress();
+
+  // Deploy the proxy that holds the registry state across upgrades
+  const CTIRegistryProxy = await hre.ethers.getContractFactory("CTIRegistryProxy");
+  const initData = CTIRegistry.interface.encodeFunctionData("initialize");
+  const proxy = await CTIRegistryProxy.deploy(implementationAddress, initData);
+  await proxy.waitForDeployment();
+
+  const contractAddress = await proxy.getAddress();
+  const deploymentBlock = (await proxy.deploymentTransaction().wait()).blockNumber;
+  const ctiRegistry = CTIRegistry.attach(contractAddress);
   
   console.log(`CTIRegistry deployed to: ${contractAddress}`);
+  console.log(`Implementation: ${implementationAddress}`);
   console.log(`Network: ${hre.network.name}`);
+
+  // Deploy the indicator index against the registry
+  const IndicatorIndex = await hre.ethers.getContractFactory("IndicatorIndex");
+  const indicatorIndex = await IndicatorIndex.deploy(contractAddress);
+  await indicatorIndex.waitForDeployment();
+
+  const indicatorIndexAddress = await indicatorIndex.getAddress();
+  console.log(`IndicatorIndex deployed to: ${indicatorIndexAddress}`);
+
+  // Deploy the category registry and validate submissions against it
+  const CategoryRegistry = await hre.ethers.getContractFactory("CategoryRegistry");
+  const categoryRegistry = await CategoryRegistry.deploy(contractAddress);
+  await categoryRegistry.waitForDeployment();
+
+  const categoryRegistryAddress = await categoryRegistry.getAddress();
+  await (await ctiRegistry.setCategoryRegistry(categoryRegistryAddress)).wait();
+  console.log(`CategoryRegistry deployed to: ${categoryRegistryAddress}`);
+
+  // Deploy the escrow for submission bonds. Bonds stay disabled until an
+  // admin calls setSubmissionBond on the escrow.
+  const BondEscrow = await hre.ethers.getContractFactory("BondEscrow");
+  const bondEscrow = await BondEscrow.deploy(contractAddress);
+  await bondEscrow.waitForDeployment();
+
+  const bondEscrowAddress = await bondEscrow.getAddress();
+  await (await ctiRegistry.setBondEscrow(bondEscrowAddress)).wait();
+  console.log(`BondEscrow deployed to: ${bondEscrowAddress}`);
+
+  // Deploy commit-reveal voting. New CTIs keep open voting until an admin
+  // calls setCommitRevealVoting on it.
+  const CommitRevealVoting = await hre.ethers.getContractFactory("CommitRevealVoting");
+  const commitRevealVoting = await CommitRevealVoting.deploy(contractAddress);
+  await commitRevealVoting.waitForDeployment();
+
+  const commitRevealVotingAddress = await commitRevealVoting.getAddress();
+  await (await ctiRegistry.setCommitRevealVoting(commitRevealVotingAddress)).wait();
+  console.log(`CommitRevealVoting deployed to: ${commitRevealVotingAddress}`);
+
+  // Deploy the submitter and category index before any CTI is submitted
+  const CTIIndex = await hre.ethers.getContractFactory("CTIIndex");
+  const ctiIndex = await CTIIndex.deploy(contractAddress);
+  await ctiIndex.waitForDeployment();
+
+  const ctiIndexAddress = await ctiIndex.getAddress();
+  await (await ctiRegistry.setCTIIndex(ctiIndexAddress)).wait();
+  console.log(`CTIIndex deployed to: ${ctiIndexAddress}`);
+
+  // Deploy the archive of superseded versions, which enables revisions
+  const RevisionHistory = await hre.ethers.getContractFactory("RevisionHistory");
+  const revisionHistory = await RevisionHistory.deploy(contractAddress);
+  await revisionHistory.waitForDeployment();
+
+  const revisionHistoryAddress = await revisionHistory.getAddress();
+  await (await ctiRegistry.setRevisionHistory(revisionHistoryAddress)).wait();
+  console.log(`RevisionHistory deployed to: ${revisionHistoryAddress}`);
+
+  // Deploy the meta-transaction forwarder and trust it for gasless calls
+  const CTIForwarder = await hre.ethers.getContractFactory("CTIForwarder");
+  const forwarder = await CTIForwarder.deploy(contractAddress);
+  await forwarder.waitForDeployment();
+
+  const forwarderAddress = await forwarder.getAddress();
+  await (await ctiRegistry.setTrustedForwarder(forwarderAddress)).wait();
+  console.log(`CTIForwarder deployed to: ${forwarderAddress}`);
+
+  // Deploy the directory of encryption keys and sharing groups
+  const SharingGroupRegistry = await hre.ethers.getContractFactory("SharingGroupRegistry");
+  const sharingGroupRegistry = await SharingGroupRegistry.deploy();
+  await sharingGroupRegistry.waitForDeployment();
+
+  const sharingGroupRegistryAddress = await sharingGroupRegistry.getAddress();
+  console.log(`SharingGroupRegistry deployed to: ${sharingGroupRegistryAddress}`);
+
+  // Deploy the dispute manager and let upheld disputes deactivate reports and
+  // upheld appeals reactivate them
+  const DisputeManager = await hre.ethers.getContractFactory("DisputeManager");
+  const disputeManager = await DisputeManager.deploy(contractAddress);
+  await disputeManager.waitForDeployment();
+
+  const disputeManagerAddress = await disputeManager.getAddress();
+  const moderatorRole = await ctiRegistry.MODERATOR_ROLE();
+  await (await ctiRegistry.grantRole(moderatorRole, disputeManagerAddress)).wait();
+  console.log(`DisputeManager deployed to: ${disputeManagerAddress}`);
+
+  // Deploy the organization membership registry. Voting stays open to anyone
+  // unless MEMBERSHIP_MODE is 1 (members only) or 2 (only members' votes count).
+  const MembershipRegistry = await hre.ethers.getContractFactory("MembershipRegistry");
+  const membershipRegistry = await MembershipRegistry.deploy(contractAddress);
+  await membershipRegistry.waitForDeployment();
+
+  const membershipRegistryAddress = await membershipRegistry.getAddress();
+  const membershipMode = Number(process.env.MEMBERSHIP_MODE || 0);
+  await (await ctiRegistry.setMembershipPolicy(membershipRegistryAddress, membershipMode)).wait();
+  console.log(`MembershipRegistry deployed to: ${membershipRegistryAddress} (mode ${membershipMode})`);
+
+  // Deploy the board for ETH-funded intelligence requests
+  const BountyBoard = await hre.ethers.getContractFactory("BountyBoard");
+  const bountyBoard = await BountyBoard.deploy(contractAddress);
+  await bountyBoard.waitForDeployment();
+
+  const bountyBoardAddress = await bountyBoard.getAddress();
+  console.log(`BountyBoard deployed to: ${bountyBoardAddress}`);
+
+  // Deploy the registry of typed links between CTIs
+  const RelationRegistry = await hre.ethers.getContractFactory("RelationRegistry");
+  const relationRegistry = await RelationRegistry.deploy(contractAddress);
+  await relationRegistry.waitForDeployment();
+
+  const relationRegistryAddress = await relationRegistry.getAddress();
+  console.log(`RelationRegistry deployed to: ${relationRegistryAddress}`);
+
+  // Deploy the registry that anchors discussion threads on reports
+  const CommentRegistry = await hre.ethers.getContractFactory("CommentRegistry");
+  const commentRegistry = await CommentRegistry.deploy(contractAddress);
+  await commentRegistry.waitForDeployment();
+
+  const commentRegistryAddress = await commentRegistry.getAddress();
+  console.log(`CommentRegistry deployed to: ${commentRegistryAddress}`);
+
+  // Deploy the registry for sightings of reported threats
+  const SightingRegistry = await hre.ethers.getContractFactory("SightingRegistry");
+  const sightingRegistry = await SightingRegistry.deploy(contractAddress);
+  await sightingRegistry.waitForDeployment();
+
+  const sightingRegistryAddress = await sightingRegistry.getAddress();
+  console.log(`SightingRegistry deployed to: ${sightingRegistryAddress}`);
+
+  // Deploy the contributor reward token. REWARD_MAX_SUPPLY is in whole tokens.
+  const rewardMaxSupply = hre.ethers.parseEther(process.env.REWARD_MAX_SUPPLY || "100000000");
+  const ContributorToken = await hre.ethers.getContractFactory("ContributorToken");
+  const contributorToken = await ContributorToken.deploy(contractAddress, rewardMaxSupply);
+  await contributorToken.waitForDeployment();
+
+  const contributorTokenAddress = await contributorToken.getAddress();
+  await (await ctiRegistry.setRewardToken(contributorTokenAddress)).wait();
+  console.log(`ContributorToken deployed to: ${contributorTokenAddress}`);
+
+  // Deploy member governance and let executed proposals change registry
+  // parameters. The deployer keeps ownership and ADMIN_ROLE unless
+  // GOVERNANCE_HANDOVER is true.
+  const RegistryGovernor = await hre.ethers.getContractFactory("RegistryGovernor");
+  const registryGovernor = await RegistryGovernor.deploy(contractAddress, membershipRegistryAddress);
+  await registryGovernor.waitForDeployment();
+
+  const registryGovernorAddress = await registryGovernor.getAddress();
+  const adminRole = await ctiRegistry.ADMIN_ROLE();
+  await (await ctiRegistry.grantRole(adminRole, registryGovernorAddress)).wait();
+  console.log(`RegistryGovernor deployed to: ${registryGovernorAddress}`);
+
+  // Hand the registry over to governance, so that no single key controls its
+  // parameters: the founding organizations are admitted, the governor becomes
+  // owner and the deployer gives up ADMIN_ROLE. Only members can vote, so
+  // enough organizations to reach the proposal quorum are required. This
+  // must stay the last admin step of the deployment.
+  const deployer = (await hre.ethers.getSigners())[0].address;
+  if (governanceHandover) {
+    const proposalQuorum = Number(await registryGovernor.proposalQuorum());
+    if (foundingOrganizations.length < proposalQuorum) {
+      throw new Error(`GOVERNANCE_HANDOVER needs at least ${proposalQuorum} FOUNDING_ORGANIZATIONS`);
+    }
+
+    for (const organization of foundingOrganizations) {
+      await (await membershipRegistry.admitOrganization(organization.name, organization.admin)).wait();
+      console.log(`Admitted founding organization: ${organization.name}`);
+    }
+
+    await (await ctiRegistry.transferOwnership(registryGovernorAddress)).wait();
+    await (await registryGovernor.acceptRegistryOwnership()).wait();
+    await (await ctiRegistry.renounceRole(adminRole)).wait();
+    console.log("Registry ownership handed over to RegistryGovernor");
+  }
   
   // Save deployment info
   const fs = require('fs');
   const deploymentInfo = {
     network: hre.network.name,
     contractAddress: contractAddress,
+    implementationAddress: implementationAddress,
+    deploymentBlock: deploymentBlock,
+    indicatorIndexAddress: indicatorIndexAddress,
+    categoryRegistryAddress: categoryRegistryAddress,
+    bondEscrowAddress: bondEscrowAddress,
+    commitRevealVotingAddress: commitRevealVotingAddress,
+    ctiIndexAddress: ctiIndexAddress,
+    revisionHistoryAddress: revisionHistoryAddress,
+    forwarderAddress: forwarderAddress,
+    sharingGroupRegistryAddress: sharingGroupRegistryAddress,
+    disputeManagerAddress: disputeManagerAddress,
+    membershipRegistryAddress: membershipRegistryAddress,
+    bountyBoardAddress: bountyBoardAddress,
+    relationRegistryAddress: relationRegistryAddress,
+    commentRegistryAddress: commentRegistryAddress,
+    sightingRegistryAddress: sightingRegistryAddress,
+    contributorTokenAddress: contributorTokenAddress,
+    registryGovernorAddress: registryGovernorAddress,
+    governanceHandover: governanceHandover,
     deploymentTime: new Date().toISOString(),
-    deployer: (await hre.ethers.getSigners())[0].address
+    deployer: deployer
   };
   
   fs.writeFileSync(
@@ -36,17 +261,38 @@ async function main() {
   // Verify contract on Etherscan (if not local network)
   if (hre.network.name !== "localhost" && hre.network.name !== "hardhat") {
     console.log("Waiting for block confirmations...");
-    await ctiRegistry.deploymentTransaction().wait(6);
+    await proxy.deploymentTransaction().wait(6);
     
-    console.log("Verifying contract on Etherscan...");
-    try {
-      await hre.run("verify:verify", {
-        address: contractAddress,
-        constructorArguments: [],
-      });
-      console.log("Contract verified successfully");
-    } catch (error) {
-      console.log("Verification failed:", error.message);
+    console.log("Verifying contracts on Etherscan...");
+    const verifications = [
+      { name: "CTIRegistry", address: implementationAddress, constructorArguments: [] },
+      { name: "CTIRegistryProxy", address: contractAddress, constructorArguments: [implementationAddress, initData] },
+      { name: "IndicatorIndex", address: indicatorIndexAddress, constructorArguments: [contractAddress] },
+      { name: "CategoryRegistry", address: categoryRegistryAddress, constructorArguments: [contractAddress] },
+      { name: "BondEscrow", address: bondEscrowAddress, constructorArguments: [contractAddress] },
+      { name: "CommitRevealVoting", address: commitRevealVotingAddress, constructorArguments: [contractAddress] },
+      { name: "CTIIndex", address: ctiIndexAddress, constructorArguments: [contractAddress] },
+      { name: "RevisionHistory", address: revisionHistoryAddress, constructorArguments: [contractAddress] },
+      { name: "CTIForwarder", address: forwarderAddress, constructorArguments: [contractAddress] },
+      { name: "SharingGroupRegistry", address: sharingGroupRegistryAddress, constructorArguments: [] },
+      { name: "DisputeManager", address: disputeManagerAddress, constructorArguments: [contractAddress] },
+      { name: "MembershipRegistry", address: membershipRegistryAddress, constructorArguments: [contractAddress] },
+      { name: "BountyBoard", address: bountyBoardAddress, constructorArguments: [contractAddress] },
+      { name: "RelationRegistry", address: relationRegistryAddress, constructorArguments: [contractAddress] },
+      { name: "CommentRegistry", address: commentRegistryAddress, constructorArguments: [contractAddress] },
+      { name: "SightingRegistry", address: sightingRegistryAddress, constructorArguments: [contractAddress] },
+      { name: "ContributorToken", address: contributorTokenAddress, constructorArguments: [contractAddress, rewardMaxSupply] },
+      { name: "RegistryGovernor", address: registryGovernorAddress, constructorArguments: [contractAddress, membershipRegistryAddress] }
+    ];
+
+    // One failure, e.g. an already verified contract, does not stop the rest
+    for (const { name, address, constructorArguments } of verifications) {
+      try {
+        await hre.run("verify:verify", { address, constructorArguments });
+        console.log(`${name} verified successfully`);
+      } catch (error) {
+        console.log(`${name} verification failed:`, error.message);
+      }
     }
   }
 }
@@ -0,0 +1,30 @@
+const hre = require("hardhat");
+const fs = require('fs');
+const { exportRegistryState } = require('./lib/registry-state');
+
+// Dump the full CTIRegistry state to JSON, e.g. before an upgrade so that
+// verify-deployment.js can confirm nothing was lost.
+async function main() {
+  if (!fs.existsSync('deployment.json')) {
+    throw new Error("deployment.json not found. Please deploy the contract first.");
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
+  const outputFile = process.env.STATE_FILE || 'state-export.json';
+
+  console.log(`Exporting CTIRegistry state from ${deploymentInfo.contractAddress}...`);
+  const state = await exportRegistryState(hre, deploymentInfo.contractAddress, deploymentInfo.deploymentBlock || 0);
+
+  fs.writeFileSync(outputFile, JSON.stringify(state, null, 2));
+
+  console.log(`   CTIs: ${state.ctis.length}`);
+  console.log(`   Accounts: ${Object.keys(state.accounts).length}`);
+  console.log(`State saved to ${outputFile}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
\ No newline at end of file
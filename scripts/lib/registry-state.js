@@ -0,0 +1,256 @@
+// Helpers to snapshot the full CTIRegistry state and compare snapshots, used
+// to confirm that an upgrade or migration kept every record intact.
+
+const toPlain = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  return value;
+};
+
+/**
+ * Wrap a contract so that view functions missing from the deployed code
+ * return undefined instead of throwing. The ABI comes from the current
+ * sources, so getters added since the deployment revert without data; the
+ * export leaves those fields out and comparisons skip them.
+ */
+const withOptionalGetters = (contract) => new Proxy(contract, {
+  get(target, property) {
+    const value = Reflect.get(target, property);
+    if (typeof value !== 'function') return value;
+
+    const fragment = typeof property === 'string' ? target.interface.getFunction(property) : null;
+    if (!fragment || !fragment.constant) return value.bind(target);
+
+    return async (...args) => {
+      try {
+        return await value(...args);
+      } catch (error) {
+        if (error.data === '0x' || (error.code === 'CALL_EXCEPTION' && !error.data)) return undefined;
+        throw error;
+      }
+    };
+  }
+});
+
+const isSet = (address, hre) => Boolean(address) && address !== hre.ethers.ZeroAddress;
+
+const queryEvents = async (registry, eventName, fromBlock) => {
+  return registry.queryFilter(registry.filters[eventName](), fromBlock);
+};
+
+/**
+ * Read the registry state from storage getters and events
+ * @param hre Hardhat runtime environment
+ * @param registryAddress CTIRegistry (or proxy) address
+ * @param fromBlock First block to scan for events, usually the deployment block
+ * @returns Plain JSON-serializable snapshot
+ */
+async function exportRegistryState(hre, registryAddress, fromBlock = 0) {
+  const registry = withOptionalGetters(await hre.ethers.getContractAt("CTIRegistry", registryAddress));
+  const [adminRole, moderatorRole] = await Promise.all([
+    registry.ADMIN_ROLE(),
+    registry.MODERATOR_ROLE()
+  ]);
+  // Granted in the registry and checked by DisputeManager
+  const reviewerRole = hre.ethers.id("REVIEWER_ROLE");
+
+  // Bonds and the reward pool are held by the bond escrow, when one is set
+  const bondEscrowAddress = await registry.bondEscrow();
+  const bondEscrow = isSet(bondEscrowAddress, hre)
+    ? withOptionalGetters(await hre.ethers.getContractAt("BondEscrow", bondEscrowAddress))
+    : null;
+
+  // Vote schedules and commitments are held by the commit-reveal voting contract
+  const votingAddress = await registry.commitRevealVoting();
+  const voting = isSet(votingAddress, hre)
+    ? withOptionalGetters(await hre.ethers.getContractAt("CommitRevealVoting", votingAddress))
+    : null;
+
+  // Superseded versions of revised CTIs are archived in the revision history
+  const revisionHistoryAddress = await registry.revisionHistory();
+  const revisionHistory = isSet(revisionHistoryAddress, hre)
+    ? withOptionalGetters(await hre.ethers.getContractAt("RevisionHistory", revisionHistoryAddress))
+    : null;
+
+  const ctiCounter = Number(await registry.ctiCounter());
+  const accounts = new Set([await registry.owner()]);
+
+  const ctis = [];
+  for (let id = 1; id <= ctiCounter; id++) {
+    const [record, status, retracted, weightedUpvotes, weightedDownvotes, bond, schedule, lastRevisedAt, revisionCount, voterAddresses] =
+      await Promise.all([
+        registry.ctiRecords(id),
+        registry.ctiStatus(id),
+        registry.isRetracted(id),
+        registry.weightedUpvotes(id),
+        registry.weightedDownvotes(id),
+        bondEscrow ? bondEscrow.ctiBonds(id) : 0n,
+        voting ? voting.voteSchedules(id) : { commitEnd: 0n, revealEnd: 0n },
+        registry.lastRevisedAt(id),
+        revisionHistory ? revisionHistory.getRevisionCount(id) : 1n,
+        registry.getCTIVoters(id)
+      ]);
+
+    const revisions = [];
+    for (let index = 0; index < Number(revisionCount) - 1; index++) {
+      const revision = await revisionHistory.getRevision(id, index);
+      revisions.push({
+        ipfsHash: revision.ipfsHash,
+        category: revision.category,
+        title: revision.title,
+        timestamp: toPlain(revision.timestamp)
+      });
+    }
+
+    const votes = {};
+    for (const voter of voterAddresses || []) {
+      const vote = await registry.votes(id, voter);
+      votes[voter] = {
+        isUpvote: vote.isUpvote,
+        weight: toPlain(vote.weight),
+        reputationSettled: vote.reputationSettled
+      };
+      accounts.add(voter);
+    }
+    accounts.add(record.submitter);
+
+    ctis.push({
+      id,
+      submitter: record.submitter,
+      ipfsHash: record.ipfsHash,
+      category: record.category,
+      title: record.title,
+      timestamp: toPlain(record.timestamp),
+      upvotes: toPlain(record.upvotes),
+      downvotes: toPlain(record.downvotes),
+      isActive: record.isActive,
+      tlp: Number(record.tlp),
+      validFrom: toPlain(record.validFrom),
+      validUntil: toPlain(record.validUntil),
+      status: Number(status),
+      isRetracted: retracted,
+      weightedUpvotes: toPlain(weightedUpvotes),
+      weightedDownvotes: toPlain(weightedDownvotes),
+      bond: toPlain(bond),
+      commitEnd: toPlain(schedule?.commitEnd),
+      revealEnd: toPlain(schedule?.revealEnd),
+      lastRevisedAt: toPlain(lastRevisedAt),
+      revisions,
+      votes
+    });
+  }
+
+  // Accounts that only appear in events: role holders, committers, relayers
+  // that paid bonds, withdrawers
+  for (const eventName of ['RoleGranted', 'RoleRevoked']) {
+    for (const event of await queryEvents(registry, eventName, fromBlock)) {
+      accounts.add(event.args.account);
+    }
+  }
+  if (bondEscrow) {
+    for (const event of await queryEvents(bondEscrow, 'BondDeposited', fromBlock)) {
+      accounts.add(event.args.payer);
+    }
+    for (const event of await queryEvents(bondEscrow, 'Withdrawal', fromBlock)) {
+      accounts.add(event.args.account);
+    }
+  }
+
+  const commitments = {};
+  if (voting) {
+    for (const event of await queryEvents(voting, 'VoteCommitted', fromBlock)) {
+      const { id, validator } = event.args;
+      accounts.add(validator);
+      commitments[`${id}:${validator}`] = await voting.voteCommitments(id, validator);
+    }
+  }
+
+  const accountState = {};
+  for (const account of Array.from(accounts).sort()) {
+    const [submissions, reputation, pendingWithdrawal, isAdmin, isModerator, isReviewer] = await Promise.all([
+      registry.userSubmissions(account),
+      registry.reputation(account),
+      bondEscrow ? bondEscrow.pendingWithdrawals(account) : 0n,
+      registry.hasRole(adminRole, account),
+      registry.hasRole(moderatorRole, account),
+      registry.hasRole(reviewerRole, account)
+    ]);
+    accountState[account] = {
+      userSubmissions: toPlain(submissions),
+      reputation: toPlain(reputation),
+      pendingWithdrawals: toPlain(pendingWithdrawal),
+      isAdmin,
+      isModerator,
+      isReviewer
+    };
+  }
+
+  const validationRules = await registry.getValidationRules();
+
+  return {
+    registry: registryAddress,
+    exportedAt: new Date().toISOString(),
+    blockNumber: await hre.ethers.provider.getBlockNumber(),
+    settings: {
+      owner: await registry.owner(),
+      pendingOwner: await registry.pendingOwner(),
+      paused: await registry.paused(),
+      ctiCounter,
+      activeCTICount: toPlain(await registry.getActiveCTICount()),
+      balance: toPlain(await hre.ethers.provider.getBalance(registryAddress)),
+      bondEscrow: bondEscrowAddress,
+      submissionBond: toPlain(await registry.getSubmissionBond()),
+      rewardPool: toPlain(bondEscrow ? await bondEscrow.rewardPool() : 0n),
+      escrowBalance: toPlain(bondEscrow ? await hre.ethers.provider.getBalance(bondEscrowAddress) : 0n),
+      commitRevealVoting: votingAddress,
+      ctiIndex: await registry.ctiIndex(),
+      revisionHistory: revisionHistoryAddress,
+      commitRevealEnabled: voting ? await voting.commitRevealEnabled() : false,
+      commitDuration: toPlain(voting ? await voting.commitDuration() : 0n),
+      revealDuration: toPlain(voting ? await voting.revealDuration() : 0n),
+      categoryRegistry: await registry.categoryRegistry(),
+      trustedForwarder: await registry.trustedForwarder(),
+      membershipRegistry: await registry.membershipRegistry(),
+      membershipMode: Number(await registry.membershipMode()),
+      rewardToken: await registry.rewardToken(),
+      validationQuorum: toPlain(validationRules?.quorum),
+      approvalPercent: toPlain(validationRules?.approval),
+      maxPageSize: toPlain(await registry.getMaxPageSize()),
+      scoreHalfLife: toPlain(await registry.getScoreHalfLife()),
+      reviewers: Object.keys(accountState).filter(account => accountState[account].isReviewer)
+    },
+    ctis,
+    accounts: accountState,
+    commitments
+  };
+}
+
+/**
+ * List the differences between two snapshots, ignoring export metadata and
+ * fields the expected snapshot lacks, i.e. getters added after it was taken
+ * @returns Array of "path: expected -> actual" strings; empty when they match
+ */
+function compareRegistryStates(expected, actual) {
+  const differences = [];
+  const ignored = new Set(['registry', 'exportedAt', 'blockNumber']);
+
+  const walk = (path, left, right) => {
+    if (left !== null && right !== null && typeof left === 'object' && typeof right === 'object') {
+      const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+      for (const key of keys) {
+        if (path === '' && ignored.has(key)) continue;
+        if (!Array.isArray(left) && left[key] === undefined) continue;
+        walk(path ? `${path}.${key}` : key, left[key], right[key]);
+      }
+      return;
+    }
+    if (JSON.stringify(left) !== JSON.stringify(right)) {
+      differences.push(`${path}: ${JSON.stringify(left)} -> ${JSON.stringify(right)}`);
+    }
+  };
+
+  walk('', expected, actual);
+  return differences;
+}
+
+module.exports = { exportRegistryState, compareRegistryStates };
\ No newline at end of file
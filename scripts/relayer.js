@@ -0,0 +1,104 @@
+const hre = require("hardhat");
+const http = require('http');
+const fs = require('fs');
+
+// Minimal relayer for gasless submissions and votes. It accepts EIP-712
+// signed requests over HTTP and pays the gas to forward them through
+// CTIForwarder. Intended for local testing against `npx hardhat node`.
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body || '{}'));
+    } catch (error) {
+      reject(new Error('Invalid JSON body'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJSON = (res, status, payload) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  });
+  res.end(JSON.stringify(payload));
+};
+
+async function main() {
+  if (!fs.existsSync('deployment.json')) {
+    throw new Error("deployment.json not found. Please deploy the contracts first.");
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
+  if (!deploymentInfo.forwarderAddress) {
+    throw new Error("No forwarderAddress in deployment.json. Please redeploy the contracts.");
+  }
+
+  const [relayer] = await hre.ethers.getSigners();
+  const forwarder = await hre.ethers.getContractAt("CTIForwarder", deploymentInfo.forwarderAddress, relayer);
+  const registry = await hre.ethers.getContractAt("CTIRegistry", deploymentInfo.contractAddress, relayer);
+
+  const relaySubmit = async ({ request, signature }) => {
+    // The relayer sponsors the submission bond, if one is configured, and is
+    // refunded the bond once the CTI is validated
+    const bond = await registry.getSubmissionBond();
+    const tx = await forwarder.submitCTIBySig(request, signature, { value: bond });
+    const receipt = await tx.wait();
+
+    const submitted = receipt.logs
+      .map(log => {
+        try {
+          return registry.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed && parsed.name === 'CTISubmitted');
+
+    return { txHash: tx.hash, ctiId: submitted ? Number(submitted.args.id) : null };
+  };
+
+  const relayVote = async ({ request, signature }) => {
+    const tx = await forwarder.voteCTIBySig(request, signature);
+    await tx.wait();
+    return { txHash: tx.hash };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      sendJSON(res, 204, {});
+      return;
+    }
+
+    const handler = req.method === 'POST' && { '/submit': relaySubmit, '/vote': relayVote }[req.url];
+    if (!handler) {
+      sendJSON(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    try {
+      const result = await handler(await readBody(req));
+      console.log(`${req.url} relayed: ${result.txHash}`);
+      sendJSON(res, 200, result);
+    } catch (error) {
+      console.error(`${req.url} failed:`, error.shortMessage || error.message);
+      sendJSON(res, 400, { error: error.shortMessage || error.message });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relayer ${relayer.address} listening on http://localhost:${PORT}`);
+    console.log(`Forwarder: ${deploymentInfo.forwarderAddress}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const hre = require("hardhat");
+const fs = require('fs');
+const { exportRegistryState, compareRegistryStates } = require('./lib/registry-state');
+
+// Upgrade the CTIRegistry proxy to the current implementation. The state is
+// exported before the upgrade and compared with the upgraded registry.
+async function main() {
+  if (!fs.existsSync('deployment.json')) {
+    throw new Error("deployment.json not found. Please deploy the contract first.");
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync('deployment.json', 'utf8'));
+  const proxyAddress = deploymentInfo.contractAddress;
+  const fromBlock = deploymentInfo.deploymentBlock || 0;
+
+  console.log("Exporting state before upgrade...");
+  const before = await exportRegistryState(hre, proxyAddress, fromBlock);
+  fs.writeFileSync('state-export.json', JSON.stringify(before, null, 2));
+
+  console.log("Deploying new CTIRegistry implementation...");
+  const CTIRegistry = await hre.ethers.getContractFactory("CTIRegistry");
+  const implementation = await CTIRegistry.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log(`Implementation deployed to: ${implementationAddress}`);
+
+  const registry = CTIRegistry.attach(proxyAddress);
+  await (await registry.upgradeTo(implementationAddress)).wait();
+  console.log(`Proxy ${proxyAddress} upgraded`);
+
+  await linkActiveCTIs(registry, before.ctis);
+
+  const after = await exportRegistryState(hre, proxyAddress, fromBlock);
+  const differences = compareRegistryStates(before, after);
+  if (differences.length > 0) {
+    differences.forEach(difference => console.error(`   ${difference}`));
+    throw new Error(`${differences.length} state differences after upgrade`);
+  }
+  console.log(`State verified: ${after.ctis.length} CTIs and ${Object.keys(after.accounts).length} accounts unchanged`);
+
+  deploymentInfo.implementationAddress = implementationAddress;
+  deploymentInfo.upgradedAt = new Date().toISOString();
+  fs.writeFileSync('deployment.json', JSON.stringify(deploymentInfo, null, 2));
+  console.log("Deployment info updated in deployment.json");
+}
+
+// Add active CTIs submitted before the registry kept an active list to it,
+// newest first, so that getActiveCTIs keeps returning them
+async function linkActiveCTIs(registry, ctis) {
+  const pageSize = Number(await registry.getMaxPageSize());
+  const listed = new Set();
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await registry.getActiveCTIs(pageSize, offset);
+    page.forEach(id => listed.add(Number(id)));
+    if (page.length < pageSize) break;
+  }
+
+  const unlisted = ctis
+    .filter(cti => cti.isActive && !listed.has(cti.id))
+    .map(cti => cti.id)
+    .sort((a, b) => b - a);
+  for (let i = 0; i < unlisted.length; i += pageSize) {
+    await (await registry.linkActiveCTIs(unlisted.slice(i, i + pageSize))).wait();
+  }
+  if (unlisted.length > 0) {
+    console.log(`Listed ${unlisted.length} active CTIs`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -1,5 +1,9 @@
 const hre = require("hardhat");
 const fs = require('fs');
+const { exportRegistryState, compareRegistryStates } = require('./lib/registry-state');
+
+// ERC-1967 implementation slot of CTIRegistryProxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
 
 async function main() {
   console.log("🔍 Verifying CTI Platform deployment...\n");
@@ -42,6 +46,188 @@ async function main() {
       console.log(`   Recent CTIs: 0 found (expected for new deployment)`);
     }
 
+    if (deploymentInfo.implementationAddress) {
+      const slot = await hre.ethers.provider.getStorage(contractAddress, IMPLEMENTATION_SLOT);
+      const implementation = hre.ethers.getAddress(hre.ethers.dataSlice(slot, 12));
+      if (implementation.toLowerCase() !== deploymentInfo.implementationAddress.toLowerCase()) {
+        throw new Error(`Proxy points at ${implementation}, expected ${deploymentInfo.implementationAddress}`);
+      }
+      console.log(`   Implementation: ${implementation}`);
+    }
+
+    if (deploymentInfo.indicatorIndexAddress) {
+      const IndicatorIndex = await hre.ethers.getContractFactory("IndicatorIndex");
+      const indicatorIndex = IndicatorIndex.attach(deploymentInfo.indicatorIndexAddress);
+      const indexRegistry = await indicatorIndex.registry();
+      if (indexRegistry.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`IndicatorIndex points at ${indexRegistry}, expected ${contractAddress}`);
+      }
+      console.log(`   Indicator Index: ${deploymentInfo.indicatorIndexAddress}`);
+    }
+
+    if (deploymentInfo.categoryRegistryAddress) {
+      const categoryRegistry = await contract.categoryRegistry();
+      if (categoryRegistry.toLowerCase() !== deploymentInfo.categoryRegistryAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry validates against ${categoryRegistry}, expected ${deploymentInfo.categoryRegistryAddress}`);
+      }
+      const CategoryRegistry = await hre.ethers.getContractFactory("CategoryRegistry");
+      const categoryCount = await CategoryRegistry.attach(categoryRegistry).categoryCount();
+      console.log(`   Categories: ${categoryCount}`);
+    }
+
+    if (deploymentInfo.bondEscrowAddress) {
+      const bondEscrow = await contract.bondEscrow();
+      if (bondEscrow.toLowerCase() !== deploymentInfo.bondEscrowAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry holds bonds in ${bondEscrow}, expected ${deploymentInfo.bondEscrowAddress}`);
+      }
+      const BondEscrow = await hre.ethers.getContractFactory("BondEscrow");
+      const rewardPool = await BondEscrow.attach(bondEscrow).rewardPool();
+      console.log(`   Submission bond: ${hre.ethers.formatEther(await contract.getSubmissionBond())} ETH (reward pool ${hre.ethers.formatEther(rewardPool)} ETH)`);
+    }
+
+    if (deploymentInfo.commitRevealVotingAddress) {
+      const commitRevealVoting = await contract.commitRevealVoting();
+      if (commitRevealVoting.toLowerCase() !== deploymentInfo.commitRevealVotingAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry schedules votes with ${commitRevealVoting}, expected ${deploymentInfo.commitRevealVotingAddress}`);
+      }
+      const CommitRevealVoting = await hre.ethers.getContractFactory("CommitRevealVoting");
+      const enabled = await CommitRevealVoting.attach(commitRevealVoting).commitRevealEnabled();
+      console.log(`   Commit-reveal voting: ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    if (deploymentInfo.ctiIndexAddress) {
+      const ctiIndex = await contract.ctiIndex();
+      if (ctiIndex.toLowerCase() !== deploymentInfo.ctiIndexAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry indexes CTIs in ${ctiIndex}, expected ${deploymentInfo.ctiIndexAddress}`);
+      }
+    }
+
+    if (deploymentInfo.revisionHistoryAddress) {
+      const revisionHistory = await contract.revisionHistory();
+      if (revisionHistory.toLowerCase() !== deploymentInfo.revisionHistoryAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry archives revisions in ${revisionHistory}, expected ${deploymentInfo.revisionHistoryAddress}`);
+      }
+    }
+
+    if (deploymentInfo.forwarderAddress) {
+      const trustedForwarder = await contract.trustedForwarder();
+      if (trustedForwarder.toLowerCase() !== deploymentInfo.forwarderAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry trusts forwarder ${trustedForwarder}, expected ${deploymentInfo.forwarderAddress}`);
+      }
+      console.log(`   Forwarder: ${trustedForwarder}`);
+    }
+
+    if (deploymentInfo.sharingGroupRegistryAddress) {
+      const SharingGroupRegistry = await hre.ethers.getContractFactory("SharingGroupRegistry");
+      const groupCount = await SharingGroupRegistry.attach(deploymentInfo.sharingGroupRegistryAddress).groupCount();
+      console.log(`   Sharing Groups: ${groupCount}`);
+    }
+
+    if (deploymentInfo.disputeManagerAddress) {
+      const DisputeManager = await hre.ethers.getContractFactory("DisputeManager");
+      const disputeManager = DisputeManager.attach(deploymentInfo.disputeManagerAddress);
+      const disputeRegistry = await disputeManager.registry();
+      if (disputeRegistry.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`DisputeManager points at ${disputeRegistry}, expected ${contractAddress}`);
+      }
+      const canModerate = await contract.hasRole(await contract.MODERATOR_ROLE(), deploymentInfo.disputeManagerAddress);
+      console.log(`   Disputes: ${await disputeManager.disputeCount()}${canModerate ? '' : ' (missing MODERATOR_ROLE)'}`);
+    }
+
+    if (deploymentInfo.membershipRegistryAddress) {
+      const membershipRegistry = await contract.membershipRegistry();
+      const membershipMode = Number(await contract.membershipMode());
+      if (membershipMode !== 0 && membershipRegistry.toLowerCase() !== deploymentInfo.membershipRegistryAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry checks membership against ${membershipRegistry}, expected ${deploymentInfo.membershipRegistryAddress}`);
+      }
+      const MembershipRegistry = await hre.ethers.getContractFactory("MembershipRegistry");
+      const organizationCount = await MembershipRegistry.attach(deploymentInfo.membershipRegistryAddress).organizationCount();
+      console.log(`   Organizations: ${organizationCount} (membership mode ${membershipMode})`);
+    }
+
+    if (deploymentInfo.bountyBoardAddress) {
+      const BountyBoard = await hre.ethers.getContractFactory("BountyBoard");
+      const bountyBoard = BountyBoard.attach(deploymentInfo.bountyBoardAddress);
+      const bountyRegistry = await bountyBoard.registry();
+      if (bountyRegistry.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`BountyBoard points at ${bountyRegistry}, expected ${contractAddress}`);
+      }
+      const escrow = await hre.ethers.provider.getBalance(deploymentInfo.bountyBoardAddress);
+      console.log(`   Bounties: ${await bountyBoard.bountyCount()} (${hre.ethers.formatEther(escrow)} ETH held)`);
+    }
+
+    if (deploymentInfo.relationRegistryAddress) {
+      const RelationRegistry = await hre.ethers.getContractFactory("RelationRegistry");
+      const relationRegistry = RelationRegistry.attach(deploymentInfo.relationRegistryAddress);
+      const relationRegistryTarget = await relationRegistry.registry();
+      if (relationRegistryTarget.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`RelationRegistry points at ${relationRegistryTarget}, expected ${contractAddress}`);
+      }
+      console.log(`   Relations: ${await relationRegistry.relationCount()}`);
+    }
+
+    if (deploymentInfo.commentRegistryAddress) {
+      const CommentRegistry = await hre.ethers.getContractFactory("CommentRegistry");
+      const commentRegistry = CommentRegistry.attach(deploymentInfo.commentRegistryAddress);
+      const commentRegistryTarget = await commentRegistry.registry();
+      if (commentRegistryTarget.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`CommentRegistry points at ${commentRegistryTarget}, expected ${contractAddress}`);
+      }
+      console.log(`   Comments: ${await commentRegistry.commentCount()}`);
+    }
+
+    if (deploymentInfo.sightingRegistryAddress) {
+      const SightingRegistry = await hre.ethers.getContractFactory("SightingRegistry");
+      const sightingRegistry = SightingRegistry.attach(deploymentInfo.sightingRegistryAddress);
+      const sightingRegistryTarget = await sightingRegistry.registry();
+      if (sightingRegistryTarget.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`SightingRegistry points at ${sightingRegistryTarget}, expected ${contractAddress}`);
+      }
+      console.log(`   Sightings: ${await sightingRegistry.sightingCount()}`);
+    }
+
+    if (deploymentInfo.contributorTokenAddress) {
+      const ContributorToken = await hre.ethers.getContractFactory("ContributorToken");
+      const contributorToken = ContributorToken.attach(deploymentInfo.contributorTokenAddress);
+      const contributorTokenTarget = await contributorToken.registry();
+      if (contributorTokenTarget.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`ContributorToken points at ${contributorTokenTarget}, expected ${contractAddress}`);
+      }
+      const rewardToken = await contract.rewardToken();
+      if (rewardToken.toLowerCase() !== deploymentInfo.contributorTokenAddress.toLowerCase()) {
+        throw new Error(`CTIRegistry rewards ${rewardToken}, expected ${deploymentInfo.contributorTokenAddress}`);
+      }
+      const credited = await contributorToken.totalCredited();
+      console.log(`   Rewards credited: ${hre.ethers.formatEther(credited)} of ${hre.ethers.formatEther(await contributorToken.maxSupply())}`);
+    }
+
+    if (deploymentInfo.registryGovernorAddress) {
+      const RegistryGovernor = await hre.ethers.getContractFactory("RegistryGovernor");
+      const registryGovernor = RegistryGovernor.attach(deploymentInfo.registryGovernorAddress);
+      const registryGovernorTarget = await registryGovernor.registry();
+      if (registryGovernorTarget.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw new Error(`RegistryGovernor points at ${registryGovernorTarget}, expected ${contractAddress}`);
+      }
+      if (!(await contract.hasRole(await contract.ADMIN_ROLE(), deploymentInfo.registryGovernorAddress))) {
+        throw new Error("RegistryGovernor is missing ADMIN_ROLE in CTIRegistry");
+      }
+      console.log(`   Proposals: ${await registryGovernor.proposalCount()}`);
+    }
+
+    // Compare with a state export taken before an upgrade or migration
+    const stateFile = process.env.STATE_FILE || 'state-export.json';
+    if (fs.existsSync(stateFile)) {
+      console.log(`\n🔁 Comparing on-chain state with ${stateFile}...`);
+      const expected = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      const actual = await exportRegistryState(hre, contractAddress, deploymentInfo.deploymentBlock || 0);
+      const differences = compareRegistryStates(expected, actual);
+      if (differences.length > 0) {
+        differences.forEach(difference => console.error(`   ${difference}`));
+        throw new Error(`${differences.length} differences from ${stateFile}`);
+      }
+      console.log(`   ${actual.ctis.length} CTIs and ${Object.keys(actual.accounts).length} accounts match`);
+    }
+
     console.log("\n✅ Contract verification completed successfully!");
 
     // Display useful information
@@ -54,6 +240,22 @@ async function main() {
     const configUpdate = `
 // Update your frontend/src/config.js with:
 export const CONTRACT_ADDRESS = "${contractAddress}";
+export const INDICATOR_INDEX_ADDRESS = "${deploymentInfo.indicatorIndexAddress || ''}";
+export const CATEGORY_REGISTRY_ADDRESS = "${deploymentInfo.categoryRegistryAddress || ''}";
+export const BOND_ESCROW_ADDRESS = "${deploymentInfo.bondEscrowAddress || ''}";
+export const COMMIT_REVEAL_VOTING_ADDRESS = "${deploymentInfo.commitRevealVotingAddress || ''}";
+export const CTI_INDEX_ADDRESS = "${deploymentInfo.ctiIndexAddress || ''}";
+export const REVISION_HISTORY_ADDRESS = "${deploymentInfo.revisionHistoryAddress || ''}";
+export const FORWARDER_ADDRESS = "${deploymentInfo.forwarderAddress || ''}";
+export const SHARING_GROUP_REGISTRY_ADDRESS = "${deploymentInfo.sharingGroupRegistryAddress || ''}";
+export const DISPUTE_MANAGER_ADDRESS = "${deploymentInfo.disputeManagerAddress || ''}";
+export const MEMBERSHIP_REGISTRY_ADDRESS = "${deploymentInfo.membershipRegistryAddress || ''}";
+export const BOUNTY_BOARD_ADDRESS = "${deploymentInfo.bountyBoardAddress || ''}";
+export const RELATION_REGISTRY_ADDRESS = "${deploymentInfo.relationRegistryAddress || ''}";
+export const COMMENT_REGISTRY_ADDRESS = "${deploymentInfo.commentRegistryAddress || ''}";
+export const SIGHTING_REGISTRY_ADDRESS = "${deploymentInfo.sightingRegistryAddress || ''}";
+export const CONTRIBUTOR_TOKEN_ADDRESS = "${deploymentInfo.contributorTokenAddress || ''}";
+export const REGISTRY_GOVERNOR_ADDRESS = "${deploymentInfo.registryGovernorAddress || ''}";
 `;
     
     fs.writeFileSync('contract-config.txt', configUpdate);
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("BondEscrow", function () {
+  const bond = ethers.parseEther("0.01");
+  let ctiRegistry;
+  let bondEscrow;
+  let owner;
+  let addr1;
+  let voters;
+
+  beforeEach(async function () {
+    [owner, addr1, ...voters] = await ethers.getSigners();
+    voters = voters.slice(0, 3);
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const BondEscrow = await ethers.getContractFactory("BondEscrow");
+    bondEscrow = await BondEscrow.deploy(await ctiRegistry.getAddress());
+    await bondEscrow.waitForDeployment();
+
+    await ctiRegistry.setBondEscrow(await bondEscrow.getAddress());
+    await bondEscrow.setSubmissionBond(bond);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const BondEscrow = await ethers.getContractFactory("BondEscrow");
+      await expect(BondEscrow.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+
+    it("Should only let admins set the bond escrow", async function () {
+      await expect(ctiRegistry.connect(addr1).setBondEscrow(addr1.address))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(ctiRegistry.setBondEscrow(ethers.ZeroAddress))
+        .to.emit(ctiRegistry, "BondEscrowUpdated")
+        .withArgs(await bondEscrow.getAddress(), ethers.ZeroAddress);
+      expect(await ctiRegistry.getSubmissionBond()).to.equal(0);
+    });
+  });
+
+  describe("Submission Bonds", function () {
+    it("Should let admins set the bond amount", async function () {
+      await expect(bondEscrow.setSubmissionBond(bond * 2n))
+        .to.emit(bondEscrow, "SubmissionBondUpdated")
+        .withArgs(bond, bond * 2n);
+      expect(await bondEscrow.submissionBond()).to.equal(bond * 2n);
+      expect(await ctiRegistry.getSubmissionBond()).to.equal(bond * 2n);
+
+      await expect(bondEscrow.connect(addr1).setSubmissionBond(0))
+        .to.be.revertedWith("Caller is missing required role");
+    });
+
+    it("Should require the exact bond and hold it in the escrow", async function () {
+      await expect(ctiRegistry.connect(addr1).submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0))
+        .to.be.revertedWith("Incorrect submission bond");
+
+      await expect(ctiRegistry.connect(addr1).submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0, { value: bond }))
+        .to.emit(bondEscrow, "BondDeposited")
+        .withArgs(1, addr1.address, bond);
+
+      expect(await bondEscrow.ctiBonds(1)).to.equal(bond);
+      expect(await ethers.provider.getBalance(await bondEscrow.getAddress())).to.equal(bond);
+      expect(await ethers.provider.getBalance(await ctiRegistry.getAddress())).to.equal(0);
+    });
+
+    it("Should take one submission bond per batch item", async function () {
+      const batch = [["QmBatch1", "QmBatch2"], ["Malware", "Phishing"], ["Batch 1", "Batch 2"], [TLP.CLEAR, TLP.GREEN], [0, 0], [0, 0]];
+
+      await expect(ctiRegistry.connect(addr1).submitCTIBatch(...batch, { value: bond }))
+        .to.be.revertedWith("Incorrect submission bond");
+
+      await ctiRegistry.connect(addr1).submitCTIBatch(...batch, { value: bond * 2n });
+      expect(await bondEscrow.ctiBonds(2)).to.equal(bond);
+      expect(await ethers.provider.getBalance(await bondEscrow.getAddress())).to.equal(bond * 2n);
+    });
+
+    it("Should refund the bond plus a pool share on validation", async function () {
+      await bondEscrow.fundRewardPool({ value: ethers.parseEther("1") });
+      await ctiRegistry.connect(addr1).submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0, { value: bond });
+
+      await ctiRegistry.connect(voters[0]).voteCTI(1, true);
+      await ctiRegistry.connect(voters[1]).voteCTI(1, true);
+      await expect(ctiRegistry.connect(voters[2]).voteCTI(1, true))
+        .to.emit(bondEscrow, "BondRefunded")
+        .withArgs(1, addr1.address, bond, ethers.parseEther("0.1"));
+
+      expect(await bondEscrow.ctiBonds(1)).to.equal(0);
+      expect(await bondEscrow.rewardPool()).to.equal(ethers.parseEther("0.9"));
+      expect(await bondEscrow.pendingWithdrawals(addr1.address))
+        .to.equal(bond + ethers.parseEther("0.1"));
+
+      await expect(bondEscrow.connect(addr1).withdraw())
+        .to.changeEtherBalances([addr1, bondEscrow], [bond + ethers.parseEther("0.1"), -(bond + ethers.parseEther("0.1"))]);
+      await expect(bondEscrow.connect(addr1).withdraw())
+        .to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should slash the bond into the pool on rejection", async function () {
+      await ctiRegistry.connect(addr1).submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0, { value: bond });
+
+      await ctiRegistry.connect(voters[0]).voteCTI(1, false);
+      await ctiRegistry.connect(voters[1]).voteCTI(1, false);
+      await expect(ctiRegistry.connect(voters[2]).voteCTI(1, false))
+        .to.emit(bondEscrow, "BondSlashed")
+        .withArgs(1, addr1.address, bond);
+
+      expect(await bondEscrow.rewardPool()).to.equal(bond);
+      expect(await bondEscrow.pendingWithdrawals(addr1.address)).to.equal(0);
+    });
+
+    it("Should slash the bond when a moderator deactivates or the submitter retracts", async function () {
+      await ctiRegistry.connect(addr1).submitCTI("QmHash1", "Malware", "Spam", TLP.CLEAR, 0, 0, { value: bond });
+      await ctiRegistry.connect(addr1).submitCTI("QmHash2", "Malware", "Oops", TLP.CLEAR, 0, 0, { value: bond });
+
+      await ctiRegistry.deactivateCTI(1, "Spam");
+      await ctiRegistry.connect(addr1).retractCTI(2, "Duplicate");
+
+      expect(await bondEscrow.rewardPool()).to.equal(bond * 2n);
+    });
+
+    it("Should restore the bond when a pending CTI is reactivated", async function () {
+      await ctiRegistry.connect(addr1).submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0, { value: bond });
+      await ctiRegistry.deactivateCTI(1, "Spam");
+
+      await expect(ctiRegistry.reactivateCTI(1))
+        .to.emit(bondEscrow, "BondRestored")
+        .withArgs(1, addr1.address, bond);
+      expect(await bondEscrow.rewardPool()).to.equal(0);
+      expect(await bondEscrow.ctiBonds(1)).to.equal(bond);
+
+      // The restored bond settles with the votes
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(1, true);
+      }
+      expect(await bondEscrow.pendingWithdrawals(addr1.address)).to.equal(bond);
+    });
+
+    it("Should return the bond and reputation when a rejection is overturned", async function () {
+      await ctiRegistry.connect(addr1).submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0, { value: bond });
+      await ctiRegistry.connect(addr1).submitCTI("QmHash2", "Malware", "Threat 2", TLP.CLEAR, 0, 0, { value: bond });
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(2, true);
+      }
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(1, false);
+      }
+      const reputation = await ctiRegistry.reputation(addr1.address);
+
+      await expect(ctiRegistry.connect(addr1).overturnRejection(1))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(ctiRegistry.overturnRejection(2))
+        .to.be.revertedWith("CTI was not rejected");
+
+      await expect(ctiRegistry.overturnRejection(1))
+        .to.emit(ctiRegistry, "CTIRejectionOverturned")
+        .withArgs(1, owner.address)
+        .and.to.emit(bondEscrow, "BondReturned")
+        .withArgs(1, addr1.address, bond);
+
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(3);
+      expect(await ctiRegistry.reputation(addr1.address)).to.equal(reputation + 10n);
+      expect(await bondEscrow.slashedBonds(1)).to.equal(0);
+      await expect(ctiRegistry.overturnRejection(1))
+        .to.be.revertedWith("CTI was not rejected");
+    });
+
+    it("Should only accept bond updates from the registry", async function () {
+      await expect(bondEscrow.depositBond(1, owner.address, { value: bond }))
+        .to.be.revertedWith("Caller is not the registry");
+      await expect(bondEscrow.refundBond(1))
+        .to.be.revertedWith("Caller is not the registry");
+      await expect(bondEscrow.returnBond(1))
+        .to.be.revertedWith("Caller is not the registry");
+      await expect(bondEscrow.restoreBond(1))
+        .to.be.revertedWith("Caller is not the registry");
+      await expect(bondEscrow.slashBond(1))
+        .to.be.revertedWith("Caller is not the registry");
+    });
+  });
+
+  describe("Reward Pool", function () {
+    it("Should accept contributions to the reward pool", async function () {
+      await expect(bondEscrow.connect(addr1).fundRewardPool({ value: bond }))
+        .to.emit(bondEscrow, "RewardPoolFunded")
+        .withArgs(addr1.address, bond);
+      expect(await bondEscrow.rewardPool()).to.equal(bond);
+
+      await expect(bondEscrow.fundRewardPool())
+        .to.be.revertedWith("Amount must be greater than zero");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+// Bounty statuses, in BountyBoard.BountyStatus enum order
+const STATUS = { OPEN: 0, AWARDED: 1, REFUNDED: 2 };
+
+describe("BountyBoard", function () {
+  const DAY = 24 * 60 * 60;
+  const reward = ethers.parseEther("1");
+
+  let ctiRegistry;
+  let bountyBoard;
+  let requester;
+  let analyst1;
+  let analyst2;
+  let voters;
+  let deadline;
+
+  // Answers must be submitted after the bounty they answer
+  const submitReports = async () => {
+    await ctiRegistry.connect(analyst1).submitCTI("QmHash1", "APT", "Campaign report", TLP.CLEAR, 0, 0);
+    await ctiRegistry.connect(analyst2).submitCTI("QmHash2", "APT", "Actor profile", TLP.CLEAR, 0, 0);
+  };
+
+  // Three fresh voters reach the settlement threshold
+  const validate = async (ctiId) => {
+    for (const voter of voters) {
+      await ctiRegistry.connect(voter).voteCTI(ctiId, true);
+    }
+  };
+
+  beforeEach(async function () {
+    let signers;
+    [requester, analyst1, analyst2, ...signers] = await ethers.getSigners();
+    voters = signers.slice(0, 3);
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const BountyBoard = await ethers.getContractFactory("BountyBoard");
+    bountyBoard = await BountyBoard.deploy(await ctiRegistry.getAddress());
+    await bountyBoard.waitForDeployment();
+
+    deadline = (await time.latest()) + 7 * DAY;
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const BountyBoard = await ethers.getContractFactory("BountyBoard");
+      await expect(BountyBoard.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Posting Bounties", function () {
+    it("Should post a bounty funded with ETH", async function () {
+      await expect(bountyBoard.postBounty("QmRequest", "APT", deadline, { value: reward }))
+        .to.emit(bountyBoard, "BountyPosted")
+        .withArgs(1, requester.address, "APT", reward, deadline);
+
+      const bounty = await bountyBoard.getBounty(1);
+      expect(bounty.descriptionCID).to.equal("QmRequest");
+      expect(bounty.reward).to.equal(reward);
+      expect(bounty.status).to.equal(STATUS.OPEN);
+      expect(await ethers.provider.getBalance(await bountyBoard.getAddress())).to.equal(reward);
+    });
+
+    it("Should validate new bounties", async function () {
+      await expect(bountyBoard.postBounty("QmRequest", "APT", deadline))
+        .to.be.revertedWith("Reward must be positive");
+      await expect(bountyBoard.postBounty("", "APT", deadline, { value: reward }))
+        .to.be.revertedWith("Description CID cannot be empty");
+      await expect(bountyBoard.postBounty("QmRequest", "", deadline, { value: reward }))
+        .to.be.revertedWith("Category cannot be empty");
+      await expect(bountyBoard.postBounty("QmRequest", "APT", await time.latest(), { value: reward }))
+        .to.be.revertedWith("Deadline must be in the future");
+    });
+
+    it("Should only accept active categories once a category registry is set", async function () {
+      const CategoryRegistry = await ethers.getContractFactory("CategoryRegistry");
+      const categoryRegistry = await CategoryRegistry.deploy(await ctiRegistry.getAddress());
+      await categoryRegistry.waitForDeployment();
+      await ctiRegistry.setCategoryRegistry(await categoryRegistry.getAddress());
+
+      await expect(bountyBoard.postBounty("QmRequest", "Unknown", deadline, { value: reward }))
+        .to.be.revertedWith("Invalid category");
+      await bountyBoard.postBounty("QmRequest", "Malware", deadline, { value: reward });
+
+      await categoryRegistry.deprecateCategory(1);
+      await expect(bountyBoard.postBounty("QmRequest", "Malware", deadline, { value: reward }))
+        .to.be.revertedWith("Invalid category");
+    });
+  });
+
+  describe("Answers", function () {
+    beforeEach(async function () {
+      await bountyBoard.postBounty("QmRequest", "APT", deadline, { value: reward });
+      await submitReports();
+    });
+
+    it("Should link the caller's CTIs as answers", async function () {
+      await expect(bountyBoard.connect(analyst1).submitAnswer(1, 1))
+        .to.emit(bountyBoard, "BountyAnswered")
+        .withArgs(1, 1, analyst1.address);
+      await bountyBoard.connect(analyst2).submitAnswer(1, 2);
+
+      expect(await bountyBoard.getAnswers(1)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should validate answers", async function () {
+      await expect(bountyBoard.connect(analyst1).submitAnswer(1, 2))
+        .to.be.revertedWith("Only submitter can answer with a CTI");
+      await bountyBoard.connect(analyst1).submitAnswer(1, 1);
+      await expect(bountyBoard.connect(analyst1).submitAnswer(1, 1))
+        .to.be.revertedWith("CTI already answers this bounty");
+
+      await ctiRegistry.submitCTI("QmHash3", "APT", "Own answer", TLP.CLEAR, 0, 0);
+      await expect(bountyBoard.submitAnswer(1, 3))
+        .to.be.revertedWith("Cannot answer own bounty");
+
+      await time.increaseTo(deadline);
+      await expect(bountyBoard.connect(analyst2).submitAnswer(1, 2))
+        .to.be.revertedWith("Bounty has expired");
+    });
+
+    it("Should only accept answers in the bounty category submitted after it", async function () {
+      await ctiRegistry.connect(analyst1).submitCTI("QmHash3", "Malware", "Off topic", TLP.CLEAR, 0, 0);
+      await expect(bountyBoard.connect(analyst1).submitAnswer(1, 3))
+        .to.be.revertedWith("CTI is not in the bounty category");
+
+      await bountyBoard.postBounty("QmRequest2", "APT", deadline, { value: reward });
+      await expect(bountyBoard.connect(analyst1).submitAnswer(2, 1))
+        .to.be.revertedWith("CTI predates the bounty");
+      await ctiRegistry.connect(analyst1).submitCTI("QmHash4", "APT", "Fresh report", TLP.CLEAR, 0, 0);
+      await bountyBoard.connect(analyst1).submitAnswer(2, 4);
+    });
+
+    it("Should limit the answers each submitter can link", async function () {
+      const limit = Number(await bountyBoard.MAX_ANSWERS_PER_SUBMITTER());
+      for (let i = 0; i <= limit; i++) {
+        await ctiRegistry.connect(analyst1).submitCTI(`QmSpam${i}`, "APT", "Spam", TLP.CLEAR, 0, 0);
+      }
+
+      for (let i = 0; i < limit; i++) {
+        await bountyBoard.connect(analyst1).submitAnswer(1, 3 + i);
+      }
+      await expect(bountyBoard.connect(analyst1).submitAnswer(1, 3 + limit))
+        .to.be.revertedWith("Too many answers from submitter");
+      expect(await bountyBoard.answerCount(1, analyst1.address)).to.equal(limit);
+
+      await bountyBoard.connect(analyst2).submitAnswer(1, 2);
+      expect((await bountyBoard.getAnswers(1)).length).to.equal(limit + 1);
+    });
+  });
+
+  describe("Awards", function () {
+    beforeEach(async function () {
+      await bountyBoard.postBounty("QmRequest", "APT", deadline, { value: reward });
+      await submitReports();
+      await bountyBoard.connect(analyst1).submitAnswer(1, 1);
+      await bountyBoard.connect(analyst2).submitAnswer(1, 2);
+    });
+
+    it("Should let the requester award an answer", async function () {
+      await expect(bountyBoard.connect(analyst1).awardBounty(1, 1))
+        .to.be.revertedWith("Only requester can award");
+
+      await expect(bountyBoard.awardBounty(1, 2))
+        .to.emit(bountyBoard, "BountyAwarded")
+        .withArgs(1, 2, analyst2.address, reward);
+
+      const bounty = await bountyBoard.getBounty(1);
+      expect(bounty.status).to.equal(STATUS.AWARDED);
+      expect(bounty.awardedCTI).to.equal(2);
+      await expect(bountyBoard.awardBounty(1, 1))
+        .to.be.revertedWith("Bounty is closed");
+
+      await expect(bountyBoard.connect(analyst2).withdraw())
+        .to.changeEtherBalance(analyst2, reward);
+      await expect(bountyBoard.connect(analyst2).withdraw())
+        .to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should only award linked answers", async function () {
+      await ctiRegistry.connect(analyst1).submitCTI("QmHash3", "APT", "Unlinked", TLP.CLEAR, 0, 0);
+      await expect(bountyBoard.awardBounty(1, 3))
+        .to.be.revertedWith("CTI does not answer this bounty");
+    });
+
+    it("Should award the earliest validated answer after the deadline", async function () {
+      await validate(2);
+      expect(await bountyBoard.getValidatedAnswer(1)).to.equal(2);
+
+      await expect(bountyBoard.connect(analyst2).awardValidatedAnswer(1))
+        .to.be.revertedWith("Bounty has not expired");
+
+      await time.increaseTo(deadline);
+      await expect(bountyBoard.connect(analyst2).awardValidatedAnswer(1))
+        .to.emit(bountyBoard, "BountyAwarded")
+        .withArgs(1, 2, analyst2.address, reward);
+      expect(await bountyBoard.pendingWithdrawals(analyst2.address)).to.equal(reward);
+    });
+
+    it("Should not award by quorum without a validated answer", async function () {
+      await time.increaseTo(deadline);
+      await expect(bountyBoard.awardValidatedAnswer(1))
+        .to.be.revertedWith("No validated answer");
+    });
+  });
+
+  describe("Refunds", function () {
+    beforeEach(async function () {
+      await bountyBoard.postBounty("QmRequest", "APT", deadline, { value: reward });
+      await submitReports();
+    });
+
+    it("Should refund an unanswered bounty at any time", async function () {
+      await expect(bountyBoard.connect(analyst1).refundBounty(1))
+        .to.be.revertedWith("Only requester can refund");
+
+      await expect(bountyBoard.refundBounty(1))
+        .to.emit(bountyBoard, "BountyRefunded")
+        .withArgs(1, requester.address, reward);
+      expect((await bountyBoard.getBounty(1)).status).to.equal(STATUS.REFUNDED);
+
+      await expect(bountyBoard.withdraw())
+        .to.changeEtherBalance(requester, reward);
+    });
+
+    it("Should refund an answered bounty only after the deadline without a validated answer", async function () {
+      await bountyBoard.connect(analyst1).submitAnswer(1, 1);
+      await expect(bountyBoard.refundBounty(1))
+        .to.be.revertedWith("Bounty has answers to award");
+
+      await time.increaseTo(deadline);
+      await bountyBoard.refundBounty(1);
+      expect(await bountyBoard.pendingWithdrawals(requester.address)).to.equal(reward);
+    });
+
+    it("Should not refund when a validated answer is waiting", async function () {
+      await bountyBoard.connect(analyst1).submitAnswer(1, 1);
+      await validate(1);
+
+      await time.increaseTo(deadline);
+      await expect(bountyBoard.refundBounty(1))
+        .to.be.revertedWith("Bounty has answers to award");
+    });
+
+    it("Should ignore validated answers that were deactivated", async function () {
+      await bountyBoard.connect(analyst1).submitAnswer(1, 1);
+      await validate(1);
+      await ctiRegistry.deactivateCTI(1, "Plagiarized");
+
+      expect(await bountyBoard.getValidatedAnswer(1)).to.equal(0);
+      await time.increaseTo(deadline);
+      await bountyBoard.refundBounty(1);
+    });
+  });
+});
\ No newline at end of file
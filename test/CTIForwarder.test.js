@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("CTIForwarder", function () {
+  let ctiRegistry;
+  let forwarder;
+  let owner;
+  let analyst;
+  let voter;
+  let relayer;
+  let domain;
+
+  const submitTypes = {
+    SubmitCTI: [
+      { name: "submitter", type: "address" },
+      { name: "ipfsHash", type: "string" },
+      { name: "category", type: "string" },
+      { name: "title", type: "string" },
+      { name: "tlp", type: "uint8" },
+      { name: "validFrom", type: "uint256" },
+      { name: "validUntil", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  const voteTypes = {
+    VoteCTI: [
+      { name: "voter", type: "address" },
+      { name: "id", type: "uint256" },
+      { name: "isUpvote", type: "bool" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  const signSubmit = async (signer, overrides = {}) => {
+    const request = {
+      submitter: signer.address,
+      ipfsHash: "QmGaslessHash",
+      category: "Malware",
+      title: "Gasless Threat",
+      tlp: TLP.GREEN,
+      validFrom: 0,
+      validUntil: 0,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: (await time.latest()) + 3600,
+      ...overrides
+    };
+    const signature = await signer.signTypedData(domain, submitTypes, request);
+    return { request, signature };
+  };
+
+  const signVote = async (signer, id, isUpvote, overrides = {}) => {
+    const request = {
+      voter: signer.address,
+      id,
+      isUpvote,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: (await time.latest()) + 3600,
+      ...overrides
+    };
+    const signature = await signer.signTypedData(domain, voteTypes, request);
+    return { request, signature };
+  };
+
+  beforeEach(async function () {
+    [owner, analyst, voter, relayer] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const CTIForwarder = await ethers.getContractFactory("CTIForwarder");
+    forwarder = await CTIForwarder.deploy(await ctiRegistry.getAddress());
+    await forwarder.waitForDeployment();
+
+    await ctiRegistry.setTrustedForwarder(await forwarder.getAddress());
+
+    domain = {
+      name: "CTIForwarder",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await forwarder.getAddress()
+    };
+  });
+
+  describe("Relayed Submissions", function () {
+    it("Should record the signer as submitter", async function () {
+      const { request, signature } = await signSubmit(analyst);
+
+      await expect(forwarder.connect(relayer).submitCTIBySig(request, signature))
+        .to.emit(ctiRegistry, "CTISubmitted")
+        .withArgs(1, analyst.address, "QmGaslessHash", "Malware", "Gasless Threat")
+        .and.to.emit(forwarder, "MetaTransactionExecuted")
+        .withArgs(analyst.address, relayer.address, 0);
+
+      expect(await ctiRegistry.userSubmissions(analyst.address)).to.equal(1);
+      expect(await ctiRegistry.userSubmissions(relayer.address)).to.equal(0);
+      expect(await forwarder.nonces(analyst.address)).to.equal(1);
+      expect(await ctiRegistry.getTLP(1)).to.equal(TLP.GREEN);
+    });
+
+    it("Should let the relayer pay the submission bond", async function () {
+      const bond = ethers.parseEther("0.1");
+      const BondEscrow = await ethers.getContractFactory("BondEscrow");
+      const bondEscrow = await BondEscrow.deploy(await ctiRegistry.getAddress());
+      await ctiRegistry.setBondEscrow(await bondEscrow.getAddress());
+      await bondEscrow.setSubmissionBond(bond);
+      const { request, signature } = await signSubmit(analyst);
+
+      await forwarder.connect(relayer).submitCTIBySig(request, signature, { value: bond });
+      expect(await bondEscrow.ctiBonds(1)).to.equal(bond);
+      expect(await bondEscrow.bondPayers(1)).to.equal(relayer.address);
+    });
+
+    it("Should refund a relayed bond to the relayer, not the signer", async function () {
+      const bond = ethers.parseEther("0.1");
+      const BondEscrow = await ethers.getContractFactory("BondEscrow");
+      const bondEscrow = await BondEscrow.deploy(await ctiRegistry.getAddress());
+      await ctiRegistry.setBondEscrow(await bondEscrow.getAddress());
+      await bondEscrow.setSubmissionBond(bond);
+      const { request, signature } = await signSubmit(analyst);
+      await forwarder.connect(relayer).submitCTIBySig(request, signature, { value: bond });
+
+      const validators = (await ethers.getSigners()).slice(5, 8);
+      for (const validator of validators) {
+        await ctiRegistry.connect(validator).voteCTI(1, true);
+      }
+
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(1); // Validated
+      expect(await bondEscrow.pendingWithdrawals(relayer.address)).to.equal(bond);
+      expect(await bondEscrow.pendingWithdrawals(analyst.address)).to.equal(0);
+    });
+
+    it("Should reject replayed signatures", async function () {
+      const { request, signature } = await signSubmit(analyst);
+      await forwarder.connect(relayer).submitCTIBySig(request, signature);
+
+      await expect(forwarder.connect(relayer).submitCTIBySig(request, signature))
+        .to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject expired signatures", async function () {
+      const { request, signature } = await signSubmit(analyst, { deadline: (await time.latest()) + 60 });
+      await time.increase(120);
+
+      await expect(forwarder.connect(relayer).submitCTIBySig(request, signature))
+        .to.be.revertedWith("Signature expired");
+    });
+
+    it("Should reject signatures from someone other than the submitter", async function () {
+      const { request } = await signSubmit(analyst);
+      const signature = await voter.signTypedData(domain, submitTypes, request);
+
+      await expect(forwarder.connect(relayer).submitCTIBySig(request, signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject tampered requests", async function () {
+      const { request, signature } = await signSubmit(analyst);
+
+      await expect(forwarder.connect(relayer).submitCTIBySig({ ...request, title: "Changed" }, signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject a changed TLP marking", async function () {
+      const { request, signature } = await signSubmit(analyst);
+
+      await expect(forwarder.connect(relayer).submitCTIBySig({ ...request, tlp: TLP.CLEAR }, signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should bubble up registry reverts", async function () {
+      const { request, signature } = await signSubmit(analyst, { title: "" });
+
+      await expect(forwarder.connect(relayer).submitCTIBySig(request, signature))
+        .to.be.revertedWith("Title cannot be empty");
+    });
+  });
+
+  describe("Relayed Votes", function () {
+    beforeEach(async function () {
+      await ctiRegistry.connect(analyst).submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should record the signer as voter", async function () {
+      const { request, signature } = await signVote(voter, 1, true);
+
+      await expect(forwarder.connect(relayer).voteCTIBySig(request, signature))
+        .to.emit(ctiRegistry, "CTIVoted")
+        .withArgs(1, voter.address, true);
+
+      expect(await ctiRegistry.hasUserVoted(1, voter.address)).to.equal(true);
+      expect(await ctiRegistry.hasUserVoted(1, relayer.address)).to.equal(false);
+    });
+
+    it("Should keep the self-vote check for relayed votes", async function () {
+      const { request, signature } = await signVote(analyst, 1, true);
+
+      await expect(forwarder.connect(relayer).voteCTIBySig(request, signature))
+        .to.be.revertedWith("Cannot vote on own submission");
+    });
+
+    it("Should let the same relayer vote for several signers", async function () {
+      const first = await signVote(voter, 1, true);
+      const second = await signVote(owner, 1, false);
+
+      await forwarder.connect(relayer).voteCTIBySig(first.request, first.signature);
+      await forwarder.connect(relayer).voteCTIBySig(second.request, second.signature);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.upvotes).to.equal(1);
+      expect(cti.downvotes).to.equal(1);
+    });
+  });
+
+  describe("Trusted Forwarder", function () {
+    it("Should only let admins set the forwarder", async function () {
+      await expect(ctiRegistry.connect(analyst).setTrustedForwarder(analyst.address))
+        .to.be.revertedWith("Caller is missing required role");
+    });
+
+    it("Should ignore appended senders from untrusted callers", async function () {
+      await ctiRegistry.setTrustedForwarder(ethers.ZeroAddress);
+      const { request, signature } = await signSubmit(analyst);
+
+      await forwarder.connect(relayer).submitCTIBySig(request, signature);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.submitter).to.equal(await forwarder.getAddress());
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("CTIIndex", function () {
+  let ctiRegistry;
+  let ctiIndex;
+  let owner;
+  let addr1;
+  let addr2;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const CTIIndex = await ethers.getContractFactory("CTIIndex");
+    ctiIndex = await CTIIndex.deploy(await ctiRegistry.getAddress());
+    await ctiIndex.waitForDeployment();
+
+    await ctiRegistry.setCTIIndex(await ctiIndex.getAddress());
+
+    const RevisionHistory = await ethers.getContractFactory("RevisionHistory");
+    const revisionHistory = await RevisionHistory.deploy(await ctiRegistry.getAddress());
+    await revisionHistory.waitForDeployment();
+    await ctiRegistry.setRevisionHistory(await revisionHistory.getAddress());
+
+    await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+    await ctiRegistry.connect(addr1).submitCTI("QmHash2", "Phishing", "Threat 2", TLP.CLEAR, 0, 0);
+    await ctiRegistry.submitCTI("QmHash3", "Malware", "Threat 3", TLP.CLEAR, 0, 0);
+    await ctiRegistry.submitCTI("QmHash4", "Phishing", "Threat 4", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const CTIIndex = await ethers.getContractFactory("CTIIndex");
+      await expect(CTIIndex.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+
+    it("Should only let admins set the index", async function () {
+      await expect(ctiRegistry.connect(addr1).setCTIIndex(addr1.address))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(ctiRegistry.setCTIIndex(ethers.ZeroAddress))
+        .to.emit(ctiRegistry, "CTIIndexUpdated")
+        .withArgs(await ctiIndex.getAddress(), ethers.ZeroAddress);
+    });
+
+    it("Should only accept updates from the registry", async function () {
+      await expect(ctiIndex.recordSubmission(5, owner.address, "Malware"))
+        .to.be.revertedWith("Caller is not the registry");
+      await expect(ctiIndex.recordCategoryChange(1, "Phishing"))
+        .to.be.revertedWith("Caller is not the registry");
+    });
+  });
+
+  describe("Lookups", function () {
+    it("Should list CTIs by submitter with pagination", async function () {
+      expect(await ctiIndex.getCTIsBySubmitter(owner.address, 10, 0)).to.deep.equal([4n, 3n, 1n]);
+      expect(await ctiIndex.getCTIsBySubmitter(owner.address, 2, 1)).to.deep.equal([3n, 1n]);
+      expect(await ctiIndex.getCTIsBySubmitter(addr1.address, 10, 0)).to.deep.equal([2n]);
+      expect(await ctiIndex.getCTIsBySubmitter(addr2.address, 10, 0)).to.deep.equal([]);
+    });
+
+    it("Should list CTIs by category with pagination", async function () {
+      expect(await ctiIndex.getCTIsByCategory("Malware", 10, 0)).to.deep.equal([3n, 1n]);
+      expect(await ctiIndex.getCTIsByCategory("Phishing", 1, 1)).to.deep.equal([2n]);
+      expect(await ctiIndex.getCategoryCTICount("Phishing")).to.equal(2);
+    });
+
+    it("Should index every item of a batch", async function () {
+      await ctiRegistry.connect(addr2).submitCTIBatch(
+        ["QmBatch1", "QmBatch2"], ["Malware", "Ransomware"], ["Batch 1", "Batch 2"], [TLP.CLEAR, TLP.GREEN], [0, 0], [0, 0]
+      );
+
+      expect(await ctiIndex.getCTIsBySubmitter(addr2.address, 10, 0)).to.deep.equal([6n, 5n]);
+      expect(await ctiIndex.getCTIsByCategory("Malware", 10, 0)).to.deep.equal([5n, 3n, 1n]);
+      expect(await ctiIndex.getCategoryCTICount("Ransomware")).to.equal(1);
+    });
+
+    it("Should move revised CTIs between categories", async function () {
+      await ctiRegistry.reviseCTI(1, "QmHash1b", "Phishing", "Threat 1");
+      expect(await ctiIndex.getCTIsByCategory("Malware", 10, 0)).to.deep.equal([3n]);
+      expect(await ctiIndex.getCTIsByCategory("Phishing", 10, 0)).to.deep.equal([1n, 4n, 2n]);
+      expect(await ctiIndex.getCategoryCTICount("Malware")).to.equal(1);
+
+      await ctiRegistry.reviseCTI(1, "QmHash1c", "Malware", "Threat 1");
+      expect(await ctiIndex.getCTIsByCategory("Malware", 10, 0)).to.deep.equal([3n, 1n]);
+      expect(await ctiIndex.getCTIsByCategory("Phishing", 10, 0)).to.deep.equal([4n, 2n]);
+      expect(await ctiIndex.getCategoryCTICount("Phishing")).to.equal(2);
+
+      await ctiRegistry.reviseCTI(1, "QmHash1d", "Malware", "Threat 1 updated");
+      expect(await ctiIndex.getCategoryCTICount("Malware")).to.equal(2);
+    });
+
+    it("Should revise CTIs submitted before the index was set", async function () {
+      await ctiRegistry.setCTIIndex(ethers.ZeroAddress);
+      await ctiRegistry.submitCTI("QmHash5", "Malware", "Threat 5", TLP.CLEAR, 0, 0);
+      await ctiRegistry.setCTIIndex(await ctiIndex.getAddress());
+
+      await ctiRegistry.reviseCTI(5, "QmHash5b", "Phishing", "Threat 5");
+      expect(await ctiIndex.getCTIsByCategory("Phishing", 10, 0)).to.deep.equal([5n, 4n, 2n]);
+      expect(await ctiIndex.getCategoryCTICount("Phishing")).to.equal(3);
+      expect(await ctiIndex.getCategoryCTICount("Malware")).to.equal(2);
+    });
+
+    it("Should validate the limit against the registry page size", async function () {
+      await expect(ctiIndex.getCTIsBySubmitter(owner.address, 0, 0))
+        .to.be.revertedWith("Invalid limit");
+      await expect(ctiIndex.getCTIsByCategory("Malware", 101, 0))
+        .to.be.revertedWith("Invalid limit");
+
+      await ctiRegistry.setMaxPageSize(2);
+      await expect(ctiIndex.getCTIsBySubmitter(owner.address, 3, 0))
+        .to.be.revertedWith("Invalid limit");
+    });
+  });
+});
\ No newline at end of file
@@ -1,5 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
 
 describe("CTIRegistry", function () {
   let CTIRegistry;
@@ -34,7 +38,7 @@ describe("CTIRegistry", function () {
       const category = "Malware";
       const title = "Test Threat Report";
 
-      await expect(ctiRegistry.submitCTI(ipfsHash, category, title))
+      await expect(ctiRegistry.submitCTI(ipfsHash, category, title, TLP.CLEAR, 0, 0))
         .to.emit(ctiRegistry, "CTISubmitted")
         .withArgs(1, owner.address, ipfsHash, category, title);
 
@@ -49,35 +53,107 @@ describe("CTIRegistry", function () {
       expect(cti.upvotes).to.equal(0);
       expect(cti.downvotes).to.equal(0);
       expect(cti.isActive).to.equal(true);
+      expect(cti.tlp).to.equal(TLP.CLEAR);
+    });
+
+    it("Should record the TLP marking", async function () {
+      await ctiRegistry.submitCTI("QmTestHash", "Malware", "Restricted", TLP.AMBER_STRICT, 0, 0);
+
+      expect((await ctiRegistry.getCTI(1)).tlp).to.equal(TLP.AMBER_STRICT);
+      expect(await ctiRegistry.getTLP(1)).to.equal(TLP.AMBER_STRICT);
+    });
+
+    it("Should reject unknown TLP markings", async function () {
+      await expect(ctiRegistry.submitCTI("QmTestHash", "Malware", "Test", 5, 0, 0)).to.be.reverted;
     });
 
     it("Should reject empty IPFS hash", async function () {
-      await expect(ctiRegistry.submitCTI("", "Malware", "Test"))
+      await expect(ctiRegistry.submitCTI("", "Malware", "Test", TLP.CLEAR, 0, 0))
         .to.be.revertedWith("IPFS hash cannot be empty");
     });
 
     it("Should reject empty category", async function () {
-      await expect(ctiRegistry.submitCTI("QmTestHash", "", "Test"))
+      await expect(ctiRegistry.submitCTI("QmTestHash", "", "Test", TLP.CLEAR, 0, 0))
         .to.be.revertedWith("Category cannot be empty");
     });
 
     it("Should reject empty title", async function () {
-      await expect(ctiRegistry.submitCTI("QmTestHash", "Malware", ""))
+      await expect(ctiRegistry.submitCTI("QmTestHash", "Malware", "", TLP.CLEAR, 0, 0))
         .to.be.revertedWith("Title cannot be empty");
     });
 
     it("Should increment user submission count", async function () {
-      await ctiRegistry.submitCTI("QmTestHash1", "Malware", "Test 1");
-      await ctiRegistry.submitCTI("QmTestHash2", "Phishing", "Test 2");
+      await ctiRegistry.submitCTI("QmTestHash1", "Malware", "Test 1", TLP.CLEAR, 0, 0);
+      await ctiRegistry.submitCTI("QmTestHash2", "Phishing", "Test 2", TLP.CLEAR, 0, 0);
       
       expect(await ctiRegistry.userSubmissions(owner.address)).to.equal(2);
     });
   });
 
+  describe("Batch Submission", function () {
+    const hashes = ["QmBatch1", "QmBatch2", "QmBatch3"];
+    const categories = ["Malware", "Phishing", "Malware"];
+    const titles = ["Batch 1", "Batch 2", "Batch 3"];
+    const tlps = [TLP.CLEAR, TLP.GREEN, TLP.AMBER];
+    const noWindow = [0, 0, 0];
+
+    it("Should record every item with its own event", async function () {
+      const tx = ctiRegistry.connect(addr1).submitCTIBatch(hashes, categories, titles, tlps, noWindow, noWindow);
+      await expect(tx)
+        .to.emit(ctiRegistry, "CTISubmitted")
+        .withArgs(2, addr1.address, "QmBatch2", "Phishing", "Batch 2");
+      await expect(tx)
+        .to.emit(ctiRegistry, "CTIBatchSubmitted")
+        .withArgs(addr1.address, 1, 3);
+
+      expect(await ctiRegistry.ctiCounter()).to.equal(3);
+      expect(await ctiRegistry.getActiveCTICount()).to.equal(3);
+      expect(await ctiRegistry.userSubmissions(addr1.address)).to.equal(3);
+      expect((await ctiRegistry.getCTI(3)).tlp).to.equal(TLP.AMBER);
+    });
+
+    it("Should reject the whole batch when one item is invalid", async function () {
+      await expect(ctiRegistry.submitCTIBatch(hashes, categories, ["Batch 1", "", "Batch 3"], tlps, noWindow, noWindow))
+        .to.be.revertedWith("Title cannot be empty");
+      expect(await ctiRegistry.ctiCounter()).to.equal(0);
+    });
+
+    it("Should validate the batch shape", async function () {
+      await expect(ctiRegistry.submitCTIBatch([], [], [], [], [], []))
+        .to.be.revertedWith("Invalid batch size");
+      await expect(ctiRegistry.submitCTIBatch(hashes, categories.slice(1), titles, tlps, noWindow, noWindow))
+        .to.be.revertedWith("Batch length mismatch");
+      await expect(ctiRegistry.submitCTIBatch(hashes, categories, titles, tlps, noWindow, [0, 0]))
+        .to.be.revertedWith("Batch length mismatch");
+
+      const size = Number(await ctiRegistry.MAX_BATCH_SIZE()) + 1;
+      const fill = value => Array(size).fill(value);
+      await expect(ctiRegistry.submitCTIBatch(fill("QmHash"), fill("Malware"), fill("Threat"), fill(TLP.CLEAR), fill(0), fill(0)))
+        .to.be.revertedWith("Invalid batch size");
+    });
+
+    it("Should give every item its own validity window", async function () {
+      const now = await time.latest();
+      const validFroms = [0, now - 3600, 0];
+      const validUntils = [0, now + 7 * 24 * 3600, now + 24 * 3600];
+      await ctiRegistry.submitCTIBatch(hashes, categories, titles, tlps, validFroms, validUntils);
+
+      const first = await ctiRegistry.getCTI(1);
+      expect(first.validFrom).to.equal(first.timestamp);
+      expect(first.validUntil).to.equal(0);
+      const second = await ctiRegistry.getCTI(2);
+      expect(second.validFrom).to.equal(validFroms[1]);
+      expect(second.validUntil).to.equal(validUntils[1]);
+
+      await expect(ctiRegistry.submitCTIBatch(hashes, categories, titles, tlps, noWindow, [0, now, 0]))
+        .to.be.revertedWith("Invalid validity window");
+    });
+  });
+
   describe("CTI Voting", function () {
     beforeEach(async function () {
       // Submit a CTI for testing
-      await ctiRegistry.submitCTI("QmTestHash", "Malware", "Test Threat");
+      await ctiRegistry.submitCTI("QmTestHash", "Malware", "Test Threat", TLP.CLEAR, 0, 0);
     });
 
     it("Should allow upvoting a CTI", async function () {
@@ -118,12 +194,78 @@ describe("CTIRegistry", function () {
     });
   });
 
+  describe("Changing Votes", function () {
+    beforeEach(async function () {
+      await ctiRegistry.submitCTI("QmTestHash", "Malware", "Test Threat", TLP.CLEAR, 0, 0);
+      await ctiRegistry.connect(addr1).voteCTI(1, true);
+    });
+
+    it("Should record the voter's current vote direction", async function () {
+      expect(await ctiRegistry.getUserVote(1, addr1.address)).to.equal(1); // Upvote
+      expect(await ctiRegistry.getUserVote(1, addr2.address)).to.equal(0); // None
+    });
+
+    it("Should let a voter switch their vote", async function () {
+      await expect(ctiRegistry.connect(addr1).changeVote(1, false))
+        .to.emit(ctiRegistry, "CTIVoteChanged")
+        .withArgs(1, addr1.address, 1, 2);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.upvotes).to.equal(0);
+      expect(cti.downvotes).to.equal(1);
+      expect(await ctiRegistry.getCTIScore(1)).to.equal(-1);
+      expect(await ctiRegistry.getUserVote(1, addr1.address)).to.equal(2); // Downvote
+    });
+
+    it("Should let a voter withdraw and vote again", async function () {
+      await ctiRegistry.connect(addr2).voteCTI(1, false);
+
+      await expect(ctiRegistry.connect(addr1).withdrawVote(1))
+        .to.emit(ctiRegistry, "CTIVoteChanged")
+        .withArgs(1, addr1.address, 1, 0);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.upvotes).to.equal(0);
+      expect(cti.downvotes).to.equal(1);
+      expect(await ctiRegistry.hasUserVoted(1, addr1.address)).to.equal(false);
+      expect(await ctiRegistry.getCTIVoters(1)).to.deep.equal([addr2.address]);
+
+      await ctiRegistry.connect(addr1).voteCTI(1, false);
+      expect(await ctiRegistry.getCTIVoters(1)).to.deep.equal([addr2.address, addr1.address]);
+      expect(await ctiRegistry.getCTIScore(1)).to.equal(-2);
+    });
+
+    it("Should reject invalid vote changes", async function () {
+      await expect(ctiRegistry.connect(addr1).changeVote(1, true))
+        .to.be.revertedWith("Vote already has this direction");
+      await expect(ctiRegistry.connect(addr2).changeVote(1, true))
+        .to.be.revertedWith("Has not voted on this CTI");
+      await expect(ctiRegistry.connect(addr2).withdrawVote(1))
+        .to.be.revertedWith("Has not voted on this CTI");
+    });
+
+    it("Should settle when a changed vote crosses the threshold", async function () {
+      const [, , , voter3, voter4] = await ethers.getSigners();
+      await ctiRegistry.connect(addr2).voteCTI(1, true);
+      await ctiRegistry.connect(voter3).voteCTI(1, false);
+
+      await expect(ctiRegistry.connect(voter3).changeVote(1, true))
+        .to.emit(ctiRegistry, "CTIValidated")
+        .withArgs(1, 3);
+
+      await expect(ctiRegistry.connect(voter4).voteCTI(1, true))
+        .to.be.revertedWith("Voting has closed");
+      await expect(ctiRegistry.connect(addr1).withdrawVote(1))
+        .to.be.revertedWith("Voting has closed");
+    });
+  });
+
   describe("CTI Retrieval", function () {
     beforeEach(async function () {
       // Submit multiple CTIs for testing
-      await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1");
-      await ctiRegistry.submitCTI("QmHash2", "Phishing", "Threat 2");
-      await ctiRegistry.submitCTI("QmHash3", "Ransomware", "Threat 3");
+      await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+      await ctiRegistry.submitCTI("QmHash2", "Phishing", "Threat 2", TLP.CLEAR, 0, 0);
+      await ctiRegistry.submitCTI("QmHash3", "Ransomware", "Threat 3", TLP.CLEAR, 0, 0);
     });
 
     it("Should get active CTIs with pagination", async function () {
@@ -140,6 +282,23 @@ describe("CTIRegistry", function () {
       expect(activeCTIs[1]).to.equal(1);
     });
 
+    it("Should let admins change the largest page size", async function () {
+      expect(await ctiRegistry.getMaxPageSize()).to.equal(100);
+      await expect(ctiRegistry.getActiveCTIs(101, 0))
+        .to.be.revertedWith("Invalid limit");
+
+      await expect(ctiRegistry.connect(addr1).setMaxPageSize(200))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(ctiRegistry.setMaxPageSize(0))
+        .to.be.revertedWith("Invalid page size");
+
+      await expect(ctiRegistry.setMaxPageSize(2))
+        .to.emit(ctiRegistry, "MaxPageSizeUpdated")
+        .withArgs(100, 2);
+      await expect(ctiRegistry.getActiveCTIs(3, 0))
+        .to.be.revertedWith("Invalid limit");
+    });
+
     it("Should return correct active CTI count", async function () {
       expect(await ctiRegistry.getActiveCTICount()).to.equal(3);
     });
@@ -165,6 +324,591 @@ describe("CTIRegistry", function () {
     });
   });
 
+  describe("Indexes", function () {
+    beforeEach(async function () {
+      await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+      await ctiRegistry.connect(addr1).submitCTI("QmHash2", "Phishing", "Threat 2", TLP.CLEAR, 0, 0);
+      await ctiRegistry.submitCTI("QmHash3", "Malware", "Threat 3", TLP.CLEAR, 0, 0);
+      await ctiRegistry.submitCTI("QmHash4", "Phishing", "Threat 4", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should track the active count incrementally", async function () {
+      expect(await ctiRegistry.getActiveCTICount()).to.equal(4);
+
+      await ctiRegistry.deactivateCTI(1, "Spam");
+      await ctiRegistry.connect(addr1).retractCTI(2, "Duplicate");
+      expect(await ctiRegistry.getActiveCTICount()).to.equal(2);
+
+      await ctiRegistry.reactivateCTI(1);
+      expect(await ctiRegistry.getActiveCTICount()).to.equal(3);
+      expect(await ctiRegistry.getActiveCTIs(10, 0)).to.deep.equal([4n, 3n, 1n]);
+    });
+
+    it("Should page over active CTIs only, newest first", async function () {
+      await ctiRegistry.deactivateCTI(4, "Spam");
+      await ctiRegistry.deactivateCTI(2, "Spam");
+      expect(await ctiRegistry.getActiveCTIs(1, 0)).to.deep.equal([3n]);
+      expect(await ctiRegistry.getActiveCTIs(1, 1)).to.deep.equal([1n]);
+      expect(await ctiRegistry.getActiveCTIs(10, 2)).to.deep.equal([]);
+
+      await ctiRegistry.deactivateCTI(1, "Spam");
+      await ctiRegistry.deactivateCTI(3, "Spam");
+      expect(await ctiRegistry.getActiveCTIs(10, 0)).to.deep.equal([]);
+
+      // Reactivations are listed in ID order wherever they fall
+      await ctiRegistry.reactivateCTI(2);
+      await ctiRegistry.reactivateCTI(4);
+      await ctiRegistry.reactivateCTI(1);
+      await ctiRegistry.reactivateCTI(3);
+      expect(await ctiRegistry.getActiveCTIs(10, 0)).to.deep.equal([4n, 3n, 2n, 1n]);
+
+      await ctiRegistry.submitCTI("QmHash5", "Malware", "Threat 5", TLP.CLEAR, 0, 0);
+      expect(await ctiRegistry.getActiveCTIs(2, 0)).to.deep.equal([5n, 4n]);
+    });
+
+    it("Should only let admins list CTIs that are active and unlisted", async function () {
+      await expect(ctiRegistry.connect(addr1).linkActiveCTIs([1]))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(ctiRegistry.linkActiveCTIs([1]))
+        .to.be.revertedWith("CTI is already listed");
+
+      await ctiRegistry.deactivateCTI(1, "Spam");
+      await expect(ctiRegistry.linkActiveCTIs([1]))
+        .to.be.revertedWith("CTI is not active");
+      await expect(ctiRegistry.linkActiveCTIs([9]))
+        .to.be.revertedWith("CTI does not exist");
+    });
+  });
+
+  describe("CTI Revisions", function () {
+    beforeEach(async function () {
+      const RevisionHistory = await ethers.getContractFactory("RevisionHistory");
+      const revisionHistory = await RevisionHistory.deploy(await ctiRegistry.getAddress());
+      await revisionHistory.waitForDeployment();
+      await ctiRegistry.setRevisionHistory(await revisionHistory.getAddress());
+
+      await ctiRegistry.connect(addr1).submitCTI("QmOriginal", "Malware", "Original Title", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should let the submitter publish a revision", async function () {
+      await expect(ctiRegistry.connect(addr1).reviseCTI(1, "QmRevised", "Ransomware", "Revised Title"))
+        .to.emit(ctiRegistry, "CTIRevised")
+        .withArgs(1, 1, "QmRevised", "Ransomware", "Revised Title");
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.ipfsHash).to.equal("QmRevised");
+      expect(cti.category).to.equal("Ransomware");
+      expect(cti.title).to.equal("Revised Title");
+    });
+
+    it("Should carry votes over to the new revision", async function () {
+      await ctiRegistry.connect(addr2).voteCTI(1, false);
+      await ctiRegistry.connect(addr1).reviseCTI(1, "QmRevised", "Malware", "Revised Title");
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.downvotes).to.equal(1);
+      expect(await ctiRegistry.hasUserVoted(1, addr2.address)).to.equal(true);
+    });
+
+    it("Should only let the submitter revise with valid fields", async function () {
+      await expect(ctiRegistry.connect(addr2).reviseCTI(1, "QmRevised", "Malware", "Title"))
+        .to.be.revertedWith("Only submitter can revise");
+      await expect(ctiRegistry.connect(addr1).reviseCTI(1, "", "Malware", "Title"))
+        .to.be.revertedWith("IPFS hash cannot be empty");
+    });
+
+    it("Should reject revisions while no revision history is set", async function () {
+      await ctiRegistry.setRevisionHistory(ethers.ZeroAddress);
+      await expect(ctiRegistry.connect(addr1).reviseCTI(1, "QmRevised", "Malware", "Title"))
+        .to.be.revertedWith("Revisions are disabled");
+    });
+
+    it("Should reject revisions once the CTI has settled", async function () {
+      const voters = (await ethers.getSigners()).slice(3, 6);
+      await ctiRegistry.connect(addr1).submitCTI("QmSecond", "Malware", "Second Title", TLP.CLEAR, 0, 0);
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(1, true);
+        await ctiRegistry.connect(voter).voteCTI(2, false);
+      }
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(1); // Validated
+      expect(await ctiRegistry.ctiStatus(2)).to.equal(2); // Rejected
+
+      await expect(ctiRegistry.connect(addr1).reviseCTI(1, "QmSwapped", "Malware", "Original Title"))
+        .to.be.revertedWith("Settled CTIs cannot be revised");
+      await expect(ctiRegistry.connect(addr1).reviseCTI(2, "QmRetry", "Malware", "Second Title"))
+        .to.be.revertedWith("Settled CTIs cannot be revised");
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should grant admin and moderator roles to the deployer", async function () {
+      expect(await ctiRegistry.owner()).to.equal(owner.address);
+      expect(await ctiRegistry.hasRole(await ctiRegistry.ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await ctiRegistry.hasRole(await ctiRegistry.MODERATOR_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should let admins grant and revoke moderators", async function () {
+      const moderatorRole = await ctiRegistry.MODERATOR_ROLE();
+
+      await expect(ctiRegistry.grantRole(moderatorRole, addr1.address))
+        .to.emit(ctiRegistry, "RoleGranted")
+        .withArgs(moderatorRole, addr1.address, owner.address);
+      expect(await ctiRegistry.hasRole(moderatorRole, addr1.address)).to.equal(true);
+
+      await expect(ctiRegistry.revokeRole(moderatorRole, addr1.address))
+        .to.emit(ctiRegistry, "RoleRevoked")
+        .withArgs(moderatorRole, addr1.address, owner.address);
+      expect(await ctiRegistry.hasRole(moderatorRole, addr1.address)).to.equal(false);
+    });
+
+    it("Should only let the owner manage admins", async function () {
+      const adminRole = await ctiRegistry.ADMIN_ROLE();
+      await ctiRegistry.grantRole(adminRole, addr1.address);
+
+      await expect(ctiRegistry.connect(addr1).grantRole(adminRole, addr2.address))
+        .to.be.revertedWith("Only owner can manage admins");
+      await expect(ctiRegistry.connect(addr1).revokeRole(adminRole, owner.address))
+        .to.be.revertedWith("Only owner can manage admins");
+    });
+
+    it("Should let accounts renounce their own roles", async function () {
+      const adminRole = await ctiRegistry.ADMIN_ROLE();
+      const moderatorRole = await ctiRegistry.MODERATOR_ROLE();
+      await ctiRegistry.grantRole(adminRole, addr1.address);
+
+      await expect(ctiRegistry.connect(addr1).renounceRole(adminRole))
+        .to.emit(ctiRegistry, "RoleRevoked")
+        .withArgs(adminRole, addr1.address, addr1.address);
+      expect(await ctiRegistry.hasRole(adminRole, addr1.address)).to.equal(false);
+
+      await expect(ctiRegistry.connect(addr1).renounceRole(moderatorRole))
+        .to.be.revertedWith("Account does not have role");
+      await expect(ctiRegistry.renounceRole(adminRole))
+        .to.be.revertedWith("Cannot revoke owner's admin role");
+    });
+
+    it("Should prevent non-admins from granting roles", async function () {
+      const moderatorRole = await ctiRegistry.MODERATOR_ROLE();
+      await expect(ctiRegistry.connect(addr1).grantRole(moderatorRole, addr2.address))
+        .to.be.revertedWith("Only admins can manage roles");
+    });
+  });
+
+  describe("Ownership", function () {
+    it("Should transfer ownership in two steps", async function () {
+      await expect(ctiRegistry.transferOwnership(addr1.address))
+        .to.emit(ctiRegistry, "OwnershipTransferStarted")
+        .withArgs(owner.address, addr1.address);
+      expect(await ctiRegistry.owner()).to.equal(owner.address);
+      expect(await ctiRegistry.pendingOwner()).to.equal(addr1.address);
+
+      await expect(ctiRegistry.connect(addr1).acceptOwnership())
+        .to.emit(ctiRegistry, "OwnershipTransferred")
+        .withArgs(owner.address, addr1.address);
+      expect(await ctiRegistry.owner()).to.equal(addr1.address);
+      expect(await ctiRegistry.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await ctiRegistry.hasRole(await ctiRegistry.ADMIN_ROLE(), addr1.address)).to.equal(true);
+    });
+
+    it("Should let the new owner manage admins, including the previous owner", async function () {
+      const adminRole = await ctiRegistry.ADMIN_ROLE();
+      await ctiRegistry.transferOwnership(addr1.address);
+      await ctiRegistry.connect(addr1).acceptOwnership();
+
+      await expect(ctiRegistry.grantRole(adminRole, addr2.address))
+        .to.be.revertedWith("Only owner can manage admins");
+      await ctiRegistry.connect(addr1).revokeRole(adminRole, owner.address);
+      expect(await ctiRegistry.hasRole(adminRole, owner.address)).to.equal(false);
+    });
+
+    it("Should restrict who can start and accept a transfer", async function () {
+      await expect(ctiRegistry.connect(addr1).transferOwnership(addr1.address))
+        .to.be.revertedWith("Only owner can transfer ownership");
+
+      await ctiRegistry.transferOwnership(addr1.address);
+      await expect(ctiRegistry.connect(addr2).acceptOwnership())
+        .to.be.revertedWith("Caller is not the pending owner");
+
+      // Transferring to the zero address cancels the pending transfer
+      await ctiRegistry.transferOwnership(ethers.ZeroAddress);
+      await expect(ctiRegistry.connect(addr1).acceptOwnership())
+        .to.be.revertedWith("Caller is not the pending owner");
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    beforeEach(async function () {
+      await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should block submissions, revisions and votes while paused", async function () {
+      await expect(ctiRegistry.pause())
+        .to.emit(ctiRegistry, "Paused")
+        .withArgs(owner.address);
+      expect(await ctiRegistry.paused()).to.equal(true);
+
+      await expect(ctiRegistry.submitCTI("QmHash2", "Malware", "Threat 2", TLP.CLEAR, 0, 0))
+        .to.be.revertedWith("Contract is paused");
+      await expect(ctiRegistry.submitCTIBatch(["QmHash2"], ["Malware"], ["Threat 2"], [TLP.CLEAR], [0], [0]))
+        .to.be.revertedWith("Contract is paused");
+      await expect(ctiRegistry.reviseCTI(1, "QmHash1v2", "Malware", "Threat 1"))
+        .to.be.revertedWith("Contract is paused");
+      await expect(ctiRegistry.connect(addr1).voteCTI(1, true))
+        .to.be.revertedWith("Contract is paused");
+    });
+
+    it("Should keep reads and moderation working while paused", async function () {
+      await ctiRegistry.pause();
+
+      expect((await ctiRegistry.getCTI(1)).title).to.equal("Threat 1");
+      expect(await ctiRegistry.getActiveCTIs(10, 0)).to.deep.equal([1n]);
+      await ctiRegistry.deactivateCTI(1, "Abusive content");
+      expect(await ctiRegistry.getActiveCTICount()).to.equal(0);
+    });
+
+    it("Should resume once the owner unpauses", async function () {
+      await ctiRegistry.pause();
+      await expect(ctiRegistry.pause()).to.be.revertedWith("Contract is paused");
+
+      await expect(ctiRegistry.unpause())
+        .to.emit(ctiRegistry, "Unpaused")
+        .withArgs(owner.address);
+      await expect(ctiRegistry.unpause()).to.be.revertedWith("Contract is not paused");
+
+      await ctiRegistry.connect(addr1).voteCTI(1, true);
+      expect((await ctiRegistry.getCTI(1)).upvotes).to.equal(1);
+    });
+
+    it("Should let admins pause but only the owner unpause", async function () {
+      await expect(ctiRegistry.connect(addr1).pause())
+        .to.be.revertedWith("Caller is missing required role");
+
+      await ctiRegistry.grantRole(await ctiRegistry.ADMIN_ROLE(), addr1.address);
+      await ctiRegistry.connect(addr1).pause();
+
+      await expect(ctiRegistry.connect(addr1).unpause())
+        .to.be.revertedWith("Only owner can unpause");
+    });
+  });
+
+  describe("Moderation", function () {
+    beforeEach(async function () {
+      await ctiRegistry.connect(addr1).submitCTI("QmSpamHash", "Malware", "Spam Report", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should let moderators deactivate a CTI", async function () {
+      await expect(ctiRegistry.deactivateCTI(1, "Spam"))
+        .to.emit(ctiRegistry, "CTIDeactivated")
+        .withArgs(1, owner.address, "Spam");
+
+      expect((await ctiRegistry.ctiRecords(1)).isActive).to.equal(false);
+      expect(await ctiRegistry.getActiveCTICount()).to.equal(0);
+      await expect(ctiRegistry.getCTI(1)).to.be.revertedWith("CTI is not active");
+      await expect(ctiRegistry.connect(addr2).voteCTI(1, true))
+        .to.be.revertedWith("CTI is not active");
+    });
+
+    it("Should require a reason and the moderator role to deactivate", async function () {
+      await expect(ctiRegistry.deactivateCTI(1, ""))
+        .to.be.revertedWith("Reason cannot be empty");
+      await expect(ctiRegistry.connect(addr2).deactivateCTI(1, "Spam"))
+        .to.be.revertedWith("Caller is missing required role");
+    });
+
+    it("Should let moderators reactivate a deactivated CTI", async function () {
+      await ctiRegistry.deactivateCTI(1, "Spam");
+
+      await expect(ctiRegistry.reactivateCTI(1))
+        .to.emit(ctiRegistry, "CTIReactivated")
+        .withArgs(1, owner.address);
+      expect((await ctiRegistry.getCTI(1)).isActive).to.equal(true);
+
+      await expect(ctiRegistry.reactivateCTI(1))
+        .to.be.revertedWith("CTI is already active");
+    });
+
+    it("Should let the submitter retract their own CTI", async function () {
+      await expect(ctiRegistry.connect(addr2).retractCTI(1, "Mistake"))
+        .to.be.revertedWith("Only submitter can retract");
+
+      await expect(ctiRegistry.connect(addr1).retractCTI(1, "False positive"))
+        .to.emit(ctiRegistry, "CTIRetracted")
+        .withArgs(1, addr1.address, "False positive");
+
+      expect(await ctiRegistry.isRetracted(1)).to.equal(true);
+      await expect(ctiRegistry.reactivateCTI(1))
+        .to.be.revertedWith("CTI was retracted by submitter");
+    });
+  });
+
+  describe("Reputation-Weighted Voting", function () {
+    let voters;
+
+    beforeEach(async function () {
+      voters = (await ethers.getSigners()).slice(3, 8);
+      await ctiRegistry.submitCTI("QmTestHash", "Malware", "Test Threat", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should give fresh addresses a vote weight of 1", async function () {
+      expect(await ctiRegistry.reputation(addr1.address)).to.equal(0);
+      expect(await ctiRegistry.getVoteWeight(addr1.address)).to.equal(1);
+    });
+
+    it("Should validate a CTI and reward the submitter once the threshold is reached", async function () {
+      await ctiRegistry.connect(addr1).voteCTI(1, true);
+      await ctiRegistry.connect(addr2).voteCTI(1, true);
+
+      await expect(ctiRegistry.connect(voters[0]).voteCTI(1, true))
+        .to.emit(ctiRegistry, "CTIValidated")
+        .withArgs(1, 3)
+        .and.to.emit(ctiRegistry, "ReputationChanged")
+        .withArgs(owner.address, 10, 10);
+
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(1); // Validated
+      expect(await ctiRegistry.reputation(owner.address)).to.equal(10);
+      expect(await ctiRegistry.getVoteWeight(owner.address)).to.equal(2);
+
+      await expect(ctiRegistry.connect(voters[1]).voteCTI(1, true))
+        .to.be.revertedWith("Voting has closed");
+    });
+
+    it("Should reject a CTI and floor the submitter's reputation at zero", async function () {
+      await ctiRegistry.connect(addr1).voteCTI(1, false);
+      await ctiRegistry.connect(addr2).voteCTI(1, false);
+
+      await expect(ctiRegistry.connect(voters[0]).voteCTI(1, false))
+        .to.emit(ctiRegistry, "CTIRejected")
+        .withArgs(1, -3);
+
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(2); // Rejected
+      expect(await ctiRegistry.reputation(owner.address)).to.equal(0);
+    });
+
+    it("Should reward voters who agreed with the outcome and penalize the others", async function () {
+      // Build reputation for addr1 so that it can lose some
+      await ctiRegistry.connect(addr1).submitCTI("QmOther", "Phishing", "Other Threat", TLP.CLEAR, 0, 0);
+      for (const voter of voters.slice(0, 3)) {
+        await ctiRegistry.connect(voter).voteCTI(2, true);
+      }
+      expect(await ctiRegistry.reputation(addr1.address)).to.equal(10);
+
+      await ctiRegistry.connect(addr1).voteCTI(1, false); // weight 2
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(1, true);
+      }
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(1);
+
+      await expect(ctiRegistry.settleVoteReputation(1, voters[0].address))
+        .to.emit(ctiRegistry, "ReputationChanged")
+        .withArgs(voters[0].address, 2, 2);
+      await expect(ctiRegistry.settleVoteReputation(1, addr1.address))
+        .to.emit(ctiRegistry, "ReputationChanged")
+        .withArgs(addr1.address, -2, 8);
+
+      await expect(ctiRegistry.settleVoteReputation(1, addr1.address))
+        .to.be.revertedWith("Vote already settled");
+      await expect(ctiRegistry.settleVoteReputation(1, addr2.address))
+        .to.be.revertedWith("No vote to settle");
+    });
+
+    it("Should weight votes by reputation", async function () {
+      await ctiRegistry.connect(addr1).submitCTI("QmOther", "Phishing", "Other Threat", TLP.CLEAR, 0, 0);
+      for (const voter of voters.slice(0, 3)) {
+        await ctiRegistry.connect(voter).voteCTI(2, true);
+      }
+
+      await ctiRegistry.connect(addr1).voteCTI(1, true);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.upvotes).to.equal(1);
+      expect(await ctiRegistry.weightedUpvotes(1)).to.equal(2);
+      expect(await ctiRegistry.getCTIScore(1)).to.equal(2);
+      expect((await ctiRegistry.votes(1, addr1.address)).weight).to.equal(2);
+      expect(await ctiRegistry.getCTIVoters(1)).to.deep.equal([addr1.address]);
+    });
+
+    it("Should not settle votes before the CTI settles", async function () {
+      await ctiRegistry.connect(addr1).voteCTI(1, true);
+      await expect(ctiRegistry.settleVoteReputation(1, addr1.address))
+        .to.be.revertedWith("CTI has not settled yet");
+    });
+  });
+
+  describe("Validation Rules", function () {
+    let voters;
+
+    beforeEach(async function () {
+      voters = (await ethers.getSigners()).slice(3, 8);
+      await ctiRegistry.submitCTI("QmTestHash", "Malware", "Test Threat", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should start with the default quorum and approval share", async function () {
+      const rules = await ctiRegistry.getValidationRules();
+      expect(rules.quorum).to.equal(3);
+      expect(rules.approval).to.equal(67);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.status).to.equal(0); // Pending
+    });
+
+    it("Should only let admins set valid rules", async function () {
+      await expect(ctiRegistry.connect(addr1).setValidationRules(5, 75))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(ctiRegistry.setValidationRules(0, 75))
+        .to.be.revertedWith("Invalid validation rules");
+      await expect(ctiRegistry.setValidationRules(5, 50))
+        .to.be.revertedWith("Invalid validation rules");
+      await expect(ctiRegistry.setValidationRules(5, 101))
+        .to.be.revertedWith("Invalid validation rules");
+
+      await expect(ctiRegistry.setValidationRules(5, 75))
+        .to.emit(ctiRegistry, "ValidationRulesUpdated")
+        .withArgs(5, 75);
+    });
+
+    it("Should stay pending until the quorum is reached", async function () {
+      await ctiRegistry.setValidationRules(5, 75);
+
+      for (const voter of voters.slice(0, 4)) {
+        await ctiRegistry.connect(voter).voteCTI(1, true);
+      }
+      expect((await ctiRegistry.getCTI(1)).status).to.equal(0);
+
+      await expect(ctiRegistry.connect(voters[4]).voteCTI(1, true))
+        .to.emit(ctiRegistry, "CTIValidated")
+        .withArgs(1, 5);
+      expect((await ctiRegistry.getCTI(1)).status).to.equal(1); // Validated
+      expect((await ctiRegistry.ctiRecords(1)).status).to.equal(1);
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(1);
+    });
+
+    it("Should stay pending while neither side holds the approval share", async function () {
+      await ctiRegistry.connect(addr1).voteCTI(1, true);
+      await ctiRegistry.connect(addr2).voteCTI(1, false);
+      await ctiRegistry.connect(voters[0]).voteCTI(1, true);
+      await ctiRegistry.connect(voters[1]).voteCTI(1, false);
+      expect((await ctiRegistry.getCTI(1)).status).to.equal(0);
+
+      // 4 of 6 downvotes is still short of 67%
+      await ctiRegistry.connect(voters[2]).voteCTI(1, false);
+      await ctiRegistry.connect(voters[3]).voteCTI(1, false);
+      expect((await ctiRegistry.getCTI(1)).status).to.equal(0);
+
+      await expect(ctiRegistry.connect(voters[4]).voteCTI(1, false))
+        .to.emit(ctiRegistry, "CTIRejected")
+        .withArgs(1, -3);
+      expect((await ctiRegistry.getCTI(1)).status).to.equal(2); // Rejected
+    });
+
+    it("Should apply new rules to pending CTIs on their next vote", async function () {
+      await ctiRegistry.connect(addr1).voteCTI(1, true);
+      await ctiRegistry.connect(addr2).voteCTI(1, true);
+      await ctiRegistry.connect(voters[0]).voteCTI(1, false);
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(0);
+
+      await ctiRegistry.setValidationRules(3, 60);
+      await expect(ctiRegistry.connect(voters[1]).voteCTI(1, true))
+        .to.emit(ctiRegistry, "CTIValidated")
+        .withArgs(1, 2);
+    });
+  });
+
+  describe("Validity and Decay", function () {
+    const DAY = 24 * 60 * 60;
+
+    const upvoteFrom = async (count) => {
+      const voters = (await ethers.getSigners()).slice(1, count + 1);
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(1, true);
+      }
+    };
+
+    it("Should record the validity window", async function () {
+      const validFrom = (await time.latest()) - DAY;
+      const validUntil = (await time.latest()) + 10 * DAY;
+      await ctiRegistry.submitCTI("QmHash", "Malware", "C2 server", TLP.CLEAR, validFrom, validUntil);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.validFrom).to.equal(validFrom);
+      expect(cti.validUntil).to.equal(validUntil);
+    });
+
+    it("Should default validFrom to the submission time", async function () {
+      await ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.validFrom).to.equal(cti.timestamp);
+      expect(cti.validUntil).to.equal(0);
+    });
+
+    it("Should reject invalid validity windows", async function () {
+      const now = await time.latest();
+      await expect(ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, now + 2 * DAY, now + DAY))
+        .to.be.revertedWith("Invalid validity window");
+      await expect(ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, now - 2 * DAY, now - DAY))
+        .to.be.revertedWith("Invalid validity window");
+    });
+
+    it("Should report expiry once validUntil passes", async function () {
+      await ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, (await time.latest()) + DAY);
+      await ctiRegistry.submitCTI("QmHash2", "Malware", "Threat", TLP.CLEAR, 0, 0);
+      expect(await ctiRegistry.isExpired(1)).to.equal(false);
+
+      await time.increase(DAY);
+      expect(await ctiRegistry.isExpired(1)).to.equal(true);
+      expect(await ctiRegistry.isExpired(2)).to.equal(false);
+      expect((await ctiRegistry.getCTI(1)).isActive).to.equal(true);
+    });
+
+    it("Should decay the score linearly over the validity window", async function () {
+      const now = await time.latest();
+      await ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, now, now + 10 * DAY);
+      await upvoteFrom(2);
+      expect(await ctiRegistry.getCTIScore(1)).to.equal(2);
+
+      await time.increaseTo(now + 5 * DAY);
+      expect(await ctiRegistry.getDecayedScore(1)).to.equal(1);
+
+      await time.increaseTo(now + 10 * DAY);
+      expect(await ctiRegistry.getDecayedScore(1)).to.equal(0);
+      expect(await ctiRegistry.getCTIScore(1)).to.equal(2);
+    });
+
+    it("Should halve the score of intel without expiry after the half-life", async function () {
+      await ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0);
+      const validFrom = Number((await ctiRegistry.getCTI(1)).validFrom);
+      await upvoteFrom(2);
+
+      await time.increaseTo(validFrom + Number(await ctiRegistry.getScoreHalfLife()));
+      expect(await ctiRegistry.getDecayedScore(1)).to.equal(1);
+    });
+
+    it("Should let admins change the half-life", async function () {
+      await ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, 0, 0);
+      const validFrom = Number((await ctiRegistry.getCTI(1)).validFrom);
+      await upvoteFrom(2);
+
+      expect(await ctiRegistry.getScoreHalfLife()).to.equal(30 * DAY);
+      await expect(ctiRegistry.connect(addr1).setScoreHalfLife(DAY))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(ctiRegistry.setScoreHalfLife(0))
+        .to.be.revertedWith("Invalid half-life");
+
+      await expect(ctiRegistry.setScoreHalfLife(DAY))
+        .to.emit(ctiRegistry, "ScoreHalfLifeUpdated")
+        .withArgs(30 * DAY, DAY);
+      await time.increaseTo(validFrom + DAY);
+      expect(await ctiRegistry.getDecayedScore(1)).to.equal(1);
+    });
+
+    it("Should not decay intel before it becomes valid", async function () {
+      await ctiRegistry.submitCTI("QmHash", "Malware", "Threat", TLP.CLEAR, (await time.latest()) + DAY, 0);
+      await upvoteFrom(2);
+
+      expect(await ctiRegistry.getDecayedScore(1)).to.equal(2);
+    });
+  });
+
   describe("Edge Cases", function () {
     it("Should handle limit validation for getActiveCTIs", async function () {
       await expect(ctiRegistry.getActiveCTIs(0, 0))
@@ -0,0 +1,153 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { exportRegistryState, compareRegistryStates } = require("../scripts/lib/registry-state");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("CTIRegistryProxy", function () {
+  let CTIRegistry;
+  let registry;
+  let proxyAddress;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+  const getImplementation = async () => {
+    const slot = await ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+    return ethers.getAddress(ethers.dataSlice(slot, 12));
+  };
+
+  const deployImplementation = async () => {
+    const implementation = await CTIRegistry.deploy();
+    await implementation.waitForDeployment();
+    return implementation.getAddress();
+  };
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+
+    const CTIRegistryProxy = await ethers.getContractFactory("CTIRegistryProxy");
+    const proxy = await CTIRegistryProxy.deploy(
+      await deployImplementation(),
+      CTIRegistry.interface.encodeFunctionData("initialize")
+    );
+    await proxy.waitForDeployment();
+
+    proxyAddress = await proxy.getAddress();
+    registry = CTIRegistry.attach(proxyAddress);
+  });
+
+  describe("Initialization", function () {
+    it("Should initialize the owner and roles through the proxy", async function () {
+      expect(await registry.owner()).to.equal(owner.address);
+      expect(await registry.hasRole(await registry.ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await registry.hasRole(await registry.MODERATOR_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should not initialize twice", async function () {
+      await expect(registry.connect(addr1).initialize())
+        .to.be.revertedWith("Already initialized");
+    });
+
+    it("Should not let anyone initialize the implementation", async function () {
+      const implementation = CTIRegistry.attach(await getImplementation());
+      await expect(implementation.connect(addr1).initialize())
+        .to.be.revertedWith("Already initialized");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep all state when the owner upgrades", async function () {
+      const RevisionHistory = await ethers.getContractFactory("RevisionHistory");
+      const revisionHistory = await RevisionHistory.deploy(proxyAddress);
+      await revisionHistory.waitForDeployment();
+      await registry.setRevisionHistory(await revisionHistory.getAddress());
+
+      await registry.connect(addr1).submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+      await registry.submitCTI("QmHash2", "Phishing", "Threat 2", TLP.CLEAR, 0, 0);
+      await registry.connect(addr2).voteCTI(1, true);
+      await registry.connect(addr1).reviseCTI(1, "QmHash1b", "Malware", "Threat 1 (revised)");
+      await registry.deactivateCTI(2, "Duplicate");
+
+      const before = await exportRegistryState(hre, proxyAddress);
+      const newImplementation = await deployImplementation();
+
+      await expect(registry.upgradeTo(newImplementation))
+        .to.emit(registry, "Upgraded")
+        .withArgs(newImplementation);
+      expect(await getImplementation()).to.equal(newImplementation);
+
+      const after = await exportRegistryState(hre, proxyAddress);
+      expect(compareRegistryStates(before, after)).to.deep.equal([]);
+      expect(after.ctis[0].revisions.length).to.equal(1);
+      expect(after.ctis[0].votes[addr2.address].isUpvote).to.equal(true);
+      expect(after.accounts[addr1.address].userSubmissions).to.equal("1");
+    });
+
+    it("Should report differences between snapshots", async function () {
+      await registry.connect(addr1).submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+      const before = await exportRegistryState(hre, proxyAddress);
+
+      await registry.connect(addr2).voteCTI(1, false);
+      const after = await exportRegistryState(hre, proxyAddress);
+
+      const differences = compareRegistryStates(before, after);
+      expect(differences).to.include('ctis.0.downvotes: "0" -> "1"');
+    });
+
+    it("Should compare registry settings and reviewers", async function () {
+      const before = await exportRegistryState(hre, proxyAddress);
+      expect(before.settings.maxPageSize).to.equal("100");
+      expect(before.settings.reviewers).to.deep.equal([]);
+
+      await registry.setMaxPageSize(50);
+      await registry.setValidationRules(5, 75);
+      await registry.grantRole(ethers.id("REVIEWER_ROLE"), addr1.address);
+      await registry.transferOwnership(addr2.address);
+      await registry.pause();
+      const after = await exportRegistryState(hre, proxyAddress);
+
+      expect(compareRegistryStates(before, after)).to.include.members([
+        'settings.maxPageSize: "100" -> "50"',
+        'settings.validationQuorum: "3" -> "5"',
+        'settings.approvalPercent: "67" -> "75"',
+        `settings.pendingOwner: "${ethers.ZeroAddress}" -> "${addr2.address}"`,
+        'settings.paused: false -> true',
+        `settings.reviewers.0: undefined -> "${addr1.address}"`
+      ]);
+    });
+
+    it("Should skip getters the deployed version lacks", async function () {
+      // Stand in for an older implementation by dropping a getter from its dispatcher
+      const implementation = await getImplementation();
+      const code = await ethers.provider.getCode(implementation);
+      const selector = CTIRegistry.interface.getFunction("getScoreHalfLife").selector.slice(2);
+      await hre.network.provider.send("hardhat_setCode", [implementation, code.split(`63${selector}`).join("63ffffffff")]);
+
+      const before = await exportRegistryState(hre, proxyAddress);
+      expect(before.settings.scoreHalfLife).to.equal(undefined);
+      expect(before.settings.maxPageSize).to.equal("100");
+
+      await hre.network.provider.send("hardhat_setCode", [implementation, code]);
+      const after = await exportRegistryState(hre, proxyAddress);
+      expect(after.settings.scoreHalfLife).to.equal("2592000");
+      expect(compareRegistryStates(before, after)).to.deep.equal([]);
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const newImplementation = await deployImplementation();
+      await expect(registry.connect(addr1).upgradeTo(newImplementation))
+        .to.be.revertedWith("Only owner can upgrade");
+    });
+
+    it("Should reject implementations without code", async function () {
+      await expect(registry.upgradeTo(addr1.address))
+        .to.be.revertedWith("Implementation is not a contract");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("CategoryRegistry", function () {
+  let ctiRegistry;
+  let categoryRegistry;
+  let owner;
+  let addr1;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const CategoryRegistry = await ethers.getContractFactory("CategoryRegistry");
+    categoryRegistry = await CategoryRegistry.deploy(await ctiRegistry.getAddress());
+    await categoryRegistry.waitForDeployment();
+
+    await ctiRegistry.setCategoryRegistry(await categoryRegistry.getAddress());
+  });
+
+  describe("Deployment", function () {
+    it("Should seed the default categories", async function () {
+      const categories = await categoryRegistry.getCategories();
+      expect(categories.length).to.equal(10);
+      expect(categories[0].name).to.equal("Malware");
+      expect(categories[0].color).to.equal("#dc3545");
+      expect(categories[9].name).to.equal("Other");
+      expect(await categoryRegistry.isActiveCategory("Phishing")).to.equal(true);
+    });
+
+    it("Should reject a zero registry address", async function () {
+      const CategoryRegistry = await ethers.getContractFactory("CategoryRegistry");
+      await expect(CategoryRegistry.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Managing Categories", function () {
+    it("Should let admins add sub-categories", async function () {
+      await expect(categoryRegistry.addCategory("Banking Trojan", 1, "#b02a37"))
+        .to.emit(categoryRegistry, "CategoryAdded")
+        .withArgs(11, "Banking Trojan", 1, "#b02a37");
+
+      const category = await categoryRegistry.getCategory(11);
+      expect(category.parentId).to.equal(1);
+      expect(await categoryRegistry.categoryIds(ethers.id("Banking Trojan"))).to.equal(11);
+    });
+
+    it("Should only let admins manage categories", async function () {
+      await expect(categoryRegistry.connect(addr1).addCategory("Spyware", 0, ""))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(categoryRegistry.connect(addr1).deprecateCategory(1))
+        .to.be.revertedWith("Caller is missing required role");
+    });
+
+    it("Should validate new categories", async function () {
+      await expect(categoryRegistry.addCategory("", 0, ""))
+        .to.be.revertedWith("Category name cannot be empty");
+      await expect(categoryRegistry.addCategory("Malware", 0, ""))
+        .to.be.revertedWith("Category already exists");
+      await expect(categoryRegistry.addCategory("Spyware", 99, ""))
+        .to.be.revertedWith("Parent category does not exist");
+
+      await categoryRegistry.deprecateCategory(1);
+      await expect(categoryRegistry.addCategory("Banking Trojan", 1, ""))
+        .to.be.revertedWith("Parent category is deprecated");
+    });
+
+    it("Should deprecate categories", async function () {
+      await expect(categoryRegistry.deprecateCategory(10))
+        .to.emit(categoryRegistry, "CategoryDeprecated")
+        .withArgs(10, "Other");
+
+      expect(await categoryRegistry.isActiveCategory("Other")).to.equal(false);
+      expect((await categoryRegistry.getCategory(10)).deprecated).to.equal(true);
+
+      await expect(categoryRegistry.deprecateCategory(10))
+        .to.be.revertedWith("Category is already deprecated");
+      await expect(categoryRegistry.deprecateCategory(99))
+        .to.be.revertedWith("Category does not exist");
+    });
+  });
+
+  describe("Submission Validation", function () {
+    it("Should accept registered categories", async function () {
+      await expect(ctiRegistry.submitCTI("QmHash", "Malware", "Title", TLP.CLEAR, 0, 0))
+        .to.emit(ctiRegistry, "CTISubmitted");
+    });
+
+    it("Should reject unknown categories", async function () {
+      await expect(ctiRegistry.submitCTI("QmHash", "Made Up", "Title", TLP.CLEAR, 0, 0))
+        .to.be.revertedWith("Invalid category");
+    });
+
+    it("Should reject deprecated categories for submissions and revisions", async function () {
+      await ctiRegistry.submitCTI("QmHash", "Other", "Title", TLP.CLEAR, 0, 0);
+      await categoryRegistry.deprecateCategory(10);
+
+      await expect(ctiRegistry.submitCTI("QmHash2", "Other", "Title", TLP.CLEAR, 0, 0))
+        .to.be.revertedWith("Invalid category");
+      await expect(ctiRegistry.reviseCTI(1, "QmHash3", "Other", "Title"))
+        .to.be.revertedWith("Invalid category");
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.category).to.equal("Other");
+    });
+
+    it("Should only let admins change the category registry", async function () {
+      await expect(ctiRegistry.connect(addr1).setCategoryRegistry(ethers.ZeroAddress))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(ctiRegistry.setCategoryRegistry(ethers.ZeroAddress))
+        .to.emit(ctiRegistry, "CategoryRegistryUpdated")
+        .withArgs(await categoryRegistry.getAddress(), ethers.ZeroAddress);
+      await expect(ctiRegistry.submitCTI("QmHash", "Made Up", "Title", TLP.CLEAR, 0, 0))
+        .to.emit(ctiRegistry, "CTISubmitted");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("CommentRegistry", function () {
+  let ctiRegistry;
+  let commentRegistry;
+  let owner;
+  let addr1;
+  let addr2;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const CommentRegistry = await ethers.getContractFactory("CommentRegistry");
+    commentRegistry = await CommentRegistry.deploy(await ctiRegistry.getAddress());
+    await commentRegistry.waitForDeployment();
+
+    await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+    await ctiRegistry.submitCTI("QmHash2", "Phishing", "Threat 2", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should record the deployment block for event scans", async function () {
+      const receipt = await commentRegistry.deploymentTransaction().wait();
+      expect(await commentRegistry.deploymentBlock()).to.equal(receipt.blockNumber);
+    });
+
+    it("Should reject a zero registry address", async function () {
+      const CommentRegistry = await ethers.getContractFactory("CommentRegistry");
+      await expect(CommentRegistry.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Posting Comments", function () {
+    it("Should anchor a comment with its CTI, parent and CID", async function () {
+      await expect(commentRegistry.connect(addr1).postComment(1, 0, "QmComment1"))
+        .to.emit(commentRegistry, "CommentPosted")
+        .withArgs(1, 1, 0, addr1.address, "QmComment1");
+
+      const comment = await commentRegistry.comments(1);
+      expect(comment.author).to.equal(addr1.address);
+      expect(comment.revisionCount).to.equal(1);
+      expect(await commentRegistry.ctiCommentCount(1)).to.equal(1);
+    });
+
+    it("Should thread replies under a parent comment", async function () {
+      await commentRegistry.connect(addr1).postComment(1, 0, "QmComment1");
+
+      await expect(commentRegistry.connect(addr2).postComment(1, 1, "QmReply1"))
+        .to.emit(commentRegistry, "CommentPosted")
+        .withArgs(2, 1, 1, addr2.address, "QmReply1");
+
+      const events = await commentRegistry.queryFilter(commentRegistry.filters.CommentPosted(null, 1));
+      expect(events.map(event => event.args.cid)).to.deep.equal(["QmComment1", "QmReply1"]);
+    });
+
+    it("Should validate new comments", async function () {
+      await expect(commentRegistry.postComment(1, 0, ""))
+        .to.be.revertedWith("Comment CID cannot be empty");
+      await expect(commentRegistry.postComment(3, 0, "QmComment"))
+        .to.be.revertedWith("CTI does not exist");
+      await expect(commentRegistry.postComment(1, 1, "QmComment"))
+        .to.be.revertedWith("Parent comment does not exist");
+
+      await commentRegistry.postComment(1, 0, "QmComment1");
+      await expect(commentRegistry.postComment(2, 1, "QmReply"))
+        .to.be.revertedWith("Parent comment is on another CTI");
+
+      await ctiRegistry.deactivateCTI(2, "Spam");
+      await expect(commentRegistry.postComment(2, 0, "QmComment"))
+        .to.be.revertedWith("CTI is not active");
+    });
+  });
+
+  describe("Editing Comments", function () {
+    beforeEach(async function () {
+      await commentRegistry.connect(addr1).postComment(1, 0, "QmComment1");
+    });
+
+    it("Should publish a new revision", async function () {
+      await expect(commentRegistry.connect(addr1).editComment(1, "QmComment1v2"))
+        .to.emit(commentRegistry, "CommentEdited")
+        .withArgs(1, 1, 2, "QmComment1v2");
+
+      expect((await commentRegistry.comments(1)).revisionCount).to.equal(2);
+    });
+
+    it("Should only let the author edit", async function () {
+      await expect(commentRegistry.connect(addr2).editComment(1, "QmOther"))
+        .to.be.revertedWith("Only author can edit");
+      await expect(commentRegistry.connect(addr1).editComment(1, ""))
+        .to.be.revertedWith("Comment CID cannot be empty");
+      await expect(commentRegistry.connect(addr1).editComment(2, "QmOther"))
+        .to.be.revertedWith("Comment does not exist");
+    });
+  });
+
+  describe("Moderation", function () {
+    it("Should let moderators hide and restore comments", async function () {
+      await commentRegistry.connect(addr1).postComment(1, 0, "QmComment1");
+
+      await expect(commentRegistry.connect(addr2).setCommentHidden(1, true))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(commentRegistry.setCommentHidden(1, true))
+        .to.emit(commentRegistry, "CommentHidden")
+        .withArgs(1, owner.address, true);
+      expect(await commentRegistry.isHidden(1)).to.equal(true);
+
+      await commentRegistry.setCommentHidden(1, false);
+      expect(await commentRegistry.isHidden(1)).to.equal(false);
+    });
+  });
+});
\ No newline at end of file
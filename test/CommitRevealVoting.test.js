@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("CommitRevealVoting", function () {
+  const COMMIT_DURATION = 3600;
+  const REVEAL_DURATION = 3600;
+  const salt = ethers.id("secret-salt");
+  let ctiRegistry;
+  let voting;
+  let owner;
+  let addr1;
+  let addr2;
+  let voters;
+
+  const commitmentFor = (id, voter, isUpvote, voteSalt = salt) =>
+    ethers.solidityPackedKeccak256(
+      ["uint256", "address", "bool", "bytes32"],
+      [id, voter.address, isUpvote, voteSalt]
+    );
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    voters = (await ethers.getSigners()).slice(1, 4);
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const CommitRevealVoting = await ethers.getContractFactory("CommitRevealVoting");
+    voting = await CommitRevealVoting.deploy(await ctiRegistry.getAddress());
+    await voting.waitForDeployment();
+
+    await ctiRegistry.setCommitRevealVoting(await voting.getAddress());
+    await voting.setCommitRevealVoting(true, COMMIT_DURATION, REVEAL_DURATION);
+    await ctiRegistry.submitCTI("QmTestHash", "Malware", "Test Threat", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const CommitRevealVoting = await ethers.getContractFactory("CommitRevealVoting");
+      await expect(CommitRevealVoting.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+
+    it("Should only let admins set the voting contract", async function () {
+      await expect(ctiRegistry.connect(addr1).setCommitRevealVoting(addr1.address))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(ctiRegistry.setCommitRevealVoting(ethers.ZeroAddress))
+        .to.emit(ctiRegistry, "CommitRevealVotingUpdated")
+        .withArgs(await voting.getAddress(), ethers.ZeroAddress);
+    });
+
+    it("Should only accept schedules and tallies from the expected caller", async function () {
+      await expect(voting.scheduleVoting(1))
+        .to.be.revertedWith("Caller is not the registry");
+      await expect(ctiRegistry.recordRevealedVote(1, addr1.address, true))
+        .to.be.revertedWith("Caller is not the voting contract");
+      await expect(ctiRegistry.settleRevealedVotes(1))
+        .to.be.revertedWith("Caller is not the voting contract");
+    });
+  });
+
+  describe("Voting Mode", function () {
+    it("Should only let admins configure the voting mode", async function () {
+      await expect(voting.connect(addr1).setCommitRevealVoting(false, 0, 0))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(voting.setCommitRevealVoting(true, 0, REVEAL_DURATION))
+        .to.be.revertedWith("Invalid phase durations");
+    });
+
+    it("Should move through commit, reveal and closed phases", async function () {
+      expect(await voting.getVotingPhase(1)).to.equal(1); // Commit
+      await time.increase(COMMIT_DURATION);
+      expect(await voting.getVotingPhase(1)).to.equal(2); // Reveal
+      await time.increase(REVEAL_DURATION);
+      expect(await voting.getVotingPhase(1)).to.equal(3); // Closed
+    });
+
+    it("Should keep CTIs submitted in open mode on direct voting", async function () {
+      await voting.setCommitRevealVoting(false, 0, 0);
+      await ctiRegistry.submitCTI("QmOpenHash", "Phishing", "Open Threat", TLP.CLEAR, 0, 0);
+
+      expect(await voting.getVotingPhase(2)).to.equal(0); // Open
+      await ctiRegistry.connect(addr1).voteCTI(2, true);
+      await expect(voting.finalizeVoting(2))
+        .to.be.revertedWith("CTI uses open voting");
+    });
+
+    it("Should reject direct votes on commit-reveal CTIs", async function () {
+      await expect(ctiRegistry.connect(addr1).voteCTI(1, true))
+        .to.be.revertedWith("CTI uses commit-reveal voting");
+    });
+  });
+
+  describe("Commit and Reveal", function () {
+    it("Should only tally votes once they are revealed", async function () {
+      await expect(voting.connect(addr1).commitVote(1, commitmentFor(1, addr1, true)))
+        .to.emit(voting, "VoteCommitted")
+        .withArgs(1, addr1.address, commitmentFor(1, addr1, true));
+
+      expect((await ctiRegistry.getCTI(1)).upvotes).to.equal(0);
+      await expect(voting.connect(addr1).revealVote(1, true, salt))
+        .to.be.revertedWith("Not in reveal phase");
+
+      await time.increase(COMMIT_DURATION);
+
+      await expect(voting.connect(addr2).commitVote(1, commitmentFor(1, addr2, true)))
+        .to.be.revertedWith("Not in commit phase");
+      await expect(voting.connect(addr1).revealVote(1, false, salt))
+        .to.be.revertedWith("Vote does not match commitment");
+
+      await expect(voting.connect(addr1).revealVote(1, true, salt))
+        .to.emit(ctiRegistry, "CTIVoted")
+        .withArgs(1, addr1.address, true);
+      expect((await ctiRegistry.getCTI(1)).upvotes).to.equal(1);
+      expect(await ctiRegistry.hasUserVoted(1, addr1.address)).to.equal(true);
+
+      await expect(voting.connect(addr1).revealVote(1, true, salt))
+        .to.be.revertedWith("Already voted on this CTI");
+    });
+
+    it("Should prevent committing twice or on own submission", async function () {
+      await voting.connect(addr1).commitVote(1, commitmentFor(1, addr1, true));
+      await expect(voting.connect(addr1).commitVote(1, commitmentFor(1, addr1, false)))
+        .to.be.revertedWith("Vote already committed");
+      await expect(voting.commitVote(1, commitmentFor(1, owner, true)))
+        .to.be.revertedWith("Cannot vote on own submission");
+    });
+
+    it("Should block commits and reveals while the registry is paused", async function () {
+      await voting.connect(addr1).commitVote(1, commitmentFor(1, addr1, true));
+      await ctiRegistry.pause();
+
+      await expect(voting.connect(addr2).commitVote(1, commitmentFor(1, addr2, true)))
+        .to.be.revertedWith("Contract is paused");
+      await time.increase(COMMIT_DURATION);
+      await expect(voting.connect(addr1).revealVote(1, true, salt))
+        .to.be.revertedWith("Contract is paused");
+    });
+
+    it("Should settle only after the reveal phase is finalized", async function () {
+      for (const voter of voters) {
+        await voting.connect(voter).commitVote(1, commitmentFor(1, voter, true));
+      }
+      await time.increase(COMMIT_DURATION);
+      for (const voter of voters) {
+        await voting.connect(voter).revealVote(1, true, salt);
+      }
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(0); // Still pending
+
+      await expect(voting.finalizeVoting(1))
+        .to.be.revertedWith("Reveal phase has not ended");
+
+      await time.increase(REVEAL_DURATION);
+      await expect(voting.finalizeVoting(1))
+        .to.emit(ctiRegistry, "CTIValidated")
+        .withArgs(1, 3);
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(1);
+
+      await expect(voting.finalizeVoting(1))
+        .to.be.revertedWith("Voting has closed");
+    });
+
+    it("Should settle as inconclusive and return the bond without a quorum", async function () {
+      const bond = ethers.parseEther("0.1");
+      const BondEscrow = await ethers.getContractFactory("BondEscrow");
+      const bondEscrow = await BondEscrow.deploy(await ctiRegistry.getAddress());
+      await ctiRegistry.setBondEscrow(await bondEscrow.getAddress());
+      await bondEscrow.setSubmissionBond(bond);
+      await bondEscrow.connect(addr2).fundRewardPool({ value: ethers.parseEther("1") });
+      await ctiRegistry.connect(addr2).submitCTI("QmQuiet", "Malware", "Quiet Threat", TLP.CLEAR, 0, 0, { value: bond });
+
+      await voting.connect(addr1).commitVote(2, commitmentFor(2, addr1, true));
+      await time.increase(COMMIT_DURATION);
+      await voting.connect(addr1).revealVote(2, true, salt);
+      await time.increase(REVEAL_DURATION);
+
+      await expect(voting.finalizeVoting(2))
+        .to.emit(ctiRegistry, "CTIInconclusive")
+        .withArgs(2, 1)
+        .and.to.emit(bondEscrow, "BondReturned")
+        .withArgs(2, addr2.address, bond);
+
+      expect(await ctiRegistry.ctiStatus(2)).to.equal(3); // Inconclusive
+      expect(await ctiRegistry.reputation(addr2.address)).to.equal(0);
+      expect(await bondEscrow.pendingWithdrawals(addr2.address)).to.equal(bond);
+      expect(await bondEscrow.rewardPool()).to.equal(ethers.parseEther("1"));
+
+      await expect(ctiRegistry.settleVoteReputation(2, addr1.address))
+        .to.be.revertedWith("CTI settled without an outcome");
+      await expect(voting.finalizeVoting(2))
+        .to.be.revertedWith("Voting has closed");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+const SUBMISSION_REWARD = ethers.parseEther("100");
+const VOTER_REWARD = ethers.parseEther("10");
+
+describe("ContributorToken", function () {
+  let ctiRegistry;
+  let token;
+  let owner;
+  let addr1;
+  let addr2;
+  let voters;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, ...voters] = await ethers.getSigners();
+    voters = voters.slice(0, 3);
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const ContributorToken = await ethers.getContractFactory("ContributorToken");
+    token = await ContributorToken.deploy(await ctiRegistry.getAddress(), ethers.parseEther("1000000"));
+    await token.waitForDeployment();
+
+    await ctiRegistry.setRewardToken(await token.getAddress());
+    await ctiRegistry.connect(addr1).submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+  });
+
+  // Three upvotes validate CTI 1
+  async function validate() {
+    for (const voter of voters) {
+      await ctiRegistry.connect(voter).voteCTI(1, true);
+    }
+  }
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const ContributorToken = await ethers.getContractFactory("ContributorToken");
+      await expect(ContributorToken.deploy(ethers.ZeroAddress, 1))
+        .to.be.revertedWith("Invalid registry address");
+    });
+
+    it("Should reject a zero max supply", async function () {
+      const ContributorToken = await ethers.getContractFactory("ContributorToken");
+      await expect(ContributorToken.deploy(await ctiRegistry.getAddress(), 0))
+        .to.be.revertedWith("Invalid max supply");
+    });
+
+    it("Should only let admins set the reward token", async function () {
+      await expect(ctiRegistry.connect(addr1).setRewardToken(addr1.address))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(ctiRegistry.setRewardToken(ethers.ZeroAddress))
+        .to.emit(ctiRegistry, "RewardTokenUpdated")
+        .withArgs(await token.getAddress(), ethers.ZeroAddress);
+    });
+  });
+
+  describe("Rewards", function () {
+    it("Should credit the submitter when a CTI is validated", async function () {
+      await ctiRegistry.connect(voters[0]).voteCTI(1, true);
+      await ctiRegistry.connect(voters[1]).voteCTI(1, true);
+
+      await expect(ctiRegistry.connect(voters[2]).voteCTI(1, true))
+        .to.emit(token, "RewardCredited")
+        .withArgs(addr1.address, 1, SUBMISSION_REWARD);
+
+      expect(await token.claimable(addr1.address)).to.equal(SUBMISSION_REWARD);
+      expect(await token.earned(addr1.address)).to.equal(SUBMISSION_REWARD);
+      expect(await token.totalSupply()).to.equal(0);
+    });
+
+    it("Should not credit the submitter of a rejected CTI", async function () {
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(1, false);
+      }
+
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(2); // Rejected
+      expect(await token.earned(addr1.address)).to.equal(0);
+    });
+
+    it("Should credit only voters who sided with the outcome", async function () {
+      await ctiRegistry.connect(addr2).voteCTI(1, false);
+      await validate();
+
+      await expect(ctiRegistry.settleVoteReputation(1, voters[0].address))
+        .to.emit(token, "RewardCredited")
+        .withArgs(voters[0].address, 1, VOTER_REWARD);
+      await expect(ctiRegistry.settleVoteReputation(1, addr2.address))
+        .to.not.emit(token, "RewardCredited");
+
+      expect(await token.claimable(voters[0].address)).to.equal(VOTER_REWARD);
+      expect(await token.claimable(addr2.address)).to.equal(0);
+    });
+
+    it("Should only accept rewards from the registry", async function () {
+      await expect(token.rewardSubmitter(1, owner.address))
+        .to.be.revertedWith("Caller is not the registry");
+      await expect(token.rewardVoter(1, owner.address))
+        .to.be.revertedWith("Caller is not the registry");
+    });
+
+    it("Should still settle when the reward token fails", async function () {
+      // A token deployed against another registry rejects every reward
+      const ContributorToken = await ethers.getContractFactory("ContributorToken");
+      const otherToken = await ContributorToken.deploy(addr2.address, 1);
+      await ctiRegistry.setRewardToken(await otherToken.getAddress());
+
+      await validate();
+
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(1); // Validated
+      await ctiRegistry.settleVoteReputation(1, voters[0].address);
+      expect(await otherToken.earned(addr1.address)).to.equal(0);
+    });
+  });
+
+  describe("Claiming", function () {
+    it("Should mint claimable rewards to the caller", async function () {
+      await validate();
+
+      await expect(token.connect(addr1).claim())
+        .to.emit(token, "RewardClaimed")
+        .withArgs(addr1.address, SUBMISSION_REWARD)
+        .and.to.emit(token, "Transfer")
+        .withArgs(ethers.ZeroAddress, addr1.address, SUBMISSION_REWARD);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(SUBMISSION_REWARD);
+      expect(await token.totalSupply()).to.equal(SUBMISSION_REWARD);
+      expect(await token.claimable(addr1.address)).to.equal(0);
+      expect(await token.earned(addr1.address)).to.equal(SUBMISSION_REWARD);
+
+      await expect(token.connect(addr1).claim())
+        .to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should transfer claimed tokens like any ERC-20", async function () {
+      await validate();
+      await token.connect(addr1).claim();
+
+      await token.connect(addr1).transfer(addr2.address, VOTER_REWARD);
+      await token.connect(addr1).approve(owner.address, VOTER_REWARD);
+      await token.transferFrom(addr1.address, owner.address, VOTER_REWARD);
+
+      expect(await token.balanceOf(addr2.address)).to.equal(VOTER_REWARD);
+      expect(await token.balanceOf(owner.address)).to.equal(VOTER_REWARD);
+      expect(await token.allowance(addr1.address, owner.address)).to.equal(0);
+
+      await expect(token.transferFrom(addr1.address, owner.address, 1))
+        .to.be.revertedWith("Insufficient allowance");
+      await expect(token.connect(addr2).transfer(owner.address, SUBMISSION_REWARD))
+        .to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("Emission Caps", function () {
+    it("Should only let admins change reward parameters", async function () {
+      await expect(token.connect(addr1).setRewardParameters(1, 1, 1))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(token.setRewardParameters(SUBMISSION_REWARD, VOTER_REWARD, ethers.parseEther("150")))
+        .to.emit(token, "RewardParametersUpdated")
+        .withArgs(SUBMISSION_REWARD, VOTER_REWARD, ethers.parseEther("150"));
+      expect(await token.periodEmissionCap()).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should cap emission per period and resume in the next period", async function () {
+      await token.setRewardParameters(SUBMISSION_REWARD, VOTER_REWARD, ethers.parseEther("105"));
+      await validate();
+
+      await ctiRegistry.settleVoteReputation(1, voters[0].address);
+      expect(await token.claimable(voters[0].address)).to.equal(ethers.parseEther("5"));
+
+      await ctiRegistry.settleVoteReputation(1, voters[1].address);
+      expect(await token.claimable(voters[1].address)).to.equal(0);
+      expect(await token.remainingEmission()).to.equal(0);
+
+      await time.increase(7 * 24 * 60 * 60);
+      expect(await token.remainingEmission()).to.equal(ethers.parseEther("105"));
+
+      await ctiRegistry.settleVoteReputation(1, voters[2].address);
+      expect(await token.claimable(voters[2].address)).to.equal(VOTER_REWARD);
+    });
+
+    it("Should never credit more than the max supply", async function () {
+      const ContributorToken = await ethers.getContractFactory("ContributorToken");
+      const cappedToken = await ContributorToken.deploy(await ctiRegistry.getAddress(), ethers.parseEther("105"));
+      await ctiRegistry.setRewardToken(await cappedToken.getAddress());
+
+      await validate();
+      await ctiRegistry.settleVoteReputation(1, voters[0].address);
+      await time.increase(7 * 24 * 60 * 60);
+      await ctiRegistry.settleVoteReputation(1, voters[1].address);
+
+      expect(await cappedToken.claimable(voters[0].address)).to.equal(ethers.parseEther("5"));
+      expect(await cappedToken.claimable(voters[1].address)).to.equal(0);
+      expect(await cappedToken.totalCredited()).to.equal(ethers.parseEther("105"));
+    });
+  });
+});
\ No newline at end of file
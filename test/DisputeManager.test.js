@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+// Dispute statuses, in DisputeManager.DisputeStatus enum order
+const STATUS = { OPEN: 0, UPHELD: 1, DISMISSED: 2 };
+
+describe("DisputeManager", function () {
+  let ctiRegistry;
+  let disputeManager;
+  let owner;
+  let submitter;
+  let challenger;
+  let reviewer1;
+  let reviewer2;
+
+  const REVIEWER_ROLE = ethers.id("REVIEWER_ROLE");
+  const MODERATOR_ROLE = ethers.id("MODERATOR_ROLE");
+
+  beforeEach(async function () {
+    [owner, submitter, challenger, reviewer1, reviewer2] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const DisputeManager = await ethers.getContractFactory("DisputeManager");
+    disputeManager = await DisputeManager.deploy(await ctiRegistry.getAddress());
+    await disputeManager.waitForDeployment();
+
+    await ctiRegistry.grantRole(MODERATOR_ROLE, await disputeManager.getAddress());
+    await ctiRegistry.grantRole(REVIEWER_ROLE, reviewer1.address);
+    await ctiRegistry.grantRole(REVIEWER_ROLE, reviewer2.address);
+
+    await ctiRegistry.connect(submitter).submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const DisputeManager = await ethers.getContractFactory("DisputeManager");
+      await expect(DisputeManager.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Opening Disputes", function () {
+    it("Should open a dispute with evidence", async function () {
+      await expect(disputeManager.connect(challenger).openDispute(1, "QmEvidence"))
+        .to.emit(disputeManager, "DisputeOpened")
+        .withArgs(1, 1, challenger.address, "QmEvidence");
+
+      const dispute = await disputeManager.getDispute(1);
+      expect(dispute.ctiId).to.equal(1);
+      expect(dispute.challenger).to.equal(challenger.address);
+      expect(dispute.status).to.equal(STATUS.OPEN);
+      expect(await disputeManager.openDisputeOf(1)).to.equal(1);
+      expect(await disputeManager.isAppeal(1)).to.equal(false);
+    });
+
+    it("Should validate new disputes", async function () {
+      await expect(disputeManager.connect(challenger).openDispute(1, ""))
+        .to.be.revertedWith("Evidence CID cannot be empty");
+      await expect(disputeManager.connect(challenger).openDispute(2, "QmEvidence"))
+        .to.be.revertedWith("CTI does not exist");
+
+      await disputeManager.connect(challenger).openDispute(1, "QmEvidence");
+      await expect(disputeManager.connect(owner).openDispute(1, "QmOther"))
+        .to.be.revertedWith("CTI already has an open dispute");
+    });
+
+    it("Should let the submitter appeal", async function () {
+      await disputeManager.connect(submitter).openDispute(1, "QmAppeal");
+
+      expect(await disputeManager.isAppeal(1)).to.equal(true);
+      expect(await disputeManager.openAppealOf(1)).to.equal(1);
+      await expect(disputeManager.connect(submitter).respondToDispute(1, "QmResponse"))
+        .to.be.revertedWith("Cannot respond to own appeal");
+      await expect(disputeManager.connect(submitter).openDispute(1, "QmAppeal2"))
+        .to.be.revertedWith("CTI already has an open appeal");
+    });
+
+    it("Should let the submitter appeal while a challenge is open", async function () {
+      await disputeManager.connect(challenger).openDispute(1, "QmEvidence");
+      await disputeManager.connect(submitter).openDispute(1, "QmAppeal");
+
+      expect(await disputeManager.openDisputeOf(1)).to.equal(1);
+      expect(await disputeManager.openAppealOf(1)).to.equal(2);
+      expect(await disputeManager.getDisputesForCTI(1)).to.deep.equal([1n, 2n]);
+    });
+  });
+
+  describe("Responses", function () {
+    beforeEach(async function () {
+      await disputeManager.connect(challenger).openDispute(1, "QmEvidence");
+    });
+
+    it("Should record the submitter's response once", async function () {
+      await expect(disputeManager.connect(submitter).respondToDispute(1, "QmResponse"))
+        .to.emit(disputeManager, "DisputeResponded")
+        .withArgs(1, "QmResponse");
+
+      expect((await disputeManager.getDispute(1)).responseCID).to.equal("QmResponse");
+      await expect(disputeManager.connect(submitter).respondToDispute(1, "QmAgain"))
+        .to.be.revertedWith("Already responded");
+    });
+
+    it("Should only accept responses from the submitter", async function () {
+      await expect(disputeManager.connect(challenger).respondToDispute(1, "QmResponse"))
+        .to.be.revertedWith("Only submitter can respond");
+      await expect(disputeManager.connect(submitter).respondToDispute(2, "QmResponse"))
+        .to.be.revertedWith("Dispute does not exist");
+    });
+  });
+
+  describe("Verdicts", function () {
+    beforeEach(async function () {
+      await disputeManager.connect(challenger).openDispute(1, "QmEvidence");
+    });
+
+    it("Should only accept verdicts from uninvolved reviewers", async function () {
+      await expect(disputeManager.connect(owner).castVerdict(1, true, "QmReason"))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await ctiRegistry.grantRole(REVIEWER_ROLE, challenger.address);
+      await expect(disputeManager.connect(challenger).castVerdict(1, true, "QmReason"))
+        .to.be.revertedWith("Parties cannot review their own dispute");
+
+      await disputeManager.connect(reviewer1).castVerdict(1, true, "QmReason");
+      await expect(disputeManager.connect(reviewer1).castVerdict(1, false, ""))
+        .to.be.revertedWith("Already reviewed");
+    });
+
+    it("Should uphold a challenge at quorum and deactivate the CTI", async function () {
+      await expect(disputeManager.connect(reviewer1).castVerdict(1, true, "QmReason1"))
+        .to.emit(disputeManager, "VerdictCast")
+        .withArgs(1, reviewer1.address, true, "QmReason1");
+      expect((await disputeManager.getDispute(1)).status).to.equal(STATUS.OPEN);
+
+      await expect(disputeManager.connect(reviewer2).castVerdict(1, true, ""))
+        .to.emit(disputeManager, "DisputeResolved")
+        .withArgs(1, 1, STATUS.UPHELD)
+        .and.to.emit(ctiRegistry, "CTIDeactivated");
+
+      const dispute = await disputeManager.getDispute(1);
+      expect(dispute.status).to.equal(STATUS.UPHELD);
+      expect(dispute.resolvedAt).to.be.greaterThan(0);
+      expect((await ctiRegistry.ctiRecords(1)).isActive).to.equal(false);
+      expect(await disputeManager.openDisputeOf(1)).to.equal(0);
+
+      const verdicts = await disputeManager.getVerdicts(1);
+      expect(verdicts.length).to.equal(2);
+      expect(verdicts[0].reasonCID).to.equal("QmReason1");
+    });
+
+    it("Should dismiss a challenge and allow a new one after the cooldown", async function () {
+      await disputeManager.connect(reviewer1).castVerdict(1, false, "");
+      await disputeManager.connect(reviewer2).castVerdict(1, false, "");
+
+      expect((await disputeManager.getDispute(1)).status).to.equal(STATUS.DISMISSED);
+      expect((await ctiRegistry.ctiRecords(1)).isActive).to.equal(true);
+      await expect(disputeManager.connect(reviewer1).castVerdict(1, true, ""))
+        .to.be.revertedWith("Dispute is already resolved");
+
+      await expect(disputeManager.connect(owner).openDispute(1, "QmNewEvidence"))
+        .to.be.revertedWith("CTI was challenged too recently");
+      const { resolvedAt } = await disputeManager.getDispute(1);
+      expect(await disputeManager.nextChallengeAt(1)).to.equal(resolvedAt + BigInt(7 * 24 * 60 * 60));
+
+      await time.increase(7 * 24 * 60 * 60);
+      await disputeManager.connect(owner).openDispute(1, "QmNewEvidence");
+      expect(await disputeManager.getDisputesForCTI(1)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should not deactivate the CTI when an appeal is upheld", async function () {
+      await disputeManager.connect(reviewer1).castVerdict(1, false, "");
+      await disputeManager.connect(reviewer2).castVerdict(1, false, "");
+      await disputeManager.connect(submitter).openDispute(1, "QmAppeal");
+
+      await disputeManager.connect(reviewer1).castVerdict(2, true, "");
+      await disputeManager.connect(reviewer2).castVerdict(2, true, "");
+
+      expect((await disputeManager.getDispute(2)).status).to.equal(STATUS.UPHELD);
+      expect((await ctiRegistry.ctiRecords(1)).isActive).to.equal(true);
+    });
+
+    it("Should reactivate a deactivated CTI when an appeal is upheld", async function () {
+      await disputeManager.connect(reviewer1).castVerdict(1, true, "");
+      await disputeManager.connect(reviewer2).castVerdict(1, true, "");
+      expect((await ctiRegistry.ctiRecords(1)).isActive).to.equal(false);
+
+      await expect(disputeManager.connect(challenger).openDispute(1, "QmMoreEvidence"))
+        .to.be.revertedWith("CTI is not active");
+      await disputeManager.connect(submitter).openDispute(1, "QmAppeal");
+      expect(await disputeManager.isAppeal(2)).to.equal(true);
+
+      await disputeManager.connect(reviewer1).castVerdict(2, true, "");
+      await expect(disputeManager.connect(reviewer2).castVerdict(2, true, ""))
+        .to.emit(ctiRegistry, "CTIReactivated")
+        .withArgs(1, await disputeManager.getAddress());
+
+      expect((await ctiRegistry.ctiRecords(1)).isActive).to.equal(true);
+    });
+
+    it("Should overturn a rejection when an appeal is upheld", async function () {
+      await disputeManager.connect(reviewer1).castVerdict(1, false, "");
+      await disputeManager.connect(reviewer2).castVerdict(1, false, "");
+
+      const voters = (await ethers.getSigners()).slice(5, 8);
+      for (const voter of voters) {
+        await ctiRegistry.connect(voter).voteCTI(1, false);
+      }
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(2);
+
+      await disputeManager.connect(submitter).openDispute(1, "QmAppeal");
+      await disputeManager.connect(reviewer1).castVerdict(2, true, "");
+      await expect(disputeManager.connect(reviewer2).castVerdict(2, true, ""))
+        .to.emit(ctiRegistry, "CTIRejectionOverturned")
+        .withArgs(1, await disputeManager.getAddress());
+
+      expect(await ctiRegistry.ctiStatus(1)).to.equal(3);
+    });
+
+    it("Should keep a deactivated CTI down when its appeal is dismissed", async function () {
+      await ctiRegistry.deactivateCTI(1, "Duplicate report");
+      await disputeManager.connect(reviewer1).castVerdict(1, false, "");
+      await disputeManager.connect(reviewer2).castVerdict(1, false, "");
+
+      await disputeManager.connect(submitter).openDispute(1, "QmAppeal");
+      await disputeManager.connect(reviewer1).castVerdict(2, false, "");
+      await disputeManager.connect(reviewer2).castVerdict(2, false, "");
+
+      expect((await ctiRegistry.ctiRecords(1)).isActive).to.equal(false);
+    });
+
+    it("Should not accept appeals on retracted CTIs", async function () {
+      await disputeManager.connect(reviewer1).castVerdict(1, false, "");
+      await disputeManager.connect(reviewer2).castVerdict(1, false, "");
+      await ctiRegistry.connect(submitter).retractCTI(1, "");
+
+      await expect(disputeManager.connect(submitter).openDispute(1, "QmAppeal"))
+        .to.be.revertedWith("CTI is not active");
+    });
+  });
+
+  describe("Review Quorum", function () {
+    it("Should let admins change the quorum", async function () {
+      await expect(disputeManager.setReviewQuorum(1))
+        .to.emit(disputeManager, "ReviewQuorumUpdated")
+        .withArgs(2, 1);
+
+      await disputeManager.connect(challenger).openDispute(1, "QmEvidence");
+      await disputeManager.connect(reviewer1).castVerdict(1, false, "");
+      expect((await disputeManager.getDispute(1)).status).to.equal(STATUS.DISMISSED);
+    });
+
+    it("Should validate quorum changes", async function () {
+      await expect(disputeManager.connect(challenger).setReviewQuorum(1))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(disputeManager.setReviewQuorum(0))
+        .to.be.revertedWith("Quorum must be positive");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("IndicatorIndex", function () {
+  let ctiRegistry;
+  let indicatorIndex;
+  let owner;
+  let addr1;
+
+  const ipHash = ethers.id("203.0.113.7");
+  const domainHash = ethers.id("malicious-domain.example");
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const IndicatorIndex = await ethers.getContractFactory("IndicatorIndex");
+    indicatorIndex = await IndicatorIndex.deploy(await ctiRegistry.getAddress());
+    await indicatorIndex.waitForDeployment();
+
+    await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+    await ctiRegistry.connect(addr1).submitCTI("QmHash2", "Phishing", "Threat 2", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should reference the registry", async function () {
+      expect(await indicatorIndex.registry()).to.equal(await ctiRegistry.getAddress());
+    });
+
+    it("Should reject a zero registry address", async function () {
+      const IndicatorIndex = await ethers.getContractFactory("IndicatorIndex");
+      await expect(IndicatorIndex.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Registering Indicators", function () {
+    it("Should register indicators for own CTI", async function () {
+      await expect(indicatorIndex.registerIndicators(1, [ipHash, domainHash]))
+        .to.emit(indicatorIndex, "IndicatorRegistered")
+        .withArgs(ipHash, 1);
+
+      expect(await indicatorIndex.getIndicatorsForCTI(1)).to.deep.equal([ipHash, domainHash]);
+      expect(await indicatorIndex.isIndicatorRegistered(1, ipHash)).to.equal(true);
+    });
+
+    it("Should skip indicators already registered for the CTI", async function () {
+      await indicatorIndex.registerIndicators(1, [ipHash]);
+      await indicatorIndex.registerIndicators(1, [ipHash, domainHash]);
+
+      expect(await indicatorIndex.getIndicatorsForCTI(1)).to.deep.equal([ipHash, domainHash]);
+      expect(await indicatorIndex.getCTIsByIndicator(ipHash)).to.deep.equal([1n]);
+    });
+
+    it("Should only let the submitter register indicators", async function () {
+      await expect(indicatorIndex.connect(addr1).registerIndicators(1, [ipHash]))
+        .to.be.revertedWith("Only submitter can register indicators");
+    });
+
+    it("Should only index TLP:CLEAR and TLP:GREEN reports", async function () {
+      await ctiRegistry.submitCTI("QmHash3", "Malware", "Green", TLP.GREEN, 0, 0);
+      await ctiRegistry.submitCTI("QmHash4", "Malware", "Amber", TLP.AMBER, 0, 0);
+      await ctiRegistry.submitCTI("QmHash5", "Malware", "Red", TLP.RED, 0, 0);
+
+      await indicatorIndex.registerIndicators(3, [ipHash]);
+      await expect(indicatorIndex.registerIndicators(4, [ipHash]))
+        .to.be.revertedWith("TLP does not allow public sharing");
+      await expect(indicatorIndex.registerIndicators(5, [ipHash]))
+        .to.be.revertedWith("TLP does not allow public sharing");
+      expect(await indicatorIndex.getCTIsByIndicator(ipHash)).to.deep.equal([3n]);
+    });
+
+    it("Should reject inactive CTIs", async function () {
+      await ctiRegistry.deactivateCTI(1, "Spam");
+      await expect(indicatorIndex.registerIndicators(1, [ipHash]))
+        .to.be.revertedWith("CTI is not active");
+    });
+
+    it("Should validate the indicator list", async function () {
+      await expect(indicatorIndex.registerIndicators(1, []))
+        .to.be.revertedWith("No indicators provided");
+      await expect(indicatorIndex.registerIndicators(1, [ethers.ZeroHash]))
+        .to.be.revertedWith("Invalid indicator hash");
+
+      const tooMany = Array.from({ length: 101 }, (_, i) => ethers.id(`indicator-${i}`));
+      await expect(indicatorIndex.registerIndicators(1, tooMany))
+        .to.be.revertedWith("Too many indicators");
+    });
+  });
+
+  describe("Looking Up Indicators", function () {
+    it("Should return every CTI referencing an indicator", async function () {
+      await indicatorIndex.registerIndicators(1, [ipHash]);
+      await indicatorIndex.connect(addr1).registerIndicators(2, [ipHash, domainHash]);
+
+      expect(await indicatorIndex.getCTIsByIndicator(ipHash)).to.deep.equal([1n, 2n]);
+      expect(await indicatorIndex.getCTIsByIndicator(domainHash)).to.deep.equal([2n]);
+    });
+
+    it("Should return an empty list for unknown indicators", async function () {
+      expect(await indicatorIndex.getCTIsByIndicator(ethers.id("unknown"))).to.deep.equal([]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+// Voting restrictions, in CTIRegistry.MembershipMode enum order
+const MODE = { OPEN: 0, MEMBERS_ONLY: 1, MEMBER_WEIGHTED: 2 };
+
+describe("MembershipRegistry", function () {
+  let ctiRegistry;
+  let membershipRegistry;
+  let owner;
+  let orgAdmin;
+  let analyst;
+  let outsider;
+
+  beforeEach(async function () {
+    [owner, orgAdmin, analyst, outsider] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const MembershipRegistry = await ethers.getContractFactory("MembershipRegistry");
+    membershipRegistry = await MembershipRegistry.deploy(await ctiRegistry.getAddress());
+    await membershipRegistry.waitForDeployment();
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const MembershipRegistry = await ethers.getContractFactory("MembershipRegistry");
+      await expect(MembershipRegistry.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Organizations", function () {
+    it("Should let admins admit organizations", async function () {
+      await expect(membershipRegistry.admitOrganization("Acme CERT", orgAdmin.address))
+        .to.emit(membershipRegistry, "OrganizationAdmitted")
+        .withArgs(1, "Acme CERT", orgAdmin.address)
+        .and.to.emit(membershipRegistry, "MemberAttested")
+        .withArgs(1, orgAdmin.address);
+
+      const organization = await membershipRegistry.getOrganization(1);
+      expect(organization.name).to.equal("Acme CERT");
+      expect(organization.memberCount).to.equal(1);
+      expect(await membershipRegistry.organizationOf(orgAdmin.address)).to.equal(1);
+      expect(await membershipRegistry.isMember(orgAdmin.address)).to.equal(true);
+    });
+
+    it("Should validate new organizations", async function () {
+      await expect(membershipRegistry.connect(orgAdmin).admitOrganization("Acme CERT", orgAdmin.address))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(membershipRegistry.admitOrganization("", orgAdmin.address))
+        .to.be.revertedWith("Organization name cannot be empty");
+
+      await membershipRegistry.admitOrganization("Acme CERT", orgAdmin.address);
+      await expect(membershipRegistry.admitOrganization("Acme CERT", analyst.address))
+        .to.be.revertedWith("Organization already exists");
+      await expect(membershipRegistry.admitOrganization("Other CERT", orgAdmin.address))
+        .to.be.revertedWith("Account already belongs to an organization");
+    });
+
+    it("Should suspend and reinstate organizations", async function () {
+      await membershipRegistry.admitOrganization("Acme CERT", orgAdmin.address);
+
+      await expect(membershipRegistry.setOrganizationSuspended(1, true))
+        .to.emit(membershipRegistry, "OrganizationSuspended")
+        .withArgs(1, true);
+      expect(await membershipRegistry.isMember(orgAdmin.address)).to.equal(false);
+      await expect(membershipRegistry.connect(orgAdmin).attestMember(1, analyst.address))
+        .to.be.revertedWith("Organization is suspended");
+
+      await membershipRegistry.setOrganizationSuspended(1, false);
+      expect(await membershipRegistry.isMember(orgAdmin.address)).to.equal(true);
+      await expect(membershipRegistry.setOrganizationSuspended(1, false))
+        .to.be.revertedWith("Suspension unchanged");
+    });
+
+    it("Should hand an organization to another member", async function () {
+      await membershipRegistry.admitOrganization("Acme CERT", orgAdmin.address);
+      await expect(membershipRegistry.setOrganizationAdmin(1, analyst.address))
+        .to.be.revertedWith("Admin must be a member");
+
+      await membershipRegistry.connect(orgAdmin).attestMember(1, analyst.address);
+      await expect(membershipRegistry.setOrganizationAdmin(1, analyst.address))
+        .to.emit(membershipRegistry, "OrganizationAdminChanged")
+        .withArgs(1, orgAdmin.address, analyst.address);
+      expect((await membershipRegistry.getOrganization(1)).admin).to.equal(analyst.address);
+    });
+  });
+
+  describe("Attestations", function () {
+    beforeEach(async function () {
+      await membershipRegistry.admitOrganization("Acme CERT", orgAdmin.address);
+    });
+
+    it("Should let the organization admin attest and revoke analysts", async function () {
+      await expect(membershipRegistry.connect(orgAdmin).attestMember(1, analyst.address))
+        .to.emit(membershipRegistry, "MemberAttested")
+        .withArgs(1, analyst.address);
+      expect(await membershipRegistry.isMember(analyst.address)).to.equal(true);
+
+      await expect(membershipRegistry.connect(orgAdmin).revokeMember(1, analyst.address))
+        .to.emit(membershipRegistry, "MemberRevoked")
+        .withArgs(1, analyst.address);
+      expect(await membershipRegistry.isMember(analyst.address)).to.equal(false);
+      expect((await membershipRegistry.getOrganization(1)).memberCount).to.equal(1);
+    });
+
+    it("Should only let the organization admin attest", async function () {
+      await expect(membershipRegistry.connect(analyst).attestMember(1, analyst.address))
+        .to.be.revertedWith("Only organization admin can manage members");
+      await expect(membershipRegistry.attestMember(1, analyst.address))
+        .to.be.revertedWith("Only organization admin can manage members");
+    });
+
+    it("Should let registry admins revoke members", async function () {
+      await membershipRegistry.connect(orgAdmin).attestMember(1, analyst.address);
+
+      await membershipRegistry.revokeMember(1, analyst.address);
+      expect(await membershipRegistry.organizationOf(analyst.address)).to.equal(0);
+
+      await expect(membershipRegistry.revokeMember(1, analyst.address))
+        .to.be.revertedWith("Not a member");
+      await expect(membershipRegistry.revokeMember(1, orgAdmin.address))
+        .to.be.revertedWith("Cannot revoke organization admin");
+      await expect(membershipRegistry.connect(outsider).revokeMember(1, orgAdmin.address))
+        .to.be.revertedWith("Only organization admin can manage members");
+    });
+  });
+
+  describe("Vote Gating", function () {
+    beforeEach(async function () {
+      await membershipRegistry.admitOrganization("Acme CERT", orgAdmin.address);
+      await membershipRegistry.connect(orgAdmin).attestMember(1, analyst.address);
+      await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+    });
+
+    it("Should only let admins change the membership policy", async function () {
+      const registryAddress = await membershipRegistry.getAddress();
+
+      await expect(ctiRegistry.connect(analyst).setMembershipPolicy(registryAddress, MODE.MEMBERS_ONLY))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(ctiRegistry.setMembershipPolicy(ethers.ZeroAddress, MODE.MEMBERS_ONLY))
+        .to.be.revertedWith("Invalid membership registry");
+
+      await expect(ctiRegistry.setMembershipPolicy(registryAddress, MODE.MEMBERS_ONLY))
+        .to.emit(ctiRegistry, "MembershipPolicyUpdated")
+        .withArgs(registryAddress, MODE.MEMBERS_ONLY);
+      expect(await ctiRegistry.membershipMode()).to.equal(MODE.MEMBERS_ONLY);
+    });
+
+    it("Should only let attested members vote in members-only mode", async function () {
+      await ctiRegistry.setMembershipPolicy(await membershipRegistry.getAddress(), MODE.MEMBERS_ONLY);
+
+      await expect(ctiRegistry.connect(outsider).voteCTI(1, true))
+        .to.be.revertedWith("Voter is not an attested member");
+      await expect(ctiRegistry.connect(analyst).voteCTI(1, true))
+        .to.emit(ctiRegistry, "CTIVoted");
+
+      await membershipRegistry.setOrganizationSuspended(1, true);
+      await expect(ctiRegistry.connect(orgAdmin).voteCTI(1, true))
+        .to.be.revertedWith("Voter is not an attested member");
+    });
+
+    it("Should not count non-member votes in member-weighted mode", async function () {
+      await ctiRegistry.setMembershipPolicy(await membershipRegistry.getAddress(), MODE.MEMBER_WEIGHTED);
+      expect(await ctiRegistry.getVoteWeight(outsider.address)).to.equal(0);
+      expect(await ctiRegistry.getVoteWeight(analyst.address)).to.equal(1);
+
+      await ctiRegistry.connect(outsider).voteCTI(1, true);
+      await ctiRegistry.connect(analyst).voteCTI(1, true);
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.upvotes).to.equal(2);
+      expect(await ctiRegistry.weightedUpvotes(1)).to.equal(1);
+    });
+
+    it("Should let anyone vote with full weight in open mode", async function () {
+      await ctiRegistry.setMembershipPolicy(await membershipRegistry.getAddress(), MODE.MEMBER_WEIGHTED);
+      await ctiRegistry.setMembershipPolicy(ethers.ZeroAddress, MODE.OPEN);
+
+      await ctiRegistry.connect(outsider).voteCTI(1, true);
+      expect(await ctiRegistry.weightedUpvotes(1)).to.equal(1);
+    });
+  });
+});
\ No newline at end of file
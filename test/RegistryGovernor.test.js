@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+// Proposal lifecycle, in RegistryGovernor.ProposalState enum order
+const STATE = { ACTIVE: 0, DEFEATED: 1, QUEUED: 2, EXECUTED: 3, CANCELED: 4 };
+
+const DAY = 24 * 60 * 60;
+
+describe("RegistryGovernor", function () {
+  let ctiRegistry;
+  let membershipRegistry;
+  let governor;
+  let owner;
+  let members;
+  let outsider;
+
+  beforeEach(async function () {
+    [owner, outsider, ...members] = await ethers.getSigners();
+    members = members.slice(0, 4);
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const MembershipRegistry = await ethers.getContractFactory("MembershipRegistry");
+    membershipRegistry = await MembershipRegistry.deploy(await ctiRegistry.getAddress());
+    await membershipRegistry.waitForDeployment();
+
+    const RegistryGovernor = await ethers.getContractFactory("RegistryGovernor");
+    governor = await RegistryGovernor.deploy(
+      await ctiRegistry.getAddress(),
+      await membershipRegistry.getAddress()
+    );
+    await governor.waitForDeployment();
+
+    // Each member administers its own organization
+    for (const [index, member] of members.entries()) {
+      await membershipRegistry.admitOrganization(`CERT ${index + 1}`, member.address);
+    }
+    await ctiRegistry.grantRole(await ctiRegistry.ADMIN_ROLE(), await governor.getAddress());
+  });
+
+  // Propose a registry call from the first member and return its proposal ID
+  async function proposeRegistryCall(functionName, args, description = "Change a parameter") {
+    const data = ctiRegistry.interface.encodeFunctionData(functionName, args);
+    await governor.connect(members[0]).propose(await ctiRegistry.getAddress(), data, description);
+    return governor.proposalCount();
+  }
+
+  async function voteAll(id, support, count = 3) {
+    for (const member of members.slice(0, count)) {
+      await governor.connect(member).castVote(id, support);
+    }
+  }
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const RegistryGovernor = await ethers.getContractFactory("RegistryGovernor");
+      await expect(RegistryGovernor.deploy(ethers.ZeroAddress, await membershipRegistry.getAddress()))
+        .to.be.revertedWith("Invalid registry address");
+    });
+
+    it("Should reject a zero membership registry address", async function () {
+      const RegistryGovernor = await ethers.getContractFactory("RegistryGovernor");
+      await expect(RegistryGovernor.deploy(await ctiRegistry.getAddress(), ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid membership registry");
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should let members propose parameter changes", async function () {
+      const data = ctiRegistry.interface.encodeFunctionData("setMaxPageSize", [50]);
+
+      const tx = await governor.connect(members[0]).propose(await ctiRegistry.getAddress(), data, "Smaller pages");
+      const createdAt = await time.latest();
+      await expect(tx)
+        .to.emit(governor, "ProposalCreated")
+        .withArgs(
+          1,
+          members[0].address,
+          await ctiRegistry.getAddress(),
+          data,
+          "Smaller pages",
+          createdAt + 3 * DAY,
+          createdAt + 5 * DAY
+        );
+
+      const proposal = await governor.getProposal(1);
+      expect(proposal.proposer).to.equal(members[0].address);
+      expect(proposal.data).to.equal(data);
+      expect(await governor.getProposalState(1)).to.equal(STATE.ACTIVE);
+    });
+
+    it("Should only accept proposals from members", async function () {
+      const data = ctiRegistry.interface.encodeFunctionData("setMaxPageSize", [50]);
+      await expect(governor.connect(outsider).propose(await ctiRegistry.getAddress(), data, "Smaller pages"))
+        .to.be.revertedWith("Caller is not a member");
+    });
+
+    it("Should validate proposals", async function () {
+      const registryAddress = await ctiRegistry.getAddress();
+      const data = ctiRegistry.interface.encodeFunctionData("setMaxPageSize", [50]);
+      const proposer = governor.connect(members[0]);
+
+      await expect(proposer.propose(ethers.ZeroAddress, data, "Smaller pages"))
+        .to.be.revertedWith("Invalid target");
+      await expect(proposer.propose(registryAddress, "0x", "Smaller pages"))
+        .to.be.revertedWith("Invalid call data");
+      await expect(proposer.propose(registryAddress, data, ""))
+        .to.be.revertedWith("Description cannot be empty");
+      await expect(governor.getProposal(1))
+        .to.be.revertedWith("Proposal does not exist");
+    });
+  });
+
+  describe("Voting", function () {
+    beforeEach(async function () {
+      await proposeRegistryCall("setMaxPageSize", [50]);
+    });
+
+    it("Should count one vote per organization", async function () {
+      const colleague = (await ethers.getSigners())[10];
+      await membershipRegistry.connect(members[1]).attestMember(2, colleague.address);
+
+      await expect(governor.connect(members[1]).castVote(1, true))
+        .to.emit(governor, "ProposalVoteCast")
+        .withArgs(1, members[1].address, true);
+      await governor.connect(members[2]).castVote(1, false);
+
+      await expect(governor.connect(members[1]).castVote(1, false))
+        .to.be.revertedWith("Organization already voted");
+      await expect(governor.connect(colleague).castVote(1, true))
+        .to.be.revertedWith("Organization already voted");
+      await expect(governor.connect(outsider).castVote(1, true))
+        .to.be.revertedWith("Caller is not a member");
+
+      const proposal = await governor.getProposal(1);
+      expect(proposal.forVotes).to.equal(1);
+      expect(proposal.againstVotes).to.equal(1);
+      expect(await governor.hasVoted(1, members[1].address)).to.equal(true);
+      expect(await governor.hasVoted(1, colleague.address)).to.equal(true);
+      expect(await governor.hasVoted(1, members[3].address)).to.equal(false);
+      expect(await governor.hasVoted(1, outsider.address)).to.equal(false);
+    });
+
+    it("Should close voting after the voting period", async function () {
+      await time.increase(3 * DAY);
+
+      await expect(governor.connect(members[0]).castVote(1, true))
+        .to.be.revertedWith("Voting is closed");
+    });
+
+    it("Should defeat proposals short of the quorum", async function () {
+      await voteAll(1, true, 2);
+      await time.increase(3 * DAY);
+
+      expect(await governor.getProposalState(1)).to.equal(STATE.DEFEATED);
+    });
+
+    it("Should defeat proposals without a majority in favour", async function () {
+      const newcomers = (await ethers.getSigners()).slice(10, 12);
+      for (const [index, newcomer] of newcomers.entries()) {
+        await membershipRegistry.admitOrganization(`Newcomer CERT ${index + 1}`, newcomer.address);
+      }
+
+      await voteAll(1, true, 3);
+      await governor.connect(members[3]).castVote(1, false);
+      for (const newcomer of newcomers) {
+        await governor.connect(newcomer).castVote(1, false);
+      }
+      await time.increase(5 * DAY);
+
+      expect(await governor.getProposalState(1)).to.equal(STATE.DEFEATED);
+      await expect(governor.execute(1))
+        .to.be.revertedWith("Proposal has not passed");
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should run the full propose, vote and execute flow", async function () {
+      for (let i = 0; i < 3; i++) {
+        await ctiRegistry.submitCTI(`QmHash${i}`, "Malware", `Threat ${i}`, TLP.CLEAR, 0, 0);
+      }
+
+      const id = await proposeRegistryCall("setMaxPageSize", [2], "Cap pages at two reports");
+      await voteAll(id, true);
+
+      await time.increase(3 * DAY);
+      expect(await governor.getProposalState(id)).to.equal(STATE.QUEUED);
+      await expect(governor.execute(id))
+        .to.be.revertedWith("Timelock has not expired");
+
+      await time.increase(2 * DAY);
+      await expect(governor.connect(outsider).execute(id))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(id)
+        .and.to.emit(ctiRegistry, "MaxPageSizeUpdated")
+        .withArgs(100, 2);
+
+      expect(await governor.getProposalState(id)).to.equal(STATE.EXECUTED);
+      expect(await ctiRegistry.getMaxPageSize()).to.equal(2);
+      expect(await ctiRegistry.getActiveCTIs(2, 0)).to.deep.equal([3n, 2n]);
+      await expect(ctiRegistry.getActiveCTIs(3, 0))
+        .to.be.revertedWith("Invalid limit");
+
+      await expect(governor.execute(id))
+        .to.be.revertedWith("Proposal has not passed");
+    });
+
+    it("Should govern validation rules", async function () {
+      const id = await proposeRegistryCall("setValidationRules", [5, 75]);
+      await voteAll(id, true);
+      await time.increase(5 * DAY);
+      await governor.execute(id);
+
+      const rules = await ctiRegistry.getValidationRules();
+      expect(rules.quorum).to.equal(5);
+      expect(rules.approval).to.equal(75);
+    });
+
+    it("Should govern the score half-life", async function () {
+      const id = await proposeRegistryCall("setScoreHalfLife", [7 * DAY]);
+      await voteAll(id, true);
+      await time.increase(5 * DAY);
+
+      await expect(governor.execute(id))
+        .to.emit(ctiRegistry, "ScoreHalfLifeUpdated")
+        .withArgs(30 * DAY, 7 * DAY);
+      expect(await ctiRegistry.getScoreHalfLife()).to.equal(7 * DAY);
+    });
+
+    it("Should accept a registry handover without a proposal", async function () {
+      const adminRole = await ctiRegistry.ADMIN_ROLE();
+      await expect(governor.acceptRegistryOwnership())
+        .to.be.revertedWith("Caller is not the pending owner");
+
+      await ctiRegistry.transferOwnership(await governor.getAddress());
+      await expect(governor.connect(outsider).acceptRegistryOwnership())
+        .to.emit(ctiRegistry, "OwnershipTransferred")
+        .withArgs(owner.address, await governor.getAddress());
+      await ctiRegistry.renounceRole(adminRole);
+
+      expect(await ctiRegistry.owner()).to.equal(await governor.getAddress());
+      expect(await ctiRegistry.hasRole(adminRole, owner.address)).to.equal(false);
+      await expect(ctiRegistry.setScoreHalfLife(DAY))
+        .to.be.revertedWith("Caller is missing required role");
+      await expect(ctiRegistry.upgradeTo(await ctiRegistry.getAddress()))
+        .to.be.revertedWith("Only owner can upgrade");
+    });
+
+    it("Should take over the registry from the deployer", async function () {
+      const adminRole = await ctiRegistry.ADMIN_ROLE();
+      await ctiRegistry.transferOwnership(await governor.getAddress());
+
+      const acceptId = await proposeRegistryCall("acceptOwnership", [], "Take ownership");
+      const revokeId = await proposeRegistryCall("revokeRole", [adminRole, owner.address], "Retire the deployer key");
+      await voteAll(acceptId, true);
+      await voteAll(revokeId, true);
+      await time.increase(5 * DAY);
+
+      await governor.execute(acceptId);
+      await governor.execute(revokeId);
+
+      expect(await ctiRegistry.owner()).to.equal(await governor.getAddress());
+      expect(await ctiRegistry.hasRole(adminRole, owner.address)).to.equal(false);
+      await expect(ctiRegistry.setMaxPageSize(2))
+        .to.be.revertedWith("Caller is missing required role");
+    });
+
+    it("Should revert when the proposed call fails", async function () {
+      await ctiRegistry.revokeRole(await ctiRegistry.ADMIN_ROLE(), await governor.getAddress());
+
+      const id = await proposeRegistryCall("setMaxPageSize", [2]);
+      await voteAll(id, true);
+      await time.increase(5 * DAY);
+
+      await expect(governor.execute(id))
+        .to.be.revertedWith("Proposal execution failed");
+      expect(await governor.getProposalState(id)).to.equal(STATE.QUEUED);
+    });
+
+    it("Should let the proposer cancel before execution", async function () {
+      const id = await proposeRegistryCall("setMaxPageSize", [2]);
+
+      await expect(governor.connect(members[1]).cancel(id))
+        .to.be.revertedWith("Only proposer can cancel");
+      await expect(governor.connect(members[0]).cancel(id))
+        .to.emit(governor, "ProposalCanceled")
+        .withArgs(id);
+
+      expect(await governor.getProposalState(id)).to.equal(STATE.CANCELED);
+      await expect(governor.connect(members[1]).castVote(id, true))
+        .to.be.revertedWith("Voting is closed");
+      await expect(governor.connect(members[0]).cancel(id))
+        .to.be.revertedWith("Proposal cannot be canceled");
+    });
+  });
+
+  describe("Governance Settings", function () {
+    it("Should only change settings through a proposal", async function () {
+      await expect(governor.updateSettings(DAY, DAY, 2))
+        .to.be.revertedWith("Only governance can change settings");
+
+      const data = governor.interface.encodeFunctionData("updateSettings", [DAY, 0, 2]);
+      await governor.connect(members[0]).propose(await governor.getAddress(), data, "Faster governance");
+      await voteAll(1, true);
+      await time.increase(5 * DAY);
+
+      await expect(governor.execute(1))
+        .to.emit(governor, "GovernanceSettingsUpdated")
+        .withArgs(DAY, 0, 2);
+
+      expect(await governor.votingPeriod()).to.equal(DAY);
+      expect(await governor.timelockDelay()).to.equal(0);
+      expect(await governor.proposalQuorum()).to.equal(2);
+    });
+
+    it("Should keep the quorum a proposal was made with", async function () {
+      const defeatedId = await proposeRegistryCall("setMaxPageSize", [50]);
+      const data = governor.interface.encodeFunctionData("updateSettings", [3 * DAY, 2 * DAY, 2]);
+      await governor.connect(members[0]).propose(await governor.getAddress(), data, "Lower the quorum");
+      const settingsId = await governor.proposalCount();
+
+      await voteAll(defeatedId, true, 2);
+      await voteAll(settingsId, true);
+      await time.increase(5 * DAY);
+      expect(await governor.getProposalState(defeatedId)).to.equal(STATE.DEFEATED);
+
+      await governor.execute(settingsId);
+      expect(await governor.proposalQuorum()).to.equal(2);
+      expect((await governor.getProposal(defeatedId)).quorum).to.equal(3);
+      expect(await governor.getProposalState(defeatedId)).to.equal(STATE.DEFEATED);
+      await expect(governor.execute(defeatedId))
+        .to.be.revertedWith("Proposal has not passed");
+    });
+  });
+});
\ No newline at end of file
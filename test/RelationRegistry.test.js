@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+// Relation types and assessments, in RelationRegistry enum order
+const RELATION = { DUPLICATE_OF: 0, RELATED_TO: 1, SUPERSEDES: 2, SAME_ACTOR: 3 };
+const ASSESSMENT = { NONE: 0, ENDORSE: 1, DISPUTE: 2 };
+
+describe("RelationRegistry", function () {
+  let ctiRegistry;
+  let relationRegistry;
+  let owner;
+  let addr1;
+  let addr2;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const RelationRegistry = await ethers.getContractFactory("RelationRegistry");
+    relationRegistry = await RelationRegistry.deploy(await ctiRegistry.getAddress());
+    await relationRegistry.waitForDeployment();
+
+    await ctiRegistry.submitCTI("QmHash1", "Malware", "Original", TLP.CLEAR, 0, 0);
+    await ctiRegistry.connect(addr1).submitCTI("QmHash2", "Malware", "Copy", TLP.CLEAR, 0, 0);
+    await ctiRegistry.connect(addr2).submitCTI("QmHash3", "APT", "Campaign", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const RelationRegistry = await ethers.getContractFactory("RelationRegistry");
+      await expect(RelationRegistry.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Adding Relations", function () {
+    it("Should store a typed, attributed relation", async function () {
+      await expect(relationRegistry.connect(addr2).addRelation(2, 1, RELATION.DUPLICATE_OF))
+        .to.emit(relationRegistry, "RelationAdded")
+        .withArgs(1, 2, 1, RELATION.DUPLICATE_OF, addr2.address);
+
+      const relation = await relationRegistry.getRelation(1);
+      expect(relation.sourceId).to.equal(2);
+      expect(relation.targetId).to.equal(1);
+      expect(relation.creator).to.equal(addr2.address);
+      expect(await relationRegistry.getRelationsForCTI(1)).to.deep.equal([1n]);
+      expect(await relationRegistry.getRelationsForCTI(2)).to.deep.equal([1n]);
+    });
+
+    it("Should validate relations", async function () {
+      await expect(relationRegistry.addRelation(1, 1, RELATION.RELATED_TO))
+        .to.be.revertedWith("Cannot relate a CTI to itself");
+      await expect(relationRegistry.addRelation(1, 4, RELATION.RELATED_TO))
+        .to.be.revertedWith("CTI does not exist");
+
+      await ctiRegistry.deactivateCTI(3, "Spam");
+      await expect(relationRegistry.addRelation(1, 3, RELATION.RELATED_TO))
+        .to.be.revertedWith("CTI is not active");
+    });
+
+    it("Should treat symmetric relations in either direction as the same", async function () {
+      await relationRegistry.addRelation(3, 1, RELATION.SAME_ACTOR);
+      const relation = await relationRegistry.getRelation(1);
+      expect(relation.sourceId).to.equal(1);
+      expect(relation.targetId).to.equal(3);
+
+      await expect(relationRegistry.connect(addr1).addRelation(1, 3, RELATION.SAME_ACTOR))
+        .to.be.revertedWith("Relation already exists");
+      expect(await relationRegistry.relationIds(await relationRegistry.relationKey(3, 1, RELATION.SAME_ACTOR)))
+        .to.equal(1);
+    });
+
+    it("Should keep directional relations distinct", async function () {
+      await relationRegistry.addRelation(2, 1, RELATION.SUPERSEDES);
+      await relationRegistry.addRelation(1, 2, RELATION.SUPERSEDES);
+      await expect(relationRegistry.addRelation(2, 1, RELATION.SUPERSEDES))
+        .to.be.revertedWith("Relation already exists");
+
+      expect(await relationRegistry.relationCount()).to.equal(2);
+    });
+  });
+
+  describe("Assessments", function () {
+    beforeEach(async function () {
+      await relationRegistry.addRelation(2, 1, RELATION.DUPLICATE_OF);
+    });
+
+    it("Should let others endorse or dispute a relation", async function () {
+      await expect(relationRegistry.connect(addr1).assessRelation(1, true))
+        .to.emit(relationRegistry, "RelationAssessed")
+        .withArgs(1, addr1.address, ASSESSMENT.ENDORSE);
+      await relationRegistry.connect(addr2).assessRelation(1, false);
+
+      const relation = await relationRegistry.getRelation(1);
+      expect(relation.endorsements).to.equal(1);
+      expect(relation.disputes).to.equal(1);
+      expect(await relationRegistry.assessments(1, addr2.address)).to.equal(ASSESSMENT.DISPUTE);
+    });
+
+    it("Should move an assessment to the other side", async function () {
+      await relationRegistry.connect(addr1).assessRelation(1, true);
+      await expect(relationRegistry.connect(addr1).assessRelation(1, true))
+        .to.be.revertedWith("Already assessed");
+
+      await relationRegistry.connect(addr1).assessRelation(1, false);
+      const relation = await relationRegistry.getRelation(1);
+      expect(relation.endorsements).to.equal(0);
+      expect(relation.disputes).to.equal(1);
+    });
+
+    it("Should not let creators assess their own relation", async function () {
+      await expect(relationRegistry.assessRelation(1, true))
+        .to.be.revertedWith("Cannot assess own relation");
+    });
+  });
+
+  describe("Removing Relations", function () {
+    beforeEach(async function () {
+      await relationRegistry.connect(addr1).addRelation(2, 1, RELATION.DUPLICATE_OF);
+    });
+
+    it("Should let the creator or a moderator remove a relation", async function () {
+      await expect(relationRegistry.connect(addr2).removeRelation(1))
+        .to.be.revertedWith("Only creator or moderator can remove");
+
+      await expect(relationRegistry.removeRelation(1))
+        .to.emit(relationRegistry, "RelationRemoved")
+        .withArgs(1, owner.address);
+      expect((await relationRegistry.getRelation(1)).removed).to.equal(true);
+
+      await expect(relationRegistry.connect(addr2).assessRelation(1, true))
+        .to.be.revertedWith("Relation was removed");
+    });
+
+    it("Should allow a removed relation to be added again", async function () {
+      await relationRegistry.connect(addr1).removeRelation(1);
+      await relationRegistry.connect(addr2).addRelation(2, 1, RELATION.DUPLICATE_OF);
+
+      expect(await relationRegistry.relationIds(await relationRegistry.relationKey(2, 1, RELATION.DUPLICATE_OF)))
+        .to.equal(2);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("RevisionHistory", function () {
+  let ctiRegistry;
+  let revisionHistory;
+  let owner;
+  let addr1;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const RevisionHistory = await ethers.getContractFactory("RevisionHistory");
+    revisionHistory = await RevisionHistory.deploy(await ctiRegistry.getAddress());
+    await revisionHistory.waitForDeployment();
+
+    await ctiRegistry.setRevisionHistory(await revisionHistory.getAddress());
+    await ctiRegistry.connect(addr1).submitCTI("QmOriginal", "Malware", "Original Title", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const RevisionHistory = await ethers.getContractFactory("RevisionHistory");
+      await expect(RevisionHistory.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+
+    it("Should only let admins set the revision history", async function () {
+      await expect(ctiRegistry.connect(addr1).setRevisionHistory(addr1.address))
+        .to.be.revertedWith("Caller is missing required role");
+
+      await expect(ctiRegistry.setRevisionHistory(ethers.ZeroAddress))
+        .to.emit(ctiRegistry, "RevisionHistoryUpdated")
+        .withArgs(await revisionHistory.getAddress(), ethers.ZeroAddress);
+    });
+
+    it("Should only archive revisions from the registry", async function () {
+      await expect(revisionHistory.recordRevision(1, "QmFake", "Malware", "Fake", 0))
+        .to.be.revertedWith("Caller is not the registry");
+    });
+  });
+
+  describe("History", function () {
+    it("Should archive every replaced version", async function () {
+      const original = await ctiRegistry.getCTI(1);
+      expect(await revisionHistory.getRevisionCount(1)).to.equal(1);
+
+      await ctiRegistry.connect(addr1).reviseCTI(1, "QmRevised1", "Malware", "Revision 1");
+      const revisedAt = await ctiRegistry.lastRevisedAt(1);
+      await expect(ctiRegistry.connect(addr1).reviseCTI(1, "QmRevised2", "Phishing", "Revision 2"))
+        .to.emit(ctiRegistry, "CTIRevised")
+        .withArgs(1, 2, "QmRevised2", "Phishing", "Revision 2");
+
+      expect(await revisionHistory.getRevisionCount(1)).to.equal(3);
+
+      const first = await revisionHistory.getRevision(1, 0);
+      expect(first.ipfsHash).to.equal("QmOriginal");
+      expect(first.category).to.equal("Malware");
+      expect(first.title).to.equal("Original Title");
+      expect(first.timestamp).to.equal(original.timestamp);
+
+      const second = await revisionHistory.getRevision(1, 1);
+      expect(second.ipfsHash).to.equal("QmRevised1");
+      expect(second.timestamp).to.equal(revisedAt);
+    });
+
+    it("Should leave the current version in the registry", async function () {
+      await ctiRegistry.connect(addr1).reviseCTI(1, "QmRevised1", "Malware", "Revision 1");
+
+      expect((await ctiRegistry.getCTI(1)).ipfsHash).to.equal("QmRevised1");
+      await expect(revisionHistory.getRevision(1, 1))
+        .to.be.revertedWith("Revision does not exist");
+    });
+
+    it("Should reject unknown CTIs", async function () {
+      await expect(revisionHistory.getRevisionCount(2))
+        .to.be.revertedWith("CTI does not exist");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SharingGroupRegistry", function () {
+  let sharingGroups;
+  let owner;
+  let addr1;
+  let addr2;
+
+  const publicKeyOf = (wallet) => wallet.signingKey.compressedPublicKey;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const SharingGroupRegistry = await ethers.getContractFactory("SharingGroupRegistry");
+    sharingGroups = await SharingGroupRegistry.deploy();
+    await sharingGroups.waitForDeployment();
+  });
+
+  describe("Encryption Keys", function () {
+    it("Should publish a compressed public key", async function () {
+      const publicKey = publicKeyOf(ethers.Wallet.createRandom());
+
+      await expect(sharingGroups.connect(addr1).setEncryptionKey(publicKey))
+        .to.emit(sharingGroups, "EncryptionKeySet")
+        .withArgs(addr1.address, publicKey);
+
+      expect(await sharingGroups.encryptionKeys(addr1.address)).to.equal(publicKey);
+    });
+
+    it("Should reject malformed keys", async function () {
+      const uncompressed = ethers.Wallet.createRandom().signingKey.publicKey;
+
+      await expect(sharingGroups.setEncryptionKey(uncompressed))
+        .to.be.revertedWith("Invalid public key");
+      await expect(sharingGroups.setEncryptionKey("0x04" + "11".repeat(32)))
+        .to.be.revertedWith("Invalid public key");
+    });
+  });
+
+  describe("Groups", function () {
+    beforeEach(async function () {
+      await sharingGroups.createGroup("Finance ISAC");
+    });
+
+    it("Should create a group with the creator as owner and member", async function () {
+      const group = await sharingGroups.getGroup(1);
+      expect(group.name).to.equal("Finance ISAC");
+      expect(group.owner).to.equal(owner.address);
+      expect(await sharingGroups.isGroupMember(1, owner.address)).to.equal(true);
+      expect(await sharingGroups.groupIds(ethers.id("Finance ISAC"))).to.equal(1);
+    });
+
+    it("Should validate group names", async function () {
+      await expect(sharingGroups.createGroup(""))
+        .to.be.revertedWith("Group name cannot be empty");
+      await expect(sharingGroups.connect(addr1).createGroup("Finance ISAC"))
+        .to.be.revertedWith("Group already exists");
+    });
+
+    it("Should return members with their published keys", async function () {
+      const publicKey = publicKeyOf(ethers.Wallet.createRandom());
+      await sharingGroups.connect(addr1).setEncryptionKey(publicKey);
+
+      await expect(sharingGroups.addMember(1, addr1.address))
+        .to.emit(sharingGroups, "GroupMemberAdded")
+        .withArgs(1, addr1.address);
+      await sharingGroups.addMember(1, addr2.address);
+
+      const [members, publicKeys] = await sharingGroups.getGroupMembers(1);
+      expect(members).to.deep.equal([owner.address, addr1.address, addr2.address]);
+      expect(publicKeys).to.deep.equal(["0x", publicKey, "0x"]);
+    });
+
+    it("Should only let the group owner manage members", async function () {
+      await expect(sharingGroups.connect(addr1).addMember(1, addr2.address))
+        .to.be.revertedWith("Only group owner can manage members");
+      await expect(sharingGroups.connect(addr1).removeMember(1, owner.address))
+        .to.be.revertedWith("Only group owner can manage members");
+    });
+
+    it("Should remove members", async function () {
+      await sharingGroups.addMember(1, addr1.address);
+      await sharingGroups.addMember(1, addr2.address);
+
+      await expect(sharingGroups.removeMember(1, addr1.address))
+        .to.emit(sharingGroups, "GroupMemberRemoved")
+        .withArgs(1, addr1.address);
+
+      const [members] = await sharingGroups.getGroupMembers(1);
+      expect(members).to.deep.equal([owner.address, addr2.address]);
+      expect(await sharingGroups.isGroupMember(1, addr1.address)).to.equal(false);
+
+      await expect(sharingGroups.removeMember(1, addr1.address))
+        .to.be.revertedWith("Not a member");
+      await expect(sharingGroups.removeMember(1, owner.address))
+        .to.be.revertedWith("Cannot remove group owner");
+    });
+
+    it("Should validate membership changes", async function () {
+      await expect(sharingGroups.addMember(1, owner.address))
+        .to.be.revertedWith("Already a member");
+      await expect(sharingGroups.addMember(1, ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid member address");
+      await expect(sharingGroups.addMember(2, addr1.address))
+        .to.be.revertedWith("Group does not exist");
+    });
+  });
+});
\ No newline at end of file
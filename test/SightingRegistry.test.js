@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// TLP markings, in CTIRegistry.TLP enum order
+const TLP = { CLEAR: 0, GREEN: 1, AMBER: 2, AMBER_STRICT: 3, RED: 4 };
+
+describe("SightingRegistry", function () {
+  let ctiRegistry;
+  let sightingRegistry;
+  let owner;
+  let addr1;
+  let addr2;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const CTIRegistry = await ethers.getContractFactory("CTIRegistry");
+    ctiRegistry = await CTIRegistry.deploy();
+    await ctiRegistry.waitForDeployment();
+
+    const SightingRegistry = await ethers.getContractFactory("SightingRegistry");
+    sightingRegistry = await SightingRegistry.deploy(await ctiRegistry.getAddress());
+    await sightingRegistry.waitForDeployment();
+
+    await ctiRegistry.submitCTI("QmHash1", "Malware", "Threat 1", TLP.CLEAR, 0, 0);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a zero registry address", async function () {
+      const SightingRegistry = await ethers.getContractFactory("SightingRegistry");
+      await expect(SightingRegistry.deploy(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid registry address");
+    });
+  });
+
+  describe("Reporting Sightings", function () {
+    it("Should record a sighting with its context", async function () {
+      const tx = await sightingRegistry.connect(addr1).reportSighting(1, "QmContext1");
+      await expect(tx)
+        .to.emit(sightingRegistry, "SightingReported")
+        .withArgs(1, addr1.address, await time.latest(), "QmContext1");
+
+      const stats = await sightingRegistry.getSightingStats(1);
+      expect(stats.count).to.equal(1);
+      expect(stats.reporterCount).to.equal(1);
+      expect(stats.firstSeen).to.equal(await time.latest());
+      expect(stats.lastSeen).to.equal(stats.firstSeen);
+    });
+
+    it("Should count repeat sightings from the same user over time", async function () {
+      await sightingRegistry.connect(addr1).reportSighting(1, "");
+      const firstSeen = await time.latest();
+
+      await time.increase(3600);
+      await sightingRegistry.connect(addr1).reportSighting(1, "QmContext2");
+      await sightingRegistry.connect(addr2).reportSighting(1, "");
+
+      const stats = await sightingRegistry.getSightingStats(1);
+      expect(stats.count).to.equal(3);
+      expect(stats.reporterCount).to.equal(2);
+      expect(stats.firstSeen).to.equal(firstSeen);
+      expect(stats.lastSeen).to.equal(await time.latest());
+      expect(await sightingRegistry.sightingsBy(1, addr1.address)).to.equal(2);
+    });
+
+    it("Should not change validation votes", async function () {
+      await sightingRegistry.connect(addr1).reportSighting(1, "");
+
+      const cti = await ctiRegistry.getCTI(1);
+      expect(cti.upvotes).to.equal(0);
+      expect(await ctiRegistry.hasVoted(1, addr1.address)).to.equal(false);
+    });
+
+    it("Should limit how often one user reports the same CTI", async function () {
+      await sightingRegistry.connect(addr1).reportSighting(1, "");
+
+      await expect(sightingRegistry.connect(addr1).reportSighting(1, ""))
+        .to.be.revertedWith("Sighting reported too recently");
+    });
+
+    it("Should only accept sightings of active CTIs", async function () {
+      await expect(sightingRegistry.reportSighting(2, ""))
+        .to.be.revertedWith("CTI does not exist");
+
+      await ctiRegistry.deactivateCTI(1, "Spam");
+      await expect(sightingRegistry.reportSighting(1, ""))
+        .to.be.revertedWith("CTI is not active");
+    });
+  });
+});
\ No newline at end of file